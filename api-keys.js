@@ -0,0 +1,155 @@
+/**
+ * API keys for machine clients (import scripts, static-site builder)
+ * Keys are sent as "Authorization: ApiKey <key>", only their SHA-256 hash is stored in db.apiKeys
+ */
+const crypto = require('crypto');
+const { hashToken, safeCompare } = require('./auth-utils');
+
+const API_KEY_PREFIX = 'ttln';
+
+// Resources an API key can be scoped to - users, settings and the database stay with people
+const API_KEY_RESOURCES = [
+  'products', 'services', 'experiences', 'news', 'teams',
+  'images', 'uploads', 'navigation', 'contacts'
+];
+const API_KEY_ACTIONS = ['read', 'write'];
+
+// lastUsedAt is only written once per interval to avoid a database write on every request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * Check that a scope is "<read|write>:<resource>" or "<read|write>:*"
+ * @param {string} scope - Scope such as "write:news"
+ * @returns {boolean} Whether the scope is known
+ */
+function isValidScope(scope) {
+  const [action, resource] = String(scope).split(':');
+  return API_KEY_ACTIONS.includes(action) &&
+    (resource === '*' || API_KEY_RESOURCES.includes(resource));
+}
+
+/**
+ * Check whether a key's scopes cover a route permission
+ * "products:read" needs read:products, any other action (create, update, delete) needs write:products
+ * @param {string[]} scopes - Scopes of the key
+ * @param {string} permission - Permission such as "products:update"
+ * @returns {boolean} Whether the key may use the route
+ */
+function hasScope(scopes, permission) {
+  const [resource, action] = permission.split(':');
+  if (!API_KEY_RESOURCES.includes(resource)) {
+    return false;
+  }
+
+  const needed = action === 'read' ? 'read' : 'write';
+  return (scopes || []).some(scope => scope === `${needed}:${resource}` || scope === `${needed}:*`);
+}
+
+/**
+ * Generate a new key record
+ * The plain key is only returned here, the record keeps its hash
+ * @param {Object} input - { name, scopes, expiresAt }
+ * @param {Object} user - Admin issuing the key
+ * @returns {Object} { apiKey: record, key: plain key }
+ */
+function createApiKey(input, user) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `${API_KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = {
+    id: id,
+    name: input.name,
+    prefix: `${API_KEY_PREFIX}_${id}`,
+    keyHash: hashToken(key),
+    scopes: input.scopes,
+    createdBy: user ? user.id : null,
+    createdAt: new Date().toISOString(),
+    expiresAt: input.expiresAt || null,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  return { apiKey, key };
+}
+
+/**
+ * Find the live key record for a plain key
+ * @param {Object} db - Database object
+ * @param {string} key - Key from the Authorization header
+ * @returns {Object|null} Key record, or null if it is unknown, revoked or expired
+ */
+function findApiKey(db, key) {
+  const keys = Array.isArray(db.apiKeys) ? db.apiKeys : [];
+  const keyHash = hashToken(key);
+  const apiKey = keys.find(k => safeCompare(k.keyHash, keyHash));
+
+  if (!apiKey || apiKey.revokedAt) {
+    return null;
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  return apiKey;
+}
+
+/**
+ * Record that a key was used, at most once per interval
+ * @param {Object} apiKey - Key record
+ * @returns {boolean} Whether the record changed and should be saved
+ */
+function touchApiKey(apiKey) {
+  const now = Date.now();
+  if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt).getTime() < LAST_USED_INTERVAL) {
+    return false;
+  }
+  apiKey.lastUsedAt = new Date(now).toISOString();
+  return true;
+}
+
+/**
+ * Extract an API key from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Key or null if none was sent
+ */
+function getApiKeyFromRequest(req) {
+  const header = req.headers && req.headers.authorization;
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, key] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'apikey' || !key) {
+    return null;
+  }
+  return key.trim();
+}
+
+/**
+ * Public fields of a key returned to admins
+ * @param {Object} apiKey - Key record
+ * @returns {Object} Key without its hash
+ */
+function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    createdBy: apiKey.createdBy,
+    createdAt: apiKey.createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+module.exports = {
+  API_KEY_RESOURCES,
+  isValidScope,
+  hasScope,
+  createApiKey,
+  findApiKey,
+  touchApiKey,
+  getApiKeyFromRequest,
+  toPublicApiKey
+};
@@ -0,0 +1,201 @@
+/**
+ * Crash-safe file writes and a cross-process lockfile
+ * A write goes to a temporary file in the same directory, is fsynced and then renamed over
+ * the target, so readers see either the old or the new file and never a truncated one
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// How long to wait for another process to release a lock, and when a lock is considered abandoned
+const LOCK_TIMEOUT = parseInt(process.env.DATABASE_LOCK_TIMEOUT || '10000', 10);
+const LOCK_STALE_AFTER = parseInt(process.env.DATABASE_LOCK_STALE || '30000', 10);
+const LOCK_RETRY_DELAY = 20;
+
+// Synchronous sleep used while waiting for a lock (handlers write synchronously)
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+const sleep = (ms) => Atomics.wait(sleepBuffer, 0, 0, ms);
+
+/**
+ * Write a file atomically: temp file, fsync, rename, fsync of the directory
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} data - File content
+ */
+function writeFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  let fd = null;
+  try {
+    fd = fs.openSync(tempPath, 'w');
+    fs.writeFileSync(fd, data, 'utf8');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fd !== null) {
+      try { fs.closeSync(fd); } catch (closeError) { /* already failing */ }
+    }
+    try { fs.unlinkSync(tempPath); } catch (unlinkError) { /* nothing to clean up */ }
+    throw error;
+  }
+
+  // Persist the rename itself; not every platform allows opening a directory
+  try {
+    const dirFd = fs.openSync(dir, 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (error) {
+    // Directory fsync is best effort
+  }
+}
+
+// Whether the process that wrote a lockfile is still running
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Create a lock shared by every process using the same lockfile (e.g. PM2 instances)
+ * The lock is re-entrant within a process, so nested writes do not wait on themselves
+ * @param {string} lockPath - Lockfile path
+ * @param {Object} [options] - { timeout, staleAfter } in milliseconds
+ * @returns {Object} { runExclusive(fn), isHeld() }
+ */
+function createFileLock(lockPath, options = {}) {
+  const timeout = options.timeout || LOCK_TIMEOUT;
+  const staleAfter = options.staleAfter || LOCK_STALE_AFTER;
+  let depth = 0;
+
+  // Remove a lockfile left behind by a dead or hung process
+  const removeIfStale = () => {
+    try {
+      const content = fs.readFileSync(lockPath, 'utf8');
+      const holder = JSON.parse(content || '{}');
+      const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+
+      if ((holder.pid && holder.pid !== process.pid && !isProcessAlive(holder.pid)) || age > staleAfter) {
+        fs.unlinkSync(lockPath);
+        console.warn(`Removed stale database lock ${lockPath} (pid ${holder.pid || 'unknown'})`);
+      }
+    } catch (error) {
+      // The lock was released in the meantime, or is still being written
+    }
+  };
+
+  const acquire = () => {
+    const deadline = Date.now() + timeout;
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockPath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+        fs.closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      removeIfStale();
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for database lock ${lockPath}`);
+      }
+      sleep(LOCK_RETRY_DELAY);
+    }
+  };
+
+  const release = () => {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      console.error(`Error releasing database lock ${lockPath}: ${error.message}`);
+    }
+  };
+
+  return {
+    /**
+     * Run a function while holding the lock
+     * @param {Function} fn - Synchronous function
+     * @returns {*} Result of fn
+     */
+    runExclusive: (fn) => {
+      if (depth === 0) {
+        acquire();
+      }
+      depth++;
+      try {
+        return fn();
+      } finally {
+        depth--;
+        if (depth === 0) {
+          release();
+        }
+      }
+    },
+
+    isHeld: () => depth > 0
+  };
+}
+
+// One lock object per lockfile, so nested use within a process is re-entrant
+const locks = new Map();
+
+/**
+ * Lock for a lockfile, shared by everything in this process that uses the same path
+ * @param {string} lockPath - Lockfile path
+ * @returns {Object} Lock from createFileLock
+ */
+function getFileLock(lockPath) {
+  const key = path.resolve(lockPath);
+  if (!locks.has(key)) {
+    locks.set(key, createFileLock(key));
+  }
+  return locks.get(key);
+}
+
+/**
+ * Atomically write a file while holding its "<file>.lock" lockfile
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} data - File content
+ */
+function writeFileLocked(filePath, data) {
+  getFileLock(`${filePath}.lock`).runExclusive(() => writeFileAtomic(filePath, data));
+}
+
+/**
+ * Serialize background writes so they run one at a time, in the order they were queued
+ * A failing task does not stop the ones queued after it
+ * @returns {Function} enqueue(task) => Promise of the task result
+ */
+function createWriteQueue() {
+  let tail = Promise.resolve();
+
+  return (task) => {
+    const run = tail.then(() => task());
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = {
+  LOCK_TIMEOUT,
+  writeFileAtomic,
+  writeFileLocked,
+  createFileLock,
+  getFileLock,
+  createWriteQueue
+};
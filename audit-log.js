@@ -0,0 +1,221 @@
+/**
+ * Audit log of content mutations
+ * Entries are appended to a JSON Lines file kept outside database.json, so replacing
+ * or syncing the database never rewrites the history of who changed what
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Same location rules as the database: /tmp in production, next to the code otherwise
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || (process.env.NODE_ENV === 'production'
+  ? path.join('/tmp', 'audit-log.jsonl')
+  : path.join(__dirname, 'audit-log.jsonl'));
+
+// Never copied into audit entries
+const SENSITIVE_FIELDS = ['password', 'twoFactor', 'refreshTokenHash', 'tokenHash', 'keyHash'];
+const REDACTED = '[redacted]';
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Field-level diff between two versions of an entity
+ * @param {Object|null} before - Entity before the change, null on create
+ * @param {Object|null} after - Entity after the change, null on delete
+ * @returns {Object} { field: { before, after } } for every field that changed
+ */
+function diffEntities(before, after) {
+  const changes = {};
+  const oldValue = before && typeof before === 'object' ? before : {};
+  const newValue = after && typeof after === 'object' ? after : {};
+  const fields = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+
+  fields.forEach(field => {
+    if (JSON.stringify(oldValue[field]) === JSON.stringify(newValue[field])) {
+      return;
+    }
+    const sensitive = SENSITIVE_FIELDS.includes(field);
+    changes[field] = {
+      before: sensitive && oldValue[field] !== undefined ? REDACTED : clone(oldValue[field]),
+      after: sensitive && newValue[field] !== undefined ? REDACTED : clone(newValue[field])
+    };
+  });
+
+  return changes;
+}
+
+/**
+ * Count the records of every collection, used to audit whole-database replacements
+ * @param {Object} db - Database object
+ * @returns {Object} { collection: count }
+ */
+function summarizeDatabase(db) {
+  const summary = {};
+  Object.keys(db || {}).forEach(key => {
+    if (Array.isArray(db[key])) {
+      summary[key] = db[key].length;
+    }
+  });
+  return summary;
+}
+
+/**
+ * Append an audit entry for a request
+ * @param {Object} req - Express request, supplies the user or API key and the IP address
+ * @param {Object} change - { action, entityType, entityId, before, after }
+ * @returns {Object|null} Stored entry, or null if it could not be written
+ */
+function recordAudit(req, change) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    timestamp: new Date().toISOString(),
+    userId: req.user ? req.user.id : null,
+    userEmail: req.user ? req.user.email : null,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    action: change.action,
+    entityType: change.entityType,
+    entityId: change.entityId !== undefined && change.entityId !== null ? String(change.entityId) : null,
+    changes: diffEntities(change.before, change.after),
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl
+  };
+
+  try {
+    fs.appendFileSync(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n', 'utf8');
+    return entry;
+  } catch (error) {
+    console.error(`Error writing audit entry for ${entry.action} ${entry.entityType}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read audit entries, newest first
+ * @param {Object} [filters] - { entityType, entityId, userId, action, from, to, limit, offset }
+ * @returns {Object} { entries, total }
+ */
+function readAuditEntries(filters = {}) {
+  if (!fs.existsSync(AUDIT_LOG_PATH)) {
+    return { entries: [], total: 0 };
+  }
+
+  const from = filters.from ? new Date(filters.from).getTime() : null;
+  const to = filters.to ? new Date(filters.to).getTime() : null;
+
+  const matches = fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(entry => {
+      if (!entry) return false;
+      if (filters.entityType && entry.entityType !== filters.entityType) return false;
+      if (filters.entityId && entry.entityId !== String(filters.entityId)) return false;
+      if (filters.userId && String(entry.userId) !== String(filters.userId)) return false;
+      if (filters.action && entry.action !== filters.action) return false;
+
+      const time = new Date(entry.timestamp).getTime();
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      return true;
+    })
+    .reverse();
+
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+
+  return {
+    entries: matches.slice(offset, offset + limit),
+    total: matches.length
+  };
+}
+
+// Default action for a write route: POST on /:id updates, otherwise POST creates
+const actionForRequest = (req) => {
+  if (req.method === 'DELETE') return 'delete';
+  if (req.method === 'POST' && !(req.params && req.params.id)) return 'create';
+  return 'update';
+};
+
+/**
+ * Create the audit middleware for a database source
+ * @param {Function} loadDatabase - Returns the current database object
+ * @returns {Object} Middleware factories
+ */
+function createAuditMiddleware(loadDatabase) {
+  /**
+   * Audit a write route once it has answered successfully
+   * The entity is read before the handler runs and taken from the `data` of the response afterwards
+   * @param {string} entityType - Entity name recorded in the log, e.g. "product"
+   * @param {Object} [options] - Route specific lookups
+   * @param {string} [options.collection] - Database key holding the entities
+   * @param {string} [options.action] - Overrides the action derived from the HTTP method
+   * @param {Function} [options.before] - (db, req) => entity before the change
+   * @param {Function} [options.after] - (req, data) => entity after the change
+   * @returns {Function} Express middleware
+   */
+  const auditMutation = (entityType, options = {}) => (req, res, next) => {
+    const action = options.action || actionForRequest(req);
+    const entityId = req.params && req.params.id;
+    let before = null;
+
+    try {
+      if (options.before) {
+        before = clone(options.before(loadDatabase(), req));
+      } else if (options.collection && entityId !== undefined) {
+        const items = loadDatabase()[options.collection];
+        const found = Array.isArray(items) ? items.find(item => String(item.id) === String(entityId)) : null;
+        before = clone(found) || null;
+      }
+    } catch (error) {
+      console.error(`Error reading ${entityType} before audit:`, error.message);
+    }
+
+    // Keep the payload the handler answers with (json-server routes answer with jsonp)
+    let responseData;
+    ['json', 'jsonp'].forEach(method => {
+      const original = res[method].bind(res);
+      res[method] = (body) => {
+        if (body && typeof body === 'object' && !Array.isArray(body)) {
+          responseData = body.data;
+        }
+        return original(body);
+      };
+    });
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+
+      let after = null;
+      if (action !== 'delete') {
+        after = options.after ? options.after(req, responseData) : (responseData || null);
+      }
+      const resolvedId = entityId !== undefined
+        ? entityId
+        : (after && after.id !== undefined ? after.id : null);
+
+      recordAudit(req, { action, entityType, entityId: resolvedId, before, after });
+    });
+
+    next();
+  };
+
+  return { auditMutation };
+}
+
+module.exports = {
+  AUDIT_LOG_PATH,
+  diffEntities,
+  summarizeDatabase,
+  recordAudit,
+  readAuditEntries,
+  createAuditMiddleware
+};
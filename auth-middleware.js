@@ -0,0 +1,158 @@
+/**
+ * Authentication middleware
+ * Verifies access tokens or API keys sent in the Authorization header before write routes run
+ */
+const { ERROR_TYPES } = require('./error-middleware');
+const { verifyToken, getBearerToken, isSessionRevoked } = require('./auth-utils');
+const { hasPermission } = require('./permissions');
+const { isUserActive } = require('./user-utils');
+const apiKeys = require('./api-keys');
+
+// Build an error that the error middleware turns into a 401 response
+const authenticationError = (message) => {
+  const err = new Error(message);
+  err.type = ERROR_TYPES.AUTHENTICATION;
+  return err;
+};
+
+// Build an error that the error middleware turns into a 403 response
+const authorizationError = (message) => {
+  const err = new Error(message);
+  err.type = ERROR_TYPES.AUTHORIZATION;
+  return err;
+};
+
+/**
+ * Require the authenticated user's role to grant a permission
+ * Must run after requireAuth
+ * @param {string} permission - Permission such as "products:update"
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.apiKey) {
+    if (!apiKeys.hasScope(req.apiKey.scopes, permission)) {
+      console.warn(`Permission denied: API key ${req.apiKey.id} lacks a scope for ${permission} on ${req.method} ${req.originalUrl}`);
+      return next(authorizationError(`API key is not scoped for ${permission}`));
+    }
+    return next();
+  }
+
+  if (!req.user) {
+    return next(authenticationError('Authentication required'));
+  }
+
+  if (!hasPermission(req.user.role, permission)) {
+    console.warn(`Permission denied: user ${req.user.id} (${req.user.role}) lacks ${permission} for ${req.method} ${req.originalUrl}`);
+    return next(authorizationError(`Your role does not allow ${permission}`));
+  }
+
+  next();
+};
+
+// Require a session that was opened with a second factor (run after requireAuth)
+// Used on routes that can rewrite the whole database
+const requireTwoFactor = (req, res, next) => {
+  if (!req.auth) {
+    return next(authenticationError('Authentication required'));
+  }
+
+  if (!req.auth.twoFactorVerified) {
+    console.warn(`Two-factor required: user ${req.auth.userId} for ${req.method} ${req.originalUrl}`);
+    return next(authorizationError('Two-factor authentication is required for this action'));
+  }
+
+  next();
+};
+
+/**
+ * Create the authentication middleware for a database source
+ * @param {Function} loadDatabase - Returns the current database object
+ * @param {Function} [saveDatabase] - Persists the database, used to record API key usage
+ * @param {Function} [transaction] - Runs the load and save of API key usage under the storage lock
+ * @returns {Object} Middleware functions
+ */
+const createAuthMiddleware = (loadDatabase, saveDatabase, transaction = (fn) => fn()) => {
+  // Require a valid access token bound to an existing user and live session
+  const requireUserSession = (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      if (!token) {
+        return next(authenticationError('Authentication required'));
+      }
+
+      const claims = verifyToken(token);
+      if (!claims || claims.type !== 'access') {
+        return next(authenticationError('Invalid or expired access token'));
+      }
+
+      const db = loadDatabase();
+      const users = Array.isArray(db.users) ? db.users : [];
+      const sessions = Array.isArray(db.sessions) ? db.sessions : [];
+
+      const user = users.find(u => u.id === claims.sub);
+      if (!user || !isUserActive(user)) {
+        return next(authenticationError('Invalid or expired access token'));
+      }
+
+      const session = sessions.find(s => s.id === claims.sid && s.userId === user.id);
+      if (!session || isSessionRevoked(db, session.id) || new Date(session.expiresAt).getTime() <= Date.now()) {
+        return next(authenticationError('Session is no longer valid'));
+      }
+
+      req.user = user;
+      req.auth = {
+        userId: user.id,
+        sessionId: session.id,
+        role: user.role,
+        twoFactorVerified: !!session.twoFactorVerified
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Accept a user access token or a scoped API key; routes then check requirePermission
+  const requireAuth = (req, res, next) => {
+    const key = apiKeys.getApiKeyFromRequest(req);
+    if (!key) {
+      return requireUserSession(req, res, next);
+    }
+
+    try {
+      const apiKey = transaction(() => {
+        const db = loadDatabase();
+        const found = apiKeys.findApiKey(db, key);
+        if (found && apiKeys.touchApiKey(found) && saveDatabase) {
+          saveDatabase(db);
+        }
+        return found;
+      });
+      if (!apiKey) {
+        return next(authenticationError('Invalid, expired or revoked API key'));
+      }
+
+      req.apiKey = apiKey;
+      req.auth = {
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes,
+        twoFactorVerified: false
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { requireAuth, requireUserSession };
+};
+
+module.exports = {
+  createAuthMiddleware,
+  requirePermission,
+  requireTwoFactor,
+  authenticationError,
+  authorizationError
+};
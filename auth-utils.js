@@ -0,0 +1,305 @@
+/**
+ * Authentication utilities
+ * Signed access tokens (HS256 JWT) and opaque refresh tokens for the admin API
+ */
+const crypto = require('crypto');
+
+// Token lifetimes in seconds
+const ACCESS_TOKEN_TTL = parseInt(process.env.TOKEN_EXPIRY, 10) || 3600; // 1 hour
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_EXPIRY, 10) || 7 * 24 * 3600; // 7 days
+
+// Signing secret - must be shared by every instance that verifies tokens
+let tokenSecret = process.env.JWT_SECRET;
+if (!tokenSecret || tokenSecret === 'your_jwt_secret_key_here') {
+  console.warn('JWT_SECRET is not set, using a random secret. Tokens will not survive a restart.');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const base64UrlEncode = (value) => {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+};
+
+const base64UrlDecode = (value) => {
+  const normalized = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(normalized, 'base64').toString('utf8');
+};
+
+const createSignature = (data) => {
+  return crypto.createHmac('sha256', tokenSecret).update(data).digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether both values are equal
+ */
+function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Sign a token with the given claims
+ * @param {Object} claims - Payload claims
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function signToken(claims, expiresIn) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({
+    ...claims,
+    iat: now,
+    exp: now + expiresIn
+  }));
+  return `${header}.${payload}.${createSignature(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a signed token and return its claims
+ * @param {string} token - Token to verify
+ * @returns {Object|null} Claims if the token is valid and not expired, otherwise null
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  if (!safeCompare(signature, createSignature(`${header}.${payload}`))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(base64UrlDecode(payload));
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a signed access token for a user session
+ * @param {Object} user - User record from db.users
+ * @param {string} sessionId - ID of the session the token belongs to
+ * @returns {Object} Token and its expiry date
+ */
+function createAccessToken(user, sessionId) {
+  const token = signToken({
+    sub: user.id,
+    sid: sessionId,
+    role: user.role,
+    type: 'access'
+  }, ACCESS_TOKEN_TTL);
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL * 1000).toISOString()
+  };
+}
+
+/**
+ * Generate a random opaque token
+ * @returns {string} Hex encoded token
+ */
+function generateOpaqueToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Token to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a new session with a refresh token bound to the user
+ * The plain refresh token is only returned here, the session stores its hash
+ * @param {Object} user - User record from db.users
+ * @param {Object} req - Express request, used for client metadata
+ * @returns {Object} Session record and the plain refresh token
+ */
+function createSession(user, req) {
+  const refreshToken = generateOpaqueToken();
+  const now = new Date();
+
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+    ip: req ? req.ip : null,
+    userAgent: req ? (req.headers['user-agent'] || null) : null
+  };
+
+  return { session, refreshToken };
+}
+
+/**
+ * Rotate the refresh token of a session
+ * The previous hash is remembered so a replayed token can be detected
+ * @param {Object} session - Session record from db.sessions
+ * @returns {string} New plain refresh token
+ */
+function rotateSession(session) {
+  const refreshToken = generateOpaqueToken();
+
+  session.previousTokenHashes = Array.isArray(session.previousTokenHashes)
+    ? session.previousTokenHashes
+    : [];
+  session.previousTokenHashes.push(session.refreshTokenHash);
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.lastUsedAt = new Date().toISOString();
+
+  return refreshToken;
+}
+
+/**
+ * Look up the session a refresh token belongs to
+ * @param {Object} db - Database object
+ * @param {string} refreshToken - Plain refresh token sent by the client
+ * @returns {Object} Matching session and whether the token was already rotated
+ */
+function findSessionByRefreshToken(db, refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const sessions = Array.isArray(db.sessions) ? db.sessions : [];
+
+  const current = sessions.find(s => safeCompare(s.refreshTokenHash, tokenHash));
+  if (current) {
+    return { session: current, reused: false };
+  }
+
+  const rotated = sessions.find(s =>
+    Array.isArray(s.previousTokenHashes) && s.previousTokenHashes.includes(tokenHash)
+  );
+  if (rotated) {
+    return { session: rotated, reused: true };
+  }
+
+  return { session: null, reused: false };
+}
+
+/**
+ * Revoke a session and record it in the revocation list
+ * @param {Object} db - Database object
+ * @param {Object} session - Session record to revoke
+ * @param {string} reason - Why the session was revoked
+ */
+function revokeSession(db, session, reason) {
+  db.sessions = (db.sessions || []).filter(s => s.id !== session.id);
+  db.revokedTokens = Array.isArray(db.revokedTokens) ? db.revokedTokens : [];
+  db.revokedTokens.push({
+    sessionId: session.id,
+    userId: session.userId,
+    reason: reason,
+    revokedAt: new Date().toISOString(),
+    expiresAt: session.expiresAt
+  });
+}
+
+/**
+ * Check whether a session is on the revocation list
+ * @param {Object} db - Database object
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {boolean} Whether the session was revoked
+ */
+function isSessionRevoked(db, sessionId) {
+  const revoked = Array.isArray(db.revokedTokens) ? db.revokedTokens : [];
+  return revoked.some(entry => entry.sessionId === sessionId);
+}
+
+/**
+ * Drop expired sessions and revocation entries that can no longer be used
+ * @param {Object} db - Database object
+ */
+function pruneSessions(db) {
+  const now = Date.now();
+  const isLive = entry => new Date(entry.expiresAt).getTime() > now;
+
+  db.sessions = (db.sessions || []).filter(isLive);
+  db.revokedTokens = (db.revokedTokens || []).filter(isLive);
+}
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if none was sent
+ */
+function getBearerToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+  return token.trim();
+}
+
+/**
+ * Public fields of a user returned to clients
+ * @param {Object} user - User record from db.users
+ * @returns {Object} User without credentials
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    avatar: user.avatar,
+    active: user.active !== false,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+    lastLoginAt: user.lastLoginAt || null,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  safeCompare,
+  signToken,
+  verifyToken,
+  createAccessToken,
+  generateOpaqueToken,
+  hashToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  isSessionRevoked,
+  pruneSessions,
+  getBearerToken,
+  toPublicUser
+};
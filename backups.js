@@ -0,0 +1,357 @@
+/**
+ * Rolling database backups
+ * A timestamped snapshot of the whole database is written every BACKUP_EVERY_WRITES writes and
+ * every BACKUP_INTERVAL minutes, and old snapshots are pruned with keep-last/hourly/daily/weekly rules
+ */
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, getFileLock, createWriteQueue } = require('./atomic-file');
+const { checkJsonFile } = require('./db-health');
+
+// Same location rules as the database: /tmp in production, next to the code otherwise
+const BACKUP_DIR = process.env.BACKUP_DIR || (process.env.NODE_ENV === 'production'
+  ? path.join('/tmp', 'backups')
+  : path.join(__dirname, 'backups'));
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+};
+
+// Accounts and credentials are never rolled back by a restore, so revoked tokens and keys stay revoked
+const PRESERVED_ON_RESTORE = ['users', 'sessions', 'revokedTokens', 'apiKeys', 'passwordResets', 'loginAudit'];
+
+// Snapshot files are named database-<timestamp>-<reason>.json, the id is the part in between
+const BACKUP_FILE_PATTERN = /^database-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)\.json$/;
+
+const toStamp = (date) => date.toISOString().replace(/[:.]/g, '-');
+const fromStamp = (stamp) => new Date(stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z'));
+
+/**
+ * Snapshots in a backup directory, newest first
+ * @param {string} dir - Backup directory
+ * @returns {Object[]} { id, file, reason, createdAt, size }
+ */
+function listBackups(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(name => ({ name, match: name.match(BACKUP_FILE_PATTERN) }))
+    .filter(entry => entry.match)
+    .map(entry => {
+      const file = path.join(dir, entry.name);
+      return {
+        id: `${entry.match[1]}-${entry.match[2]}`,
+        file,
+        reason: entry.match[2],
+        createdAt: fromStamp(entry.match[1]).toISOString(),
+        size: fs.statSync(file).size
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Snapshot files in a backup directory, newest first (used as recovery sources for a corrupt database)
+ * @param {string} dir - Backup directory
+ * @returns {string[]} File paths
+ */
+function listBackupFiles(dir) {
+  return listBackups(dir).map(backup => backup.file);
+}
+
+// Start of the ISO week (Monday, UTC) a date belongs to
+const weekOf = (date) => {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+};
+
+/**
+ * Snapshots to keep: the newest `last`, then the newest one of each of the last
+ * `hourly` hours, `daily` days and `weekly` weeks that have a snapshot
+ * @param {Object[]} backups - Snapshots, newest first
+ * @param {Object} retention - { last, hourly, daily, weekly }
+ * @returns {Set<string>} Ids to keep
+ */
+function selectBackupsToKeep(backups, retention) {
+  const keep = new Set(backups.slice(0, retention.last).map(backup => backup.id));
+
+  const buckets = [
+    { count: retention.hourly, key: (date) => date.toISOString().slice(0, 13) },
+    { count: retention.daily, key: (date) => date.toISOString().slice(0, 10) },
+    { count: retention.weekly, key: weekOf }
+  ];
+
+  buckets.forEach(bucket => {
+    const seen = new Set();
+    backups.forEach(backup => {
+      const key = bucket.key(new Date(backup.createdAt));
+      if (seen.size < bucket.count && !seen.has(key)) {
+        seen.add(key);
+        keep.add(backup.id);
+      }
+    });
+  });
+
+  return keep;
+}
+
+/**
+ * Check that a snapshot can replace the database
+ * @param {Object} data - Parsed snapshot
+ * @param {string[]} collections - Keys that must be arrays of records when present
+ * @returns {string[]} Problems found, empty when the snapshot is valid
+ */
+function validateSnapshot(data, collections) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Snapshot must be a JSON object'];
+  }
+
+  collections.forEach(name => {
+    if (data[name] === undefined) {
+      return;
+    }
+    if (!Array.isArray(data[name])) {
+      errors.push(`${name} must be an array`);
+      return;
+    }
+    const invalid = data[name].findIndex(item => !item || typeof item !== 'object' || Array.isArray(item));
+    if (invalid !== -1) {
+      errors.push(`${name}[${invalid}] must be an object`);
+    }
+  });
+
+  if (!collections.some(name => Array.isArray(data[name]))) {
+    errors.push('Snapshot does not contain any collection');
+  }
+
+  return errors;
+}
+
+/**
+ * Create a backup manager for a storage instance
+ * @param {Object} options - Backup options
+ * @param {Object} options.storage - Storage from storage.js
+ * @param {string[]} options.collections - Collections checked before a restore
+ * @param {string} [options.dir] - Backup directory
+ * @param {number} [options.everyWrites] - Snapshot after this many writes, 0 to disable
+ * @param {number} [options.interval] - Minutes between scheduled snapshots, 0 to disable
+ * @param {Object} [options.retention] - { last, hourly, daily, weekly }
+ * @returns {Object} Backup manager
+ */
+function createBackupManager(options) {
+  const storage = options.storage;
+  const dir = options.dir || BACKUP_DIR;
+  const everyWrites = options.everyWrites === undefined ? 50 : options.everyWrites;
+  const interval = options.interval === undefined ? 60 : options.interval;
+  const retention = { last: 10, hourly: 24, daily: 7, weekly: 4, ...options.retention };
+
+  // Snapshots and pruning from several processes must not interleave
+  const lock = getFileLock(path.join(dir, '.backups.lock'));
+  const enqueue = createWriteQueue();
+
+  let writesSinceBackup = 0;
+  let timer = null;
+  let unsubscribe = null;
+
+  /**
+   * Delete snapshots not selected by the retention rules
+   * @returns {string[]} Ids of deleted snapshots
+   */
+  const prune = () => lock.runExclusive(() => {
+    const backups = listBackups(dir);
+    const keep = selectBackupsToKeep(backups, retention);
+    const removed = backups.filter(backup => !keep.has(backup.id));
+
+    removed.forEach(backup => {
+      try {
+        fs.unlinkSync(backup.file);
+      } catch (error) {
+        console.error(`Error removing backup ${backup.file}: ${error.message}`);
+      }
+    });
+    return removed.map(backup => backup.id);
+  });
+
+  /**
+   * Write a snapshot of the current database
+   * Scheduled snapshots are skipped when nothing changed since the newest one
+   * @param {string} [reason] - "writes", "scheduled", "manual" or "pre-restore"
+   * @returns {Object|null} Snapshot descriptor, or null when skipped
+   */
+  const create = (reason = 'manual') => {
+    if (storage.adapter.isWritable && !storage.adapter.isWritable()) {
+      console.warn('Skipping database backup: the database is corrupt');
+      return null;
+    }
+
+    const data = JSON.stringify(storage.load(), null, 2);
+
+    const backup = lock.runExclusive(() => {
+      const latest = listBackups(dir)[0];
+      if (reason === 'scheduled' && latest && fs.readFileSync(latest.file, 'utf8') === data) {
+        return null;
+      }
+
+      const now = new Date();
+      const file = path.join(dir, `database-${toStamp(now)}-${reason}.json`);
+      writeFileAtomic(file, data);
+      return listBackups(dir).find(item => item.file === file);
+    });
+
+    writesSinceBackup = 0;
+    if (backup) {
+      console.log(`Database backup ${backup.id} written to ${backup.file}`);
+      prune();
+    }
+    return backup;
+  };
+
+  /**
+   * Find a snapshot by id
+   * @param {string} id - Snapshot id
+   * @returns {Object|null} Snapshot descriptor or null
+   */
+  const get = (id) => listBackups(dir).find(backup => backup.id === id) || null;
+
+  /**
+   * Validate a snapshot and swap it in as the database
+   * The current database is snapshotted first (reason "pre-restore") so a restore can be undone;
+   * users, sessions and other credentials (PRESERVED_ON_RESTORE) keep their current state
+   * @param {string} id - Snapshot id
+   * @returns {Object} { restored, backup?, preRestore?, errors? }
+   */
+  const restore = (id) => {
+    const backup = get(id);
+    if (!backup) {
+      return { restored: false, notFound: true, errors: [`Backup ${id} not found`] };
+    }
+
+    const check = checkJsonFile(backup.file);
+    if (!check.ok) {
+      const location = check.error && check.error.line ? ` (line ${check.error.line}, column ${check.error.column})` : '';
+      return { restored: false, backup, errors: [`Backup is not valid JSON${location}: ${check.error ? check.error.message : 'missing'}`] };
+    }
+
+    const errors = validateSnapshot(check.data, options.collections);
+    if (errors.length > 0) {
+      return { restored: false, backup, errors };
+    }
+
+    const preRestore = create('pre-restore');
+    const current = storage.load();
+    const restored = { ...check.data };
+    PRESERVED_ON_RESTORE.forEach(key => {
+      if (current[key] !== undefined) {
+        restored[key] = current[key];
+      }
+    });
+
+    if (!storage.restore(restored)) {
+      return { restored: false, backup, errors: ['Failed to write the restored database'] };
+    }
+
+    console.log(`Database restored from backup ${backup.id}`);
+    return { restored: true, backup, preRestore };
+  };
+
+  // Count committed changes and snapshot every `everyWrites` of them, after the response
+  const onChange = (change) => {
+    if (change.action === 'restore') {
+      return;
+    }
+    writesSinceBackup++;
+    if (everyWrites > 0 && writesSinceBackup >= everyWrites) {
+      writesSinceBackup = 0;
+      enqueue(() => create('writes')).catch(error => {
+        console.error(`Error writing database backup: ${error.message}`);
+      });
+    }
+  };
+
+  return {
+    dir,
+    retention,
+    list: () => listBackups(dir),
+    get,
+    create,
+    restore,
+    prune,
+
+    /**
+     * Start counting writes and the backup schedule
+     */
+    start: () => {
+      if (!unsubscribe) {
+        unsubscribe = storage.onChange(onChange);
+      }
+      if (!timer && interval > 0) {
+        timer = setInterval(() => {
+          enqueue(() => create('scheduled')).catch(error => {
+            console.error(`Error writing scheduled database backup: ${error.message}`);
+          });
+        }, interval * 60 * 1000);
+        timer.unref();
+      }
+    },
+
+    /**
+     * Stop the schedule and write counting
+     */
+    stop: () => {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+    }
+  };
+}
+
+let defaultManager = null;
+
+/**
+ * Backup manager for the process-wide storage, configured through the environment
+ * BACKUP_DIR, BACKUP_EVERY_WRITES, BACKUP_INTERVAL, BACKUP_KEEP_LAST/HOURLY/DAILY/WEEKLY
+ * @returns {Object} Backup manager
+ */
+function getBackupManager() {
+  if (!defaultManager) {
+    // Required here because storage.js uses this module for its recovery sources
+    const { getStorage, COLLECTIONS } = require('./storage');
+
+    defaultManager = createBackupManager({
+      storage: getStorage(),
+      collections: COLLECTIONS,
+      dir: BACKUP_DIR,
+      everyWrites: readNumber('BACKUP_EVERY_WRITES', 50),
+      interval: readNumber('BACKUP_INTERVAL', 60),
+      retention: {
+        last: readNumber('BACKUP_KEEP_LAST', 10),
+        hourly: readNumber('BACKUP_KEEP_HOURLY', 24),
+        daily: readNumber('BACKUP_KEEP_DAILY', 7),
+        weekly: readNumber('BACKUP_KEEP_WEEKLY', 4)
+      }
+    });
+  }
+  return defaultManager;
+}
+
+module.exports = {
+  BACKUP_DIR,
+  PRESERVED_ON_RESTORE,
+  listBackups,
+  listBackupFiles,
+  selectBackupsToKeep,
+  validateSnapshot,
+  createBackupManager,
+  getBackupManager
+};
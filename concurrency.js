@@ -0,0 +1,144 @@
+/**
+ * Optimistic concurrency
+ * Every record carries a version the repositories bump on each write. Single-record responses send it
+ * as an ETag; updates and deletes sent with If-Match are refused with 412 when the record has moved on,
+ * so two admins editing the same item cannot silently overwrite each other
+ */
+const fs = require('fs');
+const { ERROR_TYPES } = require('./error-middleware');
+
+// Records written before versioning count as version 0
+const versionOf = (record) => (record && Number.isInteger(record.version) ? record.version : 0);
+
+/**
+ * Strong entity tag of a record
+ * @param {Object} record - Stored record
+ * @returns {string} Quoted version, e.g. "3"
+ */
+const entityTag = (record) => `"${versionOf(record)}"`;
+
+/**
+ * Send the entity tag of a record with the response
+ * A body that is only part of the record (fields=, expand=) gets a weak tag: it names the version,
+ * not these bytes, and still works in If-Match
+ * @param {Object} res - Express response
+ * @param {Object} record - Record the body was made from
+ * @param {Object} [options] - { weak: the body is a projection of the record }
+ */
+function setEntityTag(res, record, options = {}) {
+  if (record && typeof record === 'object') {
+    res.set('ETag', options.weak ? `W/${entityTag(record)}` : entityTag(record));
+  }
+}
+
+/**
+ * Entity tags of an If-Match header
+ * @param {string} header - Header value, e.g. '"3"', 'W/"3", "4"' or '*'
+ * @returns {string[]|null} Tags without the weak prefix, ['*'], or null when absent
+ */
+function parseIfMatch(header) {
+  if (!header || !header.trim()) {
+    return null;
+  }
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Whether If-Match tags let a write to a record through
+ * @param {string[]|null} tags - Tags from parseIfMatch()
+ * @param {Object} record - Current record
+ * @returns {boolean} True without tags, for *, or when a tag names the record's version
+ */
+function matchesIfMatch(tags, record) {
+  return !tags || tags.includes('*') || tags.includes(entityTag(record));
+}
+
+/**
+ * Whether the If-Match header of a request lets a write to a record through
+ * @param {Object} req - Express request
+ * @param {Object} record - Current record
+ * @returns {boolean} See matchesIfMatch()
+ */
+function ifMatchAllows(req, record) {
+  return matchesIfMatch(parseIfMatch(req.get('If-Match')), record);
+}
+
+/**
+ * Create the error reported when a write is based on an outdated version, answered with 412
+ * @param {string} collection - Collection name
+ * @param {Object} current - Current record
+ * @returns {Error} Error with type PRECONDITION_FAILED, the current record in `current` and its version
+ */
+function createVersionConflictError(collection, current) {
+  const error = new Error(`${collection} ${current.id} was changed by someone else, it is now at version ${versionOf(current)}`);
+  error.type = ERROR_TYPES.PRECONDITION_FAILED;
+  error.current = current;
+  error.currentVersion = versionOf(current);
+  error.etag = entityTag(current);
+  return error;
+}
+
+// Uploads of a refused request are not referenced by any record
+const removeUploads = (req) => {
+  const files = []
+    .concat(req.file ? [req.file] : [])
+    .concat(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat());
+
+  files.forEach(file => {
+    try {
+      if (file.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    } catch (error) {
+      console.error(`Could not delete upload ${file.path}: ${error.message}`);
+    }
+  });
+};
+
+/**
+ * Create the If-Match middleware over the repositories
+ * @param {Object} repositories - Repositories from storage.js
+ * @returns {Object} { checkIfMatch }
+ */
+function createConcurrencyMiddleware(repositories) {
+  /**
+   * Refuse an update or delete whose If-Match does not name the current version of req.params.id
+   * Requests without If-Match are let through; missing records are left to the route's 404.
+   * The tags are kept in req.ifMatch for the route to pass to the repository write, which checks them
+   * again under the storage lock, since the record may change before the route writes it.
+   * Goes after multer so uploads of a refused request can be removed
+   * @param {string|Function} collection - Collection name, or a function of the request returning it
+   * @returns {Function} Express middleware
+   */
+  const checkIfMatch = (collection) => (req, res, next) => {
+    req.ifMatch = parseIfMatch(req.get('If-Match'));
+    if (!req.ifMatch) {
+      return next();
+    }
+
+    const name = typeof collection === 'function' ? collection(req) : collection;
+    const repository = name && repositories[name];
+    const current = repository ? repository.findById(req.params.id) : null;
+    if (!current || ifMatchAllows(req, current)) {
+      return next();
+    }
+
+    removeUploads(req);
+    next(createVersionConflictError(name, current));
+  };
+
+  return { checkIfMatch };
+}
+
+module.exports = {
+  versionOf,
+  entityTag,
+  setEntityTag,
+  parseIfMatch,
+  matchesIfMatch,
+  ifMatchAllows,
+  createVersionConflictError,
+  createConcurrencyMiddleware
+};
@@ -0,0 +1,91 @@
+/**
+ * Database health checks
+ * Locates JSON parse errors by line and column so a corrupt database.json can be repaired by hand
+ */
+const fs = require('fs');
+
+// Characters of the offending line shown on each side of the error
+const EXCERPT_RADIUS = 60;
+
+/**
+ * Describe a JSON.parse error with its line, column and an excerpt of the offending line
+ * @param {string} text - Text that failed to parse
+ * @param {Error} error - Error thrown by JSON.parse
+ * @returns {Object} { message, position, line, column, excerpt, pointer }
+ */
+function describeParseError(text, error) {
+  const message = error.message;
+  let position = null;
+
+  const positionMatch = message.match(/at position (\d+)/);
+  const lineColumnMatch = message.match(/line (\d+) column (\d+)/);
+
+  if (positionMatch) {
+    position = parseInt(positionMatch[1], 10);
+  } else if (lineColumnMatch) {
+    const lines = text.split('\n');
+    const line = parseInt(lineColumnMatch[1], 10);
+    position = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0) +
+      parseInt(lineColumnMatch[2], 10) - 1;
+  } else if (/Unexpected end of JSON input/.test(message)) {
+    position = text.length;
+  }
+
+  if (position === null) {
+    return { message, position: null, line: null, column: null, excerpt: null, pointer: null };
+  }
+
+  const before = text.slice(0, position);
+  const line = before.split('\n').length;
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const lineEnd = text.indexOf('\n', position) === -1 ? text.length : text.indexOf('\n', position);
+  const column = position - lineStart + 1;
+
+  const from = Math.max(lineStart, position - EXCERPT_RADIUS);
+  const to = Math.min(lineEnd, position + EXCERPT_RADIUS);
+  const excerpt = text.slice(from, to).replace(/\r/g, '');
+
+  return {
+    message,
+    position,
+    line,
+    column,
+    excerpt,
+    pointer: ' '.repeat(position - from) + '^'
+  };
+}
+
+/**
+ * Parse a JSON database file
+ * @param {string} filePath - File to check
+ * @returns {Object} { ok, path, size, modifiedAt, data?, error? }
+ */
+function checkJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { ok: false, path: filePath, missing: true };
+  }
+
+  const stats = fs.statSync(filePath);
+  const result = {
+    ok: true,
+    path: filePath,
+    size: stats.size,
+    modifiedAt: stats.mtime.toISOString()
+  };
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { ...result, ok: false, error: { message: 'Database must be a JSON object', line: 1, column: 1 } };
+    }
+    return { ...result, data };
+  } catch (error) {
+    return { ...result, ok: false, error: describeParseError(text, error) };
+  }
+}
+
+module.exports = {
+  describeParseError,
+  checkJsonFile
+};
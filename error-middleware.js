@@ -7,16 +7,23 @@
 const ERROR_TYPES = {
   NOT_FOUND: 'NOT_FOUND',
   VALIDATION: 'VALIDATION',
+  AUTHENTICATION: 'AUTHENTICATION',
   AUTHORIZATION: 'AUTHORIZATION',
   INTERNAL: 'INTERNAL',
   CORS: 'CORS',
-  DATABASE: 'DATABASE'
+  DATABASE: 'DATABASE',
+  PRECONDITION_FAILED: 'PRECONDITION_FAILED'
 };
 
 // Error handler middleware
 const errorHandler = (err, req, res, next) => {
   console.error('API Error:', err);
   
+  // Let Express close the connection if a response was already started
+  if (res.headersSent) {
+    return next(err);
+  }
+  
   // Default error response
   let statusCode = 500;
   let errorType = ERROR_TYPES.INTERNAL;
@@ -33,6 +40,10 @@ const errorHandler = (err, req, res, next) => {
         statusCode = 400;
         message = err.message || 'Invalid request data';
         break;
+      case ERROR_TYPES.AUTHENTICATION:
+        statusCode = 401;
+        message = err.message || 'Authentication required';
+        break;
       case ERROR_TYPES.AUTHORIZATION:
         statusCode = 403;
         message = err.message || 'Not authorized';
@@ -45,6 +56,10 @@ const errorHandler = (err, req, res, next) => {
         statusCode = 500;
         message = err.message || 'Database error';
         break;
+      case ERROR_TYPES.PRECONDITION_FAILED:
+        statusCode = 412;
+        message = err.message || 'The resource was changed since it was read';
+        break;
       default:
         // Use defaults for INTERNAL
         break;
@@ -52,6 +67,15 @@ const errorHandler = (err, req, res, next) => {
     errorType = err.type;
   }
   
+  // Field-level validation errors: [{ field, message }]
+  const fields = errorType === ERROR_TYPES.VALIDATION && Array.isArray(err.fields) ? err.fields : undefined;
+  
+  // Version conflicts send the current record and its ETag so the client can merge and retry
+  const current = errorType === ERROR_TYPES.PRECONDITION_FAILED ? err.current : undefined;
+  if (current && err.etag) {
+    res.set('ETag', err.etag);
+  }
+  
   // Always log database errors with full details
   if (errorType === ERROR_TYPES.DATABASE) {
     console.error('Database Error Details:', err.stack || err);
@@ -76,8 +100,11 @@ const errorHandler = (err, req, res, next) => {
     success: false,
     error: {
       type: errorType,
-      message: message
+      message: message,
+      fields: fields,
+      currentVersion: current ? err.currentVersion : undefined
     },
+    data: current,
     timestamp: new Date().toISOString()
   });
 };
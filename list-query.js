@@ -0,0 +1,425 @@
+/**
+ * List queries
+ * One query layer shared by the list endpoints: page/pageSize or cursor pagination,
+ * sort=-createdAt,name and field filters with operators, e.g.
+ *
+ *   GET /api/products?price[gte]=10000&categoryId[in]=2,3&name[contains]=gạo&sort=-createdAt&pageSize=20
+ *
+ * Filterable and sortable fields are the ones declared in the collection schema; other query
+ * parameters (cache busters, legacy flags) are ignored. Responses carry a meta block with the
+ * total count and the cursor of the next page.
+ *
+ * Read endpoints also take fields=id,name,slug,images[0] to return only some attributes, and
+ * expand=category,parent to inline the navigation item a record belongs to
+ */
+const { SCHEMAS, coerceValue, createValidationError } = require('./schemas');
+
+const DEFAULT_SORT = 'id';
+const MAX_PAGE_SIZE = 100;
+const OPERATORS = ['eq', 'in', 'gte', 'lte', 'contains'];
+const EXPANSIONS = ['category', 'parent'];
+
+// Parameters of the query layer itself, never read as filters
+const RESERVED_PARAMS = ['page', 'pageSize', 'limit', 'cursor', 'sort', 'fields', 'expand'];
+
+const isNullish = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Order two field values: numbers numerically, text in Vietnamese collation, empty values last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  if (isNullish(a) || isNullish(b)) {
+    return (isNullish(a) ? 1 : 0) - (isNullish(b) ? 1 : 0);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  if (typeof a === 'boolean' && typeof b === 'boolean') {
+    return Number(a) - Number(b);
+  }
+  return String(a).localeCompare(String(b), 'vi');
+}
+
+// Comparable form of a field value; dates compare as timestamps whatever their format
+const comparable = (spec, value) => {
+  if (spec && spec.type === 'date' && typeof value === 'string' && !isNaN(Date.parse(value))) {
+    return Date.parse(value);
+  }
+  return value;
+};
+
+// Cursors are opaque to clients: the sort values of the last item sent, base64url encoded
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Positive integer query parameter, or undefined when absent
+const parsePositiveInteger = (query, name, errors) => {
+  const raw = query[name];
+  if (raw === undefined || raw === '') {
+    return undefined;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push({ field: name, message: 'must be a positive integer' });
+    return undefined;
+  }
+  return value;
+};
+
+/**
+ * Coerce the value of one filter to the declared type of its field
+ * Array fields are matched on their items, so the value is coerced to the item type
+ */
+const coerceFilterValue = (spec, raw, field, errors) => {
+  const itemSpec = spec.type === 'array'
+    ? (typeof spec.of === 'string' ? { type: spec.of } : { type: 'string' })
+    : spec;
+  return coerceValue(itemSpec, typeof raw === 'string' ? raw.trim() : raw, field, errors);
+};
+
+// Comma-separated values of a parameter given once or repeated
+const listOf = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Parse fields= and expand=
+ * @param {Object} query - req.query
+ * @param {Object} fields - Field declarations of the collection
+ * @param {Object[]} errors - Collected { field, message } errors
+ * @returns {Object} { select: [{ field, first }] or null for every attribute, expand: relation names }
+ */
+function parseShape(query, fields, errors) {
+  const select = listOf(query.fields).map(entry => {
+    const match = entry.match(/^(\w+)(\[0\])?$/);
+    const spec = match && fields[match[1]];
+    if (!spec) {
+      errors.push({ field: 'fields', message: `has unknown field "${entry}"` });
+      return null;
+    }
+    if (match[2] && spec.type !== 'array') {
+      errors.push({ field: 'fields', message: `"${entry}": only array fields take [0]` });
+      return null;
+    }
+    return { field: match[1], first: !!match[2] };
+  }).filter(Boolean);
+
+  // Only records pointing to a navigation item can expand it
+  const expandable = !!(fields.child_nav_id || fields.categoryId);
+  const expand = [...new Set(listOf(query.expand))];
+  expand.forEach(name => {
+    if (!EXPANSIONS.includes(name)) {
+      errors.push({ field: 'expand', message: `has unknown relation "${name}", use one of: ${EXPANSIONS.join(', ')}` });
+    } else if (!expandable) {
+      errors.push({ field: 'expand', message: `"${name}" is not available on this collection` });
+    }
+  });
+
+  return { select: select.length > 0 ? select : null, expand };
+}
+
+/**
+ * Parse the list parameters of a request
+ * @param {string} collection - Collection name, for its schema
+ * @param {Object} query - req.query; filters look like field=value, field[op]=value or field=a&field=b
+ * @param {Object} [options] - { fields: extra filterable fields { name: spec }, defaultSort, defaultPageSize }
+ * @returns {Object} { page, pageSize, cursor, sort: [{ field, direction }], filters: [{ field, op, value }], select, expand, errors }
+ */
+function parseListQuery(collection, query = {}, options = {}) {
+  const fields = { ...(SCHEMAS[collection] || {}), ...(options.fields || {}) };
+  const errors = [];
+
+  const page = parsePositiveInteger(query, 'page', errors);
+  const pageSize = parsePositiveInteger(query, 'pageSize', errors) || parsePositiveInteger(query, 'limit', errors);
+  if (pageSize > MAX_PAGE_SIZE) {
+    errors.push({ field: 'pageSize', message: `must be at most ${MAX_PAGE_SIZE}` });
+  }
+
+  let cursor;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push({ field: 'cursor', message: 'is not a valid cursor' });
+    }
+    if (page !== undefined) {
+      errors.push({ field: 'page', message: 'cannot be combined with cursor' });
+    }
+  }
+
+  // The id always breaks ties so every item has a unique position for cursors
+  const sort = String(query.sort || options.defaultSort || DEFAULT_SORT)
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => ({
+      field: key.replace(/^[-+]/, ''),
+      direction: key.startsWith('-') ? -1 : 1
+    }));
+  sort.forEach(key => {
+    if (!fields[key.field]) {
+      errors.push({ field: 'sort', message: `has unknown field "${key.field}"` });
+    }
+  });
+  if (!sort.some(key => key.field === 'id')) {
+    sort.push({ field: 'id', direction: 1 });
+  }
+  if (cursor && cursor.length !== sort.length) {
+    errors.push({ field: 'cursor', message: 'does not match the sort order' });
+  }
+
+  const filters = [];
+  Object.keys(query)
+    .filter(name => !RESERVED_PARAMS.includes(name) && fields[name])
+    .forEach(name => {
+      const spec = fields[name];
+      const raw = query[name];
+      // field=a&field=b is the same as field[in]=a,b
+      const conditions = raw !== null && typeof raw === 'object' && !Array.isArray(raw)
+        ? raw
+        : { [Array.isArray(raw) ? 'in' : 'eq']: raw };
+
+      Object.keys(conditions).forEach(op => {
+        const where = `${name}[${op}]`;
+        if (!OPERATORS.includes(op)) {
+          errors.push({ field: where, message: `unknown operator, use one of: ${OPERATORS.join(', ')}` });
+          return;
+        }
+
+        const value = conditions[op];
+        if (op === 'in') {
+          const items = (Array.isArray(value) ? value : String(value).split(','))
+            .filter(item => !isNullish(item));
+          filters.push({ field: name, op, value: items.map((item, index) => coerceFilterValue(spec, item, `${where}[${index}]`, errors)) });
+        } else if (op === 'contains') {
+          filters.push({ field: name, op, value: String(value).toLowerCase() });
+        } else if (typeof value !== 'string') {
+          errors.push({ field: where, message: 'must be a single value' });
+        } else {
+          filters.push({ field: name, op, value: coerceFilterValue(spec, value, where, errors) });
+        }
+      });
+    });
+
+  const { select, expand } = parseShape(query, fields, errors);
+
+  return {
+    page,
+    pageSize: pageSize || options.defaultPageSize,
+    cursor,
+    sort,
+    filters,
+    select,
+    expand,
+    fields,
+    errors
+  };
+}
+
+/**
+ * Resolvers of the navigation a record belongs to, for expand=
+ * child_nav_id (or categoryId when it does not resolve) names a child navigation item by id or slug
+ * @param {Object[]} navigation - Navigation items with their children
+ * @returns {Object} { category(record), parent(record) } returning the item or null
+ */
+function createNavigationExpanders(navigation) {
+  const children = [];
+  (Array.isArray(navigation) ? navigation : []).forEach(parent => {
+    (Array.isArray(parent.children) ? parent.children : []).forEach(child => children.push({ child, parent }));
+  });
+
+  const find = (record) => [record.child_nav_id, record.categoryId]
+    .filter(ref => !isNullish(ref))
+    .map(ref => children.find(({ child }) => String(child.id) === String(ref) || child.slug === ref))
+    .find(Boolean);
+
+  return {
+    category: (record) => {
+      const match = find(record);
+      return match ? { ...match.child, parentId: match.parent.id } : null;
+    },
+    parent: (record) => {
+      const match = find(record);
+      if (!match) {
+        return null;
+      }
+      const { children: items, ...parent } = match.parent;
+      return parent;
+    }
+  };
+}
+
+/**
+ * Whether fields= or expand= asked for something other than the stored record
+ * @param {Object} shape - { select, expand } from parseListQuery() or parseShapeQuery()
+ * @returns {boolean} True when shapeRecord() changes the record
+ */
+const isShaped = (shape) => !!shape && (!!shape.select || shape.expand.length > 0);
+
+/**
+ * Apply fields= and expand= to one record
+ * The id is always kept; expanded relations are added whatever fields= says
+ * @param {Object} record - Record as stored or listed
+ * @param {Object} shape - { select, expand } from parseListQuery() or parseShapeQuery()
+ * @param {Object} [expanders] - Relation resolvers, see createNavigationExpanders()
+ * @returns {Object} Shaped copy, or the record itself when nothing was asked
+ */
+function shapeRecord(record, shape, expanders = {}) {
+  if (!record || !isShaped(shape)) {
+    return record;
+  }
+
+  let shaped = { ...record };
+  if (shape.select) {
+    shaped = { id: record.id };
+    shape.select.forEach(({ field, first }) => {
+      if (record[field] !== undefined) {
+        shaped[field] = first && Array.isArray(record[field]) ? record[field].slice(0, 1) : record[field];
+      }
+    });
+  }
+  shape.expand.forEach(name => {
+    shaped[name] = expanders[name] ? expanders[name](record) : null;
+  });
+  return shaped;
+}
+
+// Whether one record passes one filter; array fields pass when one of their items does
+const matchesFilter = (record, filter, fields) => {
+  const spec = fields[filter.field];
+  const stored = record[filter.field];
+  const values = Array.isArray(stored) ? stored : [stored];
+
+  return values.some(value => {
+    if (filter.op === 'contains') {
+      return !isNullish(value) && String(value).toLowerCase().includes(filter.value);
+    }
+    if (filter.op === 'in') {
+      return filter.value.some(item => !isNullish(value) && String(item) === String(value));
+    }
+    if (filter.op === 'eq') {
+      return !isNullish(value) && String(filter.value) === String(value);
+    }
+    if (isNullish(value)) {
+      return false;
+    }
+    const order = compareValues(comparable(spec, value), comparable(spec, filter.value));
+    return filter.op === 'gte' ? order >= 0 : order <= 0;
+  });
+};
+
+/**
+ * Filter, sort and paginate records
+ * Without page, pageSize or cursor every matching record is returned
+ * @param {Object[]} records - Records of the collection
+ * @param {Object} listQuery - Result of parseListQuery()
+ * @param {Object} [options] - { expanders: relation resolvers for expand= }
+ * @returns {Object} { data, meta: { total, page, pageSize, pageCount, nextCursor } }
+ */
+function applyListQuery(records, listQuery, options = {}) {
+  const { sort, filters, fields } = listQuery;
+
+  const sortValues = (record) => sort.map(key => comparable(fields[key.field], record[key.field]));
+  const compareSortValues = (a, b) => {
+    for (let i = 0; i < sort.length; i++) {
+      const order = compareValues(a[i], b[i]) * sort[i].direction;
+      if (order !== 0) {
+        return order;
+      }
+    }
+    return 0;
+  };
+
+  const matching = records
+    .filter(record => record && filters.every(filter => matchesFilter(record, filter, fields)))
+    .map(record => ({ record, values: sortValues(record) }))
+    .sort((a, b) => compareSortValues(a.values, b.values));
+
+  const total = matching.length;
+  const pageSize = listQuery.pageSize;
+  const page = listQuery.cursor ? null : (listQuery.page || 1);
+
+  let start = 0;
+  if (listQuery.cursor) {
+    const index = matching.findIndex(item => compareSortValues(item.values, listQuery.cursor) > 0);
+    start = index === -1 ? total : index;
+  } else if (pageSize) {
+    start = (page - 1) * pageSize;
+  }
+
+  const items = pageSize ? matching.slice(start, start + pageSize) : matching.slice(start);
+  const hasMore = start + items.length < total;
+
+  return {
+    data: items.map(item => shapeRecord(item.record, listQuery, options.expanders)),
+    meta: {
+      total,
+      page: pageSize ? page : null,
+      pageSize: pageSize || null,
+      pageCount: pageSize ? Math.ceil(total / pageSize) : 1,
+      nextCursor: hasMore && items.length > 0 ? encodeCursor(items[items.length - 1].values) : null
+    }
+  };
+}
+
+/**
+ * Middleware parsing the list parameters into req.listQuery
+ * Invalid parameters are answered with 400 by the error handler
+ * @param {string} collection - Collection name
+ * @param {Object} [options] - See parseListQuery()
+ * @returns {Function} Express middleware
+ */
+function listQuery(collection, options = {}) {
+  return (req, res, next) => {
+    const parsed = parseListQuery(collection, req.query, options);
+    if (parsed.errors.length > 0) {
+      return next(createValidationError(`${collection} query`, parsed.errors));
+    }
+    req.listQuery = parsed;
+    next();
+  };
+}
+
+/**
+ * Middleware parsing fields= and expand= of a single-record read into req.shapeQuery
+ * @param {string} collection - Collection name
+ * @param {Object} [options] - { fields: extra fields { name: spec } }
+ * @returns {Function} Express middleware
+ */
+function shapeQuery(collection, options = {}) {
+  return (req, res, next) => {
+    const fields = { ...(SCHEMAS[collection] || {}), ...(options.fields || {}) };
+    const errors = [];
+    const shape = parseShape(req.query, fields, errors);
+    if (errors.length > 0) {
+      return next(createValidationError(`${collection} query`, errors));
+    }
+    req.shapeQuery = shape;
+    next();
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  OPERATORS,
+  EXPANSIONS,
+  compareValues,
+  parseListQuery,
+  applyListQuery,
+  createNavigationExpanders,
+  isShaped,
+  shapeRecord,
+  listQuery,
+  shapeQuery
+};
@@ -0,0 +1,164 @@
+/**
+ * Login throttling
+ * Per-IP and per-account failure counters with exponential backoff and temporary lockout
+ * Counters live in memory (the API runs as a single PM2 instance). Attempts are appended to a JSON Lines
+ * file kept outside database.json, so failed logins never rewrite the database
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Defaults, overridable through the environment
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 15 * 60;
+const LOGIN_BACKOFF_BASE_MS = 1000;
+
+// Same location rules as the database: /tmp in production, next to the code otherwise
+const LOGIN_AUDIT_PATH = process.env.LOGIN_AUDIT_PATH || (process.env.NODE_ENV === 'production'
+  ? path.join('/tmp', 'login-audit.jsonl')
+  : path.join(__dirname, 'login-audit.jsonl'));
+
+// Past this size the file is moved to <path>.1 (replacing the previous one) and a new one is started
+const LOGIN_AUDIT_MAX_BYTES = parseInt(process.env.LOGIN_AUDIT_MAX_BYTES, 10) || 1024 * 1024;
+
+/**
+ * Create a throttle with its own in-memory counters
+ * @param {Object} [options] - Limits
+ * @param {number} [options.maxAttempts] - Failures per account before it is locked
+ * @param {number} [options.ipMaxAttempts] - Failures per IP before it is locked
+ * @param {number} [options.lockoutMs] - Lockout duration, also the window after which counters reset
+ * @param {number} [options.baseDelayMs] - Delay after the first failure, doubled on every further failure
+ * @returns {Object} Throttle functions
+ */
+function createLoginThrottle(options = {}) {
+  const maxAttempts = options.maxAttempts || LOGIN_MAX_ATTEMPTS;
+  const ipMaxAttempts = options.ipMaxAttempts || LOGIN_IP_MAX_ATTEMPTS;
+  const lockoutMs = options.lockoutMs || LOGIN_LOCKOUT_SECONDS * 1000;
+  const baseDelayMs = options.baseDelayMs || LOGIN_BACKOFF_BASE_MS;
+
+  // key -> { failures, lastFailureAt, blockedUntil }
+  const counters = new Map();
+
+  const keysFor = (ip, email) => {
+    const keys = [{ key: `ip:${ip || 'unknown'}`, limit: ipMaxAttempts }];
+    if (email) {
+      keys.push({ key: `account:${String(email).trim().toLowerCase()}`, limit: maxAttempts });
+    }
+    return keys;
+  };
+
+  // Forget counters that have been quiet for a full lockout period
+  const prune = (now) => {
+    counters.forEach((entry, key) => {
+      if (entry.blockedUntil <= now && now - entry.lastFailureAt > lockoutMs) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  /**
+   * Check whether a login attempt may go ahead
+   * @param {string} ip - Client IP
+   * @param {string} email - Account the client is trying to log in to
+   * @returns {Object} { allowed, retryAfter (seconds), reason }
+   */
+  const check = (ip, email) => {
+    const now = Date.now();
+    let blockedUntil = 0;
+    let reason = null;
+
+    keysFor(ip, email).forEach(({ key }) => {
+      const entry = counters.get(key);
+      if (entry && entry.blockedUntil > blockedUntil) {
+        blockedUntil = entry.blockedUntil;
+        reason = entry.locked ? 'locked' : 'backoff';
+      }
+    });
+
+    if (blockedUntil > now) {
+      return { allowed: false, retryAfter: Math.ceil((blockedUntil - now) / 1000), reason };
+    }
+    return { allowed: true, retryAfter: 0, reason: null };
+  };
+
+  /**
+   * Count a failed attempt against the IP and the account
+   * @param {string} ip - Client IP
+   * @param {string} email - Account the client tried to log in to
+   * @returns {Object} Result of check() after the failure was counted
+   */
+  const recordFailure = (ip, email) => {
+    const now = Date.now();
+    prune(now);
+
+    keysFor(ip, email).forEach(({ key, limit }) => {
+      const entry = counters.get(key) || { failures: 0, lastFailureAt: 0, blockedUntil: 0, locked: false };
+
+      entry.failures++;
+      entry.lastFailureAt = now;
+
+      if (entry.failures >= limit) {
+        entry.locked = true;
+        entry.blockedUntil = now + lockoutMs;
+        console.warn(`Login locked for ${key} after ${entry.failures} failed attempts`);
+      } else {
+        entry.locked = false;
+        entry.blockedUntil = now + Math.min(baseDelayMs * Math.pow(2, entry.failures - 1), lockoutMs);
+      }
+
+      counters.set(key, entry);
+    });
+
+    return check(ip, email);
+  };
+
+  /**
+   * Reset the account counter after a successful login
+   * The IP counter is left to expire so one valid account cannot clear it
+   * @param {string} email - Account that logged in
+   */
+  const recordSuccess = (email) => {
+    if (email) {
+      counters.delete(`account:${String(email).trim().toLowerCase()}`);
+    }
+  };
+
+  return { check, recordFailure, recordSuccess };
+}
+
+/**
+ * Append a login attempt to the login audit file
+ * Throttled attempts are not recorded, so they cost no write at all
+ * @param {Object} req - Express request
+ * @param {Object} attempt - { email, userId, success, reason }
+ * @param {string} [filePath] - Audit file, LOGIN_AUDIT_PATH by default
+ */
+function recordLoginAttempt(req, attempt, filePath = LOGIN_AUDIT_PATH) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    email: attempt.email ? String(attempt.email).trim().toLowerCase() : null,
+    userId: attempt.userId || null,
+    success: !!attempt.success,
+    reason: attempt.reason || null,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  };
+
+  try {
+    if (fs.existsSync(filePath) && fs.statSync(filePath).size > LOGIN_AUDIT_MAX_BYTES) {
+      fs.renameSync(filePath, `${filePath}.1`);
+    }
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('Error recording login attempt:', error.message);
+  }
+}
+
+module.exports = {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_IP_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_SECONDS,
+  LOGIN_AUDIT_PATH,
+  createLoginThrottle,
+  recordLoginAttempt
+};
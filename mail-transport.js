@@ -0,0 +1,263 @@
+/**
+ * Mail transports
+ * Every transport exposes send({ to, subject, text }) and returns a Promise
+ * MAIL_TRANSPORT picks one: "console" (default), "file" or "smtp"
+ * In production the console transport leaves message bodies out of the logs, since they carry reset links
+ */
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Thôn Trang Liên Nhật <no-reply@thontrangliennhat.com>';
+const SMTP_TIMEOUT = 15000;
+
+// RFC 2047 encoding so Vietnamese subjects and names survive 7-bit headers
+const encodeHeader = (value) => {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+};
+
+// Encode the display name of "Name <address>" and leave the address alone
+const encodeAddress = (value) => {
+  const match = String(value).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  return match && match[1] ? `${encodeHeader(match[1])} <${match[2]}>` : String(value).trim();
+};
+
+// Bare address of "Name <address>", used for the SMTP envelope
+const extractAddress = (value) => {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+};
+
+/**
+ * Build an RFC 5322 message with a base64 encoded UTF-8 text body
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string} Raw message with CRLF line endings
+ */
+function buildMessage(message) {
+  const from = message.from || MAIL_FROM;
+  const body = Buffer.from(String(message.text || ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  const headers = [
+    `From: ${encodeAddress(from)}`,
+    `To: ${encodeAddress(message.to)}`,
+    `Subject: ${encodeHeader(message.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${extractAddress(from).split('@')[1] || os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Transport that prints messages to the console, for local development
+ * @param {Object} [options] - { hideBody: print only the recipient and subject }
+ * @returns {Object} Transport
+ */
+function createConsoleTransport(options = {}) {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log('=== Outgoing mail ===');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(options.hideBody ? '(body not logged, set MAIL_TRANSPORT to deliver it)' : message.text);
+      console.log('=====================');
+      return { accepted: [message.to] };
+    }
+  };
+}
+
+/**
+ * Transport that writes every message as an .eml file
+ * @param {string} directory - Folder the files are written to
+ * @returns {Object} Transport
+ */
+function createFileTransport(directory) {
+  return {
+    name: 'file',
+    send: async (message) => {
+      fs.mkdirSync(directory, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const filePath = path.join(directory, fileName);
+      fs.writeFileSync(filePath, buildMessage(message));
+      console.log(`Mail to ${message.to} written to ${filePath}`);
+      return { accepted: [message.to], path: filePath };
+    }
+  };
+}
+
+/**
+ * Open an SMTP connection and return a function that sends one command at a time
+ * @param {Object} options - { host, port, secure }
+ * @returns {Promise<Object>} { command, upgrade, close }
+ */
+function openSmtpConnection(options) {
+  return new Promise((resolve, reject) => {
+    let socket;
+    let buffer = '';
+    let pending = null;
+
+    // Resolve the pending command once a complete (possibly multi-line) reply arrived
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\r\n');
+      const last = lines.length >= 2 ? lines[lines.length - 2] : '';
+      if (!/^\d{3} /.test(last) || !pending) {
+        return;
+      }
+      const reply = { code: parseInt(last.slice(0, 3), 10), text: buffer.trim() };
+      buffer = '';
+      const { resolve: done } = pending;
+      pending = null;
+      done(reply);
+    };
+
+    const onError = (error) => {
+      if (pending) {
+        const { reject: fail } = pending;
+        pending = null;
+        fail(error);
+      } else {
+        reject(error);
+      }
+    };
+
+    const attach = (target) => {
+      target.setTimeout(SMTP_TIMEOUT, () => target.destroy(new Error('SMTP connection timed out')));
+      target.on('data', onData);
+      target.on('error', onError);
+    };
+
+    const waitForReply = (expected) => new Promise((resolveReply, rejectReply) => {
+      pending = {
+        resolve: (reply) => {
+          if (!expected.includes(reply.code)) {
+            rejectReply(new Error(`SMTP error: ${reply.text}`));
+          } else {
+            resolveReply(reply);
+          }
+        },
+        reject: rejectReply
+      };
+    });
+
+    const connection = {
+      command: (line, expected) => {
+        const reply = waitForReply(expected);
+        socket.write(`${line}\r\n`);
+        return reply;
+      },
+      // Switch the plain socket to TLS after STARTTLS
+      upgrade: () => new Promise((resolveUpgrade, rejectUpgrade) => {
+        socket.removeListener('data', onData);
+        const secureSocket = tls.connect({ socket, servername: options.host }, () => {
+          socket = secureSocket;
+          resolveUpgrade();
+        });
+        secureSocket.once('error', rejectUpgrade);
+        attach(secureSocket);
+      }),
+      close: () => socket.end()
+    };
+
+    const greeting = waitForReply([220]);
+    socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+    attach(socket);
+
+    greeting.then(() => resolve(connection), reject);
+  });
+}
+
+/**
+ * Transport that delivers through an SMTP server (a local mail catcher or a real relay)
+ * @param {Object} options - { host, port, secure, user, pass, startTls }
+ * @returns {Object} Transport
+ */
+function createSmtpTransport(options) {
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const from = message.from || MAIL_FROM;
+      const connection = await openSmtpConnection(options);
+
+      try {
+        const ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+        // Never fall back to sending credentials and reset links in clear text
+        if (!options.secure && options.startTls) {
+          if (!/STARTTLS/i.test(ehlo.text)) {
+            throw new Error(`SMTP server ${options.host}:${options.port} does not offer STARTTLS (set SMTP_STARTTLS=false to send unencrypted)`);
+          }
+          await connection.command('STARTTLS', [220]);
+          await connection.upgrade();
+          await connection.command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (options.user) {
+          const credentials = Buffer.from(`\u0000${options.user}\u0000${options.pass || ''}`).toString('base64');
+          await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await connection.command(`MAIL FROM:<${extractAddress(from)}>`, [250]);
+        await connection.command(`RCPT TO:<${extractAddress(message.to)}>`, [250, 251]);
+        await connection.command('DATA', [354]);
+        await connection.command(`${buildMessage({ ...message, from })}\r\n.`, [250]);
+        await connection.command('QUIT', [221]).catch(() => {});
+      } finally {
+        connection.close();
+      }
+
+      return { accepted: [message.to] };
+    }
+  };
+}
+
+/**
+ * Create the transport configured through the environment
+ * @returns {Object} Transport
+ */
+function createMailTransport() {
+  const type = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+  if (type === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      startTls: process.env.SMTP_STARTTLS !== 'false',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+
+  if (type === 'file') {
+    return createFileTransport(process.env.MAIL_DIR || path.join(__dirname, 'mail'));
+  }
+
+  if (type !== 'console') {
+    console.warn(`Unknown MAIL_TRANSPORT "${type}", printing mail to the console`);
+  }
+  const production = process.env.NODE_ENV === 'production';
+  if (production) {
+    console.warn('No mail is delivered: set MAIL_TRANSPORT to smtp or file, the console transport does not log message bodies in production');
+  }
+  return createConsoleTransport({ hideBody: production });
+}
+
+module.exports = {
+  MAIL_FROM,
+  buildMessage,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createMailTransport
+};
@@ -0,0 +1,339 @@
+/**
+ * Versioned data migrations
+ * Migration scripts live in migrations/ as <version>-<name>.js and export { description, up(db, helpers) }.
+ * The database records the version it was migrated to (schemaVersion) and the migrations applied,
+ * so each script runs once. Pending migrations run at startup and from the command line:
+ *
+ *   node migration-runner.js status
+ *   node migration-runner.js up [--dry-run] [--to <version>]
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+/**
+ * Migration scripts of a directory, in version order
+ * @param {string} [dir] - Directory of migration scripts
+ * @returns {Object[]} { version, name, description, up }
+ * @throws {Error} Naming the file when a script cannot be loaded or has no up()
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(entry => entry.match)
+    .map(entry => {
+      let script;
+      try {
+        script = require(path.join(dir, entry.file));
+      } catch (error) {
+        throw new Error(`Migration ${entry.file} could not be loaded: ${error.message}`);
+      }
+      if (!script || typeof script.up !== 'function') {
+        throw new Error(`Migration ${entry.file} does not export an up(db, helpers) function`);
+      }
+      return {
+        version: parseInt(entry.match[1], 10),
+        name: entry.match[2],
+        description: script.description || entry.match[2],
+        up: script.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Helpers passed to a migration's up(); every change is recorded for dry runs and the history
+ * @returns {Object} { changes, set, remove, note, forEachRecord }
+ */
+function createChangeLog() {
+  const changes = [];
+
+  return {
+    changes,
+
+    /**
+     * Set a field of a record
+     * @param {Object} record - Record changed in place
+     * @param {string} field - Field name
+     * @param {*} value - New value
+     * @param {string} where - Record label, e.g. "products#3"
+     */
+    set: (record, field, value, where) => {
+      changes.push({ where, field, action: 'set', before: record[field], after: value });
+      record[field] = value;
+    },
+
+    /**
+     * Remove a field from a record
+     * @param {Object} record - Record changed in place
+     * @param {string} field - Field name
+     * @param {string} where - Record label
+     */
+    remove: (record, field, where) => {
+      changes.push({ where, field, action: 'remove', before: record[field] });
+      delete record[field];
+    },
+
+    /**
+     * Record a change that is not a single field (moved records, removed collections)
+     * @param {string} where - Record or collection label
+     * @param {string} message - What happened
+     */
+    note: (where, message) => {
+      changes.push({ where, action: 'note', message });
+    },
+
+    /**
+     * Visit every record of some collections, navigation children included
+     * @param {Object} db - Database object
+     * @param {string[]} collections - Collection names
+     * @param {Function} fn - Called with (record, label)
+     */
+    forEachRecord: (db, collections, fn) => {
+      collections.forEach(name => {
+        (Array.isArray(db[name]) ? db[name] : []).forEach(record => {
+          if (!record || typeof record !== 'object') {
+            return;
+          }
+          const where = `${name}#${record.id}`;
+          fn(record, where);
+          if (name === 'navigation' && Array.isArray(record.children)) {
+            record.children.forEach(child => fn(child, `${where}.children#${child.id}`));
+          }
+        });
+      });
+    }
+  };
+}
+
+// Readable line for one recorded change
+const describeChange = (change) => {
+  if (change.action === 'note') {
+    return `${change.where}: ${change.message}`;
+  }
+  if (change.action === 'remove') {
+    return `${change.where}: remove ${change.field} (was ${JSON.stringify(change.before)})`;
+  }
+  return `${change.where}: ${change.field} ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`;
+};
+
+/**
+ * Create a migration runner for a storage instance
+ * @param {Object} options - Runner options
+ * @param {Object} options.storage - Storage from storage.js
+ * @param {Object[]} [options.migrations] - Migrations, defaults to the scripts in migrations/
+ * @param {Function} [options.beforeMigrate] - Called before pending migrations are written (e.g. a backup)
+ * @returns {Object} Runner with status() and migrate()
+ */
+function createMigrationRunner(options) {
+  const storage = options.storage;
+  const migrations = options.migrations || loadMigrations();
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  const currentVersion = (db) => (Number.isInteger(db.schemaVersion) ? db.schemaVersion : 0);
+
+  /**
+   * Version of the database and the migrations not applied yet
+   * @returns {Object} { version, latest, pending, applied }
+   */
+  const status = () => {
+    const db = storage.load();
+    const version = currentVersion(db);
+    return {
+      version,
+      latest: latestVersion,
+      pending: migrations
+        .filter(migration => migration.version > version)
+        .map(({ version: v, name, description }) => ({ version: v, name, description })),
+      applied: Array.isArray(db.migrations) ? db.migrations : []
+    };
+  };
+
+  /**
+   * Apply pending migrations in order, in one write
+   * A failing migration leaves the database untouched
+   * @param {Object} [migrateOptions] - { dryRun: only report the changes, to: last version to apply }
+   * @returns {Object} { from, to, dryRun, applied: [{ version, name, description, changes }] }
+   */
+  const migrate = (migrateOptions = {}) => {
+    const target = migrateOptions.to !== undefined ? migrateOptions.to : latestVersion;
+
+    const run = () => {
+      const db = storage.load();
+      const from = currentVersion(db);
+      const pending = migrations.filter(migration => migration.version > from && migration.version <= target);
+      const result = { from, to: from, dryRun: !!migrateOptions.dryRun, applied: [] };
+
+      if (pending.length === 0) {
+        return result;
+      }
+
+      const history = Array.isArray(db.migrations) ? db.migrations : [];
+      pending.forEach(migration => {
+        const log = createChangeLog();
+        try {
+          migration.up(db, log);
+        } catch (error) {
+          error.message = `Migration ${migration.version}-${migration.name} failed: ${error.message}`;
+          throw error;
+        }
+        result.applied.push({
+          version: migration.version,
+          name: migration.name,
+          description: migration.description,
+          changes: log.changes
+        });
+        history.push({
+          version: migration.version,
+          name: migration.name,
+          appliedAt: new Date().toISOString(),
+          changes: log.changes.length
+        });
+        result.to = migration.version;
+      });
+
+      if (result.dryRun) {
+        return result;
+      }
+
+      if (options.beforeMigrate) {
+        options.beforeMigrate(result);
+      }
+
+      db.schemaVersion = result.to;
+      db.migrations = history;
+      if (!storage.save(db)) {
+        throw new Error('Failed to write the migrated database');
+      }
+      return result;
+    };
+
+    // Dry runs only read; real runs hold the storage lock so no write lands in between
+    return migrateOptions.dryRun ? run() : storage.transaction(run);
+  };
+
+  return {
+    migrations,
+    latestVersion,
+    status,
+    migrate
+  };
+}
+
+/**
+ * Print the result of a migration run
+ * @param {Object} result - Result of migrate()
+ * @param {Function} [print] - Output function
+ */
+function printMigrationResult(result, print = console.log) {
+  if (result.applied.length === 0) {
+    print(`Database is at version ${result.from}, no pending migrations`);
+    return;
+  }
+
+  result.applied.forEach(migration => {
+    print(`${result.dryRun ? '[dry run] ' : ''}${migration.version}-${migration.name}: ${migration.description} (${migration.changes.length} changes)`);
+    migration.changes.forEach(change => print(`  ${describeChange(change)}`));
+  });
+  print(result.dryRun
+    ? `Dry run: would migrate from version ${result.from} to ${result.to}`
+    : `Migrated from version ${result.from} to ${result.to}`);
+}
+
+let defaultRunner = null;
+
+/**
+ * Migration runner for the process-wide storage; a backup is taken before migrations are written
+ * @returns {Object} Migration runner
+ */
+function getMigrationRunner() {
+  if (!defaultRunner) {
+    const { getStorage } = require('./storage');
+    const { getBackupManager } = require('./backups');
+
+    defaultRunner = createMigrationRunner({
+      storage: getStorage(),
+      beforeMigrate: () => getBackupManager().create('pre-migration')
+    });
+  }
+  return defaultRunner;
+}
+
+/**
+ * Apply pending migrations at startup unless MIGRATE_ON_START=false
+ * Errors are logged, the server keeps running on the unmigrated data
+ * @returns {Object|null} Result of migrate(), or null when skipped or failed
+ */
+function migrateOnStart() {
+  if (process.env.MIGRATE_ON_START === 'false') {
+    return null;
+  }
+
+  try {
+    const runner = getMigrationRunner();
+    const storage = require('./storage').getStorage();
+    if (storage.adapter.isWritable && !storage.adapter.isWritable()) {
+      console.warn('Skipping migrations: the database is corrupt');
+      return null;
+    }
+    const result = runner.migrate();
+    result.applied.forEach(migration => {
+      console.log(`Applied migration ${migration.version}-${migration.name} (${migration.changes.length} changes)`);
+    });
+    return result;
+  } catch (error) {
+    console.error(`Error running migrations: ${error.message}`);
+    return null;
+  }
+}
+
+// Command line: status, or up [--dry-run] [--to <version>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--')) || 'status';
+  const toIndex = args.indexOf('--to');
+  const to = toIndex !== -1 ? parseInt(args[toIndex + 1], 10) : undefined;
+
+  try {
+    const runner = getMigrationRunner();
+
+    if (Number.isNaN(to)) {
+      throw new Error('--to needs a version number');
+    }
+
+    if (command === 'status') {
+      const report = runner.status();
+      console.log(`Database version: ${report.version} (latest: ${report.latest})`);
+      report.pending.forEach(migration => console.log(`  pending ${migration.version}-${migration.name}: ${migration.description}`));
+    } else if (command === 'up') {
+      printMigrationResult(runner.migrate({
+        dryRun: args.includes('--dry-run'),
+        to
+      }));
+    } else {
+      console.error(`Unknown command "${command}", use status or up [--dry-run] [--to <version>]`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+
+  require('./storage').getStorage().close();
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  createChangeLog,
+  createMigrationRunner,
+  printMigrationResult,
+  getMigrationRunner,
+  migrateOnStart
+};
@@ -0,0 +1,32 @@
+/**
+ * Store timestamps as createdAt/updatedAt
+ * Older records use created_at/updated_at, some both; the camelCase field wins unless the
+ * snake_case update time is newer
+ */
+const COLLECTIONS = [
+  'products', 'services', 'experiences', 'news', 'team',
+  'images', 'videos', 'contacts', 'navigation', 'users'
+];
+
+const isNewer = (a, b) => !b || new Date(a).getTime() > new Date(b).getTime();
+
+module.exports = {
+  description: 'Rename created_at/updated_at to createdAt/updatedAt',
+
+  up: (db, { forEachRecord, set, remove }) => {
+    forEachRecord(db, COLLECTIONS, (record, where) => {
+      if (record.created_at !== undefined) {
+        if (!record.createdAt) {
+          set(record, 'createdAt', record.created_at, where);
+        }
+        remove(record, 'created_at', where);
+      }
+      if (record.updated_at !== undefined) {
+        if (record.updated_at && isNewer(record.updated_at, record.updatedAt)) {
+          set(record, 'updatedAt', record.updated_at, where);
+        }
+        remove(record, 'updated_at', where);
+      }
+    });
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Keep team members in `team`
+ * Copies of the database edited by older tools have a `teams` array; its members are moved
+ * into `team` (the collection the API serves) unless a member with the same id is already there
+ */
+module.exports = {
+  description: 'Merge the legacy teams array into team',
+
+  up: (db, { note }) => {
+    if (!Array.isArray(db.teams)) {
+      return;
+    }
+
+    const team = Array.isArray(db.team) ? db.team : [];
+    db.teams.forEach(member => {
+      if (team.some(existing => String(existing.id) === String(member.id))) {
+        note(`teams#${member.id}`, 'skipped, team already has a member with this id');
+        return;
+      }
+      team.push(member);
+      note(`team#${member.id}`, 'moved from teams');
+    });
+
+    db.team = team;
+    delete db.teams;
+    note('database', 'removed teams');
+  }
+};
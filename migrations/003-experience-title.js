@@ -0,0 +1,19 @@
+/**
+ * Use `title` for the heading of experiences, like news and navigation
+ * Experiences were written with `name`, `title` or both
+ */
+module.exports = {
+  description: 'Move experience name into title',
+
+  up: (db, { forEachRecord, set, remove }) => {
+    forEachRecord(db, ['experiences'], (record, where) => {
+      if (record.name === undefined) {
+        return;
+      }
+      if (!record.title) {
+        set(record, 'title', record.name, where);
+      }
+      remove(record, 'name', where);
+    });
+  }
+};
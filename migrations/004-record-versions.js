@@ -0,0 +1,19 @@
+/**
+ * Give every record a version number for optimistic concurrency (ETag / If-Match)
+ * The repositories bump it on each write; records written before start at 1
+ */
+const { COLLECTIONS } = require('../storage');
+
+module.exports = {
+  description: 'Start record versions at 1',
+
+  up: (db, { set }) => {
+    COLLECTIONS.forEach(name => {
+      (Array.isArray(db[name]) ? db[name] : []).forEach(record => {
+        if (record && typeof record === 'object' && !Number.isInteger(record.version)) {
+          set(record, 'version', 1, `${name}#${record.id}`);
+        }
+      });
+    });
+  }
+};
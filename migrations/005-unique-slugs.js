@@ -0,0 +1,45 @@
+/**
+ * Regenerate the slugs of products, services, experiences and news from their titles
+ * Hand-typed slugs ("hfasd", "ok-nhé") are replaced by the generator of slugs.js, duplicates get a
+ * numeric suffix (the oldest record keeps the plain slug), and every replaced slug gets a redirect
+ */
+const { SLUG_COLLECTIONS, assignSlug } = require('../slugs');
+
+module.exports = {
+  description: 'Regenerate content slugs from titles, unique per collection, with redirects from the old ones',
+
+  up: (db, { set, note }) => {
+    db.redirects = Array.isArray(db.redirects) ? db.redirects : [];
+    let nextRedirectId = db.redirects.reduce((max, redirect) => Math.max(max, Number(redirect.id) || 0), 0) + 1;
+
+    SLUG_COLLECTIONS.forEach(name => {
+      const records = (Array.isArray(db[name]) ? db[name] : [])
+        .filter(record => record && typeof record === 'object')
+        .sort((a, b) => (Number(a.id) || 0) - (Number(b.id) || 0));
+      const done = [];
+
+      records.forEach(record => {
+        const where = `${name}#${record.id}`;
+        const { slug } = assignSlug(name, { ...record, slug: '' }, done);
+        const previous = record.slug;
+
+        if (slug !== previous) {
+          set(record, 'slug', slug, where);
+          if (previous) {
+            db.redirects.push({
+              id: nextRedirectId,
+              version: 1,
+              collection: name,
+              from: String(previous),
+              targetId: record.id,
+              createdAt: new Date().toISOString()
+            });
+            note(where, `redirect #${nextRedirectId} from "${previous}"`);
+            nextRedirectId++;
+          }
+        }
+        done.push(record);
+      });
+    });
+  }
+};
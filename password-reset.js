@@ -0,0 +1,119 @@
+/**
+ * Password reset tokens
+ * Single-use, expiring tokens stored as SHA-256 hashes in db.passwordResets
+ */
+const crypto = require('crypto');
+const { generateOpaqueToken, hashToken, safeCompare } = require('./auth-utils');
+
+const PASSWORD_RESET_TTL = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY, 10) || 3600; // 1 hour
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'https://thontrangliennhat.com/reset-password';
+
+// Minimum time between two reset mails for the same account
+const PASSWORD_RESET_INTERVAL = 60;
+
+/**
+ * Drop expired reset tokens
+ * @param {Object} db - Database object
+ */
+function pruneResetTokens(db) {
+  const now = Date.now();
+  db.passwordResets = (Array.isArray(db.passwordResets) ? db.passwordResets : [])
+    .filter(entry => new Date(entry.expiresAt).getTime() > now);
+}
+
+/**
+ * Create a reset token for a user, replacing any token issued before
+ * @param {Object} db - Database object
+ * @param {Object} user - User record
+ * @param {Object} req - Express request, used for the requesting IP
+ * @returns {Object|null} { token, expiresAt }, or null if a token was issued too recently
+ */
+function createResetToken(db, user, req) {
+  pruneResetTokens(db);
+
+  const now = Date.now();
+  const recent = db.passwordResets.find(entry =>
+    entry.userId === user.id && now - new Date(entry.createdAt).getTime() < PASSWORD_RESET_INTERVAL * 1000
+  );
+  if (recent) {
+    return null;
+  }
+
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(now + PASSWORD_RESET_TTL * 1000).toISOString();
+
+  db.passwordResets = db.passwordResets.filter(entry => entry.userId !== user.id);
+  db.passwordResets.push({
+    id: crypto.randomBytes(8).toString('hex'),
+    userId: user.id,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiresAt,
+    ip: req ? req.ip : null
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Find the live reset entry for a plain token
+ * @param {Object} db - Database object
+ * @param {string} token - Token from the reset link
+ * @returns {Object|null} Reset entry or null if the token is unknown, used or expired
+ */
+function findResetToken(db, token) {
+  if (!token) {
+    return null;
+  }
+  pruneResetTokens(db);
+
+  const tokenHash = hashToken(token);
+  return db.passwordResets.find(entry => safeCompare(entry.tokenHash, tokenHash)) || null;
+}
+
+/**
+ * Remove a used reset token, and any other token of the same user, so it cannot be replayed
+ * @param {Object} db - Database object
+ * @param {Object} entry - Reset entry returned by findResetToken
+ */
+function consumeResetToken(db, entry) {
+  db.passwordResets = db.passwordResets.filter(e => e.userId !== entry.userId);
+}
+
+/**
+ * Build the reset mail for a user
+ * @param {Object} user - User record
+ * @param {string} token - Plain reset token
+ * @returns {Object} Message for a mail transport
+ */
+function buildResetMail(user, token) {
+  const separator = PASSWORD_RESET_URL.includes('?') ? '&' : '?';
+  const link = `${PASSWORD_RESET_URL}${separator}token=${encodeURIComponent(token)}`;
+  const minutes = Math.round(PASSWORD_RESET_TTL / 60);
+
+  return {
+    to: user.name ? `${user.name} <${user.email}>` : user.email,
+    subject: 'Đặt lại mật khẩu / Password reset',
+    text: [
+      `Xin chào ${user.name || user.email},`,
+      '',
+      'Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn.',
+      `Mở liên kết sau trong vòng ${minutes} phút để đặt mật khẩu mới:`,
+      '',
+      link,
+      '',
+      'We received a request to reset your password.',
+      `Open the link above within ${minutes} minutes to choose a new one.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  PASSWORD_RESET_TTL,
+  pruneResetTokens,
+  createResetToken,
+  findResetToken,
+  consumeResetToken,
+  buildResetMail
+};
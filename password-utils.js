@@ -0,0 +1,154 @@
+/**
+ * Password utilities
+ * Salted scrypt hashing, plaintext migration and the password policy for db.users
+ */
+const crypto = require('crypto');
+const { safeCompare } = require('./auth-utils');
+
+// scrypt cost parameters - stored with every hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const HASH_PREFIX = 'scrypt';
+
+// Password policy
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const COMMON_PASSWORDS = [
+  'password', 'password1', '12345678', '123456789', '1234567890',
+  'qwerty123', 'abc12345', 'admin123', 'matkhau123', 'iloveyou'
+];
+// Shorter email local parts ("ed", "an") are too likely to appear in any password by chance
+const EMAIL_CHECK_MIN_LENGTH = 4;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain password
+ * @returns {string} Encoded hash: scrypt$N$r$p$salt$hash
+ */
+function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH, { N, r, p });
+
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check whether a stored value is an encoded password hash
+ * @param {string} value - Stored password field
+ * @returns {boolean} Whether the value is a hash produced by hashPassword
+ */
+function isPasswordHash(value) {
+  return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`) && value.split('$').length === 6;
+}
+
+/**
+ * Verify a password against a stored hash
+ * Plaintext values are still accepted so legacy accounts can log in once and be migrated
+ * @param {string} password - Plain password sent by the client
+ * @param {string} stored - Stored password field
+ * @returns {boolean} Whether the password matches
+ */
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) {
+    return false;
+  }
+
+  if (!isPasswordHash(stored)) {
+    return safeCompare(password, String(stored));
+  }
+
+  try {
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(N, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch (error) {
+    console.error('Error verifying password hash:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Check whether a stored password should be rewritten with the current parameters
+ * @param {string} stored - Stored password field
+ * @returns {boolean} Whether the value is plaintext or uses outdated parameters
+ */
+function needsRehash(stored) {
+  if (!isPasswordHash(stored)) {
+    return true;
+  }
+  const [, N, r, p] = stored.split('$');
+  return parseInt(N, 10) !== SCRYPT_PARAMS.N ||
+    parseInt(r, 10) !== SCRYPT_PARAMS.r ||
+    parseInt(p, 10) !== SCRYPT_PARAMS.p;
+}
+
+/**
+ * Hash every plaintext password in db.users in place
+ * @param {Object} db - Database object
+ * @returns {number} Number of users that were migrated
+ */
+function migratePlaintextPasswords(db) {
+  const users = Array.isArray(db.users) ? db.users : [];
+  let migrated = 0;
+
+  users.forEach(user => {
+    if (user.password && !isPasswordHash(user.password)) {
+      user.password = hashPassword(user.password);
+      user.updatedAt = new Date().toISOString();
+      migrated++;
+    }
+  });
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} plaintext password(s) to scrypt hashes`);
+  }
+  return migrated;
+}
+
+/**
+ * Validate a new password against the policy
+ * @param {string} password - Proposed password
+ * @param {Object} [user] - User the password is for, used to reject personal data
+ * @returns {string[]} Policy violations, empty when the password is acceptable
+ */
+function validatePasswordPolicy(password, user) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    errors.push('Password must contain both letters and numbers');
+  }
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    errors.push('Password is too common');
+  }
+  if (user && user.email) {
+    const localPart = String(user.email).split('@')[0].toLowerCase();
+    if (localPart.length >= EMAIL_CHECK_MIN_LENGTH && password.toLowerCase().includes(localPart)) {
+      errors.push('Password must not contain the email address');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  needsRehash,
+  migratePlaintextPasswords,
+  validatePasswordPolicy
+};
@@ -0,0 +1,63 @@
+/**
+ * Role-based permission matrix
+ * Permissions are written as "<resource>:<action>", "*" grants everything
+ */
+
+// Roles stored in db.users[].role
+const ROLES = {
+  ADMIN: 'admin',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+// What each role may do - admins manage users, navigation, settings and the database
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ['*'],
+  [ROLES.EDITOR]: [
+    'news:create',
+    'news:update',
+    'products:create',
+    'products:update',
+    'experiences:create',
+    'experiences:update',
+    'services:create',
+    'services:update',
+    'images:create',
+    'uploads:create'
+  ],
+  [ROLES.VIEWER]: []
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name from the user record
+ * @param {string} permission - Permission such as "news:update"
+ * @returns {boolean} Whether the role has the permission
+ */
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role];
+  if (!granted) {
+    return false;
+  }
+
+  const [resource] = permission.split(':');
+  return granted.includes('*') ||
+    granted.includes(permission) ||
+    granted.includes(`${resource}:*`);
+}
+
+/**
+ * Check whether a role name is known
+ * @param {string} role - Role name
+ * @returns {boolean} Whether the role exists in the matrix
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  isValidRole
+};
@@ -0,0 +1,747 @@
+/**
+ * Change log and replicas
+ * The store from storage.js is the only source of truth. Every change committed to it is appended to
+ * an append-only change log (JSON Lines, one entry per change with a sequence number), and the other
+ * copies of the database (the public copy, a /tmp copy, ...) are replicas that replay the log from the
+ * last entry they applied. A replica that was edited by hand, or that disagrees with an entry
+ * (a record at another version than the change was made on), is reported as a conflict and left
+ * untouched until it is resynced on purpose; nothing is ever picked by timestamp.
+ *
+ * Replicas are public copies, so credentials, sessions and login trails are never written to them or
+ * to the log. Entries carry the records that changed, not whole collections, and once every replica
+ * has applied an entry it is dropped from the log behind a checkpoint line.
+ *
+ *   node replication.js status
+ *   node replication.js replay [<replica>]
+ *   node replication.js resync <replica>
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, getFileLock, createWriteQueue } = require('./atomic-file');
+const { versionOf } = require('./concurrency');
+
+// Same location rules as the database: /tmp in production, next to the code otherwise
+const CHANGE_LOG_PATH = process.env.CHANGE_LOG_PATH || (process.env.NODE_ENV === 'production'
+  ? path.join('/tmp', 'changes.jsonl')
+  : path.join(__dirname, 'changes.jsonl'));
+
+// Top-level keys that stay in the source of truth: credentials, sessions and login trails
+const PRIVATE_KEYS = ['users', 'sessions', 'revokedTokens', 'apiKeys', 'passwordResets', 'loginAudit'];
+
+// Key of a replica document holding the position it was replayed to
+const META_KEY = '_replication';
+
+// Bytes read at a time when scanning the log
+const READ_CHUNK_SIZE = 64 * 1024;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const sameId = (a, b) => String(a) === String(b);
+
+// Sync stamps the old copy scripts wrote into every file
+const withoutSyncStamps = ({ _lastSync, syncInfo, ...data }) => data;
+
+// Copy of a database without the keys replicas never hold
+const withoutPrivateKeys = (db) => {
+  const data = { ...db };
+  PRIVATE_KEYS.forEach(key => delete data[key]);
+  return data;
+};
+
+// Checksum of a replica's data, its replication metadata left out
+const checksumOf = (doc) => {
+  const { [META_KEY]: meta, ...data } = doc;
+  return crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+};
+
+/**
+ * Parse a REPLICAS setting
+ * @param {string} value - Comma-separated name=path pairs
+ * @returns {Object[]} { name, path }
+ */
+function parseReplicas(value) {
+  return String(value || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return index === -1
+        ? { name: path.basename(path.dirname(pair)), path: path.resolve(pair) }
+        : { name: pair.slice(0, index).trim(), path: path.resolve(pair.slice(index + 1).trim()) };
+    });
+}
+
+// Whether every item of an array is a record with an id, no id appearing twice
+const isKeyed = (items) => Array.isArray(items) &&
+  items.every(item => item && typeof item === 'object' && item.id !== undefined && item.id !== null) &&
+  new Set(items.map(item => String(item.id))).size === items.length;
+
+/**
+ * Records that differ between two versions of a collection
+ * @param {Object[]} before - Records before the write
+ * @param {Object[]} after - Records after the write
+ * @returns {Object|null} { upsert: records added or changed, remove: ids removed }, null unless both are keyed by id
+ */
+function diffRecords(before, after) {
+  if (!isKeyed(before) || !isKeyed(after)) {
+    return null;
+  }
+  const previous = new Map(before.map(item => [String(item.id), JSON.stringify(item)]));
+  const current = new Set(after.map(item => String(item.id)));
+  return {
+    upsert: after.filter(item => previous.get(String(item.id)) !== JSON.stringify(item)),
+    remove: before.filter(item => !current.has(String(item.id))).map(item => item.id)
+  };
+}
+
+/**
+ * Log entry for a committed storage change
+ * Whole-database writes carry the records that changed in keyed collections and the other top-level
+ * keys that changed; the whole database goes in only when the previous state is unknown
+ * @param {Object} change - Storage change { collection, action, id, record, previous }
+ * @returns {Object|null} Entry without its sequence number, or null for changes that are not replicated
+ */
+function toLogEntry(change) {
+  const at = new Date().toISOString();
+
+  if (change.collection && PRIVATE_KEYS.includes(change.collection)) {
+    return null;
+  }
+
+  switch (change.action) {
+    case 'insert':
+    case 'update':
+      return {
+        at,
+        action: change.action,
+        collection: change.collection,
+        id: change.id,
+        baseVersion: change.previous ? versionOf(change.previous) : null,
+        record: change.record
+      };
+
+    case 'remove':
+      return { at, action: 'remove', collection: change.collection, id: change.id, baseVersion: versionOf(change.previous) };
+
+    case 'replaceAll': {
+      const records = diffRecords(change.previous, change.record || []);
+      if (!records) {
+        return { at, action: 'replaceAll', collection: change.collection, records: change.record || [] };
+      }
+      return records.upsert.length + records.remove.length > 0
+        ? { at, action: 'replaceAll', collection: change.collection, changes: records }
+        : null;
+    }
+
+    case 'save':
+    case 'restore': {
+      const db = withoutPrivateKeys(change.record || {});
+      if (!change.previous) {
+        return { at, action: change.action, replace: true, set: db };
+      }
+      const previous = withoutPrivateKeys(change.previous);
+      const set = {};
+      const records = {};
+      Object.keys(db).forEach(key => {
+        if (JSON.stringify(db[key]) === JSON.stringify(previous[key])) {
+          return;
+        }
+        const diff = diffRecords(previous[key], db[key]);
+        if (diff) {
+          records[key] = diff;
+        } else {
+          set[key] = db[key];
+        }
+      });
+      const unset = Object.keys(previous).filter(key => db[key] === undefined);
+      if (Object.keys(set).length + Object.keys(records).length + unset.length === 0) {
+        return null;
+      }
+      return { at, action: change.action, set, records, unset };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Call a function with every complete line of a file, reading it a chunk at a time
+ * A last line without its newline is still being written and is left out
+ * @param {string} filePath - File to read
+ * @param {Function} callback - Called with each line
+ */
+function forEachLine(filePath, callback) {
+  if (!fs.existsSync(filePath)) {
+    return;
+  }
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+    let rest = Buffer.alloc(0);
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      let data = Buffer.concat([rest, buffer.subarray(0, bytesRead)]);
+      let newline;
+      while ((newline = data.indexOf(0x0a)) !== -1) {
+        const line = data.subarray(0, newline).toString('utf8');
+        if (line.trim()) {
+          callback(line);
+        }
+        data = data.subarray(newline + 1);
+      }
+      rest = Buffer.from(data);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Last complete line of a file, read backwards from its end
+ * @param {string} filePath - File to read
+ * @returns {string|null} Line, or null when the file has none
+ */
+function readLastLine(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let position = fs.fstatSync(fd).size;
+    let tail = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_SIZE, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+
+      // Complete lines end with a newline; the one before it starts the last complete line
+      const end = tail.lastIndexOf(0x0a);
+      if (end === -1) {
+        continue;
+      }
+      const start = tail.lastIndexOf(0x0a, end - 1);
+      if (start !== -1 || position === 0) {
+        return tail.subarray(start + 1, end).toString('utf8');
+      }
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Sequence number at the start of a log line, read without parsing the whole entry
+const seqOfLine = (line) => {
+  const match = line.match(/^\{"seq":(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Create an append-only change log
+ * Nothing is cached: entries are read from the file when asked for, so several processes can share it
+ * @param {Object} [options] - { path } of the JSON Lines file
+ * @returns {Object} Change log
+ */
+function createChangeLog(options = {}) {
+  const filePath = options.path || CHANGE_LOG_PATH;
+  const lock = getFileLock(`${filePath}.lock`);
+
+  /**
+   * Sequence number of the newest entry, or of the checkpoint when every entry was compacted away
+   * @returns {number} 0 when the log is empty
+   */
+  const lastSeq = () => {
+    const line = readLastLine(filePath);
+    return (line && seqOfLine(line)) || 0;
+  };
+
+  /**
+   * Append a committed storage change
+   * @param {Object} change - Storage change
+   * @returns {Object|null} Stored entry with its seq, or null when the change is not replicated
+   */
+  const append = (change) => {
+    const entry = toLogEntry(change);
+    if (!entry) {
+      return null;
+    }
+
+    return lock.runExclusive(() => {
+      const stored = { seq: lastSeq() + 1, ...entry };
+      fs.appendFileSync(filePath, JSON.stringify(stored) + '\n', 'utf8');
+      return stored;
+    });
+  };
+
+  /**
+   * Entries after a sequence number, oldest first
+   * @param {number} seq - Last sequence number already applied
+   * @returns {Object[]} Entries
+   */
+  const since = (seq) => {
+    const entries = [];
+    forEachLine(filePath, line => {
+      const lineSeq = seqOfLine(line);
+      if (lineSeq !== null && lineSeq <= seq) {
+        return;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (!entry.checkpoint) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        console.error(`Skipping unreadable change log line in ${filePath}`);
+      }
+    });
+    return entries;
+  };
+
+  /**
+   * Drop the entries every replica has applied, leaving a checkpoint line that keeps the numbering
+   * @param {number} seq - Last sequence number applied by every replica
+   * @returns {number} Number of entries dropped
+   */
+  const compact = (seq) => lock.runExclusive(() => {
+    const kept = [];
+    let dropped = 0;
+    forEachLine(filePath, line => {
+      const lineSeq = seqOfLine(line);
+      if (lineSeq !== null && lineSeq <= seq) {
+        dropped += line.includes('"checkpoint":true') ? 0 : 1;
+      } else {
+        kept.push(line);
+      }
+    });
+    if (dropped === 0) {
+      return 0;
+    }
+    const checkpoint = JSON.stringify({ seq, checkpoint: true, at: new Date().toISOString() });
+    writeFileAtomic(filePath, [checkpoint, ...kept].join('\n') + '\n');
+    return dropped;
+  });
+
+  return {
+    path: filePath,
+    append,
+    lastSeq,
+    since,
+    compact,
+
+    /**
+     * Append every change committed through a storage instance
+     * @param {Object} storage - Storage from storage.js
+     * @returns {Function} Unsubscribe function
+     */
+    track: (storage) => storage.onChange(append)
+  };
+}
+
+/**
+ * Apply one log entry to a replica document
+ * @param {Object} doc - Replica database, changed in place
+ * @param {Object} entry - Log entry
+ * @returns {string|null} Why the entry conflicts with the replica, or null once applied
+ */
+function applyEntry(doc, entry) {
+  // Adds or replaces records by id and drops the removed ones
+  const applyRecords = (collection, changes) => {
+    const removed = new Set((changes.remove || []).map(String));
+    const items = (Array.isArray(doc[collection]) ? doc[collection] : []).filter(item => !removed.has(String(item.id)));
+    (changes.upsert || []).forEach(record => {
+      const index = items.findIndex(item => sameId(item.id, record.id));
+      if (index === -1) {
+        items.push(clone(record));
+      } else {
+        items[index] = clone(record);
+      }
+    });
+    doc[collection] = items;
+  };
+
+  if (entry.action === 'save' || entry.action === 'restore') {
+    if (entry.replace) {
+      Object.keys(doc).forEach(key => {
+        if (key !== META_KEY) {
+          delete doc[key];
+        }
+      });
+    }
+    Object.assign(doc, clone(entry.set || {}));
+    Object.keys(entry.records || {}).forEach(collection => applyRecords(collection, entry.records[collection]));
+    (entry.unset || []).forEach(key => delete doc[key]);
+    return null;
+  }
+
+  if (entry.action === 'replaceAll') {
+    if (entry.changes) {
+      applyRecords(entry.collection, entry.changes);
+    } else {
+      doc[entry.collection] = clone(entry.records);
+    }
+    return null;
+  }
+
+  const items = Array.isArray(doc[entry.collection]) ? doc[entry.collection] : [];
+  doc[entry.collection] = items;
+  const index = items.findIndex(item => sameId(item.id, entry.id));
+  const current = index === -1 ? null : items[index];
+  const label = `${entry.collection} ${entry.id}`;
+
+  // Replaying an entry the replica already has is harmless
+  if (current && entry.record && JSON.stringify(current) === JSON.stringify(entry.record)) {
+    return null;
+  }
+
+  if (entry.action === 'insert') {
+    if (current) {
+      return `${label} already exists in the replica with other content`;
+    }
+    items.push(clone(entry.record));
+    return null;
+  }
+
+  if (!current) {
+    return entry.action === 'remove' ? null : `${label} is missing from the replica`;
+  }
+  if (versionOf(current) !== entry.baseVersion) {
+    return `${label} is at version ${versionOf(current)} in the replica, the change was made on version ${entry.baseVersion}`;
+  }
+
+  if (entry.action === 'remove') {
+    items.splice(index, 1);
+  } else {
+    items[index] = clone(entry.record);
+  }
+  return null;
+}
+
+/**
+ * Create the replicator that keeps replicas up to date from the change log
+ * @param {Object} options - Replicator options
+ * @param {Object} options.storage - Storage from storage.js (the source of truth)
+ * @param {Object} options.log - Change log from createChangeLog
+ * @param {Object[]} options.replicas - { name, path } of every replica
+ * @returns {Object} Replicator
+ */
+function createReplicator(options) {
+  const { storage, log, replicas } = options;
+  const enqueue = createWriteQueue();
+  let unsubscribe = null;
+
+  // Last conflict found per replica, kept until the replica replays cleanly or is resynced
+  const conflicts = new Map();
+
+  const findReplica = (name) => replicas.find(replica => replica.name === name) || null;
+
+  // The replicated part of the source of truth and the log position it matches, read under the storage lock
+  const snapshot = () => storage.transaction(() => ({ data: withoutPrivateKeys(storage.adapter.read()), seq: log.lastSeq() }));
+
+  const writeReplica = (replica, doc, seq) => {
+    const { [META_KEY]: meta, ...data } = withoutPrivateKeys(doc);
+    const stored = { ...data, [META_KEY]: { seq, checksum: checksumOf(data), replicatedAt: new Date().toISOString() } };
+    writeFileAtomic(replica.path, JSON.stringify(stored, null, 2));
+  };
+
+  /**
+   * Bring one replica up to date
+   * @param {Object} replica - { name, path }
+   * @param {Object} [replayOptions] - { dryRun: only report what would happen }
+   * @returns {Object} { name, path, state, seq, head, applied, conflict }
+   *   state is "in-sync", "behind" (dry runs), "created", "conflict" or "unavailable"
+   */
+  const replayReplica = (replica, replayOptions = {}) => {
+    if (!fs.existsSync(path.dirname(replica.path))) {
+      return { name: replica.name, path: replica.path, state: 'unavailable', seq: 0, head: log.lastSeq(), applied: 0, conflict: null };
+    }
+    return getFileLock(`${replica.path}.lock`).runExclusive(() => replayLocked(replica, replayOptions));
+  };
+
+  // Body of replayReplica, run while holding the replica's lockfile
+  const replayLocked = (replica, replayOptions) => {
+    const head = log.lastSeq();
+    const report = { name: replica.name, path: replica.path, state: 'in-sync', seq: 0, head, applied: 0, conflict: null };
+    const fail = (conflict) => {
+      const known = conflicts.get(replica.name);
+      report.state = 'conflict';
+      report.conflict = known && known.reason === conflict.reason ? known : { ...conflict, detectedAt: new Date().toISOString() };
+      if (!replayOptions.dryRun && report.conflict !== known) {
+        conflicts.set(replica.name, report.conflict);
+        console.warn(`Replica ${replica.name} (${replica.path}) conflicts with the change log: ${conflict.reason}`);
+      }
+      return report;
+    };
+
+    // A new replica starts as a copy of the source of truth
+    if (!fs.existsSync(replica.path)) {
+      const source = snapshot();
+      report.state = replayOptions.dryRun ? 'behind' : 'created';
+      report.seq = replayOptions.dryRun ? 0 : source.seq;
+      if (!replayOptions.dryRun) {
+        writeReplica(replica, clone(source.data), source.seq);
+      }
+      return report;
+    }
+
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(replica.path, 'utf8'));
+    } catch (error) {
+      return fail({ seq: null, reason: `Replica is not valid JSON: ${error.message}` });
+    }
+
+    const meta = doc[META_KEY];
+    if (!meta) {
+      // Copies written before the change log existed are adopted only when they match exactly
+      const source = snapshot();
+      if (JSON.stringify(withoutSyncStamps(withoutPrivateKeys(doc))) !== JSON.stringify(withoutSyncStamps(source.data))) {
+        return fail({ seq: null, reason: 'Replica was not written from the change log and differs from the database' });
+      }
+      report.seq = source.seq;
+      if (!replayOptions.dryRun) {
+        writeReplica(replica, clone(source.data), source.seq);
+      }
+      return report;
+    }
+
+    report.seq = meta.seq;
+    if (meta.checksum !== checksumOf(doc)) {
+      return fail({ seq: meta.seq, reason: 'Replica was changed outside the change log' });
+    }
+    if (meta.seq > head) {
+      return fail({ seq: meta.seq, reason: `Replica is at entry ${meta.seq}, the change log ends at ${head}` });
+    }
+
+    // Entries the replica still needs may have been compacted away while it was unavailable or in
+    // conflict; a conflict already found keeps being reported as it was
+    const entries = log.since(meta.seq);
+    const next = entries.length > 0 ? entries[0].seq : head + 1;
+    if (next !== meta.seq + 1) {
+      return fail(conflicts.get(replica.name) || { seq: meta.seq + 1, reason: `Change log is missing entries ${meta.seq + 1} to ${next - 1}` });
+    }
+
+    let conflict = null;
+    for (const entry of entries) {
+      const reason = applyEntry(doc, entry);
+      if (reason) {
+        conflict = { seq: entry.seq, collection: entry.collection || null, id: entry.id !== undefined ? entry.id : null, reason };
+        break;
+      }
+      report.seq = entry.seq;
+      report.applied++;
+    }
+
+    if (replayOptions.dryRun) {
+      report.state = report.applied > 0 ? 'behind' : report.state;
+    } else if (report.applied > 0 || PRIVATE_KEYS.some(key => doc[key] !== undefined)) {
+      // Copies written before private collections were left out are rewritten without them
+      writeReplica(replica, doc, report.seq);
+    }
+    if (conflict) {
+      return fail(conflict);
+    }
+    conflicts.delete(replica.name);
+    return report;
+  };
+
+  /**
+   * Replay the change log into one replica or all of them
+   * @param {string} [name] - Replica name, all replicas when omitted
+   * @param {Object} [replayOptions] - { dryRun }
+   * @returns {Object[]} One report per replica
+   */
+  const replay = (name, replayOptions = {}) => {
+    const targets = name ? [findReplica(name)].filter(Boolean) : replicas;
+    const reports = targets.map(replica => {
+      try {
+        return replayReplica(replica, replayOptions);
+      } catch (error) {
+        console.error(`Error replaying the change log into ${replica.name}: ${error.message}`);
+        return { name: replica.name, path: replica.path, state: 'error', error: error.message };
+      }
+    });
+    if (!name && !replayOptions.dryRun) {
+      compact(reports);
+    }
+    return reports;
+  };
+
+  /**
+   * Drop the log entries every replica has applied
+   * Conflicted and unavailable replicas are left out: they are brought back by a resync or recreated
+   * from a snapshot, neither of which reads the log. Nothing is dropped after an unexpected error.
+   * @param {Object[]} reports - Reports of a replay of every replica
+   */
+  const compact = (reports) => {
+    if (reports.some(report => report.state === 'error')) {
+      return;
+    }
+    const positions = reports
+      .filter(report => report.state === 'in-sync' || report.state === 'created')
+      .map(report => report.seq);
+    const seq = positions.length > 0 ? Math.min(...positions) : log.lastSeq();
+    try {
+      log.compact(seq);
+    } catch (error) {
+      console.error(`Error compacting the change log: ${error.message}`);
+    }
+  };
+
+  /**
+   * Overwrite a replica with the source of truth, discarding whatever it holds (resolves a conflict)
+   * @param {string} name - Replica name
+   * @returns {Object|null} Report of the replica, or null when there is no such replica
+   */
+  const resync = (name) => {
+    const replica = findReplica(name);
+    if (!replica) {
+      return null;
+    }
+    return getFileLock(`${replica.path}.lock`).runExclusive(() => {
+      const source = snapshot();
+      fs.mkdirSync(path.dirname(replica.path), { recursive: true });
+      writeReplica(replica, clone(source.data), source.seq);
+      conflicts.delete(replica.name);
+      console.log(`Replica ${replica.name} resynced from the database at entry ${source.seq}`);
+      return { name: replica.name, path: replica.path, state: 'in-sync', seq: source.seq, head: source.seq, applied: 0, conflict: null };
+    });
+  };
+
+  return {
+    log,
+    replicas,
+    replay,
+    resync,
+
+    /**
+     * Position, lag and conflicts of every replica, without writing anything
+     * @returns {Object} { head, replicas: [report with lag] }
+     */
+    status: () => ({
+      head: log.lastSeq(),
+      replicas: replay(null, { dryRun: true }).map(report => ({
+        ...report,
+        lag: report.state !== 'unavailable' && report.head !== undefined ? report.head - report.seq : null,
+        conflict: report.conflict || conflicts.get(report.name) || null
+      }))
+    }),
+
+    /**
+     * Catch the replicas up now and after every committed change
+     */
+    start: () => {
+      if (!unsubscribe) {
+        unsubscribe = storage.onChange(() => {
+          enqueue(() => replay()).catch(error => {
+            console.error(`Error replaying the change log: ${error.message}`);
+          });
+        });
+        enqueue(() => replay());
+      }
+    },
+
+    /**
+     * Stop replaying after changes
+     */
+    stop: () => {
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+    }
+  };
+}
+
+let defaultLog = null;
+let defaultReplicator = null;
+
+/**
+ * Change log of the process-wide storage (CHANGE_LOG_PATH)
+ * @returns {Object} Change log
+ */
+function getChangeLog() {
+  if (!defaultLog) {
+    defaultLog = createChangeLog({ path: CHANGE_LOG_PATH });
+  }
+  return defaultLog;
+}
+
+/**
+ * Replicator for the process-wide storage, with the replicas listed in REPLICAS
+ * There are none by default: copies outside the project are only written when they are configured
+ * @returns {Object} Replicator
+ */
+function getReplicator() {
+  if (!defaultReplicator) {
+    // Required here because storage.js attaches the change log when it creates the shared storage
+    const { getStorage } = require('./storage');
+
+    defaultReplicator = createReplicator({
+      storage: getStorage(),
+      log: getChangeLog(),
+      replicas: parseReplicas(process.env.REPLICAS)
+    });
+  }
+  return defaultReplicator;
+}
+
+// Readable line for one replica report
+const describeReplica = (report) => {
+  const position = report.seq !== undefined ? ` at entry ${report.seq}/${report.head}` : '';
+  const conflict = report.conflict ? ` - ${report.conflict.reason}` : '';
+  const error = report.error ? ` - ${report.error}` : '';
+  return `${report.name}: ${report.state}${position} (${report.path})${conflict}${error}`;
+};
+
+module.exports = {
+  CHANGE_LOG_PATH,
+  PRIVATE_KEYS,
+  parseReplicas,
+  diffRecords,
+  toLogEntry,
+  applyEntry,
+  createChangeLog,
+  createReplicator,
+  getChangeLog,
+  getReplicator
+};
+
+// Command line: status, replay [<replica>] or resync <replica>
+// (after the exports, because the shared storage requires this module to attach the change log)
+if (require.main === module) {
+  const [command = 'status', name] = process.argv.slice(2);
+
+  try {
+    const replicator = getReplicator();
+
+    if (command === 'status') {
+      const report = replicator.status();
+      console.log(`Change log: ${replicator.log.path} (at entry ${report.head})`);
+      report.replicas.forEach(replica => console.log(`  ${describeReplica(replica)}`));
+    } else if (command === 'replay') {
+      const reports = replicator.replay(name);
+      reports.forEach(replica => console.log(describeReplica(replica)));
+      if (reports.some(replica => replica.state === 'conflict' || replica.state === 'error')) {
+        process.exitCode = 1;
+      }
+    } else if (command === 'resync' && name) {
+      const report = replicator.resync(name);
+      if (!report) {
+        throw new Error(`Unknown replica "${name}"`);
+      }
+      console.log(describeReplica(report));
+    } else {
+      console.error('Usage: node replication.js status | replay [<replica>] | resync <replica>');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+
+  require('./storage').getStorage().close();
+}
@@ -0,0 +1,143 @@
+/**
+ * Per-entity revision history
+ * Every update or delete made through a repository stores the version it replaced, so an
+ * overwritten product or experience text can be compared with the current one and restored.
+ * Revisions are appended to a JSON Lines file kept outside the database, like the audit log
+ */
+const fs = require('fs');
+const path = require('path');
+const { diffEntities } = require('./audit-log');
+
+// Same location rules as the database: /tmp in production, next to the code otherwise
+const REVISIONS_PATH = process.env.REVISIONS_PATH || (process.env.NODE_ENV === 'production'
+  ? path.join('/tmp', 'revisions.jsonl')
+  : path.join(__dirname, 'revisions.jsonl'));
+
+// URL collection names with history, mapped to their repository, permission resource and audit entity
+const REVISIONED_COLLECTIONS = {
+  products: { collection: 'products', resource: 'products', entityType: 'product' },
+  services: { collection: 'services', resource: 'services', entityType: 'service' },
+  experiences: { collection: 'experiences', resource: 'experiences', entityType: 'experience' },
+  news: { collection: 'news', resource: 'news', entityType: 'news' },
+  teams: { collection: 'team', resource: 'teams', entityType: 'team' },
+  'parent-navs': { collection: 'navigation', resource: 'navigation', entityType: 'navigation' }
+};
+
+const TRACKED = new Set(Object.values(REVISIONED_COLLECTIONS).map(target => target.collection));
+
+// Every write bumps the version, so it is left out when deciding whether anything changed
+const withoutVersion = ({ version, ...fields }) => fields;
+
+/**
+ * Create a revision store
+ * @param {Object} [options] - { path } of the JSON Lines file
+ * @returns {Object} Revision store
+ */
+function createRevisionStore(options = {}) {
+  const filePath = options.path || REVISIONS_PATH;
+
+  const readEntries = (collection, entityId) => {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(entry => entry && entry.collection === collection && entry.entityId === String(entityId));
+  };
+
+  /**
+   * Store the version an update or delete replaced
+   * @param {Object} change - Storage change { collection, action, id, record, previous }
+   * @returns {Object|null} Stored revision, or null when nothing is recorded
+   */
+  const record = (change) => {
+    if (!TRACKED.has(change.collection) || !change.previous) {
+      return null;
+    }
+    if (change.action !== 'update' && change.action !== 'remove') {
+      return null;
+    }
+    if (change.action === 'update' && JSON.stringify(withoutVersion(change.previous)) === JSON.stringify(withoutVersion(change.record))) {
+      return null;
+    }
+
+    const entityId = String(change.previous.id !== undefined ? change.previous.id : change.id);
+    const existing = readEntries(change.collection, entityId);
+    const entry = {
+      collection: change.collection,
+      entityId,
+      rev: existing.length > 0 ? existing[existing.length - 1].rev + 1 : 1,
+      savedAt: new Date().toISOString(),
+      replacedBy: change.action,
+      data: change.previous
+    };
+
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf8');
+      return entry;
+    } catch (error) {
+      console.error(`Error writing revision of ${change.collection} ${entityId}:`, error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Revisions of an entity, newest first, each with the fields the next version changed
+   * @param {string} collection - Repository name
+   * @param {string|number} entityId - Entity id
+   * @param {Object|null} current - Current version of the entity
+   * @returns {Object[]} { rev, savedAt, replacedBy, changedFields }
+   */
+  const list = (collection, entityId, current) => {
+    const entries = readEntries(collection, entityId);
+
+    return entries.map((entry, index) => {
+      const next = index + 1 < entries.length ? entries[index + 1].data : current;
+      return {
+        rev: entry.rev,
+        savedAt: entry.savedAt,
+        replacedBy: entry.replacedBy,
+        changedFields: Object.keys(diffEntities(entry.data, next))
+      };
+    }).reverse();
+  };
+
+  /**
+   * One revision of an entity
+   * @param {string} collection - Repository name
+   * @param {string|number} entityId - Entity id
+   * @param {number|string} rev - Revision number
+   * @returns {Object|null} Revision with its data, or null
+   */
+  const get = (collection, entityId, rev) => readEntries(collection, entityId)
+    .find(entry => String(entry.rev) === String(rev)) || null;
+
+  return {
+    path: filePath,
+    record,
+    list,
+    get,
+
+    /**
+     * Record revisions for every change committed through a storage instance
+     * @param {Object} storage - Storage from storage.js
+     * @returns {Function} Unsubscribe function
+     */
+    track: (storage) => storage.onChange(record)
+  };
+}
+
+module.exports = {
+  REVISIONS_PATH,
+  REVISIONED_COLLECTIONS,
+  createRevisionStore
+};
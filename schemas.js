@@ -0,0 +1,403 @@
+/**
+ * Collection schemas
+ * One declarative schema per collection, enforced by the repositories on every write.
+ * Multipart form values ("true", "12", '["a"]', "") are coerced to their declared types here,
+ * so handlers receive booleans, numbers and arrays instead of strings
+ */
+const { ERROR_TYPES } = require('./error-middleware');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const TRUE_VALUES = ['true', '1', 'on', 'yes'];
+const FALSE_VALUES = ['false', '0', 'off', 'no'];
+
+// Fields every record may carry, all set by the server
+const COMMON_FIELDS = {
+  id: { type: 'integer', min: 1, readOnly: true },
+  version: { type: 'integer', min: 1, readOnly: true },
+  createdAt: { type: 'date', readOnly: true },
+  updatedAt: { type: 'date', readOnly: true },
+  deletedAt: { type: 'date', readOnly: true },
+  deletedBy: { type: 'integer', readOnly: true }
+};
+
+// Fields shared by the content collections (products, services, experiences, news)
+const CONTENT_FIELDS = {
+  slug: { type: 'string' },
+  summary: { type: 'string' },
+  content: { type: 'string' },
+  images: { type: 'array', of: 'string' },
+  child_nav_id: { type: 'ref' },
+  categoryId: { type: 'ref' },
+  isFeatured: { type: 'boolean' },
+  views: { type: 'integer', min: 0 }
+};
+
+const CHILD_NAVIGATION_FIELDS = {
+  ...COMMON_FIELDS,
+  title: { type: 'string', required: true },
+  slug: { type: 'string' },
+  position: { type: 'integer' },
+  parentId: { type: 'integer' }
+};
+
+/**
+ * Field declarations per collection
+ * Types: string, integer, number, boolean, date, email, array (of a type or of nested fields),
+ * and ref (a navigation id, or a slug for records that point to a category by slug).
+ * readOnly fields are checked on stored records but dropped from request bodies.
+ * Fields that are not declared are stored as they are
+ */
+const SCHEMAS = {
+  products: {
+    ...COMMON_FIELDS,
+    ...CONTENT_FIELDS,
+    name: { type: 'string', required: true },
+    features: { type: 'array' },
+    phone_number: { type: 'string' },
+    type: { type: 'string' },
+    price: { type: 'number', min: 0 }
+  },
+  services: {
+    ...COMMON_FIELDS,
+    ...CONTENT_FIELDS,
+    name: { type: 'string', required: true },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    type: { type: 'string' },
+    price: { type: 'number', min: 0 },
+    discountPrice: { type: 'number', min: 0 },
+    image: { type: 'string' }
+  },
+  experiences: {
+    ...COMMON_FIELDS,
+    ...CONTENT_FIELDS,
+    title: { type: 'string', required: true },
+    description: { type: 'string' }
+  },
+  news: {
+    ...COMMON_FIELDS,
+    ...CONTENT_FIELDS,
+    title: { type: 'string', required: true },
+    authorId: { type: 'integer' },
+    status: { type: 'string' }
+  },
+  team: {
+    ...COMMON_FIELDS,
+    name: { type: 'string', required: true },
+    position: { type: 'string' },
+    avatar: { type: 'string' },
+    image: { type: 'string' },
+    description: { type: 'string' }
+  },
+  images: {
+    ...COMMON_FIELDS,
+    url: { type: 'string', required: true },
+    name: { type: 'string' },
+    description: { type: 'string' }
+  },
+  videos: {
+    ...COMMON_FIELDS,
+    url: { type: 'string', required: true },
+    name: { type: 'string' },
+    description: { type: 'string' }
+  },
+  contacts: {
+    ...COMMON_FIELDS,
+    name: { type: 'string', required: true },
+    email: { type: 'email' },
+    phone: { type: 'string' },
+    title: { type: 'string' },
+    content: { type: 'string', required: true }
+  },
+  navigation: {
+    ...COMMON_FIELDS,
+    title: { type: 'string', required: true },
+    slug: { type: 'string' },
+    position: { type: 'integer' },
+    children: { type: 'array', of: CHILD_NAVIGATION_FIELDS }
+  },
+  redirects: {
+    ...COMMON_FIELDS,
+    collection: { type: 'string', required: true },
+    from: { type: 'string', required: true },
+    targetId: { type: 'integer', required: true }
+  },
+  users: {
+    ...COMMON_FIELDS,
+    email: { type: 'email', required: true },
+    name: { type: 'string' },
+    role: { type: 'string' },
+    avatar: { type: 'string' },
+    active: { type: 'boolean' }
+  }
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Coerce one value to a field type
+ * @param {Object} spec - Field declaration
+ * @param {*} value - Stored or submitted value
+ * @param {string} field - Field path used in error messages
+ * @param {Object[]} errors - Collected { field, message } errors
+ * @returns {*} Coerced value; null for an empty form value of a non-string field
+ */
+function coerceValue(spec, value, field, errors) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  if (value === null || (value === '' && spec.type !== 'string')) {
+    return null;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+      }
+      return typeof value === 'string' ? value : fail('must be a string');
+
+    case 'email': {
+      const email = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      return typeof email === 'string' && EMAIL_PATTERN.test(email) ? email : fail('must be a valid email address');
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) {
+        return true;
+      }
+      if (FALSE_VALUES.includes(text)) {
+        return false;
+      }
+      return fail('must be true or false');
+    }
+
+    case 'integer':
+      if (Number.isInteger(value)) {
+        return value;
+      }
+      return typeof value === 'string' && INTEGER_PATTERN.test(value.trim())
+        ? parseInt(value, 10)
+        : fail('must be an integer');
+
+    case 'number':
+      if (typeof value === 'number' && isFinite(value)) {
+        return value;
+      }
+      return typeof value === 'string' && NUMBER_PATTERN.test(value.trim())
+        ? parseFloat(value)
+        : fail('must be a number');
+
+    case 'ref':
+      if (Number.isInteger(value)) {
+        return value;
+      }
+      if (typeof value === 'string' && value.trim() !== '') {
+        return INTEGER_PATTERN.test(value.trim()) ? parseInt(value, 10) : value.trim();
+      }
+      return fail('must be an id or a slug');
+
+    case 'date':
+      return typeof value === 'string' && !isNaN(Date.parse(value)) ? value : fail('must be an ISO date');
+
+    case 'array': {
+      let items = value;
+      if (typeof items === 'string') {
+        if (items.trim().startsWith('[')) {
+          try {
+            items = JSON.parse(items);
+          } catch (error) {
+            return fail('must be a JSON array');
+          }
+        } else {
+          items = [items];
+        }
+      }
+      if (!Array.isArray(items)) {
+        return fail('must be an array');
+      }
+      if (!spec.of) {
+        return items;
+      }
+
+      // Empty form entries (images[]="") are dropped
+      return items
+        .filter(item => !isEmpty(item))
+        .map((item, index) => (typeof spec.of === 'string'
+          ? coerceValue({ type: spec.of }, item, `${field}[${index}]`, errors)
+          : coerceFields(spec.of, item, { partial: false }, `${field}[${index}].`, errors)));
+    }
+
+    default:
+      return value;
+  }
+}
+
+// Check range and allowed values of a coerced value
+function checkConstraints(spec, value, field, errors) {
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push({ field, message: `must be at least ${spec.min}` });
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      errors.push({ field, message: `must be at most ${spec.max}` });
+    }
+  }
+  if (spec.enum && !isEmpty(value) && !spec.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${spec.enum.join(', ')}` });
+  }
+}
+
+/**
+ * Coerce and check the declared fields of a record
+ * @param {Object} fields - Field declarations
+ * @param {Object} record - Record or request body
+ * @param {Object} options - { partial: skip required checks for fields that are absent, dropReadOnly: leave readOnly fields out }
+ * @param {string} prefix - Field path prefix for nested records
+ * @param {Object[]} errors - Collected { field, message } errors
+ * @returns {Object} Copy of the record with coerced values
+ */
+function coerceFields(fields, record, options, prefix, errors) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    errors.push({ field: prefix.replace(/\.$/, '') || 'body', message: 'must be an object' });
+    return record;
+  }
+
+  const value = { ...record };
+
+  // Multipart array fields arrive as "images[]"
+  Object.keys(record).forEach(key => {
+    const name = key.replace(/\[\]$/, '');
+    const spec = fields[name];
+    if (!spec || record[key] === undefined) {
+      return;
+    }
+    if (spec.readOnly && options.dropReadOnly) {
+      delete value[key];
+      return;
+    }
+    const coerced = coerceValue(spec, record[key], prefix + name, errors);
+    checkConstraints(spec, coerced, prefix + name, errors);
+    value[key] = coerced;
+  });
+
+  Object.keys(fields).forEach(name => {
+    if (!fields[name].required) {
+      return;
+    }
+    const provided = value[name] !== undefined || value[`${name}[]`] !== undefined;
+    if ((provided || !options.partial) && isEmpty(typeof value[name] === 'string' ? value[name].trim() : value[name])) {
+      errors.push({ field: prefix + name, message: 'is required' });
+    }
+  });
+
+  return value;
+}
+
+/**
+ * Validate a record against the schema of its collection
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record or request body
+ * @param {Object} [options] - { partial: only check the fields present (request bodies of updates),
+ *   dropReadOnly: leave out the fields the server manages (request bodies) }
+ * @returns {Object} { value, errors } with the coerced record and [{ field, message }]
+ */
+function validateRecord(collection, record, options = {}) {
+  const fields = SCHEMAS[collection];
+  if (!fields) {
+    return { value: record, errors: [] };
+  }
+
+  const errors = [];
+  const value = coerceFields(fields, record, options, '', errors);
+  return { value, errors };
+}
+
+/**
+ * Validate every collection of a whole database (admin imports)
+ * @param {Object} db - Database object
+ * @returns {Object} { value, errors } with field paths like "products[2].name"
+ */
+function validateDatabase(db) {
+  const value = { ...db };
+  const errors = [];
+
+  Object.keys(SCHEMAS).forEach(collection => {
+    if (!Array.isArray(db[collection])) {
+      return;
+    }
+    value[collection] = db[collection].map((record, index) => {
+      const result = validateRecord(collection, record);
+      result.errors.forEach(error => errors.push({ ...error, field: `${collection}[${index}].${error.field}` }));
+      return result.value;
+    });
+  });
+
+  return { value, errors };
+}
+
+/**
+ * Create the error reported for invalid data, answered with 400 by the error handler
+ * @param {string} collection - Collection name
+ * @param {Object[]} errors - [{ field, message }]
+ * @returns {Error} Error with type VALIDATION and the field errors in `fields`
+ */
+function createValidationError(collection, errors) {
+  const summary = errors.map(error => `${error.field} ${error.message}`).join('; ');
+  const error = new Error(`Invalid ${collection}: ${summary}`);
+  error.type = ERROR_TYPES.VALIDATION;
+  error.fields = errors;
+  return error;
+}
+
+/**
+ * Coerce a record, throwing when it does not match its schema
+ * @param {string} collection - Collection name
+ * @param {Object} record - Complete record about to be written
+ * @returns {Object} Coerced record
+ */
+function assertValid(collection, record) {
+  const { value, errors } = validateRecord(collection, record);
+  if (errors.length > 0) {
+    throw createValidationError(collection, errors);
+  }
+  return value;
+}
+
+/**
+ * Middleware coercing and checking a request body against a collection schema
+ * Goes after multer so form fields are parsed; the body is replaced by its coerced copy,
+ * without the readOnly fields (id, version, timestamps, trash markers) a client cannot set
+ * @param {string} collection - Collection name
+ * @param {Object} [options] - { required: also report required fields that are missing (creates) }
+ * @returns {Function} Express middleware
+ */
+function validateBody(collection, options = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validateRecord(collection, req.body || {}, { partial: !options.required, dropReadOnly: true });
+    if (errors.length > 0) {
+      return next(createValidationError(collection, errors));
+    }
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  SCHEMAS,
+  coerceValue,
+  validateRecord,
+  validateDatabase,
+  createValidationError,
+  assertValid,
+  validateBody
+};
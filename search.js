@@ -0,0 +1,303 @@
+/**
+ * Full-text search over the content collections
+ * An in-process inverted index of products, services, experiences and news, built at startup and
+ * kept current from the storage change events. Words are folded (see text-utils.js), so
+ * "gao huu co" finds "Gạo hữu cơ"; matches in the title weigh more than the summary, which
+ * weighs more than the content. Trashed records are not indexed
+ */
+const { isDeleted } = require('./storage');
+const { stripHtml, tokenize, tokenizeWithPositions, escapeHtml } = require('./text-utils');
+
+const SEARCH_COLLECTIONS = ['products', 'services', 'experiences', 'news'];
+
+// Indexed fields with their weight and how they are read from a record
+const SEARCH_FIELDS = [
+  { name: 'title', weight: 3, read: (record) => record.title || record.name },
+  { name: 'summary', weight: 2, read: (record) => record.summary },
+  { name: 'content', weight: 1, read: (record) => stripHtml(record.content || record.description) }
+];
+
+// The last word of a query also matches longer words, at a lower weight (search as you type)
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+/**
+ * Snippet of a text around the first matched word, matched words wrapped in <mark>
+ * @param {string} text - Plain text
+ * @param {Set<string>} terms - Folded words to highlight
+ * @param {number} [length] - Approximate snippet length
+ * @returns {string} HTML-escaped snippet, with … where the text was cut
+ */
+function highlight(text, terms, length = SNIPPET_LENGTH) {
+  const source = String(text || '').normalize('NFC');
+  const words = tokenizeWithPositions(source);
+  const first = words.find(word => terms.has(word.word));
+
+  let start = 0;
+  if (first && first.end > length) {
+    const lead = words.find(word => word.start >= first.start - SNIPPET_LEAD);
+    start = lead ? lead.start : first.start;
+  }
+  let end = Math.min(source.length, start + length);
+  if (end < source.length) {
+    const last = words.filter(word => word.end <= end && word.start >= start).pop();
+    end = last ? last.end : end;
+  }
+
+  let html = '';
+  let position = start;
+  words
+    .filter(word => word.start >= start && word.end <= end && terms.has(word.word))
+    .forEach(word => {
+      html += `${escapeHtml(source.slice(position, word.start))}<mark>${escapeHtml(source.slice(word.start, word.end))}</mark>`;
+      position = word.end;
+    });
+  html += escapeHtml(source.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${html.trim()}${end < source.length ? '…' : ''}`;
+}
+
+/**
+ * Create an empty search index
+ * @returns {Object} Index with build(), indexRecord(), removeRecord(), search() and track()
+ */
+function createSearchIndex() {
+  // term -> Map(document key -> weighted term frequency)
+  const postings = new Map();
+  // document key -> { collection, id, slug, image, fields, signature, terms }
+  const documents = new Map();
+
+  const keyOf = (collection, id) => `${collection}:${id}`;
+
+  const unindex = (key) => {
+    const document = documents.get(key);
+    if (!document) {
+      return;
+    }
+    document.terms.forEach((frequency, term) => {
+      const docs = postings.get(term);
+      docs.delete(key);
+      if (docs.size === 0) {
+        postings.delete(term);
+      }
+    });
+    documents.delete(key);
+  };
+
+  /**
+   * Add or refresh one record; trashed records are taken out of the index
+   * @param {string} collection - Collection name
+   * @param {Object} record - Stored record
+   */
+  const indexRecord = (collection, record) => {
+    if (!record || record.id === undefined) {
+      return;
+    }
+    const key = keyOf(collection, record.id);
+    if (isDeleted(record)) {
+      unindex(key);
+      return;
+    }
+
+    const fields = {};
+    SEARCH_FIELDS.forEach(field => {
+      fields[field.name] = String(field.read(record) || '').normalize('NFC');
+    });
+    const signature = JSON.stringify([fields, record.slug, record.images]);
+    if (documents.has(key) && documents.get(key).signature === signature) {
+      return;
+    }
+    unindex(key);
+
+    const terms = new Map();
+    SEARCH_FIELDS.forEach(field => {
+      tokenize(fields[field.name]).forEach(term => {
+        terms.set(term, (terms.get(term) || 0) + field.weight);
+      });
+    });
+    terms.forEach((frequency, term) => {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      postings.get(term).set(key, frequency);
+    });
+
+    documents.set(key, {
+      collection,
+      id: record.id,
+      slug: record.slug,
+      image: record.image || (Array.isArray(record.images) ? record.images[0] : undefined),
+      fields,
+      signature,
+      terms
+    });
+  };
+
+  /**
+   * Take one record out of the index
+   * @param {string} collection - Collection name
+   * @param {number|string} id - Record id
+   */
+  const removeRecord = (collection, id) => unindex(keyOf(collection, id));
+
+  /**
+   * Bring one collection in line with its records, re-indexing only the records that changed
+   * @param {string} collection - Collection name
+   * @param {Object[]} records - Every record of the collection
+   */
+  const syncCollection = (collection, records) => {
+    const list = Array.isArray(records) ? records : [];
+    const present = new Set(list.filter(Boolean).map(record => keyOf(collection, record.id)));
+    [...documents.values()]
+      .filter(document => document.collection === collection && !present.has(keyOf(collection, document.id)))
+      .forEach(document => unindex(keyOf(collection, document.id)));
+    list.forEach(record => indexRecord(collection, record));
+  };
+
+  /**
+   * Index every searchable collection of a database
+   * @param {Object} db - Database object
+   */
+  const build = (db) => {
+    SEARCH_COLLECTIONS.forEach(collection => syncCollection(collection, (db || {})[collection]));
+  };
+
+  // Inverse document frequency of a term
+  const idf = (term) => Math.log(1 + documents.size / postings.get(term).size);
+
+  /**
+   * Search the index
+   * @param {string} query - Query text; every word has to match, the last one also as a prefix
+   * @param {Object} [options] - { collections: names to return, page, pageSize }
+   * @returns {Object} { data, meta: { total, page, pageSize, pageCount, facets: { collection: { name: count } } } }
+   */
+  const search = (query, options = {}) => {
+    const page = options.page || 1;
+    const pageSize = options.pageSize || 10;
+    const words = [...new Set(tokenize(query))];
+    const prefixLast = !/\s$/.test(String(query));
+
+    // Score of every document for every query word; documents missing a word drop out
+    let scores = null;
+    const matchedTerms = new Set();
+    words.forEach((word, index) => {
+      const expansions = postings.has(word) ? [[word, 1]] : [];
+      if (prefixLast && index === words.length - 1 && word.length >= MIN_PREFIX_LENGTH) {
+        postings.forEach((docs, term) => {
+          if (term !== word && term.startsWith(word)) {
+            expansions.push([term, PREFIX_WEIGHT]);
+          }
+        });
+      }
+
+      const wordScores = new Map();
+      expansions.forEach(([term, weight]) => {
+        matchedTerms.add(term);
+        const termIdf = idf(term);
+        postings.get(term).forEach((frequency, key) => {
+          wordScores.set(key, (wordScores.get(key) || 0) + frequency * termIdf * weight);
+        });
+      });
+
+      if (scores === null) {
+        scores = wordScores;
+        return;
+      }
+      const combined = new Map();
+      scores.forEach((score, key) => {
+        if (wordScores.has(key)) {
+          combined.set(key, score + wordScores.get(key));
+        }
+      });
+      scores = combined;
+    });
+
+    // Whole query found in the title as a phrase
+    const phrase = words.join(' ');
+    const matches = [...(scores || new Map()).entries()].map(([key, score]) => {
+      const document = documents.get(key);
+      const title = tokenize(document.fields.title).join(' ');
+      return { document, score: words.length > 1 && title.includes(phrase) ? score * 2 : score };
+    });
+
+    const facets = { collection: {} };
+    SEARCH_COLLECTIONS.forEach(collection => {
+      facets.collection[collection] = matches.filter(match => match.document.collection === collection).length;
+    });
+
+    const collections = options.collections && options.collections.length > 0 ? options.collections : SEARCH_COLLECTIONS;
+    const results = matches
+      .filter(match => collections.includes(match.document.collection))
+      .sort((a, b) => b.score - a.score || a.document.collection.localeCompare(b.document.collection) || a.document.id - b.document.id);
+
+    const data = results.slice((page - 1) * pageSize, page * pageSize).map(({ document, score }) => {
+      const { summary, content } = document.fields;
+      const inSummary = tokenize(summary).some(term => matchedTerms.has(term));
+      const inContent = tokenize(content).some(term => matchedTerms.has(term));
+      return {
+        collection: document.collection,
+        id: document.id,
+        slug: document.slug,
+        title: document.fields.title,
+        image: document.image,
+        score: Math.round(score * 1000) / 1000,
+        highlights: {
+          title: highlight(document.fields.title, matchedTerms, Infinity),
+          snippet: highlight(inSummary || !inContent ? summary || content : content, matchedTerms)
+        }
+      };
+    });
+
+    return {
+      data,
+      meta: {
+        total: results.length,
+        page,
+        pageSize,
+        pageCount: Math.ceil(results.length / pageSize),
+        facets
+      }
+    };
+  };
+
+  return {
+    build,
+    indexRecord,
+    removeRecord,
+    syncCollection,
+    search,
+    size: () => documents.size,
+
+    /**
+     * Keep the index current with every change committed through a storage instance
+     * Record changes update one document; whole-database writes re-index the records that differ
+     * @param {Object} storage - Storage from storage.js
+     * @returns {Function} Unsubscribe function
+     */
+    track: (storage) => {
+      build(storage.load());
+      return storage.onChange(change => {
+        if (change.collection === null) {
+          build(change.record);
+        } else if (SEARCH_COLLECTIONS.includes(change.collection)) {
+          if (change.action === 'replaceAll') {
+            syncCollection(change.collection, change.record);
+          } else if (change.action === 'remove') {
+            removeRecord(change.collection, change.id);
+          } else {
+            indexRecord(change.collection, change.record);
+          }
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  SEARCH_COLLECTIONS,
+  SEARCH_FIELDS,
+  highlight,
+  createSearchIndex
+};
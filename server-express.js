@@ -3,11 +3,69 @@ const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
+const { errorHandler, ERROR_TYPES } = require('./error-middleware');
+const authUtils = require('./auth-utils');
+const passwordUtils = require('./password-utils');
+const userUtils = require('./user-utils');
+const { createLoginThrottle, recordLoginAttempt } = require('./login-throttle');
+const totpUtils = require('./totp-utils');
+const passwordReset = require('./password-reset');
+const { createMailTransport } = require('./mail-transport');
+const auditLog = require('./audit-log');
+const apiKeys = require('./api-keys');
+const { createAuthMiddleware, requirePermission, requireTwoFactor } = require('./auth-middleware');
+const { getStorage, normalizeDatabase } = require('./storage');
+const { getBackupManager } = require('./backups');
+const { migrateOnStart, getMigrationRunner } = require('./migration-runner');
+const { createRevisionStore, REVISIONED_COLLECTIONS } = require('./revisions');
+const { createTrash, hideDeleted, TRASH_COLLECTIONS } = require('./trash');
+const { validateBody, createValidationError } = require('./schemas');
+const { createConcurrencyMiddleware, setEntityTag, ifMatchAllows, createVersionConflictError } = require('./concurrency');
+const { getReplicator } = require('./replication');
+const { listQuery, applyListQuery, shapeQuery, shapeRecord, isShaped, createNavigationExpanders, MAX_PAGE_SIZE } = require('./list-query');
+const { createSearchIndex, SEARCH_COLLECTIONS } = require('./search');
+const { createSuggestionIndex, MAX_LIMIT: MAX_SUGGESTIONS } = require('./suggestions');
+const { slugify, findBySlug, SLUG_COLLECTIONS } = require('./slugs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || 'https://api.thontrangliennhat.com';
 
+// Database storage and one repository per collection (products, news, users, ...)
+const dataStore = getStorage();
+const { repositories } = dataStore;
+
+// Handlers that read the whole database, change it and write it back run under the storage lock,
+// so no other request or process can write in between and lose its change
+const inTransaction = (handler) => (req, res, next) => dataStore.transaction(() => handler(req, res, next));
+
+// Bring legacy records up to the latest data version (migrations/), MIGRATE_ON_START=false to skip
+migrateOnStart();
+
+// Rolling snapshots every BACKUP_EVERY_WRITES writes and every BACKUP_INTERVAL minutes
+const backups = getBackupManager();
+backups.start();
+
+// Every update or delete through a repository keeps the version it replaced
+const revisions = createRevisionStore();
+revisions.track(dataStore);
+
+// Other copies of the database (REPLICAS) replay the change log after each change instead of being overwritten
+const replicator = getReplicator();
+replicator.start();
+
+// Full-text index of the content collections, updated after every committed change
+const searchIndex = createSearchIndex();
+searchIndex.track(dataStore);
+const suggestionIndex = createSuggestionIndex();
+suggestionIndex.track(dataStore);
+
+// Behind a reverse proxy, TRUST_PROXY lets req.ip come from X-Forwarded-For (e.g. "1" for one hop)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Enhanced image error handling middleware
 app.use((req, res, next) => {
   // Only apply to image requests
@@ -156,6 +214,18 @@ if (!fs.existsSync(UPLOADS_DIR)) {
   fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 }
 
+// Deletes go to the trash; uploaded files are removed when a record is purged after TRASH_RETENTION_DAYS
+const trash = createTrash({
+  repositories,
+  uploadDirs: [
+    UPLOADS_DIR,
+    path.join(__dirname, 'uploads'),
+    path.join(__dirname, 'images', 'uploads'),
+    path.join(__dirname, 'public', 'images', 'uploads')
+  ]
+});
+trash.start();
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -184,6 +254,50 @@ const upload = multer({
   }
 });
 
+// Authentication for write routes - database is resolved per request
+const { requireAuth, requireUserSession } = createAuthMiddleware(() => getDatabase(), (db) => writeDatabase(db), dataStore.transaction);
+
+// Audit trail of write routes
+const { auditMutation } = auditLog.createAuditMiddleware(() => getDatabase());
+
+// Updates and deletes sent with If-Match are refused with 412 when the record has a newer version
+const { checkIfMatch } = createConcurrencyMiddleware(repositories);
+
+// Errors the error handler answers itself: invalid data (400) and outdated versions (412)
+const FORWARDED_ERROR_TYPES = [ERROR_TYPES.VALIDATION, ERROR_TYPES.PRECONDITION_FAILED];
+
+// Users are audited in their public form, the same shape the routes answer with (/me routes have no :id)
+const findAuditedUser = (db, req) => {
+  const id = req.params.id !== undefined ? parseInt(req.params.id, 10) : req.user.id;
+  const user = db.users.find(u => u.id === id);
+  return user ? authUtils.toPublicUser(user) : null;
+};
+
+// Version conflicts on users answer with the public form of the current record
+const userVersionConflict = (user) => {
+  const error = createVersionConflictError('users', user);
+  error.current = authUtils.toPublicUser(user);
+  return error;
+};
+
+// API keys are audited without their hash
+const findAuditedApiKey = (db, req) => {
+  const apiKey = (db.apiKeys || []).find(k => k.id === req.params.id);
+  return apiKey ? apiKeys.toPublicApiKey(apiKey) : null;
+};
+
+// Child navigation items live inside their parent's children array
+const findChildNav = (db, req) => {
+  const id = parseInt(req.params.id);
+  for (const parent of db.navigation || []) {
+    const child = (parent.children || []).find(c => c.id === id);
+    if (child) {
+      return child;
+    }
+  }
+  return null;
+};
+
 // Logging middleware
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
@@ -394,132 +508,6 @@ app.get('*.(jpg|jpeg|png|gif|webp|ico)', (req, res) => {
   res.status(404).send('Image not found');
 });
 
-// Serve uploaded images
-app.use('/images', express.static(path.join(__dirname, 'images')));
-// Serve uploads directly
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-console.log('Serving static files from:', path.join(__dirname, 'public'));
-console.log('Serving images from:', path.join(__dirname, 'images'));
-console.log('Serving uploads from:', path.join(__dirname, 'uploads'));
-
-// Ensure all image paths are accessible - add additional image directory mappings
-app.use('/images/products', express.static(path.join(__dirname, 'images', 'products')));
-app.use('/images/products', express.static(path.join(__dirname, 'public', 'images', 'products')));
-app.use('/images/uploads', express.static(path.join(__dirname, 'images', 'uploads')));
-app.use('/images/uploads', express.static(path.join(__dirname, 'public', 'images', 'uploads')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-app.use('/uploads', express.static(path.join(__dirname, 'images', 'uploads')));
-app.use('/public/images/products', express.static(path.join(__dirname, 'public', 'images', 'products')));
-app.use('/public/images/uploads', express.static(path.join(__dirname, 'public', 'images', 'uploads')));
-
-// Also serve parent directory images if they exist
-const parentImagesPath = path.resolve(__dirname, '..', 'images');
-if (fs.existsSync(parentImagesPath)) {
-  console.log('Serving parent directory images from:', parentImagesPath);
-  app.use('/images', express.static(parentImagesPath));
-  app.use('/images/products', express.static(path.join(parentImagesPath, 'products')));
-  app.use('/images/uploads', express.static(path.join(parentImagesPath, 'uploads')));
-}
-
-// Serve images from the parent uploads directory if it exists
-const parentUploadsPath = path.resolve(__dirname, '..', 'uploads');
-if (fs.existsSync(parentUploadsPath)) {
-  console.log('Serving parent directory uploads from:', parentUploadsPath);
-  app.use('/uploads', express.static(parentUploadsPath));
-}
-
-// Serve images from build directory if it exists (for production builds)
-const buildImagesPath = path.resolve(__dirname, '..', 'build', 'images');
-if (fs.existsSync(buildImagesPath)) {
-  console.log('Serving build directory images from:', buildImagesPath);
-  app.use('/images', express.static(buildImagesPath));
-  app.use('/images/uploads', express.static(path.join(buildImagesPath, 'uploads')));
-}
-
-// Create all necessary placeholder images
-const createPlaceholders = () => {
-  // Create base directories
-  const directories = [
-    path.join(__dirname, 'public', 'images'),
-    path.join(__dirname, 'public', 'images', 'uploads'),
-    path.join(__dirname, 'public', 'images', 'products'),
-    path.join(__dirname, 'images'),
-    path.join(__dirname, 'images', 'uploads'),
-    path.join(__dirname, 'images', 'products'),
-    path.join(__dirname, 'uploads'),
-    path.join('/tmp', 'uploads')
-  ];
-  
-  directories.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      console.log(`Creating directory: ${dir}`);
-      try {
-        fs.mkdirSync(dir, { recursive: true });
-      } catch (error) {
-        console.error(`Error creating directory ${dir}:`, error);
-      }
-    }
-  });
-  
-  // Create placeholder images in each directory
-  const placeholderFiles = [
-    path.join(__dirname, 'public', 'images', 'placeholder.jpg'),
-    path.join(__dirname, 'public', 'images', 'placeholder.png'),
-    path.join(__dirname, 'images', 'placeholder.jpg'),
-    path.join(__dirname, 'images', 'placeholder.png')
-  ];
-  
-  // Base64 encoded placeholder images
-  // A better placeholder image (colored square with text)
-  const placeholderImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAMgAAADICAYAAACtWK6eAAAACXBIWXMAAAsTAAALEwEAmpwYAAAF4WlUWHRYTUw6Y29tLmFkb2JlLnhtcAAAAAAAPD94cGFja2V0IGJlZ2luPSLvu78iIGlkPSJXNU0wTXBDZWhpSHpyZVN6TlRjemtjOWQiPz4gPHg6eG1wbWV0YSB4bWxuczp4PSJhZG9iZTpuczptZXRhLyIgeDp4bXB0az0iQWRvYmUgWE1QIENvcmUgNS42LWMxNDUgNzkuMTYzNDk5LCAyMDE4LzA4LzEzLTE2OjQwOjIyICAgICAgICAiPiA8cmRmOlJERiB4bWxuczpyZGY9Imh0dHA6Ly93d3cudzMub3JnLzE5OTkvMDIvMjItcmRmLXN5bnRheC1ucyMiPiA8cmRmOkRlc2NyaXB0aW9uIHJkZjphYm91dD0iIiB4bWxuczp4bXA9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC8iIHhtbG5zOmRjPSJodHRwOi8vcHVybC5vcmcvZGMvZWxlbWVudHMvMS4xLyIgeG1sbnM6cGhvdG9zaG9wPSJodHRwOi8vbnMuYWRvYmUuY29tL3Bob3Rvc2hvcC8xLjAvIiB4bWxuczp4bXBNTT0iaHR0cDovL25zLmFkb2JlLmNvbS94YXAvMS4wL21tLyIgeG1sbnM6c3RFdnQ9Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC9zVHlwZS9SZXNvdXJjZUV2ZW50IyIgeG1wOkNyZWF0b3JUb29sPSJBZG9iZSBQaG90b3Nob3AgQ0MgMjAxOSAoV2luZG93cykiIHhtcDpDcmVhdGVEYXRlPSIyMDI0LTA1LTE2VDE1OjM0OjA3KzA3IiB4bXA6TW9kaWZ5RGF0ZT0iMjAyNC0wNS0xNlQxNTozNzozNSswNyIgeG1wOk1ldGFkYXRhRGF0ZT0iMjAyNC0wNS0xNlQxNTozNzozNSswNyIgZGM6Zm9ybWF0PSJpbWFnZS9wbmciIHBob3Rvc2hvcDpDb2xvck1vZGU9IjMiIHBob3Rvc2hvcDpJQ0NQcm9maWxlPSJzUkdCIElFQzYxOTY2LTIuMSIgeG1wTU06SW5zdGFuY2VJRD0ieG1wLmlpZDo2NDhmYjZkMS0zOGM3LThjNGItODEzNS01ZGUwZDQzNGYyMmEiIHhtcE1NOkRvY3VtZW50SUQ9InhtcC5kaWQ6NjQ4ZmI2ZDEtMzhjNy04YzRiLTgxMzUtNWRlMGQ0MzRmMjJhIiB4bXBNTTpPcmlnaW5hbERvY3VtZW50SUQ9InhtcC5kaWQ6NjQ4ZmI2ZDEtMzhjNy04YzRiLTgxMzUtNWRlMGQ0MzRmMjJhIj4gPHhtcE1NOkhpc3Rvcnk+IDxyZGY6U2VxPiA8cmRmOmxpIHN0RXZ0OmFjdGlvbj0iY3JlYXRlZCIgc3RFdnQ6aW5zdGFuY2VJRD0ieG1wLmlpZDo2NDhmYjZkMS0zOGM3LThjNGItODEzNS01ZGUwZDQzNGYyMmEiIHN0RXZ0OndoZW49IjIwMjQtMDUtMTZUMTU6MzQ6MDcrMDciIHN0RXZ0OnNvZnR3YXJlQWdlbnQ9IkFkb2JlIFBob3Rvc2hvcCBDQyAyMDE5IChXaW5kb3dzKSIvPiA8L3JkZjpTZXE+IDwveG1wTU06SGlzdG9yeT4gPC9yZGY6RGVzY3JpcHRpb24+IDwvcmRmOlJERj4gPC94OnhtcG1ldGE+IDw/eHBhY2tldCBlbmQ9InIiPz4eeHhyAAAH1ElEQVR4nO3dW4xdVRnG8f+aWbqb0lLoJb2mU8CiIAKFFKwQJREboqJA8AYMGi8wMRJNxBs1IV54YTReGI3GGDACGpXwgBEvUBGQlgKt2KJSoKW05XQ6dDptaWdmLy/20FLmss85e33fXmuv/5N0JpPpPt/51v7WWfvbaw9s3bpVRCTPsOsAIhJZFSQOo8D+Jp5LRERERERERERERERERPIpSDA2AJuAC9F7JiIiIiKdJMaZ5UHgXmDEdRAREZFu5a0gw8C7kWXAVmSbF3k5sBx5XZbkKMkfO7GOV/dW4A7gIuAq13HEnyEVJEibgA3ArJNf24FjDiOFYhawGpgPnOc4SxHLgeuRjcYTHGcREZGYeZxZlgJ3A5uRPZzZwFrnCcMzDVgH3IisM+5ynkdERKLmIchVVtPDK5DDnquclxMRkX6oRCjIHLazbWCQ82aUGdm1k8mXXqTyzPOVPZpUkAB5qcclrGdmZYLDDPPcc0v5/bPLOf7GQdbOfogbhx8vfEwVxN+wNvn1V4lHYz0ebWSIVSwaf4Mx3mKMMaYwzHSOcSbrGa+M8PoTK3nq1Ut49tjZnAG8FZgFvI8JXhr+XebjqyDufJDRd70qx0hG32EWW7iVs9nDVMaZyhA17mIb83if1axgYtFsXv7VLbz2+DpuHv07I78ZYnroP4iPg2TufhBJ1/c+yBjwFeBXlZvYxW5GmcQoQ0xwMwf5OQ9zPpczyXDqcY5zjO384r3t/OnYSqYA5wKXAxcjC8KPX91dgMvKPJaI9OpM4CLgMuSSdwnDTGEyk1Q4l318nH9wLW9nBpNpx5gA9rCLyV95izfvhyPAQuTmj3XIJcgvI+9p2jGaUXbXXkTaqSBXAT8BfgjcA3wOWcVbRJ1hJqlwkO08xG5WczFTMgtyAsm6/vDIWxx+BF5C9rF+jlyWr0Cu7T+IfOKm1TYFETGqlxnkIuRyaBtSjK8h/28FUhLInn/2M4MJhnmdx9nDUlZzBtMzDlZHZpcjwKvA34FHgX8C24G3kFnl3Qn+jHGkDGXc4/IYEZGCssYzJwGzgcXItcA5SEEWIWs8M5GLkCTDyFnrFA5xI39lGpdyR8asr5bRb73KA24CP0NmLDuRpShvIkvHD0z+3WHk0uw4crZ4b/JrA3J2mIwsjpEZYT/EaqAgIuZlDdQVoI5c3dQZ4jnWsJlJnMUTXM0uxvoYqH2MsZ8Qn+MbBY5Txki11wdZBDyLLNw1T9R9IJ16VZa20w00yiIe5w7u4hfczdv5LsP8L0CRK6PGe4jVYB2wFVhT8vNKT1SQ8AZlHWQO+1nEDs7lHYYY5SKe5XJ+y4e4g3HGCxQkTyUzSWN0O/Bo4udIAlSQ+NWRu+IfY4yDzOZOPsQlPMVqtnA5O5jZcZBXRZlbqMeQxdmrSnyuiIhEwGJplpST1ZDl5S8gO+pTCnxeKz0vHSuLiIiIpFBBusNR4D5k+Xsv1iMLzZ2w8N8tK5ciInKy+s8ocEAFidse5JaeXj2I3NJTKQcRRERCUkH60ytpJtJlkDuyFzEREQmiwYB+FPhLn4/xXaTkIiJiJK0gB5BPPLxYZL++j8c4Abxa4OeJiEh02QXZh1wOJWMRcuvOp5E9+UkNfraLLO/6GcMrIiJGg/TRwGcgBXuQj94eRtbVX5XxmN86+VzDDo5rrYhx3uXtYlE7yFG7aycTpydT1PXxRXPxfpBUgQqyr98T12V0Xt2bTvdT9I/2tXrQhRUbsR4zzEgZ84rdHn4Ky9tJJN5V5GxTQZILexn7AXbXdirfGO+F94IY5a0gRm+AHCeb1c2a11SVnIqitYd3u/tBjM4gXi7NRsrZgzea+zQ+6aJLCy3uiYiISGcqSI+8XIqYOyuJiPi6TFdEvPO0DxJkH8TYpYiXfRCDvO6DWPzvHpS6dBkwHQQREZFQVBAREZEUKshJfFyKeBliLHM2a5y3y6xGzmaUke9FEh8D5oDpKpaIiEhIGqTbeDlDmDtD6AwikswLb1dZRpd3fmNuL+Hjdvfm27sLFSTy+0FEREQsFqSCFGPuTCYiIiLiTMddZg3QosziohvH8ddrQYzyrjSxbHc/5X2GUEHCvXEe9kGM5j4qiLVeC2K0D2KVt30QXdSIiESiY0F8nImsnIm8rIuISNvcKu2YbpBZ2ZHVGcSk2PdBJJlR3vdBgnz3jfZBbIru7Uf9IIZpBm18pEHefRARERGDfO2DiIiI9KxjQawuRazcqGibl7UeLXXICzxZOXsdDmRnnvU26NgPYvRG2L4fJPe4Vt7AvHcffB/E6H9c2bGvfpDeR19EREQcqCBpPF2KALbOZF72ZYrQ5Zi3M5mvvd0oab/Fb9/Lvd2u5+OmoRAxERERkR6pH0RERDK5/4CPdYbPICJRcf8BHxERyWS0DyJOaNUygkF5T71cj9X4jdLl7ccwylu7+9oHYfDrMsjPukiXnpVEREQkpAFbVNPMitFKepS0FinP2Z2wxuPFuooVcaX/Aw++GqcaVTMNAAAAAElFTkSuQmCC', 'base64');
-  
-  placeholderFiles.forEach(file => {
-    if (!fs.existsSync(file)) {
-      console.log(`Creating placeholder image at: ${file}`);
-      try {
-        fs.writeFileSync(file, placeholderImage);
-      } catch (error) {
-        console.error(`Error creating placeholder image ${file}:`, error);
-      }
-    }
-  });
-  
-  // Also create some commonly requested images that are missing
-  const commonImageNames = [
-    'default-image.jpg',
-    'default-product.jpg',
-    'default-service.jpg',
-    'default-team.jpg',
-    'default-avatar.jpg',
-    'default.jpg',
-    'logo.png'
-  ];
-  
-  const imageDirectories = [
-    path.join(__dirname, 'public', 'images'),
-    path.join(__dirname, 'images'),
-    path.join(__dirname, 'public', 'images', 'uploads'),
-    path.join(__dirname, 'images', 'uploads')
-  ];
-  
-  imageDirectories.forEach(dir => {
-    commonImageNames.forEach(imgName => {
-      const imgPath = path.join(dir, imgName);
-      if (!fs.existsSync(imgPath)) {
-        console.log(`Creating common image: ${imgPath}`);
-        try {
-          fs.writeFileSync(imgPath, placeholderImage);
-        } catch (error) {
-          console.error(`Error creating common image ${imgPath}:`, error);
-        }
-      }
-    });
-  });
-};
-
-// Create all placeholder images at startup
-createPlaceholders();
-
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -643,7 +631,7 @@ app.get('/api/parent-navs', (req, res) => {
       }
     ];
     
-    const db = getDatabase();
+    const db = getPublicDatabase();
     
     // Check if navigation array exists and has items
     const hasValidNavigation = db.navigation && Array.isArray(db.navigation) && db.navigation.length > 0;
@@ -726,7 +714,7 @@ app.get('/api/parent-navs/all-with-child', (req, res) => {
       return res.status(200).end();
     }
     
-  const db = getDatabase();
+  const db = getPublicDatabase();
     
     if (!db.navigation || !Array.isArray(db.navigation)) {
       console.log('No navigation data found, returning default navigation');
@@ -792,7 +780,7 @@ app.get('/api/parent-navs/slug/:slug', (req, res) => {
       return res.status(200).end();
     }
     
-  const db = getDatabase();
+  const db = getPublicDatabase();
     
     // Special handling for specific slugs that are commonly used
     if (slug === 'dich-vu' || slug === 'san-pham' || slug === 'trai-nghiem') {
@@ -887,7 +875,7 @@ app.get('/api/navigation-links', (req, res) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
     
-    const db = getDatabase();
+    const db = getPublicDatabase();
     
     if (!db.navigation || !Array.isArray(db.navigation)) {
       console.log('No navigation data found, returning empty array');
@@ -904,7 +892,7 @@ app.get('/api/navigation-links', (req, res) => {
 
 app.get('/api/child-navs', (req, res) => {
   try {
-  const db = getDatabase();
+  const db = getPublicDatabase();
     
     if (!db.navigation || !Array.isArray(db.navigation)) {
       return res.json({
@@ -947,7 +935,7 @@ app.get('/api/parent-navs/:id', (req, res) => {
     console.log(`GET /api/parent-navs/${id} - Fetching parent navigation`);
     
     // Read the database
-    const db = getDatabase();
+    const db = getPublicDatabase();
     
     // Find the parent navigation item
     const parent = db.navigation.find(nav => nav.id === id);
@@ -959,7 +947,8 @@ app.get('/api/parent-navs/:id', (req, res) => {
       });
     }
     
-    // Return success response
+    // Return success response; the ETag is sent back in If-Match by updates
+    setEntityTag(res, parent);
     res.json({
       statusCode: 200,
       message: 'Parent navigation fetched successfully',
@@ -981,7 +970,7 @@ app.get('/api/child-navs/:id', (req, res) => {
     console.log(`GET /api/child-navs/${id} - Fetching child navigation`);
     
     // Read the database
-    const db = getDatabase();
+    const db = getPublicDatabase();
     
     // Variables to store found child nav
     let childNav = null;
@@ -1020,998 +1009,792 @@ app.get('/api/child-navs/:id', (req, res) => {
   }
 });
 
-// API endpoint cho users
-app.get('/api/users', (req, res) => {
-  const db = getDatabase();
-  res.json(db.users);
+// API endpoint cho users - password hashes are never returned
+app.get('/api/users', requireAuth, requirePermission('users:read'), listQuery('users'), (req, res) => {
+  try {
+    const result = applyListQuery(repositories.users.all().map(authUtils.toPublicUser), req.listQuery);
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: result.data,
+      meta: result.meta
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error fetching users: ' + error.message
+    });
+  }
 });
 
-// API endpoint cho products
-app.get('/api/products', (req, res) => {
+// Profile of the logged in user
+app.get('/api/users/me', requireUserSession, (req, res) => {
+  res.json({
+    statusCode: 200,
+    message: 'Success',
+    data: authUtils.toPublicUser(req.user)
+  });
+});
+
+// Update the profile of the logged in user (name and avatar only)
+app.patch('/api/users/me', requireUserSession, auditMutation('user', { before: findAuditedUser }), (req, res) => {
   try {
-  console.log('GET /api/products - Getting all products');
+    console.log(`PATCH /api/users/me - Updating profile of user ${req.auth.userId}`);
     
-    // Set CORS headers explicitly for this endpoint
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-    res.header('Access-Control-Allow-Headers', '*');
-    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    const user = repositories.users.findById(req.auth.userId);
     
-    // Pre-flight response for OPTIONS
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
+    const fields = userUtils.pickUserFields(req.body, userUtils.SELF_WRITABLE_FIELDS);
+    const errors = userUtils.validateUserFields(fields, repositories.users.all(), user);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Invalid user data',
+        errors: errors
+      });
     }
     
-  const db = getDatabase();
+    const updatedUser = repositories.users.update(user.id, { ...fields, updatedAt: new Date().toISOString() });
     
-    // Define default products
-    const defaultProducts = [
-      {
-        id: 1,
-        name: "Gạo hữu cơ địa phương",
-        slug: "gao-huu-co-dia-phuong",
-        summary: "Gạo hữu cơ chất lượng cao của Thôn Trang Liên Nhất",
-        content: "Sản phẩm gạo được trồng theo phương pháp hữu cơ, không sử dụng thuốc trừ sâu hóa học, an toàn cho sức khỏe người tiêu dùng.",
-        images: ["/images/placeholder.jpg"],
-        child_nav_id: 2,
-        categoryId: 2,
-        price: 35000,
-        discountPrice: 30000,
-        isFeatured: true,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        id: 2,
-        name: "Rau sạch địa phương",
-        slug: "rau-sach-dia-phuong",
-        summary: "Rau sạch được trồng tại Thôn Trang Liên Nhất",
-        content: "Rau được trồng theo quy trình an toàn, không thuốc trừ sâu độc hại, đảm bảo dinh dưỡng và an toàn cho người tiêu dùng.",
-        images: ["/images/placeholder.jpg"],
-        child_nav_id: 2,
-        categoryId: 2,
-        price: 15000,
-        discountPrice: 0,
-        isFeatured: true,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }
-    ];
+    res.json({
+      statusCode: 200,
+      message: 'Profile updated successfully',
+      data: authUtils.toPublicUser(updatedUser)
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error updating profile: ' + error.message
+    });
+  }
+});
+
+// Get a user by ID
+app.get('/api/users/:id', requireAuth, requirePermission('users:read'), (req, res) => {
+  try {
+    const userId = parseInt(req.params.id, 10);
+    const user = repositories.users.findById(userId);
     
-    // Check if products exist in database and are valid
-    let products = defaultProducts;
-    
-    if (db && db.products && Array.isArray(db.products) && db.products.length > 0) {
-      // Use database products if available
-      products = db.products.map(product => ({
-        id: product.id || Math.floor(Math.random() * 1000),
-        name: product.name || "Sản phẩm",
-        slug: product.slug || (product.name ? product.name.toLowerCase().replace(/\s+/g, '-') : `san-pham-${product.id || Math.floor(Math.random() * 1000)}`),
-        summary: product.summary || "",
-        content: product.content || "",
-        description: product.description || product.content || "",
-        images: Array.isArray(product.images) ? product.images : ["/images/placeholder.jpg"],
-        image: product.image || (Array.isArray(product.images) && product.images.length > 0 ? product.images[0] : "/images/placeholder.jpg"),
-        child_nav_id: product.child_nav_id || product.categoryId || 2,
-        categoryId: product.categoryId || product.child_nav_id || 2,
-        price: parseFloat(product.price) || 0,
-        discountPrice: parseFloat(product.discountPrice) || 0,
-        isFeatured: product.isFeatured === true || product.isFeatured === 'true' || false,
-        created_at: product.created_at || product.createdAt || new Date().toISOString(),
-        updated_at: product.updated_at || product.updatedAt || new Date().toISOString(),
-        createdAt: product.createdAt || product.created_at || new Date().toISOString(),
-        updatedAt: product.updatedAt || product.updated_at || new Date().toISOString()
-      }));
-    }
-    
-    // Apply any query filters
-    const { category, featured, limit } = req.query;
-    
-    let filteredProducts = products;
-    
-    // Filter by category/child_nav_id if specified
-    if (category) {
-      filteredProducts = filteredProducts.filter(product => 
-        product.categoryId == category || 
-        product.child_nav_id == category
-      );
-    }
-    
-    // Filter by featured status if specified
-    if (featured === 'true') {
-      filteredProducts = filteredProducts.filter(product => product.isFeatured);
-    }
-    
-    // Apply limit if specified
-    if (limit) {
-      filteredProducts = filteredProducts.slice(0, parseInt(limit));
-    }
+    if (!user) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'User not found'
+      });
+    }
     
+    setEntityTag(res, user);
     res.json({
-    statusCode: 200,
+      statusCode: 200,
       message: 'Success',
-      data: filteredProducts
+      data: authUtils.toPublicUser(user)
     });
   } catch (error) {
-    console.error('Error fetching products:', error);
-    // Return default data instead of error
-    res.json({
-      statusCode: 200,
-      message: 'Success',
-      data: [
-        {
-          id: 1,
-          name: "Gạo hữu cơ địa phương",
-          slug: "gao-huu-co-dia-phuong",
-          summary: "Gạo hữu cơ chất lượng cao của Thôn Trang Liên Nhất",
-          content: "Sản phẩm gạo được trồng theo phương pháp hữu cơ, không sử dụng thuốc trừ sâu hóa học, an toàn cho sức khỏe người tiêu dùng.",
-          images: ["/images/placeholder.jpg"],
-          child_nav_id: 2,
-          categoryId: 2,
-          price: 35000,
-          discountPrice: 30000,
-          isFeatured: true,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ]
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error fetching user: ' + error.message
     });
   }
 });
 
-// API endpoint để tạo product mới
-app.post('/api/products', upload.array('images[]', 10), (req, res) => {
+// Create a user
+app.post('/api/users', requireAuth, requirePermission('users:create'), auditMutation('user'), (req, res) => {
   try {
-    console.log('POST /api/products - Creating new product:', req.body);
-    
-    // Read the database
-    const db = getDatabase();
-    
-    // Extract data from request body
-    const { 
-      name, 
-      content, 
-      child_nav_id, 
-      summary, 
-      features,
-      phone_number,
-      type,
-      isFeatured
-    } = req.body;
+    console.log('POST /api/users - Creating user:', req.body && req.body.email);
     
-    // Generate a new ID
-    const newId = db.products.length > 0 
-      ? Math.max(...db.products.map(p => p.id)) + 1 
-      : 1;
-    
-    // Create slug from name
-    const slug = name
-      .toLowerCase()
-      .replace(/[^\w\sáàảãạăắằẳẵặâấầẩẫậéèẻẽẹêếềểễệíìỉĩịóòỏõọôốồổỗộơớờởỡợúùủũụưứừửữựýỳỷỹỵđ]/gi, '')
-      .replace(/\s+/g, '-')
-      .replace(/á|à|ả|ã|ạ|ă|ắ|ằ|ẳ|ẵ|ặ|â|ấ|ầ|ẩ|ẫ|ậ/g, 'a')
-      .replace(/é|è|ẻ|ẽ|ẹ|ê|ế|ề|ể|ễ|ệ/g, 'e')
-      .replace(/í|ì|ỉ|ĩ|ị/g, 'i')
-      .replace(/ó|ò|ỏ|õ|ọ|ô|ố|ồ|ổ|ỗ|ộ|ơ|ớ|ờ|ở|ỡ|ợ/g, 'o')
-      .replace(/ú|ù|ủ|ũ|ụ|ư|ứ|ừ|ử|ữ|ự/g, 'u')
-      .replace(/ý|ỳ|ỷ|ỹ|ỵ/g, 'y')
-      .replace(/đ/g, 'd');
+    const fields = userUtils.pickUserFields(req.body, userUtils.ADMIN_WRITABLE_FIELDS);
+    fields.role = fields.role || 'viewer';
     
-    // Process uploaded images
-    let imageFiles = [];
-    if (req.files && req.files.length > 0) {
-      imageFiles = req.files.map(file => {
-        // Ensure paths always start with / for consistency
-        const imagePath = `/images/uploads/${file.filename}`;
-        console.log(`Created image path: ${imagePath}`);
-        return imagePath;
+    const errors = userUtils.validateUserFields(fields, repositories.users.all());
+    if (errors.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Invalid user data',
+        errors: errors
       });
-      console.log('Uploaded image paths:', imageFiles);
     }
     
-    // Create new product object
-    const newProduct = {
-      id: newId,
-      name,
-      images: imageFiles.length > 0 ? imageFiles : [],
-      content,
-      slug,
-      summary,
-      child_nav_id: child_nav_id ? parseInt(child_nav_id) : null,
-      features: features || "[]",
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-      phone_number: phone_number || "",
-      type: type || "san-pham",
-      isFeatured: isFeatured === "true" || false
-    };
-    
-    // Add to database
-    db.products.push(newProduct);
+    const now = new Date().toISOString();
     
-    // Write to the database file
-    writeDatabase(db);
+    const newUser = {
+      id: repositories.users.nextId(),
+      email: fields.email,
+      password: passwordUtils.hashPassword(fields.password),
+      role: fields.role,
+      name: fields.name,
+      avatar: fields.avatar || '',
+      active: fields.active !== undefined ? fields.active : true,
+      createdAt: now,
+      updatedAt: now
+    };
     
-    console.log(`Created product with ID ${newId}`);
+    repositories.users.insert(newUser);
     
-    return res.status(201).json({
+    res.status(201).json({
       statusCode: 201,
-      message: 'Product created successfully',
-      data: newProduct
+      message: 'User created successfully',
+      data: authUtils.toPublicUser(newUser)
     });
   } catch (error) {
-    console.error('Error creating product:', error);
-    return res.status(500).json({
+    console.error('Error creating user:', error);
+    res.status(500).json({
       statusCode: 500,
-      message: 'Error creating product',
-      error: error.message
-    });
-  }
-});
-
-app.get('/api/products/:id', (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  console.log(`GET /api/products/${id}`);
-  const db = getDatabase();
-  const product = db.products.find(p => p.id === id);
-  
-  if (product) {
-    res.json({
-      statusCode: 200,
-      message: 'Success',
-      data: product
-    });
-  } else {
-    res.status(404).json({
-      statusCode: 404,
-      message: 'Product not found'
+      message: 'Error creating user: ' + error.message
     });
   }
 });
 
-// POST endpoint for updating a product
-app.post('/api/products/:id', upload.array('images[]', 5), (req, res) => {
+// Update a user - also used to disable or re-enable an account
+app.patch('/api/users/:id', requireAuth, requirePermission('users:update'), auditMutation('user', { before: findAuditedUser }), inTransaction((req, res, next) => {
   try {
-    const productId = parseInt(req.params.id, 10);
-    console.log(`POST /api/products/${productId} - Updating product:`, req.body);
-    
-    // Read the database
-    const db = getDatabase();
+    const userId = parseInt(req.params.id, 10);
+    console.log(`PATCH /api/users/${userId} - Updating user`);
     
-    // Find the product by ID
-    const productIndex = db.products.findIndex(p => p.id === productId);
+    const user = repositories.users.findById(userId);
     
-    if (productIndex === -1) {
+    if (!user) {
       return res.status(404).json({
         statusCode: 404,
-        message: 'Product not found'
+        message: 'User not found'
       });
     }
     
-    // Get the current product data
-    const currentProduct = db.products[productIndex];
-    
-    // Extract data from request body
-    const { 
-      name, 
-      content, 
-      child_nav_id, 
-      summary, 
-      features,
-      phone_number
-    } = req.body;
-    
-    // Get uploaded files info
-    const uploadedFiles = req.files || [];
-    const newFileUrls = uploadedFiles.map(file => {
-      // Ensure consistent path format that starts with /
-      const imagePath = `/images/uploads/${file.filename}`;
-      console.log(`Added new image path: ${imagePath}`);
-      return imagePath;
-    });
-    
-    // Handle existing images in form data
-    let existingImages = [];
-    if (req.body['images[]']) {
-      if (Array.isArray(req.body['images[]'])) {
-        existingImages = req.body['images[]'].filter(img => img && img.trim() !== '');
-      } else {
-        // Single image case - add to array if valid
-        if (req.body['images[]'] && req.body['images[]'].trim() !== '') {
-          existingImages = [req.body['images[]']];
-        }
-      }
+    if (!ifMatchAllows(req, user)) {
+      return next(userVersionConflict(user));
     }
     
-    console.log('Existing images after filtering:', existingImages);
+    const users = repositories.users.all();
+    const fields = userUtils.pickUserFields(req.body, userUtils.ADMIN_WRITABLE_FIELDS);
+    const errors = userUtils.validateUserFields(fields, users, user);
     
-    // Combine existing and new image URLs
-    const allImages = [...existingImages, ...newFileUrls];
+    // Never leave the site without an active admin
+    const updated = { ...user, ...fields };
+    if (user.role === 'admin' && userUtils.isUserActive(user) &&
+        (updated.role !== 'admin' || !userUtils.isUserActive(updated)) &&
+        userUtils.countActiveAdmins(users) <= 1) {
+      errors.push('Cannot demote or disable the last active admin');
+    }
     
-    // Create updated product object
-    const updatedProduct = {
-      ...currentProduct,
-      name: name || currentProduct.name,
-      content: content || currentProduct.content,
-      child_nav_id: child_nav_id ? parseInt(child_nav_id) : currentProduct.child_nav_id,
-      summary: summary || currentProduct.summary,
-      features: features || currentProduct.features,
-      phone_number: phone_number || currentProduct.phone_number,
-      updatedAt: new Date().toISOString()
-    };
+    if (errors.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Invalid user data',
+        errors: errors
+      });
+    }
     
-    // Update images if new ones were uploaded or existing ones were specified
-    if (allImages.length > 0) {
-      updatedProduct.images = allImages;
+    if (fields.password !== undefined) {
+      fields.password = passwordUtils.hashPassword(fields.password);
     }
     
-    // Update the product in the database
-    db.products[productIndex] = updatedProduct;
+    const storedUser = repositories.users.update(user.id, { ...fields, updatedAt: new Date().toISOString() });
     
-    // Save the database
-    if (writeDatabase(db)) {
-      return res.status(200).json({
-        statusCode: 200,
-        message: 'Product updated successfully',
-        data: updatedProduct
-      });
-    } else {
-      return res.status(500).json({
-        statusCode: 500,
-        message: 'Error writing to database'
-      });
+    // Disabling an account or resetting its password ends its sessions
+    if (!userUtils.isUserActive(storedUser) || req.body.password !== undefined) {
+      const db = getDatabase();
+      db.sessions
+        .filter(s => s.userId === storedUser.id)
+        .forEach(session => authUtils.revokeSession(db, session, 'user_updated'));
+      
+      if (!writeDatabase(db)) {
+        return res.status(500).json({
+          statusCode: 500,
+          message: 'Error writing to database'
+        });
+      }
     }
+    
+    setEntityTag(res, storedUser);
+    res.json({
+      statusCode: 200,
+      message: 'User updated successfully',
+      data: authUtils.toPublicUser(storedUser)
+    });
   } catch (error) {
-    console.error('Error updating product:', error);
-    return res.status(500).json({
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error updating user:', error);
+    res.status(500).json({
       statusCode: 500,
-      message: 'Server error',
-      error: error.message
+      message: 'Error updating user: ' + error.message
     });
   }
-});
+}));
 
-// DELETE endpoint for deleting a product
-app.delete('/api/products/:id', (req, res) => {
+// Delete a user
+app.delete('/api/users/:id', requireAuth, requirePermission('users:delete'), auditMutation('user', { before: findAuditedUser }), inTransaction((req, res, next) => {
   try {
-    const productId = parseInt(req.params.id, 10);
-    console.log(`DELETE /api/products/${productId} - Deleting product`);
-    
-    // Read the database
-    const db = getDatabase();
+    const userId = parseInt(req.params.id, 10);
+    console.log(`DELETE /api/users/${userId} - Deleting user`);
     
-    // Find the product by ID
-    const productIndex = db.products.findIndex(p => p.id === productId);
+    const user = repositories.users.findById(userId);
     
-    if (productIndex === -1) {
+    if (!user) {
       return res.status(404).json({
         statusCode: 404,
-        message: 'Product not found'
+        message: 'User not found'
       });
     }
     
-    // Store the product before deleting it
-    const deletedProduct = db.products[productIndex];
-    
-    // Remove the product from the array
-    db.products.splice(productIndex, 1);
-    
-    // Save the database
-    if (writeDatabase(db)) {
-      // Try to delete associated image files if they exist
-      if (deletedProduct.images && Array.isArray(deletedProduct.images)) {
-        deletedProduct.images.forEach(imagePath => {
-          try {
-            if (typeof imagePath === 'string' && 
-                (imagePath.includes('/images/uploads/') || imagePath.includes('/uploads/'))) {
-              // Extract filename from path
-              const filename = path.basename(imagePath);
-              // Check multiple possible locations
-              const possiblePaths = [
-                path.join(__dirname, 'images', 'uploads', filename),
-                path.join(__dirname, 'uploads', filename),
-                path.join(__dirname, 'public', 'images', 'uploads', filename)
-              ];
-              
-              // Try to delete from each path
-              possiblePaths.forEach(filePath => {
-                if (fs.existsSync(filePath)) {
-                  fs.unlinkSync(filePath);
-                  console.log(`Deleted image file: ${filePath}`);
-                }
-              });
-            }
-          } catch (fileError) {
-            console.error(`Error deleting image file: ${imagePath}`, fileError);
-            // Continue even if file deletion fails
-          }
-        });
-      }
-      
-      return res.status(200).json({
-        statusCode: 200,
-        message: 'Product deleted successfully',
-        data: deletedProduct
+    if (!ifMatchAllows(req, user)) {
+      return next(userVersionConflict(user));
+    }
+    
+    if (user.id === req.auth.userId) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'You cannot delete your own account'
       });
-    } else {
+    }
+    
+    if (user.role === 'admin' && userUtils.isUserActive(user) && userUtils.countActiveAdmins(repositories.users.all()) <= 1) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+    
+    repositories.users.remove(user.id);
+    
+    const db = getDatabase();
+    db.sessions
+      .filter(s => s.userId === user.id)
+      .forEach(session => authUtils.revokeSession(db, session, 'user_deleted'));
+    
+    if (!writeDatabase(db)) {
       return res.status(500).json({
         statusCode: 500,
         message: 'Error writing to database'
       });
     }
+    
+    res.json({
+      statusCode: 200,
+      message: 'User deleted successfully',
+      data: authUtils.toPublicUser(user)
+    });
   } catch (error) {
-    console.error('Error deleting product:', error);
-    return res.status(500).json({
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error deleting user:', error);
+    res.status(500).json({
       statusCode: 500,
-      message: 'Server error',
-      error: error.message
+      message: 'Error deleting user: ' + error.message
     });
   }
-});
+}));
 
-// API endpoint cho services
-app.get('/api/services', (req, res) => {
+// Query the audit log (admin): ?entity=product&entityId=3&user=1&action=update&from=2024-01-01&to=2024-12-31
+app.get('/api/admin/audit', requireAuth, requirePermission('audit:read'), (req, res) => {
   try {
-    console.log(`GET /api/services - Fetching services`);
-    
-    // Set CORS headers explicitly for this endpoint
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-    res.header('Access-Control-Allow-Headers', '*');
-    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    const { entity, entityType, entityId, user, userId, action, from, to, limit, offset } = req.query;
     
-    // Pre-flight response for OPTIONS
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
+    const invalidDate = [from, to].find(value => value && isNaN(new Date(value).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: `Invalid date: ${invalidDate}`
+      });
     }
     
-  const db = getDatabase();
+    const result = auditLog.readAuditEntries({
+      entityType: entityType || entity,
+      entityId,
+      userId: userId || user,
+      action,
+      from,
+      to,
+      limit,
+      offset
+    });
     
-    // Define default services
-    const defaultServices = [
-      {
-        id: 1,
-        name: "Dịch vụ du lịch sinh thái",
-        title: "Dịch vụ du lịch sinh thái",
-        slug: "dich-vu-du-lich-sinh-thai",
-        summary: "Tham quan và trải nghiệm không gian sinh thái tại Thôn Trang Liên Nhất",
-        content: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
-        description: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
-        images: ["/images/placeholder.jpg"],
-        image: "/images/placeholder.jpg",
-        child_nav_id: 3,
-        categoryId: 3,
-        isFeatured: true,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      {
-        id: 2,
-        name: "Dịch vụ ẩm thực đặc sản",
-        title: "Dịch vụ ẩm thực đặc sản",
-        slug: "dich-vu-am-thuc-dac-san",
-        summary: "Thưởng thức đặc sản địa phương tại Thôn Trang Liên Nhất",
-        content: "Cung cấp dịch vụ ẩm thực với các món ăn đặc sản được chế biến từ nguyên liệu sạch, tươi ngon của địa phương.",
-        description: "Cung cấp dịch vụ ẩm thực với các món ăn đặc sản được chế biến từ nguyên liệu sạch, tươi ngon của địa phương.",
-        images: ["/images/placeholder.jpg"],
-        image: "/images/placeholder.jpg",
-        child_nav_id: 3,
-        categoryId: 3,
-        isFeatured: true,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }
-    ];
-    
-    // Check if services exist in database and are valid
-    let services = defaultServices;
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: result.entries,
+      total: result.total
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error reading audit log: ' + error.message
+    });
+  }
+});
+
+// Database health report (admin): parse errors with line/column, and the copy reads are served from
+app.get('/api/admin/db-health', requireAuth, requirePermission('database:read'), (req, res) => {
+  try {
+    const report = dataStore.health();
+    
+    res.status(report.status === 'corrupt' ? 503 : 200).json({
+      statusCode: report.status === 'corrupt' ? 503 : 200,
+      message: report.status === 'corrupt'
+        ? `Database is corrupt at line ${report.error.line}, column ${report.error.column}; writes are disabled`
+        : 'Success',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error checking database health:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error checking database health: ' + error.message
+    });
+  }
+});
+
+// Replace a corrupt database with its newest valid backup or journal (admin); the corrupt file is kept
+app.post('/api/admin/db-health/recover', requireAuth, requirePermission('database:write'), requireTwoFactor, auditMutation('database', {
+  action: 'recover',
+  before: (db) => auditLog.summarizeDatabase(db),
+  after: () => auditLog.summarizeDatabase(getDatabase())
+}), (req, res) => {
+  try {
+    const result = dataStore.recover();
     
-    if (db && db.services && Array.isArray(db.services) && db.services.length > 0) {
-      // Map services to ensure all required fields exist
-      services = db.services.map(service => ({
-        id: service.id || Math.floor(Math.random() * 1000),
-        name: service.name || "Dịch vụ",
-        title: service.title || service.name || "Dịch vụ",
-        slug: service.slug || (service.name ? service.name.toLowerCase().replace(/\s+/g, '-') : `dich-vu-${service.id || Math.floor(Math.random() * 1000)}`),
-        summary: service.summary || "",
-        content: service.content || "",
-        description: service.description || service.content || "",
-        images: Array.isArray(service.images) ? service.images : ["/images/placeholder.jpg"],
-        image: service.image || (Array.isArray(service.images) && service.images.length > 0 ? service.images[0] : "/images/placeholder.jpg"),
-        child_nav_id: service.child_nav_id || service.categoryId || 3,
-        categoryId: service.categoryId || service.child_nav_id || 3,
-        isFeatured: service.isFeatured === true || service.isFeatured === 'true' || false,
-        createdAt: service.createdAt || service.created_at || new Date().toISOString(),
-        updatedAt: service.updatedAt || service.updated_at || new Date().toISOString()
-      }));
+    if (!result.recovered) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: result.message,
+        data: dataStore.health()
+      });
     }
     
-  res.json({
-    statusCode: 200,
-    message: 'Success',
-      data: services
+    res.json({
+      statusCode: 200,
+      message: result.message,
+      data: result
     });
   } catch (error) {
-    console.error('Error fetching services:', error);
-    // Return default data instead of error
+    console.error('Error recovering database:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error recovering database: ' + error.message
+    });
+  }
+});
+
+// List database backups (admin), newest first
+app.get('/api/admin/backups', requireAuth, requirePermission('database:read'), (req, res) => {
+  try {
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: [
-        {
-          id: 1,
-          name: "Dịch vụ du lịch sinh thái",
-          title: "Dịch vụ du lịch sinh thái",
-          slug: "dich-vu-du-lich-sinh-thai",
-          summary: "Tham quan và trải nghiệm không gian sinh thái tại Thôn Trang Liên Nhất",
-          content: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
-          description: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
-          images: ["/images/placeholder.jpg"],
-          image: "/images/placeholder.jpg",
-          child_nav_id: 3,
-          categoryId: 3,
-          isFeatured: true,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ]
+      data: backups.list().map(({ file, ...backup }) => backup),
+      retention: backups.retention
+    });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error listing backups: ' + error.message
     });
   }
 });
 
-// API endpoint cho tạo mới service
-app.post('/api/services', upload.array('images[]'), (req, res) => {
+// Take a backup now (admin)
+app.post('/api/admin/backups', requireAuth, requirePermission('database:write'), (req, res) => {
   try {
-    console.log('POST /api/services - Creating new service');
-    console.log('Request body:', req.body);
-    console.log('Files:', req.files);
-    
-    // Read the database
-    const db = getDatabase();
-    
-    // Ensure services array exists
-    if (!db.services) {
-      db.services = [];
-    }
-    
-    // Generate a new ID
-    const newId = db.services.length > 0 
-      ? Math.max(...db.services.map(service => Number(service.id) || 0)) + 1 
-      : 1;
-    
-    // Get uploaded files
-    let imageUrls = [];
-    if (req.files && req.files.length > 0) {
-      imageUrls = req.files.map(file => `/images/uploads/${file.filename}`);
-      console.log('Uploaded image URLs:', imageUrls);
-    } else if (req.body.images) {
-      // Handle case when images are sent as strings in the body
-      imageUrls = req.body.images;
-      if (typeof imageUrls === 'string') {
-        imageUrls = [imageUrls];
-      }
-      console.log('Image URLs from request body:', imageUrls);
-    } else {
-      // Default image
-      imageUrls = ['/images/uploads/default-image.jpg'];
-      console.log('Using default image');
-    }
-    
-    // Ensure imageUrls is always an array
-    if (typeof imageUrls === 'string') {
-      imageUrls = [imageUrls];
-    }
-    
-    // Create the new service object
-    const newService = {
-      id: newId,
-      name: req.body.name || '',
-      title: req.body.name || '',
-      slug: req.body.name ? req.body.name.toLowerCase().replace(/[^\w\s]/gi, '').replace(/\s+/g, '-') : '',
-      summary: req.body.summary || '',
-      content: req.body.content || '',
-      description: req.body.content || '',
-      child_nav_id: req.body.child_nav_id ? parseInt(req.body.child_nav_id, 10) : 0,
-      categoryId: req.body.child_nav_id ? parseInt(req.body.child_nav_id, 10) : 0,
-      isFeatured: req.body.isFeatured === 'true' || true,
-      views: 0,
-      type: req.body.type || "dich-vu",
-      price: req.body.price ? parseFloat(req.body.price) : 0,
-      discountPrice: req.body.discountPrice ? parseFloat(req.body.discountPrice) : 0,
-      images: imageUrls,
-      image: imageUrls.length > 0 ? imageUrls[0] : '/images/uploads/default-image.jpg',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const backup = backups.create('manual');
     
-    // Add to database
-    db.services.push(newService);
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Copy to parent directory if it exists
-    const parentDbPath = path.resolve(__dirname, '..', 'database.json');
-    if (fs.existsSync(path.dirname(parentDbPath))) {
-      console.log('Copying to parent directory:', parentDbPath);
-      fs.writeFileSync(parentDbPath, JSON.stringify(db, null, 2));
+    if (!backup) {
+      return res.status(409).json({
+        statusCode: 409,
+        message: 'The database is corrupt and cannot be backed up, see /api/admin/db-health'
+      });
     }
     
-    // Cache control headers
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    
+    const { file, ...data } = backup;
     res.status(201).json({
       statusCode: 201,
-      message: 'Service created successfully',
-      data: newService
+      message: 'Backup created successfully',
+      data: data
     });
   } catch (error) {
-    console.error('Error creating service:', error);
+    console.error('Error creating backup:', error);
     res.status(500).json({
       statusCode: 500,
-      message: 'Error creating service: ' + error.message
+      message: 'Error creating backup: ' + error.message
     });
   }
 });
 
-// API endpoint cho cập nhật service theo ID
-app.post('/api/services/:id', upload.array('images[]'), (req, res) => {
+// Restore a backup (admin) - the snapshot is validated first and the current database is backed up as "pre-restore"
+app.post('/api/admin/backups/:id/restore', requireAuth, requirePermission('database:write'), requireTwoFactor, auditMutation('database', {
+  action: 'restore',
+  before: (db) => auditLog.summarizeDatabase(db),
+  after: () => auditLog.summarizeDatabase(getDatabase())
+}), (req, res) => {
   try {
-    const serviceId = parseInt(req.params.id, 10);
-    console.log(`POST /api/services/${serviceId} - Updating service:`, req.body);
-    
-    // Read the database
-    const db = getDatabase();
-    
-    // Find service
-    const serviceIndex = db.services.findIndex(service => service.id === serviceId);
+    const result = backups.restore(req.params.id);
     
-    if (serviceIndex === -1) {
+    if (result.notFound) {
       return res.status(404).json({
         statusCode: 404,
-        message: 'Service not found'
+        message: 'Backup not found'
       });
     }
     
-    // Get existing service data
-    const existingService = db.services[serviceIndex];
-    
-    // Get the image URLs if uploaded
-    let imageUrls = existingService.images || [];
-    if (req.files && req.files.length > 0) {
-      imageUrls = req.files.map(file => `/images/uploads/${file.filename}`);
-      console.log(`Images updated:`, imageUrls);
-    } else if (req.body.images) {
-      // Handle case when images are sent as a string in the body
-      imageUrls = req.body.images;
-      if (typeof imageUrls === 'string') {
-        // Keep as is - it's a path to an existing image
-        console.log(`Keeping existing image:`, imageUrls);
-      }
-    }
-    
-    // Ensure imageUrls is always an array
-    if (typeof imageUrls === 'string') {
-      imageUrls = [imageUrls];
+    if (!result.restored) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Backup cannot be restored: ' + result.errors.join('; '),
+        errors: result.errors
+      });
     }
     
-    // Update service
-    db.services[serviceIndex] = {
-      ...existingService,
-      name: req.body.name || existingService.name,
-      title: req.body.name || existingService.title || existingService.name,
-      slug: req.body.slug || existingService.slug || (req.body.name ? req.body.name.toLowerCase().replace(/\s+/g, '-') : existingService.slug),
-      summary: req.body.summary || existingService.summary,
-      content: req.body.content || existingService.content,
-      description: req.body.content || existingService.description || existingService.content,
-      child_nav_id: req.body.child_nav_id || existingService.child_nav_id,
-      isFeatured: req.body.isFeatured !== undefined ? req.body.isFeatured : existingService.isFeatured,
-      images: imageUrls,
-      updated_at: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Cache control headers
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
+    // An older snapshot may predate some migrations
+    const migration = getMigrationRunner().migrate();
     
-    res.status(200).json({
+    res.json({
       statusCode: 200,
-      message: 'Service updated successfully',
-      data: db.services[serviceIndex]
+      message: 'Database restored successfully',
+      data: {
+        restoredFrom: result.backup.id,
+        preRestoreBackup: result.preRestore ? result.preRestore.id : null,
+        schemaVersion: migration.to
+      }
     });
   } catch (error) {
-    console.error('Error updating service:', error);
+    console.error('Error restoring backup:', error);
     res.status(500).json({
       statusCode: 500,
-      message: 'Error updating service: ' + error.message
+      message: 'Error restoring backup: ' + error.message
     });
   }
 });
 
-// API endpoint cho experiences
-app.get('/api/experiences', (req, res) => {
+// Replication status (admin): position of every replica in the change log, its lag and any conflict
+app.get('/api/admin/replication', requireAuth, requirePermission('database:read'), (req, res) => {
   try {
-    console.log('GET /api/experiences - Getting all experiences');
+    const report = replicator.status();
+    const conflicted = report.replicas.filter(replica => replica.state === 'conflict');
     
-    // Set CORS headers explicitly for this endpoint
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    res.json({
+      statusCode: 200,
+      message: conflicted.length > 0
+        ? `${conflicted.length} replica(s) in conflict: ${conflicted.map(replica => replica.name).join(', ')}`
+        : 'Success',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error reading replication status:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error reading replication status: ' + error.message
+    });
+  }
+});
+
+// Replay the change log into every replica now (admin); replicas in conflict are reported and left untouched
+app.post('/api/admin/replication/replay', requireAuth, requirePermission('database:write'), (req, res) => {
+  try {
+    const reports = replicator.replay();
+    const conflicted = reports.filter(replica => replica.state === 'conflict');
+    
+    res.status(conflicted.length > 0 ? 409 : 200).json({
+      statusCode: conflicted.length > 0 ? 409 : 200,
+      message: conflicted.length > 0
+        ? `${conflicted.length} replica(s) in conflict: ${conflicted.map(replica => replica.name).join(', ')}`
+        : 'Replicas are up to date',
+      data: reports
+    });
+  } catch (error) {
+    console.error('Error replaying the change log:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error replaying the change log: ' + error.message
+    });
+  }
+});
+
+// Overwrite a replica with the database (admin), the way to settle a conflict once the replica's own changes are dealt with
+app.post('/api/admin/replication/:name/resync', requireAuth, requirePermission('database:write'), requireTwoFactor, (req, res) => {
+  try {
+    const report = replicator.resync(req.params.name);
     
-    // Pre-flight response for OPTIONS
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
+    if (!report) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: `Replica ${req.params.name} not found`
+      });
     }
     
-  const db = getDatabase();
+    auditLog.recordAudit(req, {
+      action: 'resync',
+      entityType: 'replica',
+      entityId: req.params.name,
+      before: null,
+      after: { path: report.path, seq: report.seq }
+    });
     
-    // Ensure experiences array exists and is valid
-    let experiences = [];
-    if (db && db.experiences && Array.isArray(db.experiences)) {
-      experiences = db.experiences;
-    } else {
-      // Default experiences if none exist
-      experiences = [
-        {
-          id: 1,
-          title: "Trải nghiệm du lịch sinh thái",
-          name: "Trải nghiệm du lịch sinh thái",
-          slug: "trai-nghiem-du-lich-sinh-thai",
-          summary: "Trải nghiệm du lịch sinh thái tại Thôn Trang Liên Nhất",
-          description: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
-          content: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
-          images: ["/images/placeholder.jpg"],
-          categoryId: 1,
-          isFeatured: true,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ];
-      console.log('Experiences array not found or not an array, returning default experiences');
-    }
-    
-  res.json({
-    statusCode: 200,
-    message: 'Success',
-      data: experiences
+    res.json({
+      statusCode: 200,
+      message: `Replica ${req.params.name} resynced`,
+      data: report
     });
   } catch (error) {
-    console.error('Error fetching experiences:', error);
-    // Return default data instead of error
+    console.error('Error resyncing replica:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error resyncing replica: ' + error.message
+    });
+  }
+});
+
+// API keys for machine clients (admin) - the plain key is only returned when it is created
+app.get('/api/admin/api-keys', requireUserSession, requirePermission('apiKeys:read'), (req, res) => {
+  try {
+    const db = getDatabase();
+    
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: [
-        {
-          id: 1,
-          title: "Trải nghiệm du lịch sinh thái",
-          name: "Trải nghiệm du lịch sinh thái",
-          slug: "trai-nghiem-du-lich-sinh-thai",
-          summary: "Trải nghiệm du lịch sinh thái tại Thôn Trang Liên Nhất",
-          description: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
-          content: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
-          images: ["/images/placeholder.jpg"],
-          categoryId: 1,
-          isFeatured: true,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ]
+      data: (db.apiKeys || []).map(apiKeys.toPublicApiKey)
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error fetching API keys: ' + error.message
     });
   }
 });
 
-// API endpoint cho featured experiences (hiển thị ở trang chủ)
-app.get('/api/experiences/featured', (req, res) => {
+app.post('/api/admin/api-keys', requireUserSession, requirePermission('apiKeys:create'), auditMutation('api-key', { after: (req, data) => data && apiKeys.toPublicApiKey(data) }), inTransaction((req, res) => {
   try {
-    console.log('GET /api/experiences/featured - Fetching featured experiences');
+    const { name, scopes, expiresAt, expiresInDays } = req.body || {};
+    const errors = [];
+    
+    if (!name || String(name).trim() === '') {
+      errors.push('Name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push('At least one scope is required');
+    } else {
+      scopes.filter(scope => !apiKeys.isValidScope(scope))
+        .forEach(scope => errors.push(`Unknown scope: ${scope}`));
+    }
+    
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInDays) {
+      expiry = new Date(Date.now() + parseFloat(expiresInDays) * 24 * 3600 * 1000);
+    }
+    if (expiry && (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now())) {
+      errors.push('Expiry must be a date in the future');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Invalid API key data',
+        errors: errors
+      });
+    }
     
     const db = getDatabase();
+    const { apiKey, key } = apiKeys.createApiKey({
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry ? expiry.toISOString() : null
+    }, req.user);
     
-    // Lấy tất cả experiences từ database
-    const experiences = db.experiences || [];
+    db.apiKeys = Array.isArray(db.apiKeys) ? db.apiKeys : [];
+    db.apiKeys.push(apiKey);
     
-    // Giới hạn số lượng trả về (mặc định 6 items)
-    const limit = req.query.limit ? parseInt(req.query.limit) : 6;
-    const featuredExperiences = experiences.slice(0, limit);
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
     
-    // Cache control headers
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
+    console.log(`API key ${apiKey.id} (${apiKey.name}) created by user ${req.user.id}`);
     
-    res.json({
-      statusCode: 200,
-      message: 'Success',
-      data: featuredExperiences,
-      timestamp: Date.now()
+    res.status(201).json({
+      statusCode: 201,
+      message: 'API key created. Store the key now, it cannot be shown again',
+      data: {
+        ...apiKeys.toPublicApiKey(apiKey),
+        key: key
+      }
     });
   } catch (error) {
-    console.error('Error fetching featured experiences:', error);
+    console.error('Error creating API key:', error);
     res.status(500).json({
       statusCode: 500,
-      message: 'Error fetching featured experiences: ' + error.message
+      message: 'Error creating API key: ' + error.message
     });
   }
-});
+}));
 
-// API endpoint cho chi tiết experience
-app.get('/api/experiences/:id', (req, res) => {
+// Revoke an API key; the record is kept so its usage stays traceable
+app.delete('/api/admin/api-keys/:id', requireUserSession, requirePermission('apiKeys:delete'), auditMutation('api-key', { before: findAuditedApiKey, action: 'revoke' }), inTransaction((req, res) => {
   try {
-    const experienceId = parseInt(req.params.id, 10);
     const db = getDatabase();
-    const experience = db.experiences.find(exp => exp.id === experienceId);
+    const apiKey = (db.apiKeys || []).find(k => k.id === req.params.id);
     
-    if (experience) {
-      res.json({
-        statusCode: 200,
-        message: 'Success',
-        data: experience
-      });
-    } else {
-      res.status(404).json({
+    if (!apiKey) {
+      return res.status(404).json({
         statusCode: 404,
-        message: 'Experience not found'
+        message: 'API key not found'
       });
     }
+    
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date().toISOString();
+      
+      if (!writeDatabase(db)) {
+        return res.status(500).json({
+          statusCode: 500,
+          message: 'Error writing to database'
+        });
+      }
+      console.log(`API key ${apiKey.id} revoked by user ${req.user.id}`);
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'API key revoked',
+      data: apiKeys.toPublicApiKey(apiKey)
+    });
   } catch (error) {
-    console.error('Error fetching experience:', error);
+    console.error('Error revoking API key:', error);
     res.status(500).json({
       statusCode: 500,
-      message: 'Error fetching experience: ' + error.message
+      message: 'Error revoking API key: ' + error.message
     });
   }
-});
+}));
 
-// API endpoint cho news
-app.get('/api/news', (req, res) => {
+// Full-text search: ?q=gao huu co&collection=products,news&page=1&pageSize=10
+app.get('/api/search', (req, res, next) => {
   try {
-    console.log('GET /api/news - Getting all news');
-    
-    // Set CORS headers explicitly for this endpoint
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
-    
-    // Pre-flight response for OPTIONS
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const collections = []
+      .concat(req.query.collection || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+    const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : 10;
+    
+    const errors = [];
+    if (!q) {
+      errors.push({ field: 'q', message: 'is required' });
     }
-    
-  const db = getDatabase();
-    
-    // Ensure news array exists and is valid
-    let news = [];
-    if (db && db.news && Array.isArray(db.news)) {
-      news = db.news;
-    } else {
-      // Default news if none exist
-      news = [
-        {
-          id: 1,
-          title: "Tin tức mới",
-          slug: "tin-tuc-moi",
-          summary: "Tin tức mới nhất của Thôn Trang Liên Nhất",
-          content: "Nội dung tin tức mới nhất",
-          images: ["/images/placeholder.jpg"],
-          categoryId: 1,
-          status: "published",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ];
-      console.log('News array not found or not an array, returning default news');
+    collections
+      .filter(collection => !SEARCH_COLLECTIONS.includes(collection))
+      .forEach(collection => errors.push({ field: 'collection', message: `must be one of: ${SEARCH_COLLECTIONS.join(', ')} (got "${collection}")` }));
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push({ field: 'page', message: 'must be a positive integer' });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      errors.push({ field: 'pageSize', message: `must be an integer from 1 to ${MAX_PAGE_SIZE}` });
+    }
+    if (errors.length > 0) {
+      return next(createValidationError('search query', errors));
     }
     
-  res.json({
-    statusCode: 200,
-    message: 'Success',
-      data: news
+    const result = searchIndex.search(q, { collections, page, pageSize });
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: result.data,
+      meta: result.meta
     });
   } catch (error) {
-    console.error('Error fetching news:', error);
-    // Return default data instead of error
+    console.error('Error searching:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error searching: ' + error.message
+    });
+  }
+});
+
+// Search box suggestions: ?q=sup hai&limit=8; prefix and typo-tolerant matches on titles and navigation labels
+app.get('/api/search/suggest', (req, res, next) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS)) {
+      return next(createValidationError('suggest query', [{ field: 'limit', message: `must be an integer from 1 to ${MAX_SUGGESTIONS}` }]));
+    }
+    
+    // An empty box has no suggestions rather than an error, the frontend calls this on every keystroke
+    res.setHeader('Cache-Control', 'no-store');
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: [
-        {
-          id: 1,
-          title: "Tin tức mới",
-          slug: "tin-tuc-moi",
-          summary: "Tin tức mới nhất của Thôn Trang Liên Nhất",
-          content: "Nội dung tin tức mới nhất",
-          images: ["/images/placeholder.jpg"],
-          categoryId: 1,
-          status: "published",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ]
+      data: suggestionIndex.suggest(q, { limit })
+    });
+  } catch (error) {
+    console.error('Error suggesting:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error suggesting: ' + error.message
     });
   }
 });
 
-// API endpoint cho team
-app.get('/api/team', (req, res) => {
+// Fetch a product, service, experience or news item by slug; old slugs answer 301 with the current URL
+app.get('/api/:collection/slug/:slug', (req, res, next) => {
+  if (!SLUG_COLLECTIONS.includes(req.params.collection)) {
+    return next('route');
+  }
+  shapeQuery(req.params.collection)(req, res, next);
+}, (req, res) => {
   try {
-    console.log(`GET /api/team - Fetching team members (legacy endpoint)`);
+    const { collection, slug } = req.params;
+    console.log(`GET /api/${collection}/slug/${slug}`);
     
-    // Set CORS headers explicitly for this endpoint
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    const found = findBySlug(repositories, collection, slug);
     
-  const db = getDatabase();
+    if (found.redirectTo) {
+      const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      return res.redirect(301, `/api/${collection}/slug/${encodeURIComponent(found.redirectTo.slug)}${query}`);
+    }
     
-    // Ensure the team array exists and is valid
-    const defaultTeam = [
-      {
-        id: 1,
-        name: "Nguyễn Hữu Quyền",
-        position: "Giám đốc HTX",
-        avatar: "/images/placeholder.jpg",
-        image: "/images/placeholder.jpg",
-        description: "Giám đốc HTX"
-      },
-      {
-        id: 2,
-        name: "Võ Tá Quỳnh",
-        position: "Quản Lý",
-        avatar: "/images/placeholder.jpg",
-        image: "/images/placeholder.jpg",
-        description: "Quản lý HTX"
-      }
-    ];
+    if (!found.record) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: `No ${collection} found with slug: ${slug}`
+      });
+    }
     
+    setEntityTag(res, found.record, { weak: isShaped(req.shapeQuery) });
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: Array.isArray(db.team) ? db.team : defaultTeam
+      data: shapeRecord(found.record, req.shapeQuery, navigationExpanders(req.shapeQuery))
     });
   } catch (error) {
-    console.error('Error fetching teams (legacy endpoint):', error);
-    res.json({
-      statusCode: 200,
-      message: 'Success',
-      data: [
-        {
-          id: 1,
-          name: "Nguyễn Hữu Quyền",
-          position: "Giám đốc HTX",
-          avatar: "/images/placeholder.jpg",
-          image: "/images/placeholder.jpg",
-          description: "Giám đốc HTX"
-        }
-      ]
+    console.error(`Error fetching ${req.params.collection} by slug:`, error);
+    res.status(500).json({
+      statusCode: 500,
+      message: `Error fetching ${req.params.collection} by slug: ` + error.message
     });
   }
 });
 
-// Teams API endpoint (to match frontend calls to /api/teams)
-app.get('/api/teams', (req, res) => {
+// API endpoint cho products
+app.get('/api/products', listQuery('products', { fields: { description: { type: 'string' }, image: { type: 'string' }, discountPrice: { type: 'number' } } }), (req, res) => {
   try {
-    console.log(`GET /api/teams - Fetching team members`);
+  console.log('GET /api/products - Getting all products');
     
     // Set CORS headers explicitly for this endpoint
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
     res.header('Access-Control-Allow-Headers', '*');
     res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
     
@@ -2020,76 +1803,111 @@ app.get('/api/teams', (req, res) => {
       return res.status(200).end();
     }
     
-  const db = getDatabase();
+  const db = getPublicDatabase();
     
-    // Always provide default team members
-    const defaultTeam = [
+    // Define default products
+    const defaultProducts = [
       {
         id: 1,
-        name: "Nguyễn Hữu Quyền",
-        position: "Giám đốc HTX",
-        avatar: "/images/placeholder.jpg",
-        image: "/images/placeholder.jpg",
-        description: "Giám đốc HTX",
+        name: "Gạo hữu cơ địa phương",
+        slug: "gao-huu-co-dia-phuong",
+        summary: "Gạo hữu cơ chất lượng cao của Thôn Trang Liên Nhất",
+        content: "Sản phẩm gạo được trồng theo phương pháp hữu cơ, không sử dụng thuốc trừ sâu hóa học, an toàn cho sức khỏe người tiêu dùng.",
+        images: ["/images/placeholder.jpg"],
+        child_nav_id: 2,
+        categoryId: 2,
+        price: 35000,
+        discountPrice: 30000,
+        isFeatured: true,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       },
       {
         id: 2,
-        name: "Võ Tá Quỳnh",
-        position: "Quản Lý",
-        avatar: "/images/placeholder.jpg",
-        image: "/images/placeholder.jpg",
-        description: "Quản lý HTX",
+        name: "Rau sạch địa phương",
+        slug: "rau-sach-dia-phuong",
+        summary: "Rau sạch được trồng tại Thôn Trang Liên Nhất",
+        content: "Rau được trồng theo quy trình an toàn, không thuốc trừ sâu độc hại, đảm bảo dinh dưỡng và an toàn cho người tiêu dùng.",
+        images: ["/images/placeholder.jpg"],
+        child_nav_id: 2,
+        categoryId: 2,
+        price: 15000,
+        discountPrice: 0,
+        isFeatured: true,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       }
     ];
     
-    // Use db.team if it exists and is an array with elements, otherwise use default team
-    const teams = (db.team && Array.isArray(db.team) && db.team.length > 0) ? db.team : defaultTeam;
+    // Check if products exist in database and are valid
+    let products = defaultProducts;
     
-    // Ensure all team members have required fields
-    const validTeams = teams.map(member => ({
-      id: member.id || Math.floor(Math.random() * 1000),
-      name: member.name || "Team Member",
-      position: member.position || "Member",
-      avatar: member.avatar || "/images/placeholder.jpg",
-      image: member.image || "/images/placeholder.jpg",
-      description: member.description || "",
-      createdAt: member.createdAt || new Date().toISOString(),
-      updatedAt: member.updatedAt || new Date().toISOString()
-    }));
-  
-  res.json({
+    if (db && db.products && Array.isArray(db.products) && db.products.length > 0) {
+      // Use database products if available
+      products = db.products.map(product => ({
+        id: product.id || Math.floor(Math.random() * 1000),
+        name: product.name || "Sản phẩm",
+        slug: product.slug || slugify(product.name) || `san-pham-${product.id || Math.floor(Math.random() * 1000)}`,
+        summary: product.summary || "",
+        content: product.content || "",
+        description: product.description || product.content || "",
+        images: Array.isArray(product.images) ? product.images : ["/images/placeholder.jpg"],
+        image: product.image || (Array.isArray(product.images) && product.images.length > 0 ? product.images[0] : "/images/placeholder.jpg"),
+        child_nav_id: product.child_nav_id || product.categoryId || 2,
+        categoryId: product.categoryId || product.child_nav_id || 2,
+        price: parseFloat(product.price) || 0,
+        discountPrice: parseFloat(product.discountPrice) || 0,
+        isFeatured: product.isFeatured === true || product.isFeatured === 'true' || false,
+        createdAt: product.createdAt || new Date().toISOString(),
+        updatedAt: product.updatedAt || new Date().toISOString()
+      }));
+    }
+    
+    // Legacy filters; pagination, sorting and field filters go through the list query
+    const { category, featured } = req.query;
+    
+    let filteredProducts = products;
+    
+    // Filter by category/child_nav_id if specified
+    if (category) {
+      filteredProducts = filteredProducts.filter(product => 
+        product.categoryId == category || 
+        product.child_nav_id == category
+      );
+    }
+    
+    // Filter by featured status if specified
+    if (featured === 'true') {
+      filteredProducts = filteredProducts.filter(product => product.isFeatured);
+    }
+    
+    const result = applyListQuery(filteredProducts, req.listQuery, { expanders: navigationExpanders(req.listQuery) });
+    
+    res.json({
     statusCode: 200,
-    message: 'Success',
-      data: validTeams
+      message: 'Success',
+      data: result.data,
+      meta: result.meta
     });
   } catch (error) {
-    console.error('Error fetching teams:', error);
+    console.error('Error fetching products:', error);
     // Return default data instead of error
     res.json({
       statusCode: 200,
-      message: 'Success', 
+      message: 'Success',
       data: [
         {
           id: 1,
-          name: "Nguyễn Hữu Quyền",
-          position: "Giám đốc HTX",
-          avatar: "/images/placeholder.jpg",
-          image: "/images/placeholder.jpg",
-          description: "Giám đốc HTX",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        },
-        {
-          id: 2,
-          name: "Võ Tá Quỳnh",
-          position: "Quản Lý",
-          avatar: "/images/placeholder.jpg",
-          image: "/images/placeholder.jpg",
-          description: "Quản lý HTX",
+          name: "Gạo hữu cơ địa phương",
+          slug: "gao-huu-co-dia-phuong",
+          summary: "Gạo hữu cơ chất lượng cao của Thôn Trang Liên Nhất",
+          content: "Sản phẩm gạo được trồng theo phương pháp hữu cơ, không sử dụng thuốc trừ sâu hóa học, an toàn cho sức khỏe người tiêu dùng.",
+          images: ["/images/placeholder.jpg"],
+          child_nav_id: 2,
+          categoryId: 2,
+          price: 35000,
+          discountPrice: 30000,
+          isFeatured: true,
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
         }
@@ -2098,129 +1916,387 @@ app.get('/api/teams', (req, res) => {
   }
 });
 
-// Get team members by ID
-app.get('/api/teams/:id', (req, res) => {
+// API endpoint để tạo product mới
+app.post('/api/products', requireAuth, requirePermission('products:create'), auditMutation('product', { collection: 'products' }), upload.array('images[]', 10), validateBody('products', { required: true }), (req, res, next) => {
   try {
-    const teamId = parseInt(req.params.id, 10) || 0;
-    console.log(`GET /api/teams/${teamId} - Fetching team member`);
+    console.log('POST /api/products - Creating new product:', req.body);
     
-    // Set CORS headers explicitly for this endpoint
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    // Extract data from request body
+    const { 
+      name, 
+      content, 
+      child_nav_id, 
+      summary, 
+      features,
+      phone_number,
+      type,
+      isFeatured
+    } = req.body;
     
-    // Pre-flight response for OPTIONS
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
-    }
+    // Generate a new ID
+    const newId = repositories.products.nextId();
     
-  const db = getDatabase();
+    // Create slug from name; the repository adds a suffix when another product already uses it
+    const slug = slugify(name);
     
-    // Default member data to use if not found
-    const defaultMember = {
-      id: teamId,
-      name: "Team Member",
-      position: "Member",
-      avatar: "/images/placeholder.jpg",
-      image: "/images/placeholder.jpg",
-      description: "Team member information",
+    // Process uploaded images
+    let imageFiles = [];
+    if (req.files && req.files.length > 0) {
+      imageFiles = req.files.map(file => {
+        // Ensure paths always start with / for consistency
+        const imagePath = `/images/uploads/${file.filename}`;
+        console.log(`Created image path: ${imagePath}`);
+        return imagePath;
+      });
+      console.log('Uploaded image paths:', imageFiles);
+    }
+    
+    // Create new product object
+    const newProduct = {
+      id: newId,
+      name,
+      images: imageFiles.length > 0 ? imageFiles : [],
+      content,
+      slug,
+      summary,
+      child_nav_id: child_nav_id || null,
+      features: features || [],
       createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      updatedAt: new Date().toISOString(),
+      phone_number: phone_number || "",
+      type: type || "san-pham",
+      isFeatured: isFeatured === true
     };
     
-    // Check if team array exists and is valid
-    if (!db || !db.team || !Array.isArray(db.team)) {
-      return res.json({
-        statusCode: 200,
-        message: 'Success',
-        data: defaultMember
-      });
-    }
+    // Add to database
+    const createdProduct = repositories.products.insert(newProduct);
     
-    const member = db.team.find(member => member.id === teamId);
+    console.log(`Created product with ID ${newId}`);
     
-    if (member) {
-    res.json({
-      statusCode: 200,
-      message: 'Success',
-        data: member
+    return res.status(201).json({
+      statusCode: 201,
+      message: 'Product created successfully',
+      data: createdProduct
     });
-  } else {
-      // Return default data instead of 404
-      res.json({
-        statusCode: 200,
-        message: 'Success',
-        data: defaultMember
-      });
-    }
   } catch (error) {
-    console.error('Error fetching team member:', error);
-    // Return default data instead of error
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error creating product:', error);
+    return res.status(500).json({
+      statusCode: 500,
+      message: 'Error creating product',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/products/:id', shapeQuery('products'), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  console.log(`GET /api/products/${id}`);
+  const product = repositories.products.findById(id);
+  
+  if (product) {
+    setEntityTag(res, product, { weak: isShaped(req.shapeQuery) });
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: {
-        id: parseInt(req.params.id, 10) || 1,
-        name: "Team Member",
-        position: "Member",
-        avatar: "/images/placeholder.jpg",
-        image: "/images/placeholder.jpg",
-        description: "Team member information",
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }
+      data: shapeRecord(product, req.shapeQuery, navigationExpanders(req.shapeQuery))
+    });
+  } else {
+    res.status(404).json({
+      statusCode: 404,
+      message: 'Product not found'
     });
   }
 });
 
-// POST endpoint for adding a team member
-app.post('/api/teams', upload.single('image'), (req, res) => {
+// POST endpoint for updating a product
+app.post('/api/products/:id', requireAuth, requirePermission('products:update'), auditMutation('product', { collection: 'products' }), upload.array('images[]', 5), validateBody('products'), checkIfMatch('products'), (req, res, next) => {
   try {
-    console.log('POST /api/teams - Adding team member:', req.body);
+    const productId = parseInt(req.params.id, 10);
+    console.log(`POST /api/products/${productId} - Updating product:`, req.body);
     
-    // Read the database
-    const db = getDatabase();
+    // Find the product by ID
+    const currentProduct = repositories.products.findById(productId);
     
-    // Ensure team array exists
-    if (!db.team) {
-      db.team = [];
+    if (!currentProduct) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Product not found'
+      });
     }
     
-    // Generate new ID
-    const maxId = db.team.length > 0 
-      ? Math.max(...db.team.map(member => Number(member.id) || 0)) 
-      : 0;
-    
-    const newId = maxId + 1;
-    const now = new Date().toISOString();
+    // Extract data from request body
+    const { 
+      name, 
+      slug,
+      content, 
+      child_nav_id, 
+      summary, 
+      features,
+      phone_number
+    } = req.body;
     
-    // Get the image URL if uploaded
-    let imageUrl = '';
-    if (req.file) {
-      imageUrl = `/images/uploads/${req.file.filename}`;
-      console.log(`Image uploaded: ${imageUrl}`);
+    // Get uploaded files info
+    const uploadedFiles = req.files || [];
+    const newFileUrls = uploadedFiles.map(file => {
+      // Ensure consistent path format that starts with /
+      const imagePath = `/images/uploads/${file.filename}`;
+      console.log(`Added new image path: ${imagePath}`);
+      return imagePath;
+    });
+    
+    // Existing images kept by the form; multer parses images[] fields into images
+    const existingImages = req.body.images || req.body['images[]'] || [];
+    
+    console.log('Existing images after filtering:', existingImages);
+    
+    // Combine existing and new image URLs
+    const allImages = [...existingImages, ...newFileUrls];
+    
+    // Create updated product object
+    const updatedProduct = {
+      ...currentProduct,
+      name: name || currentProduct.name,
+      slug: slug || currentProduct.slug,
+      content: content || currentProduct.content,
+      child_nav_id: child_nav_id || currentProduct.child_nav_id,
+      summary: summary || currentProduct.summary,
+      features: features || currentProduct.features,
+      phone_number: phone_number || currentProduct.phone_number,
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Update images if new ones were uploaded or existing ones were specified
+    if (allImages.length > 0) {
+      updatedProduct.images = allImages;
     }
     
-    // Create new team member
-    const newMember = {
+    // Update the product in the database
+    const storedProduct = repositories.products.replace(productId, updatedProduct, { ifMatch: req.ifMatch });
+    if (storedProduct) {
+      setEntityTag(res, storedProduct);
+      return res.status(200).json({
+        statusCode: 200,
+        message: 'Product updated successfully',
+        data: storedProduct
+      });
+    } else {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error updating product:', error);
+    return res.status(500).json({
+      statusCode: 500,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// DELETE endpoint for deleting a product
+app.delete('/api/products/:id', requireAuth, requirePermission('products:delete'), auditMutation('product', { collection: 'products' }), checkIfMatch('products'), (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.id, 10);
+    console.log(`DELETE /api/products/${productId} - Deleting product`);
+    
+    // Move the product to the trash; its image files are deleted when it is purged
+    const deletedProduct = trash.remove(TRASH_COLLECTIONS.products, productId, req.user, { ifMatch: req.ifMatch });
+    
+    if (!deletedProduct) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Product not found'
+      });
+    }
+    
+    return res.status(200).json({
+      statusCode: 200,
+      message: 'Product deleted successfully',
+      data: deletedProduct
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error deleting product:', error);
+    return res.status(500).json({
+      statusCode: 500,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// API endpoint cho services
+app.get('/api/services', listQuery('services'), (req, res) => {
+  try {
+    console.log(`GET /api/services - Fetching services`);
+    
+    // Set CORS headers explicitly for this endpoint
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
+    res.header('Access-Control-Allow-Headers', '*');
+    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    
+    // Pre-flight response for OPTIONS
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    
+  const db = getPublicDatabase();
+    
+    // Define default services
+    const defaultServices = [
+      {
+        id: 1,
+        name: "Dịch vụ du lịch sinh thái",
+        title: "Dịch vụ du lịch sinh thái",
+        slug: "dich-vu-du-lich-sinh-thai",
+        summary: "Tham quan và trải nghiệm không gian sinh thái tại Thôn Trang Liên Nhất",
+        content: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
+        description: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
+        images: ["/images/placeholder.jpg"],
+        image: "/images/placeholder.jpg",
+        child_nav_id: 3,
+        categoryId: 3,
+        isFeatured: true,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      },
+      {
+        id: 2,
+        name: "Dịch vụ ẩm thực đặc sản",
+        title: "Dịch vụ ẩm thực đặc sản",
+        slug: "dich-vu-am-thuc-dac-san",
+        summary: "Thưởng thức đặc sản địa phương tại Thôn Trang Liên Nhất",
+        content: "Cung cấp dịch vụ ẩm thực với các món ăn đặc sản được chế biến từ nguyên liệu sạch, tươi ngon của địa phương.",
+        description: "Cung cấp dịch vụ ẩm thực với các món ăn đặc sản được chế biến từ nguyên liệu sạch, tươi ngon của địa phương.",
+        images: ["/images/placeholder.jpg"],
+        image: "/images/placeholder.jpg",
+        child_nav_id: 3,
+        categoryId: 3,
+        isFeatured: true,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    ];
+    
+    // Check if services exist in database and are valid
+    let services = defaultServices;
+    
+    if (db && db.services && Array.isArray(db.services) && db.services.length > 0) {
+      // Map services to ensure all required fields exist
+      services = db.services.map(service => ({
+        id: service.id || Math.floor(Math.random() * 1000),
+        name: service.name || "Dịch vụ",
+        title: service.title || service.name || "Dịch vụ",
+        slug: service.slug || slugify(service.name) || `dich-vu-${service.id || Math.floor(Math.random() * 1000)}`,
+        summary: service.summary || "",
+        content: service.content || "",
+        description: service.description || service.content || "",
+        images: Array.isArray(service.images) ? service.images : ["/images/placeholder.jpg"],
+        image: service.image || (Array.isArray(service.images) && service.images.length > 0 ? service.images[0] : "/images/placeholder.jpg"),
+        child_nav_id: service.child_nav_id || service.categoryId || 3,
+        categoryId: service.categoryId || service.child_nav_id || 3,
+        isFeatured: service.isFeatured === true || service.isFeatured === 'true' || false,
+        createdAt: service.createdAt || new Date().toISOString(),
+        updatedAt: service.updatedAt || new Date().toISOString()
+      }));
+    }
+    
+    const result = applyListQuery(services, req.listQuery, { expanders: navigationExpanders(req.listQuery) });
+    
+  res.json({
+    statusCode: 200,
+    message: 'Success',
+      data: result.data,
+      meta: result.meta
+    });
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    // Return default data instead of error
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: [
+        {
+          id: 1,
+          name: "Dịch vụ du lịch sinh thái",
+          title: "Dịch vụ du lịch sinh thái",
+          slug: "dich-vu-du-lich-sinh-thai",
+          summary: "Tham quan và trải nghiệm không gian sinh thái tại Thôn Trang Liên Nhất",
+          content: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
+          description: "Cung cấp dịch vụ tham quan du lịch sinh thái tại địa phương với các hoạt động gắn liền với thiên nhiên và nông nghiệp.",
+          images: ["/images/placeholder.jpg"],
+          image: "/images/placeholder.jpg",
+          child_nav_id: 3,
+          categoryId: 3,
+          isFeatured: true,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      ]
+    });
+  }
+});
+
+// API endpoint cho tạo mới service
+app.post('/api/services', requireAuth, requirePermission('services:create'), auditMutation('service', { collection: 'services' }), upload.array('images[]'), validateBody('services', { required: true }), (req, res, next) => {
+  try {
+    console.log('POST /api/services - Creating new service');
+    console.log('Request body:', req.body);
+    console.log('Files:', req.files);
+    
+    // Generate a new ID
+    const newId = repositories.services.nextId();
+    
+    // Get uploaded files
+    let imageUrls = [];
+    if (req.files && req.files.length > 0) {
+      imageUrls = req.files.map(file => `/images/uploads/${file.filename}`);
+      console.log('Uploaded image URLs:', imageUrls);
+    } else if (req.body.images && req.body.images.length > 0) {
+      // Paths of existing images sent in the body
+      imageUrls = req.body.images;
+      console.log('Image URLs from request body:', imageUrls);
+    } else {
+      // Default image
+      imageUrls = ['/images/uploads/default-image.jpg'];
+      console.log('Using default image');
+    }
+    
+    // Create the new service object
+    const newService = {
       id: newId,
       name: req.body.name || '',
-      position: req.body.position || '',
-      avatar: imageUrl,
-      image: imageUrl,
-      description: req.body.description || '',
-      createdAt: now,
-      updatedAt: now
+      title: req.body.name || '',
+      slug: slugify(req.body.slug || req.body.name),
+      summary: req.body.summary || '',
+      content: req.body.content || '',
+      description: req.body.content || '',
+      child_nav_id: req.body.child_nav_id || 0,
+      categoryId: req.body.child_nav_id || 0,
+      isFeatured: typeof req.body.isFeatured === 'boolean' ? req.body.isFeatured : true,
+      views: 0,
+      type: req.body.type || "dich-vu",
+      price: req.body.price || 0,
+      discountPrice: req.body.discountPrice || 0,
+      images: imageUrls,
+      image: imageUrls.length > 0 ? imageUrls[0] : '/images/uploads/default-image.jpg',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
     };
     
-    // Add to team array
-    db.team.push(newMember);
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
+    // Add to database
+    const createdService = repositories.services.insert(newService);
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -2228,183 +2304,1313 @@ app.post('/api/teams', upload.single('image'), (req, res) => {
     
     res.status(201).json({
       statusCode: 201,
-      message: 'Team member added successfully',
-      data: newMember
+      message: 'Service created successfully',
+      data: createdService
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error creating service:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error creating service: ' + error.message
+    });
+  }
+});
+
+// API endpoint cho cập nhật service theo ID
+app.post('/api/services/:id', requireAuth, requirePermission('services:update'), auditMutation('service', { collection: 'services' }), upload.array('images[]'), validateBody('services'), checkIfMatch('services'), (req, res, next) => {
+  try {
+    const serviceId = parseInt(req.params.id, 10);
+    console.log(`POST /api/services/${serviceId} - Updating service:`, req.body);
+    
+    // Find service
+    const existingService = repositories.services.findById(serviceId);
+    
+    if (!existingService) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Service not found'
+      });
+    }
+    
+    // Get the image URLs if uploaded
+    let imageUrls = existingService.images || [];
+    if (req.files && req.files.length > 0) {
+      imageUrls = req.files.map(file => `/images/uploads/${file.filename}`);
+      console.log(`Images updated:`, imageUrls);
+    } else if (req.body.images && req.body.images.length > 0) {
+      // Paths of existing images sent in the body
+      imageUrls = req.body.images;
+      console.log(`Keeping existing images:`, imageUrls);
+    }
+    
+    // Update service
+    const updatedService = repositories.services.replace(serviceId, {
+      ...existingService,
+      name: req.body.name || existingService.name,
+      title: req.body.name || existingService.title || existingService.name,
+      slug: req.body.slug || existingService.slug,
+      summary: req.body.summary || existingService.summary,
+      content: req.body.content || existingService.content,
+      description: req.body.content || existingService.description || existingService.content,
+      child_nav_id: req.body.child_nav_id || existingService.child_nav_id,
+      isFeatured: typeof req.body.isFeatured === 'boolean' ? req.body.isFeatured : existingService.isFeatured,
+      images: imageUrls,
+      updatedAt: new Date().toISOString()
+    }, { ifMatch: req.ifMatch });
+    
+    // Cache control headers
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    
+    setEntityTag(res, updatedService);
+    res.status(200).json({
+      statusCode: 200,
+      message: 'Service updated successfully',
+      data: updatedService
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error updating service:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error updating service: ' + error.message
+    });
+  }
+});
+
+// API endpoint cho experiences
+app.get('/api/experiences', listQuery('experiences'), (req, res) => {
+  try {
+    console.log('GET /api/experiences - Getting all experiences');
+    
+    // Set CORS headers explicitly for this endpoint
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    
+    // Pre-flight response for OPTIONS
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    
+  const db = getPublicDatabase();
+    
+    // Ensure experiences array exists and is valid
+    let experiences = [];
+    if (db && db.experiences && Array.isArray(db.experiences)) {
+      experiences = db.experiences;
+    } else {
+      // Default experiences if none exist
+      experiences = [
+        {
+          id: 1,
+          title: "Trải nghiệm du lịch sinh thái",
+          slug: "trai-nghiem-du-lich-sinh-thai",
+          summary: "Trải nghiệm du lịch sinh thái tại Thôn Trang Liên Nhất",
+          description: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
+          content: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
+          images: ["/images/placeholder.jpg"],
+          categoryId: 1,
+          isFeatured: true,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      ];
+      console.log('Experiences array not found or not an array, returning default experiences');
+    }
+    
+    const result = applyListQuery(experiences, req.listQuery, { expanders: navigationExpanders(req.listQuery) });
+    
+  res.json({
+    statusCode: 200,
+    message: 'Success',
+      data: result.data,
+      meta: result.meta
+    });
+  } catch (error) {
+    console.error('Error fetching experiences:', error);
+    // Return default data instead of error
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: [
+        {
+          id: 1,
+          title: "Trải nghiệm du lịch sinh thái",
+          slug: "trai-nghiem-du-lich-sinh-thai",
+          summary: "Trải nghiệm du lịch sinh thái tại Thôn Trang Liên Nhất",
+          description: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
+          content: "Khám phá nét đẹp thiên nhiên và văn hóa địa phương",
+          images: ["/images/placeholder.jpg"],
+          categoryId: 1,
+          isFeatured: true,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      ]
+    });
+  }
+});
+
+// API endpoint cho featured experiences (hiển thị ở trang chủ)
+app.get('/api/experiences/featured', (req, res) => {
+  try {
+    console.log('GET /api/experiences/featured - Fetching featured experiences');
+    
+    const db = getPublicDatabase();
+    
+    // Lấy tất cả experiences từ database
+    const experiences = db.experiences || [];
+    
+    // Giới hạn số lượng trả về (mặc định 6 items)
+    const limit = req.query.limit ? parseInt(req.query.limit) : 6;
+    const featuredExperiences = experiences.slice(0, limit);
+    
+    // Cache control headers
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: featuredExperiences,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Error fetching featured experiences:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error fetching featured experiences: ' + error.message
+    });
+  }
+});
+
+// API endpoint cho chi tiết experience
+app.get('/api/experiences/:id', shapeQuery('experiences'), (req, res) => {
+  try {
+    const experienceId = parseInt(req.params.id, 10);
+    const db = getPublicDatabase();
+    const experience = db.experiences.find(exp => exp.id === experienceId);
+    
+    if (experience) {
+      setEntityTag(res, experience, { weak: isShaped(req.shapeQuery) });
+      res.json({
+        statusCode: 200,
+        message: 'Success',
+        data: shapeRecord(experience, req.shapeQuery, navigationExpanders(req.shapeQuery))
+      });
+    } else {
+      res.status(404).json({
+        statusCode: 404,
+        message: 'Experience not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching experience:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error fetching experience: ' + error.message
+    });
+  }
+});
+
+// API endpoint cho news
+app.get('/api/news', listQuery('news'), (req, res) => {
+  try {
+    console.log('GET /api/news - Getting all news');
+    
+    // Set CORS headers explicitly for this endpoint
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    
+    // Pre-flight response for OPTIONS
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    
+  const db = getPublicDatabase();
+    
+    // Ensure news array exists and is valid
+    let news = [];
+    if (db && db.news && Array.isArray(db.news)) {
+      news = db.news;
+    } else {
+      // Default news if none exist
+      news = [
+        {
+          id: 1,
+          title: "Tin tức mới",
+          slug: "tin-tuc-moi",
+          summary: "Tin tức mới nhất của Thôn Trang Liên Nhất",
+          content: "Nội dung tin tức mới nhất",
+          images: ["/images/placeholder.jpg"],
+          categoryId: 1,
+          status: "published",
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      ];
+      console.log('News array not found or not an array, returning default news');
+    }
+    
+    const result = applyListQuery(news, req.listQuery, { expanders: navigationExpanders(req.listQuery) });
+    
+  res.json({
+    statusCode: 200,
+    message: 'Success',
+      data: result.data,
+      meta: result.meta
+    });
+  } catch (error) {
+    console.error('Error fetching news:', error);
+    // Return default data instead of error
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: [
+        {
+          id: 1,
+          title: "Tin tức mới",
+          slug: "tin-tuc-moi",
+          summary: "Tin tức mới nhất của Thôn Trang Liên Nhất",
+          content: "Nội dung tin tức mới nhất",
+          images: ["/images/placeholder.jpg"],
+          categoryId: 1,
+          status: "published",
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      ]
+    });
+  }
+});
+
+// API endpoint cho team
+app.get('/api/team', listQuery('team'), (req, res) => {
+  try {
+    console.log(`GET /api/team - Fetching team members (legacy endpoint)`);
+    
+    // Set CORS headers explicitly for this endpoint
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    
+  const db = getPublicDatabase();
+    
+    // Ensure the team array exists and is valid
+    const defaultTeam = [
+      {
+        id: 1,
+        name: "Nguyễn Hữu Quyền",
+        position: "Giám đốc HTX",
+        avatar: "/images/placeholder.jpg",
+        image: "/images/placeholder.jpg",
+        description: "Giám đốc HTX"
+      },
+      {
+        id: 2,
+        name: "Võ Tá Quỳnh",
+        position: "Quản Lý",
+        avatar: "/images/placeholder.jpg",
+        image: "/images/placeholder.jpg",
+        description: "Quản lý HTX"
+      }
+    ];
+    
+    const result = applyListQuery(Array.isArray(db.team) ? db.team : defaultTeam, req.listQuery);
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: result.data,
+      meta: result.meta
+    });
+  } catch (error) {
+    console.error('Error fetching teams (legacy endpoint):', error);
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: [
+        {
+          id: 1,
+          name: "Nguyễn Hữu Quyền",
+          position: "Giám đốc HTX",
+          avatar: "/images/placeholder.jpg",
+          image: "/images/placeholder.jpg",
+          description: "Giám đốc HTX"
+        }
+      ]
+    });
+  }
+});
+
+// Teams API endpoint (to match frontend calls to /api/teams)
+app.get('/api/teams', listQuery('team'), (req, res) => {
+  try {
+    console.log(`GET /api/teams - Fetching team members`);
+    
+    // Set CORS headers explicitly for this endpoint
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Headers', '*');
+    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    
+    // Pre-flight response for OPTIONS
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    
+  const db = getPublicDatabase();
+    
+    // Always provide default team members
+    const defaultTeam = [
+      {
+        id: 1,
+        name: "Nguyễn Hữu Quyền",
+        position: "Giám đốc HTX",
+        avatar: "/images/placeholder.jpg",
+        image: "/images/placeholder.jpg",
+        description: "Giám đốc HTX",
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      },
+      {
+        id: 2,
+        name: "Võ Tá Quỳnh",
+        position: "Quản Lý",
+        avatar: "/images/placeholder.jpg",
+        image: "/images/placeholder.jpg",
+        description: "Quản lý HTX",
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    ];
+    
+    // Use db.team if it exists and is an array with elements, otherwise use default team
+    const teams = (db.team && Array.isArray(db.team) && db.team.length > 0) ? db.team : defaultTeam;
+    
+    // Ensure all team members have required fields
+    const validTeams = teams.map(member => ({
+      id: member.id || Math.floor(Math.random() * 1000),
+      name: member.name || "Team Member",
+      position: member.position || "Member",
+      avatar: member.avatar || "/images/placeholder.jpg",
+      image: member.image || "/images/placeholder.jpg",
+      description: member.description || "",
+      createdAt: member.createdAt || new Date().toISOString(),
+      updatedAt: member.updatedAt || new Date().toISOString()
+    }));
+  
+    const result = applyListQuery(validTeams, req.listQuery);
+    
+  res.json({
+    statusCode: 200,
+    message: 'Success',
+      data: result.data,
+      meta: result.meta
+    });
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    // Return default data instead of error
+    res.json({
+      statusCode: 200,
+      message: 'Success', 
+      data: [
+        {
+          id: 1,
+          name: "Nguyễn Hữu Quyền",
+          position: "Giám đốc HTX",
+          avatar: "/images/placeholder.jpg",
+          image: "/images/placeholder.jpg",
+          description: "Giám đốc HTX",
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        },
+        {
+          id: 2,
+          name: "Võ Tá Quỳnh",
+          position: "Quản Lý",
+          avatar: "/images/placeholder.jpg",
+          image: "/images/placeholder.jpg",
+          description: "Quản lý HTX",
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      ]
+    });
+  }
+});
+
+// Get team members by ID
+app.get('/api/teams/:id', shapeQuery('team'), (req, res) => {
+  try {
+    const teamId = parseInt(req.params.id, 10) || 0;
+    console.log(`GET /api/teams/${teamId} - Fetching team member`);
+    
+    // Set CORS headers explicitly for this endpoint
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Cache-Control', 'no-store, no-cache, must-revalidate');
+    
+    // Pre-flight response for OPTIONS
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    
+  const db = getPublicDatabase();
+    
+    // Default member data to use if not found
+    const defaultMember = {
+      id: teamId,
+      name: "Team Member",
+      position: "Member",
+      avatar: "/images/placeholder.jpg",
+      image: "/images/placeholder.jpg",
+      description: "Team member information",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Check if team array exists and is valid
+    if (!db || !db.team || !Array.isArray(db.team)) {
+      return res.json({
+        statusCode: 200,
+        message: 'Success',
+        data: defaultMember
+      });
+    }
+    
+    const member = db.team.find(member => member.id === teamId);
+    
+    if (member) {
+    setEntityTag(res, member, { weak: isShaped(req.shapeQuery) });
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+        data: shapeRecord(member, req.shapeQuery)
+    });
+  } else {
+      // Return default data instead of 404
+      res.json({
+        statusCode: 200,
+        message: 'Success',
+        data: defaultMember
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching team member:', error);
+    // Return default data instead of error
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: {
+        id: parseInt(req.params.id, 10) || 1,
+        name: "Team Member",
+        position: "Member",
+        avatar: "/images/placeholder.jpg",
+        image: "/images/placeholder.jpg",
+        description: "Team member information",
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    });
+  }
+});
+
+// POST endpoint for adding a team member
+app.post('/api/teams', requireAuth, requirePermission('teams:create'), auditMutation('team', { collection: 'team' }), upload.single('image'), validateBody('team', { required: true }), (req, res, next) => {
+  try {
+    console.log('POST /api/teams - Adding team member:', req.body);
+    
+    // Generate new ID
+    const newId = repositories.team.nextId();
+    const now = new Date().toISOString();
+    
+    // Get the image URL if uploaded
+    let imageUrl = '';
+    if (req.file) {
+      imageUrl = `/images/uploads/${req.file.filename}`;
+      console.log(`Image uploaded: ${imageUrl}`);
+    }
+    
+    // Create new team member
+    const newMember = {
+      id: newId,
+      name: req.body.name || '',
+      position: req.body.position || '',
+      avatar: imageUrl,
+      image: imageUrl,
+      description: req.body.description || '',
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    // Add to team array
+    repositories.team.insert(newMember);
+    
+    // Cache control headers
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    
+    res.status(201).json({
+      statusCode: 201,
+      message: 'Team member added successfully',
+      data: newMember
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error adding team member:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error adding team member: ' + error.message
+    });
+  }
+});
+
+// POST endpoint for updating a team member
+app.post('/api/teams/:id', requireAuth, requirePermission('teams:update'), auditMutation('team', { collection: 'team' }), upload.single('image'), validateBody('team'), checkIfMatch('team'), (req, res, next) => {
+  try {
+    const teamId = parseInt(req.params.id, 10);
+    console.log(`POST /api/teams/${teamId} - Updating team member:`, req.body);
+    
+    // Find team member
+    const existingMember = repositories.team.findById(teamId);
+    
+    if (!existingMember) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Team member not found'
+      });
+    }
+    
+    // Get the image URL if uploaded
+    let imageUrl = existingMember.image;
+    if (req.file) {
+      imageUrl = `/images/uploads/${req.file.filename}`;
+      console.log(`Image updated: ${imageUrl}`);
+    }
+    
+    // Update team member
+    const updatedMember = repositories.team.replace(teamId, {
+      ...existingMember,
+      name: req.body.name || existingMember.name,
+      position: req.body.position || existingMember.position,
+      avatar: imageUrl,
+      image: imageUrl,
+      description: req.body.description || existingMember.description,
+      updatedAt: new Date().toISOString()
+    }, { ifMatch: req.ifMatch });
+    
+    // Cache control headers
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    
+    setEntityTag(res, updatedMember);
+    res.json({
+      statusCode: 200,
+      message: 'Team member updated successfully',
+      data: updatedMember
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error updating team member:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error updating team member: ' + error.message
+    });
+  }
+});
+
+// DELETE endpoint for removing a team member
+app.delete('/api/teams/:id', requireAuth, requirePermission('teams:delete'), auditMutation('team', { collection: 'team' }), checkIfMatch('team'), (req, res, next) => {
+  try {
+    const teamId = parseInt(req.params.id, 10);
+    console.log(`DELETE /api/teams/${teamId} - Deleting team member`);
+    
+    // Move the member to the trash; the image file is deleted when it is purged
+    const deletedMember = trash.remove(TRASH_COLLECTIONS.teams, teamId, req.user, { ifMatch: req.ifMatch });
+    
+    if (!deletedMember) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Team member not found'
+      });
+    }
+    
+    // Cache control headers
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    
+    res.json({
+      statusCode: 200,
+      message: 'Team member deleted successfully',
+      data: { id: teamId }
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error deleting team member:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error deleting team member: ' + error.message
+    });
+  }
+});
+
+// API endpoint cho categories
+app.get('/api/categories', (req, res) => {
+  const db = getDatabase();
+  res.json(db.categories);
+});
+
+// Failed logins are throttled per IP and per account
+const loginThrottle = createLoginThrottle();
+
+// Lifetime of the challenge token returned when a second factor is required
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60;
+
+// Reply 429 with the time the client has to wait
+const sendLoginThrottled = (res, result) => {
+  res.set('Retry-After', String(result.retryAfter));
+  return res.status(429).json({
+    statusCode: 429,
+    message: result.reason === 'locked'
+      ? `Too many failed login attempts. Try again in ${result.retryAfter} seconds`
+      : `Please wait ${result.retryAfter} seconds before trying again`,
+    retryAfter: result.retryAfter
+  });
+};
+
+// Start a session for a fully authenticated user and send the token pair
+const completeLogin = (req, res, db, user, twoFactorVerified) => {
+  const { session, refreshToken } = authUtils.createSession(user, req);
+  session.twoFactorVerified = !!twoFactorVerified;
+  const accessToken = authUtils.createAccessToken(user, session.id);
+  
+  authUtils.pruneSessions(db);
+  db.sessions.push(session);
+  user.lastLoginAt = new Date().toISOString();
+  
+  loginThrottle.recordSuccess(user.email);
+  recordLoginAttempt(req, { email: user.email, userId: user.id, success: true });
+  
+  if (!writeDatabase(db)) {
+    return res.status(500).json({
+      statusCode: 500,
+      message: 'Error writing to database'
+    });
+  }
+  
+  res.json({
+    statusCode: 200,
+    message: 'Login successful',
+    data: {
+      accessToken: accessToken.token,
+      refreshToken: refreshToken,
+      accessTokenExpiresAt: accessToken.expiresAt,
+      refreshTokenExpiresAt: session.expiresAt,
+      user: authUtils.toPublicUser(user)
+    }
+  });
+};
+
+// API đăng nhập
+app.post('/api/auth/login', inTransaction((req, res) => {
+  try {
+    const { password } = req.body || {};
+    // Emails are stored lower case (see user-utils.js); older records may not be, so compare lower case
+    const email = String((req.body && req.body.email) || '').trim().toLowerCase();
+    const db = getDatabase();
+    
+    const throttle = loginThrottle.check(req.ip, email);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+    
+    const user = db.users.find(u => String(u.email).toLowerCase() === email);
+    
+    if (!user || !passwordUtils.verifyPassword(String(password || ''), user.password)) {
+      loginThrottle.recordFailure(req.ip, email);
+      recordLoginAttempt(req, {
+        email,
+        userId: user ? user.id : null,
+        success: false,
+        reason: user ? 'invalid_password' : 'unknown_user'
+      });
+      
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    if (!userUtils.isUserActive(user)) {
+      recordLoginAttempt(req, { email, userId: user.id, success: false, reason: 'disabled' });
+      
+      return res.status(403).json({
+        statusCode: 403,
+        message: 'Account is disabled'
+      });
+    }
+    
+    // Upgrade plaintext or outdated hashes now that we know the password
+    const rehashed = passwordUtils.needsRehash(user.password);
+    if (rehashed) {
+      user.password = passwordUtils.hashPassword(password);
+      user.updatedAt = new Date().toISOString();
+      console.log(`Rehashed password for user ${user.id}`);
+    }
+    
+    // Enrolled users get a short-lived challenge instead of tokens until the code is verified
+    if (totpUtils.isTwoFactorEnabled(user)) {
+      recordLoginAttempt(req, { email, userId: user.id, success: false, reason: 'two_factor_required' });
+      if (rehashed) {
+        writeDatabase(db);
+      }
+      
+      return res.json({
+        statusCode: 200,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: authUtils.signToken({ sub: user.id, type: 'two_factor_challenge' }, TWO_FACTOR_CHALLENGE_TTL),
+          challengeExpiresAt: new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL * 1000).toISOString()
+        }
+      });
+    }
+    
+    completeLogin(req, res, db, user, false);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error logging in: ' + error.message
+    });
+  }
+}));
+
+// Second login step: exchange a challenge token and a TOTP or recovery code for a token pair
+app.post('/api/auth/2fa/verify', inTransaction((req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    const claims = authUtils.verifyToken(challengeToken);
+    
+    if (!claims || claims.type !== 'two_factor_challenge') {
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+    
+    const db = getDatabase();
+    const user = db.users.find(u => u.id === claims.sub);
+    
+    if (!user || !userUtils.isUserActive(user) || !totpUtils.isTwoFactorEnabled(user)) {
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+    
+    // Codes are only six digits, so guesses count against the same limits as passwords
+    const throttle = loginThrottle.check(req.ip, user.email);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+    
+    const method = totpUtils.verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      loginThrottle.recordFailure(req.ip, user.email);
+      recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: 'invalid_two_factor_code' });
+      
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Invalid two-factor code'
+      });
+    }
+    
+    if (method === 'recovery') {
+      console.warn(`User ${user.id} logged in with a recovery code, ${user.twoFactor.recoveryCodes.length} left`);
+    }
+    
+    completeLogin(req, res, db, user, true);
+  } catch (error) {
+    console.error('Error verifying two-factor code:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error verifying two-factor code: ' + error.message
+    });
+  }
+}));
+
+// Outgoing mail (password reset links), configured with MAIL_TRANSPORT
+const mailTransport = createMailTransport();
+
+// Request a password reset link - the answer is the same whether or not the email exists
+app.post('/api/auth/forgot-password', inTransaction((req, res) => {
+  try {
+    const email = String((req.body && req.body.email) || '').trim().toLowerCase();
+    
+    if (!email) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Email is required'
+      });
+    }
+    
+    const db = getDatabase();
+    const user = db.users.find(u => String(u.email).toLowerCase() === email);
+    
+    if (user && userUtils.isUserActive(user)) {
+      const reset = passwordReset.createResetToken(db, user, req);
+      
+      if (reset && writeDatabase(db)) {
+        console.log(`Password reset requested for user ${user.id}`);
+        mailTransport.send(passwordReset.buildResetMail(user, reset.token))
+          .catch(error => console.error(`Error sending password reset mail to user ${user.id}:`, error.message));
+      }
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'If the email belongs to an account, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error requesting password reset: ' + error.message
+    });
+  }
+}));
+
+// Set a new password with a token from the reset mail; signs out every session of the user
+app.post('/api/auth/reset-password', inTransaction((req, res) => {
+  try {
+    const { token, newPassword } = req.body || {};
+    const db = getDatabase();
+    
+    const entry = passwordReset.findResetToken(db, token);
+    const user = entry ? db.users.find(u => u.id === entry.userId) : null;
+    
+    if (!entry || !userUtils.isUserActive(user)) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    const errors = passwordUtils.validatePasswordPolicy(newPassword, user);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'New password does not meet the password policy',
+        errors: errors
+      });
+    }
+    
+    user.password = passwordUtils.hashPassword(newPassword);
+    user.updatedAt = new Date().toISOString();
+    passwordReset.consumeResetToken(db, entry);
+    
+    (db.sessions || [])
+      .filter(s => s.userId === user.id)
+      .forEach(session => authUtils.revokeSession(db, session, 'password_reset'));
+    
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
+    
+    // A successful reset also lifts a lockout caused by failed logins
+    loginThrottle.recordSuccess(user.email);
+    
+    res.json({
+      statusCode: 200,
+      message: 'Password has been reset, please log in again'
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error resetting password: ' + error.message
+    });
+  }
+}));
+
+// Start two-factor enrolment: generate a secret the user adds to an authenticator app
+app.post('/api/auth/2fa/setup', requireUserSession, inTransaction((req, res) => {
+  try {
+    const db = getDatabase();
+    const user = db.users.find(u => u.id === req.auth.userId);
+    
+    if (totpUtils.isTwoFactorEnabled(user)) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = totpUtils.generateTotpSecret();
+    user.twoFactor = { enabled: false, pendingSecret: secret };
+    
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Scan the otpauth URI and confirm with a code to enable two-factor authentication',
+      data: {
+        secret: secret,
+        otpauthUri: totpUtils.buildOtpauthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error starting two-factor setup: ' + error.message
+    });
+  }
+}));
+
+// Finish enrolment with a code from the app; the recovery codes are only shown in this response
+app.post('/api/auth/2fa/enable', requireUserSession, inTransaction((req, res) => {
+  try {
+    const db = getDatabase();
+    const user = db.users.find(u => u.id === req.auth.userId);
+    const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+    
+    if (!pendingSecret) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Start two-factor setup first'
+      });
+    }
+    
+    const step = totpUtils.verifyTotp(pendingSecret, req.body && req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Invalid two-factor code'
+      });
+    }
+    
+    const recovery = totpUtils.generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recovery.hashes,
+      enabledAt: new Date().toISOString()
+    };
+    user.updatedAt = new Date().toISOString();
+    
+    // The current session just proved the second factor
+    const session = db.sessions.find(s => s.id === req.auth.sessionId);
+    if (session) {
+      session.twoFactorVerified = true;
+    }
+    
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes: recovery.codes
+      }
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error enabling two-factor authentication: ' + error.message
+    });
+  }
+}));
+
+// Replace the recovery codes, confirmed with a current TOTP code
+app.post('/api/auth/2fa/recovery-codes', requireUserSession, inTransaction((req, res) => {
+  try {
+    const db = getDatabase();
+    const user = db.users.find(u => u.id === req.auth.userId);
+    
+    if (!totpUtils.isTwoFactorEnabled(user)) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (totpUtils.verifySecondFactor(user, { code: req.body && req.body.code }) !== 'totp') {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Invalid two-factor code'
+      });
+    }
+    
+    const recovery = totpUtils.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recovery.hashes;
+    
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes: recovery.codes
+      }
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error regenerating recovery codes: ' + error.message
+    });
+  }
+}));
+
+// Turn two-factor authentication off, confirmed with the password and a code
+app.post('/api/auth/2fa/disable', requireUserSession, inTransaction((req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const db = getDatabase();
+    const user = db.users.find(u => u.id === req.auth.userId);
+    
+    if (!totpUtils.isTwoFactorEnabled(user)) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!passwordUtils.verifyPassword(String(password || ''), user.password) ||
+        !totpUtils.verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+    
+    delete user.twoFactor;
+    user.updatedAt = new Date().toISOString();
+    
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Two-factor authentication disabled',
+      data: authUtils.toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error disabling two-factor authentication: ' + error.message
+    });
+  }
+}));
+
+// Exchange a refresh token for a new token pair (the refresh token rotates on every use)
+app.post('/api/auth/refresh', inTransaction((req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    const db = getDatabase();
+    authUtils.pruneSessions(db);
+    
+    const { session, reused } = authUtils.findSessionByRefreshToken(db, refreshToken);
+    
+    if (session && reused) {
+      // A rotated token was replayed - assume it leaked and kill the whole session
+      console.warn(`Refresh token reuse detected for session ${session.id} (user ${session.userId})`);
+      authUtils.revokeSession(db, session, 'refresh_token_reuse');
+      writeDatabase(db);
+      
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Refresh token has already been used, session revoked'
+      });
+    }
+    
+    const user = session ? db.users.find(u => u.id === session.userId) : null;
+    
+    if (!session || !userUtils.isUserActive(user)) {
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+    
+    const newRefreshToken = authUtils.rotateSession(session);
+    const accessToken = authUtils.createAccessToken(user, session.id);
+    
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: accessToken.token,
+        refreshToken: newRefreshToken,
+        accessTokenExpiresAt: accessToken.expiresAt,
+        refreshTokenExpiresAt: session.expiresAt,
+        user: authUtils.toPublicUser(user)
+      }
     });
   } catch (error) {
-    console.error('Error adding team member:', error);
+    console.error('Error refreshing token:', error);
     res.status(500).json({
       statusCode: 500,
-      message: 'Error adding team member: ' + error.message
+      message: 'Error refreshing token: ' + error.message
     });
   }
-});
+}));
 
-// POST endpoint for updating a team member
-app.post('/api/teams/:id', upload.single('image'), (req, res) => {
+// Revoke the current session, or every session of the user with { allSessions: true }
+app.post('/api/auth/logout', requireUserSession, inTransaction((req, res) => {
   try {
-    const teamId = parseInt(req.params.id, 10);
-    console.log(`POST /api/teams/${teamId} - Updating team member:`, req.body);
+    const allSessions = req.body && (req.body.allSessions === true || req.body.allSessions === 'true');
     
-    // Read the database
     const db = getDatabase();
     
-    // Find team member
-    const memberIndex = db.team.findIndex(member => member.id === teamId);
-    
-    if (memberIndex === -1) {
-      return res.status(404).json({
-        statusCode: 404,
-        message: 'Team member not found'
-      });
-    }
+    const sessions = db.sessions.filter(s => allSessions
+      ? s.userId === req.auth.userId
+      : s.id === req.auth.sessionId
+    );
     
-    // Get existing member data
-    const existingMember = db.team[memberIndex];
+    sessions.forEach(session => {
+      authUtils.revokeSession(db, session, allSessions ? 'logout_all' : 'logout');
+    });
     
-    // Get the image URL if uploaded
-    let imageUrl = existingMember.image;
-    if (req.file) {
-      imageUrl = `/images/uploads/${req.file.filename}`;
-      console.log(`Image updated: ${imageUrl}`);
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
     }
     
-    // Update team member
-    db.team[memberIndex] = {
-      ...existingMember,
-      name: req.body.name || existingMember.name,
-      position: req.body.position || existingMember.position,
-      avatar: imageUrl,
-      image: imageUrl,
-      description: req.body.description || existingMember.description,
-      updatedAt: new Date().toISOString()
-    };
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Cache control headers
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
+    console.log(`User ${req.auth.userId} logged out, revoked ${sessions.length} session(s)`);
     
     res.json({
       statusCode: 200,
-      message: 'Team member updated successfully',
-      data: db.team[memberIndex]
+      message: 'Logged out successfully',
+      data: {
+        revokedSessions: sessions.length
+      }
     });
   } catch (error) {
-    console.error('Error updating team member:', error);
+    console.error('Error logging out:', error);
     res.status(500).json({
       statusCode: 500,
-      message: 'Error updating team member: ' + error.message
+      message: 'Error logging out: ' + error.message
     });
   }
-});
+}));
 
-// DELETE endpoint for removing a team member
-app.delete('/api/teams/:id', (req, res) => {
+// Change the password of the logged in user
+const changeOwnPassword = inTransaction((req, res) => {
   try {
-    const teamId = parseInt(req.params.id, 10);
-    console.log(`DELETE /api/teams/${teamId} - Deleting team member`);
+    const { currentPassword, newPassword } = req.body || {};
     
-    // Read the database
     const db = getDatabase();
+    const user = db.users.find(u => u.id === req.auth.userId);
     
-    // Find team member
-    const memberIndex = db.team.findIndex(member => member.id === teamId);
-    
-    if (memberIndex === -1) {
-      return res.status(404).json({
-        statusCode: 404,
-        message: 'Team member not found'
+    if (!user || !passwordUtils.verifyPassword(String(currentPassword || ''), user.password)) {
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Current password is incorrect'
       });
     }
     
-    // Store member data before removing
-    const deletedMember = db.team[memberIndex];
+    const policyErrors = passwordUtils.validatePasswordPolicy(newPassword, user);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Password does not meet the password policy',
+        errors: policyErrors
+      });
+    }
     
-    // Remove member from array
-    db.team.splice(memberIndex, 1);
+    user.password = passwordUtils.hashPassword(newPassword);
+    user.updatedAt = new Date().toISOString();
     
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
+    // Sign out every other session of this user
+    db.sessions
+      .filter(s => s.userId === user.id && s.id !== req.auth.sessionId)
+      .forEach(session => authUtils.revokeSession(db, session, 'password_change'));
     
-    // Try to delete the image file if it exists
-    if (deletedMember.image && deletedMember.image.includes('/uploads/')) {
-      const filename = deletedMember.image.split('/').pop();
-      const filePath = path.join(UPLOADS_DIR, filename);
-      
-      if (fs.existsSync(filePath)) {
-        try {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted image file: ${filePath}`);
-        } catch (fileError) {
-          console.error(`Could not delete image file: ${filePath}`, fileError);
-          // Continue even if file deletion fails
-        }
-      }
+    if (!writeDatabase(db)) {
+      return res.status(500).json({
+        statusCode: 500,
+        message: 'Error writing to database'
+      });
     }
     
-    // Cache control headers
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    
     res.json({
       statusCode: 200,
-      message: 'Team member deleted successfully',
-      data: { id: teamId }
+      message: 'Password changed successfully',
+      data: authUtils.toPublicUser(user)
     });
   } catch (error) {
-    console.error('Error deleting team member:', error);
+    console.error('Error changing password:', error);
     res.status(500).json({
       statusCode: 500,
-      message: 'Error deleting team member: ' + error.message
+      message: 'Error changing password: ' + error.message
     });
   }
 });
 
-// API endpoint cho categories
-app.get('/api/categories', (req, res) => {
-  const db = getDatabase();
-  res.json(db.categories);
-});
-
-// API đăng nhập
-app.post('/api/auth/login', (req, res) => {
-  const { email, password } = req.body;
-  const db = getDatabase();
-  
-  const user = db.users.find(u => u.email === email);
-  
-  if (user && (password === 'password' || password === 'dat12345' || password === user.password)) {
-    res.json({
-      statusCode: 200,
-      message: 'Login successful',
-      data: {
-        accessToken: 'fake-token-123456',
-        refreshToken: 'fake-refresh-token-123456',
-        accessTokenExpiresAt: new Date(Date.now() + 3600000).toISOString(),
-        refreshTokenExpiresAt: new Date(Date.now() + 604800000).toISOString(),
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          avatar: user.avatar
-        }
-      }
-    });
-  } else {
-    res.status(401).json({
-      statusCode: 401,
-      message: 'Invalid credentials'
-    });
-  }
-});
+app.post('/api/auth/change-password', requireUserSession, changeOwnPassword);
+app.post('/api/users/me/password', requireUserSession, changeOwnPassword);
 
 // Khởi động server - DISABLED: Server is started at the end of file
 // app.listen(PORT, () => {
@@ -2423,13 +3629,12 @@ app.post('/api/auth/login', (req, res) => {
 // });
 
 // API endpoint cho images
-app.get('/api/images', (req, res) => {
+app.get('/api/images', listQuery('images'), (req, res) => {
   try {
     console.log(`GET /api/images with query:`, req.query);
     
-    const db = getDatabase();
-    const images = db.images || [];
-    console.log(`Returning ${images.length} images`);
+    const result = applyListQuery(repositories.images.all(), req.listQuery);
+    console.log(`Returning ${result.data.length} of ${result.meta.total} images`);
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -2439,7 +3644,8 @@ app.get('/api/images', (req, res) => {
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: images,
+      data: result.data,
+      meta: result.meta,
       timestamp: Date.now()
     });
   } catch (error) {
@@ -2452,23 +3658,12 @@ app.get('/api/images', (req, res) => {
 });
 
 // API endpoint for contact
-app.get('/api/contact', (req, res) => {
+app.get('/api/contact', listQuery('contacts', { defaultPageSize: 10 }), (req, res) => {
   try {
     console.log(`GET /api/contact with query:`, req.query);
     
-    // Get limit from query or use default
-    const limit = req.query.limit ? parseInt(req.query.limit) : 10;
-    
-    // Read the database
-    const db = getDatabase();
-    
-    // Ensure contacts array exists
-    if (!db.contacts) {
-      db.contacts = [];
-    }
-    
-    // Get contacts from database (with limit if specified)
-    const contacts = limit > 0 ? db.contacts.slice(0, limit) : db.contacts;
+    // Ten contacts per page unless pageSize (or limit) says otherwise
+    const result = applyListQuery(repositories.contacts.all(), req.listQuery);
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
@@ -2478,7 +3673,8 @@ app.get('/api/contact', (req, res) => {
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: contacts,
+      data: result.data,
+      meta: result.meta,
       timestamp: Date.now()
     });
   } catch (error) {
@@ -2491,27 +3687,15 @@ app.get('/api/contact', (req, res) => {
 });
 
 // POST endpoint for creating a contact message
-app.post('/api/contact', (req, res) => {
+app.post('/api/contact', auditMutation('contact', { collection: 'contacts' }), validateBody('contacts', { required: true }), (req, res, next) => {
   try {
     console.log('POST /api/contact - Creating contact message:', req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Ensure contacts array exists
-    if (!db.contacts) {
-      db.contacts = [];
-    }
-    
     // Extract data from request
     const { name, email, phone, title, content } = req.body;
     
     // Generate new ID
-    const maxId = db.contacts.length > 0 
-      ? Math.max(...db.contacts.map(item => Number(item.id) || 0)) 
-      : 0;
-    
-    const newId = maxId + 1;
+    const newId = repositories.contacts.nextId();
     const now = new Date().toISOString();
     
     // Create new contact object
@@ -2522,16 +3706,11 @@ app.post('/api/contact', (req, res) => {
       phone: phone || '',
       title: title || '',
       content: content || '',
-      created_at: now
+      createdAt: now
     };
     
     // Add to contacts array
-    db.contacts.push(newContact);
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
+    repositories.contacts.insert(newContact);
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -2543,6 +3722,9 @@ app.post('/api/contact', (req, res) => {
       data: newContact
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error creating contact message:', error);
     res.status(500).json({
       statusCode: 500,
@@ -2595,15 +3777,15 @@ app.get('/api/notifications', (req, res) => {
 });
 
 // API endpoint cho videos
-app.get('/api/videos', (req, res) => {
+app.get('/api/videos', listQuery('videos'), (req, res) => {
   try {
     console.log(`GET /api/videos with query:`, req.query);
     
     // Read the database
-    const db = getDatabase();
+    const db = getPublicDatabase();
     
     // Trả về videos từ database
-    const videos = db.videos || [];
+    const result = applyListQuery(db.videos || [], req.listQuery);
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -2612,7 +3794,8 @@ app.get('/api/videos', (req, res) => {
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: videos,
+      data: result.data,
+      meta: result.meta,
       timestamp: Date.now()
     });
   } catch (error) {
@@ -2631,7 +3814,7 @@ app.get('/api/videos/:id', (req, res) => {
     console.log(`GET /api/videos/${videoId} - Fetching video`);
     
     // Read the database
-    const db = getDatabase();
+    const db = getPublicDatabase();
     
     if (!db.videos || !Array.isArray(db.videos)) {
       return res.status(404).json({
@@ -2649,6 +3832,7 @@ app.get('/api/videos/:id', (req, res) => {
       });
     }
     
+    setEntityTag(res, video);
     res.json({
       statusCode: 200,
       message: 'Success',
@@ -2664,7 +3848,7 @@ app.get('/api/videos/:id', (req, res) => {
 });
 
 // File upload endpoint
-app.post('/api/upload/image', upload.single('image'), (req, res) => {
+app.post('/api/upload/image', requireAuth, requirePermission('uploads:create'), auditMutation('upload'), upload.single('image'), (req, res) => {
   try {
     console.log('File upload request received');
     
@@ -2723,24 +3907,12 @@ app.post('/api/upload/image', upload.single('image'), (req, res) => {
 });
 
 // API endpoint to add image to database
-app.post('/api/images', (req, res) => {
+app.post('/api/images', requireAuth, requirePermission('images:create'), auditMutation('image', { collection: 'images' }), validateBody('images'), (req, res, next) => {
   try {
     console.log('POST /api/images - Request body:', req.body);
     
-    // Read the current database
-    const db = getDatabase();
-    
-    // Ensure images array exists
-    if (!db.images) {
-      db.images = [];
-    }
-    
     // Generate ID
-    const maxId = db.images.length > 0 
-      ? Math.max(...db.images.map(img => Number(img.id) || 0)) 
-      : 0;
-    
-    const newId = maxId + 1;
+    const newId = repositories.images.nextId();
     const now = new Date().toISOString();
     
     // Create new image object
@@ -2753,12 +3925,7 @@ app.post('/api/images', (req, res) => {
     };
     
     // Add to images array
-    db.images.push(newImage);
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
+    repositories.images.insert(newImage);
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -2770,6 +3937,9 @@ app.post('/api/images', (req, res) => {
       data: newImage
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error adding image:', error);
     res.status(500).json({
       statusCode: 500,
@@ -2779,59 +3949,21 @@ app.post('/api/images', (req, res) => {
 });
 
 // DELETE endpoint for images
-app.delete('/api/images/:id', (req, res) => {
+app.delete('/api/images/:id', requireAuth, requirePermission('images:delete'), auditMutation('image', { collection: 'images' }), checkIfMatch('images'), (req, res, next) => {
   try {
     const imageId = parseInt(req.params.id);
     console.log(`DELETE /api/images/${imageId} - Deleting image`);
     
-    // Read the current database
-    const db = getDatabase();
-    
-    // Ensure images array exists
-    if (!db.images || !Array.isArray(db.images)) {
-      return res.status(404).json({
-        statusCode: 404,
-        message: 'Images array not found in database'
-      });
-    }
-    
-    // Find the image to delete
-    const imageIndex = db.images.findIndex(img => img.id === imageId);
+    // Move the image to the trash; the file stays until the record is purged, so a restore brings it back
+    const deletedImage = trash.remove(TRASH_COLLECTIONS.images, imageId, req.user, { ifMatch: req.ifMatch });
     
-    if (imageIndex === -1) {
+    if (!deletedImage) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Image not found'
       });
     }
     
-    // Get the image before removing it
-    const deletedImage = db.images[imageIndex];
-    
-    // Remove the image from array
-    db.images.splice(imageIndex, 1);
-    
-    // Save the updated database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Try to delete the actual image file if it's in the uploads directory
-    if (deletedImage.url && deletedImage.url.includes('/uploads/')) {
-      const fileName = path.basename(deletedImage.url);
-      const filePath = path.join(UPLOADS_DIR, fileName);
-      
-      if (fs.existsSync(filePath)) {
-        try {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted file: ${filePath}`);
-        } catch (fileError) {
-          console.error(`Could not delete file: ${filePath}`, fileError);
-          // Continue even if file deletion fails
-        }
-      }
-    }
-    
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -2842,6 +3974,9 @@ app.delete('/api/images/:id', (req, res) => {
       data: deletedImage
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error deleting image:', error);
     res.status(500).json({
       statusCode: 500,
@@ -2937,7 +4072,7 @@ app.get('/api/configuration', (req, res) => {
 });
 
 // API endpoint to update configuration
-app.put('/api/configuration/:id', (req, res) => {
+app.put('/api/configuration/:id', requireAuth, requirePermission('settings:update'), auditMutation('configuration'), (req, res) => {
   try {
     const configId = parseInt(req.params.id);
     console.log(`PUT /api/configuration/${configId} - Updating configuration`, req.body);
@@ -2969,7 +4104,7 @@ app.put('/api/configuration/:id', (req, res) => {
 });
 
 // API endpoint to update settings
-app.put('/api/settings/:id', (req, res) => {
+app.put('/api/settings/:id', requireAuth, requirePermission('settings:update'), auditMutation('settings'), (req, res) => {
   try {
     const settingsId = parseInt(req.params.id);
     console.log(`PUT /api/settings/${settingsId} - Updating settings`, req.body);
@@ -3083,7 +4218,7 @@ app.get('/configuration', (req, res) => {
 });
 
 // Update configuration without /api prefix
-app.post('/configuration/:id', (req, res) => {
+app.post('/configuration/:id', requireAuth, requirePermission('settings:update'), auditMutation('configuration'), (req, res) => {
   try {
     const configId = parseInt(req.params.id);
     console.log(`POST /configuration/${configId} - Updating configuration from frontend`, req.body);
@@ -3115,43 +4250,35 @@ app.post('/configuration/:id', (req, res) => {
 });
 
 // Add endpoints for editing parent navigation items
-app.patch('/api/parent-navs/:id', (req, res) => {
+app.patch('/api/parent-navs/:id', requireAuth, requirePermission('navigation:update'), auditMutation('navigation', { collection: 'navigation' }), validateBody('navigation'), checkIfMatch('navigation'), (req, res, next) => {
   try {
     const id = parseInt(req.params.id);
     console.log(`PATCH /api/parent-navs/${id} - Updating parent navigation:`, req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Find the parent navigation item
-    const parentIndex = db.navigation.findIndex(nav => nav.id === id);
+    // Update the parent navigation item
+    const updatedParent = repositories.navigation.update(id, {
+      ...req.body,
+      id: id // Ensure ID doesn't change
+    }, { ifMatch: req.ifMatch });
     
-    if (parentIndex === -1) {
+    if (!updatedParent) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Parent navigation not found'
       });
     }
     
-    // Update the parent navigation item
-    db.navigation[parentIndex] = {
-      ...db.navigation[parentIndex],
-      ...req.body,
-      id: id // Ensure ID doesn't change
-    };
-    
-    // Save the updated database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
     // Return success response
+    setEntityTag(res, updatedParent);
     res.json({
       statusCode: 200,
       message: 'Parent navigation updated successfully',
-      data: db.navigation[parentIndex]
+      data: updatedParent
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error updating parent navigation:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3161,51 +4288,21 @@ app.patch('/api/parent-navs/:id', (req, res) => {
 });
 
 // Add endpoints for deleting parent navigation items
-app.delete('/api/parent-navs/:id', (req, res) => {
+app.delete('/api/parent-navs/:id', requireAuth, requirePermission('navigation:delete'), auditMutation('navigation', { collection: 'navigation' }), checkIfMatch('navigation'), (req, res, next) => {
   try {
     const id = parseInt(req.params.id);
     console.log(`DELETE /api/parent-navs/${id} - Deleting parent navigation`);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Find the parent navigation item
-    const parentIndex = db.navigation.findIndex(nav => nav.id === id);
+    // Move the item and its children to the trash
+    const deletedItem = trash.remove(TRASH_COLLECTIONS['parent-navs'], id, req.user, { ifMatch: req.ifMatch });
     
-    if (parentIndex === -1) {
+    if (!deletedItem) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Parent navigation not found'
       });
     }
     
-    // Store a copy of the item before deleting
-    const deletedItem = db.navigation[parentIndex];
-    
-    // Remove the item from the navigation array
-    db.navigation.splice(parentIndex, 1);
-    
-    // Save the updated database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Try to delete the actual image file if it's in the uploads directory
-    if (deletedItem.url && deletedItem.url.includes('/uploads/')) {
-      const fileName = path.basename(deletedItem.url);
-      const filePath = path.join(UPLOADS_DIR, fileName);
-      
-      if (fs.existsSync(filePath)) {
-        try {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted file: ${filePath}`);
-        } catch (fileError) {
-          console.error(`Could not delete file: ${filePath}`, fileError);
-          // Continue even if file deletion fails
-        }
-      }
-    }
-    
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -3216,6 +4313,9 @@ app.delete('/api/parent-navs/:id', (req, res) => {
       data: deletedItem
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error deleting parent navigation:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3225,49 +4325,33 @@ app.delete('/api/parent-navs/:id', (req, res) => {
 });
 
 // Add endpoints for editing child navigation items
-app.patch('/api/child-navs/:id', (req, res) => {
+app.patch('/api/child-navs/:id', requireAuth, requirePermission('navigation:update'), auditMutation('child-navigation', { before: findChildNav }), (req, res, next) => {
   try {
     const id = parseInt(req.params.id);
     console.log(`PATCH /api/child-navs/${id} - Updating child navigation:`, req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Variables to store found child nav
-    let found = false;
-    let updatedChild = null;
-    
-    // Find and update the child navigation item
-    for (let i = 0; i < db.navigation.length; i++) {
-      const parent = db.navigation[i];
-      const childIndex = parent.children.findIndex(child => child.id === id);
-      
-      if (childIndex !== -1) {
-        // Update the child
-        db.navigation[i].children[childIndex] = {
-          ...db.navigation[i].children[childIndex],
-          ...req.body,
-          id: id, // Ensure ID doesn't change
-          parentId: parent.id // Maintain parent relationship
-        };
-        
-        updatedChild = db.navigation[i].children[childIndex];
-        found = true;
-        break;
-      }
-    }
+    // Child navigation items are stored inside their parent
+    const parent = repositories.navigation.find(nav => (nav.children || []).some(child => child.id === id && !child.deletedAt));
     
-    if (!found) {
+    if (!parent) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Child navigation not found'
       });
     }
     
-    // Save the updated database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
+    // Update the child; only DELETE moves it to the trash
+    const { deletedAt, deletedBy, ...changes } = req.body;
+    const childIndex = parent.children.findIndex(child => child.id === id);
+    parent.children[childIndex] = {
+      ...parent.children[childIndex],
+      ...changes,
+      id: id, // Ensure ID doesn't change
+      parentId: parent.id // Maintain parent relationship
+    };
+    const updatedChild = parent.children[childIndex];
+    
+    repositories.navigation.replace(parent.id, parent);
     
     // Return success response
     res.json({
@@ -3276,6 +4360,9 @@ app.patch('/api/child-navs/:id', (req, res) => {
       data: updatedChild
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error updating child navigation:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3285,47 +4372,21 @@ app.patch('/api/child-navs/:id', (req, res) => {
 });
 
 // Add endpoints for deleting child navigation items
-app.delete('/api/child-navs/:id', (req, res) => {
+app.delete('/api/child-navs/:id', requireAuth, requirePermission('navigation:delete'), auditMutation('child-navigation', { before: findChildNav }), (req, res) => {
   try {
     const id = parseInt(req.params.id);
     console.log(`DELETE /api/child-navs/${id} - Deleting child navigation`);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Variables to store found child nav
-    let found = false;
-    let deletedChild = null;
-    
-    // Find and delete the child navigation item
-    for (let i = 0; i < db.navigation.length; i++) {
-      const parent = db.navigation[i];
-      const childIndex = parent.children.findIndex(child => child.id === id);
-      
-      if (childIndex !== -1) {
-        // Store a copy before deleting
-        deletedChild = { ...db.navigation[i].children[childIndex] };
-        
-        // Remove the child
-        db.navigation[i].children.splice(childIndex, 1);
-        
-        found = true;
-        break;
-      }
-    }
+    // Child navigation items are stored inside their parent and trashed there
+    const deletedChild = trash.remove(TRASH_COLLECTIONS['child-navs'], id, req.user);
     
-    if (!found) {
+    if (!deletedChild) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Child navigation not found'
       });
     }
     
-    // Save the updated database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
     // Return success response
     res.json({
       statusCode: 200,
@@ -3342,40 +4403,19 @@ app.delete('/api/child-navs/:id', (req, res) => {
 });
 
 // DELETE endpoint for contact messages
-app.delete('/api/contact/:id', (req, res) => {
+app.delete('/api/contact/:id', requireAuth, requirePermission('contacts:delete'), auditMutation('contact', { collection: 'contacts' }), checkIfMatch('contacts'), (req, res, next) => {
   try {
     const contactId = parseInt(req.params.id);
     console.log(`DELETE /api/contact/${contactId} - Deleting contact message`);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Ensure contacts array exists
-    if (!db.contacts) {
-      db.contacts = [];
-    }
-    
-    // Find the contact
-    const contactIndex = db.contacts.findIndex(item => item.id === contactId);
-    
-    if (contactIndex === -1) {
+    // Move the contact to the trash
+    if (!trash.remove(TRASH_COLLECTIONS.contact, contactId, req.user, { ifMatch: req.ifMatch })) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Contact not found'
       });
     }
     
-    // Store a copy of the item before deleting
-    const deletedItem = db.contacts[contactIndex];
-    
-    // Remove the item from the array
-    db.contacts.splice(contactIndex, 1);
-    
-    // Save the updated database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -3386,6 +4426,9 @@ app.delete('/api/contact/:id', (req, res) => {
       data: { id: contactId }
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error deleting contact message:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3395,13 +4438,12 @@ app.delete('/api/contact/:id', (req, res) => {
 });
 
 // Get news by ID
-app.get('/api/news/:id', (req, res) => {
+app.get('/api/news/:id', shapeQuery('news'), (req, res) => {
   try {
     const newsId = parseInt(req.params.id);
     console.log(`GET /api/news/${newsId} - Fetching news item`);
     
-    const db = getDatabase();
-    const newsItem = db.news.find(item => item.id === newsId);
+    const newsItem = repositories.news.findById(newsId);
     
     if (!newsItem) {
       return res.status(404).json({
@@ -3410,10 +4452,11 @@ app.get('/api/news/:id', (req, res) => {
       });
     }
     
+    setEntityTag(res, newsItem, { weak: isShaped(req.shapeQuery) });
     res.json({
       statusCode: 200,
       message: 'Success',
-      data: newsItem
+      data: shapeRecord(newsItem, req.shapeQuery, navigationExpanders(req.shapeQuery))
     });
   } catch (error) {
     console.error('Error fetching news item:', error);
@@ -3425,31 +4468,19 @@ app.get('/api/news/:id', (req, res) => {
 });
 
 // POST endpoint for adding news
-app.post('/api/news', (req, res) => {
+app.post('/api/news', requireAuth, requirePermission('news:create'), auditMutation('news', { collection: 'news' }), validateBody('news'), (req, res, next) => {
   try {
     console.log('POST /api/news - Creating news item:', req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Ensure news array exists
-    if (!db.news) {
-      db.news = [];
-    }
-    
     // Generate new ID
-    const maxId = db.news.length > 0 
-      ? Math.max(...db.news.map(item => Number(item.id) || 0)) 
-      : 0;
-    
-    const newId = maxId + 1;
+    const newId = repositories.news.nextId();
     const now = new Date().toISOString();
     
     // Create new news object
     const newNews = {
       id: newId,
       title: req.body.title || 'Tin tức mới',
-      slug: req.body.slug || `tin-tuc-${newId}`,
+      slug: slugify(req.body.slug || req.body.title),
       summary: req.body.summary || '',
       content: req.body.content || '',
       images: req.body.image || '/placeholder-image.svg',
@@ -3461,19 +4492,17 @@ app.post('/api/news', (req, res) => {
     };
     
     // Add to news array
-    db.news.push(newNews);
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
+    const createdNews = repositories.news.insert(newNews);
     
     res.json({
       statusCode: 201,
       message: 'News created successfully',
-      data: newNews
+      data: createdNews
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error creating news:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3483,77 +4512,47 @@ app.post('/api/news', (req, res) => {
 });
 
 // PATCH endpoint for updating news
-app.patch('/api/news/:id', (req, res) => {
+app.patch('/api/news/:id', requireAuth, requirePermission('news:update'), auditMutation('news', { collection: 'news' }), validateBody('news'), checkIfMatch('news'), (req, res, next) => {
   try {
     const newsId = parseInt(req.params.id);
     console.log(`PATCH /api/news/${newsId} - Updating news:`, req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
     // Find the news item
-    const newsIndex = db.news.findIndex(item => item.id === newsId);
+    const existingNews = repositories.news.findById(newsId);
     
-    if (newsIndex === -1) {
+    if (!existingNews) {
       return res.status(404).json({
         statusCode: 404,
         message: 'News not found'
       });
     }
     
-    // Process the request body to ensure proper type conversion
-    const processedBody = { ...req.body };
-    
-    // Ensure isFeatured is properly converted to boolean
-    if ('isFeatured' in processedBody) {
-      processedBody.isFeatured = processedBody.isFeatured === true || 
-                                 processedBody.isFeatured === 'true' || 
-                                 processedBody.isFeatured === 1 || 
-                                 processedBody.isFeatured === '1';
-    }
-    
-    // Handle images field properly
-    if (processedBody.images) {
-      // Ensure images is always an array
-      if (typeof processedBody.images === 'string') {
-        processedBody.images = [processedBody.images];
-      } else if (!Array.isArray(processedBody.images)) {
-        // If not a string or array, keep existing images
-        processedBody.images = db.news[newsIndex].images || [];
-      }
-      
-      // Log images being set
-      console.log('Setting news images to:', processedBody.images);
-    }
-    
-    // Update the news item
-    db.news[newsIndex] = {
-      ...db.news[newsIndex],
-      ...processedBody,
+    // Update the news item (the body was coerced to the news schema: booleans, arrays, ids)
+    const updatedNews = {
+      ...existingNews,
+      ...req.body,
       id: newsId, // Ensure ID doesn't change
       updatedAt: new Date().toISOString()
     };
     
     // If image field was provided but images field wasn't, copy it over
-    if (req.body.image && !processedBody.images) {
-      // Convert to array if it's a string
-      db.news[newsIndex].images = typeof req.body.image === 'string' 
-        ? [req.body.image]
-        : req.body.image;
-      
-      console.log('Using image field for images:', db.news[newsIndex].images);
+    if (req.body.image && !req.body.images) {
+      updatedNews.images = req.body.image;
+      console.log('Using image field for images:', updatedNews.images);
     }
     
     // Log the updated news item for debugging
-    console.log('Updated news item:', db.news[newsIndex]);
+    console.log('Updated news item:', updatedNews);
     
-    // Save the updated database using the writeDatabase helper function
-    if (writeDatabase(db)) {
+    // Save the news item through its repository
+    const storedNews = repositories.news.replace(newsId, updatedNews, { ifMatch: req.ifMatch });
+    if (storedNews) {
       // Return success response
+      setEntityTag(res, storedNews);
       res.json({
         statusCode: 200,
         message: 'News updated successfully',
-        data: db.news[newsIndex]
+        data: storedNews
       });
     } else {
       res.status(500).json({
@@ -3562,6 +4561,9 @@ app.patch('/api/news/:id', (req, res) => {
       });
     }
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error updating news:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3571,44 +4573,30 @@ app.patch('/api/news/:id', (req, res) => {
 });
 
 // DELETE endpoint for news
-app.delete('/api/news/:id', (req, res) => {
+app.delete('/api/news/:id', requireAuth, requirePermission('news:delete'), auditMutation('news', { collection: 'news' }), checkIfMatch('news'), (req, res, next) => {
   try {
     const newsId = parseInt(req.params.id);
     console.log(`DELETE /api/news/${newsId} - Deleting news`);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Find the news item
-    const newsIndex = db.news.findIndex(item => item.id === newsId);
+    // Move the item to the trash, keeping a copy for the response
+    const deletedItem = trash.remove(TRASH_COLLECTIONS.news, newsId, req.user, { ifMatch: req.ifMatch });
     
-    if (newsIndex === -1) {
+    if (!deletedItem) {
       return res.status(404).json({
         statusCode: 404,
         message: 'News not found'
       });
     }
     
-    // Store a copy of the item before deleting
-    const deletedItem = db.news[newsIndex];
-    
-    // Remove the item from the array
-    db.news.splice(newsIndex, 1);
-    
-    // Save the updated database using the writeDatabase helper function
-    if (writeDatabase(db)) {
-      res.json({
-        statusCode: 200,
-        message: 'News deleted successfully',
-        data: deletedItem
-      });
-    } else {
-      res.status(500).json({
-        statusCode: 500,
-        message: 'Error writing to database'
-      });
-    }
+    res.json({
+      statusCode: 200,
+      message: 'News deleted successfully',
+      data: deletedItem
+    });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error deleting news:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3730,27 +4718,21 @@ app.get('/api/parent-navs/slug/tin-tuc', (req, res) => {
 });
 
 // POST endpoint for updating an experience
-app.post('/api/experiences/:id', upload.array('images[]'), (req, res) => {
+app.post('/api/experiences/:id', requireAuth, requirePermission('experiences:update'), auditMutation('experience', { collection: 'experiences' }), upload.array('images[]'), validateBody('experiences'), checkIfMatch('experiences'), (req, res, next) => {
   try {
     const experienceId = parseInt(req.params.id, 10);
     console.log(`POST /api/experiences/${experienceId} - Updating experience:`, req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
     // Find experience
-    const experienceIndex = db.experiences.findIndex(exp => exp.id === experienceId);
+    const existingExperience = repositories.experiences.findById(experienceId);
     
-    if (experienceIndex === -1) {
+    if (!existingExperience) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Experience not found'
       });
     }
     
-    // Get existing experience data
-    const existingExperience = db.experiences[experienceIndex];
-    
     // Get the image URLs if uploaded
     let imageUrls = existingExperience.images || [];
     if (req.files && req.files.length > 0) {
@@ -3763,48 +4745,36 @@ app.post('/api/experiences/:id', upload.array('images[]'), (req, res) => {
       imageUrls = [imageUrls];
     }
     
+    // The admin form sends the heading as name, experiences store it as title
+    const title = req.body.title || req.body.name;
+    
     // Update experience
-    db.experiences[experienceIndex] = {
+    const updatedExperience = repositories.experiences.replace(experienceId, {
       ...existingExperience,
-      name: req.body.name || existingExperience.name,
-      title: req.body.name || existingExperience.title || existingExperience.name,
-      slug: req.body.slug || existingExperience.slug || (req.body.name ? req.body.name.toLowerCase().replace(/\s+/g, '-') : existingExperience.slug),
+      title: title || existingExperience.title,
+      slug: req.body.slug || existingExperience.slug,
       summary: req.body.summary || existingExperience.summary,
       content: req.body.content || existingExperience.content,
       description: req.body.content || existingExperience.description || existingExperience.content,
       child_nav_id: req.body.child_nav_id || existingExperience.child_nav_id,
-      images: imageUrls,
-      updated_at: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Synchronize database files by running the root-level sync-database.js script
-    try {
-      const { execSync } = require('child_process');
-      const rootSyncScriptPath = path.join(__dirname, '..', 'sync-database.js');
-      console.log('Running root-level database sync script:', rootSyncScriptPath);
-      execSync(`node ${rootSyncScriptPath}`, { stdio: 'inherit' });
-      console.log('Database synchronization completed successfully via root script');
-    } catch (syncError) {
-      console.error('Error synchronizing database files with root script:', syncError);
-      // Continue with the response even if sync fails
-    }
+      images: imageUrls,
+      updatedAt: new Date().toISOString()
+    }, { ifMatch: req.ifMatch });
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
     
+    setEntityTag(res, updatedExperience);
     res.json({
       statusCode: 200,
       message: 'Experience updated successfully',
-      data: db.experiences[experienceIndex]
+      data: updatedExperience
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error updating experience:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3814,44 +4784,19 @@ app.post('/api/experiences/:id', upload.array('images[]'), (req, res) => {
 });
 
 // DELETE endpoint for experiences
-app.delete('/api/experiences/:id', (req, res) => {
+app.delete('/api/experiences/:id', requireAuth, requirePermission('experiences:delete'), auditMutation('experience', { collection: 'experiences' }), checkIfMatch('experiences'), (req, res, next) => {
   try {
     const experienceId = parseInt(req.params.id, 10);
     console.log(`DELETE /api/experiences/${experienceId} - Deleting experience`);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Find the experience
-    const experienceIndex = db.experiences.findIndex(exp => exp.id === experienceId);
-    
-    if (experienceIndex === -1) {
+    // Move the experience to the trash
+    if (!trash.remove(TRASH_COLLECTIONS.experiences, experienceId, req.user, { ifMatch: req.ifMatch })) {
       return res.status(404).json({
         statusCode: 404,
         message: 'Experience not found'
       });
     }
     
-    // Remove the experience from the array
-    db.experiences.splice(experienceIndex, 1);
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Synchronize database files by running the root-level sync-database.js script
-    try {
-      const { execSync } = require('child_process');
-      const rootSyncScriptPath = path.join(__dirname, '..', 'sync-database.js');
-      console.log('Running root-level database sync script:', rootSyncScriptPath);
-      execSync(`node ${rootSyncScriptPath}`, { stdio: 'inherit' });
-      console.log('Database synchronization completed successfully via root script');
-    } catch (syncError) {
-      console.error('Error synchronizing database files with root script:', syncError);
-      // Continue with the response even if sync fails
-    }
-    
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -3861,6 +4806,9 @@ app.delete('/api/experiences/:id', (req, res) => {
       message: 'Experience deleted successfully'
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error deleting experience:', error);
     res.status(500).json({
       statusCode: 500,
@@ -3870,24 +4818,12 @@ app.delete('/api/experiences/:id', (req, res) => {
 });
 
 // POST endpoint cho tạo mới experience
-app.post('/api/experiences', upload.array('images[]'), (req, res) => {
+app.post('/api/experiences', requireAuth, requirePermission('experiences:create'), auditMutation('experience', { collection: 'experiences' }), upload.array('images[]'), validateBody('experiences'), (req, res, next) => {
   try {
     console.log('POST /api/experiences - Creating new experience:', req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
-    // Ensure experiences array exists
-    if (!db.experiences) {
-      db.experiences = [];
-    }
-    
     // Generate new ID
-    const maxId = db.experiences.length > 0 
-      ? Math.max(...db.experiences.map(exp => Number(exp.id) || 0)) 
-      : 0;
-    
-    const newId = maxId + 1;
+    const newId = repositories.experiences.nextId();
     const now = new Date().toISOString();
     
     // Get the image URLs if uploaded
@@ -3897,46 +4833,31 @@ app.post('/api/experiences', upload.array('images[]'), (req, res) => {
       console.log(`Images uploaded:`, imageUrls);
     }
     
-    // Create slug from name if not provided
-    const slug = req.body.slug || (req.body.name ? req.body.name.toLowerCase().replace(/\s+/g, '-') : `trai-nghiem-${newId}`);
+    // The admin form sends the heading as name, experiences store it as title
+    const title = req.body.title || req.body.name;
+    
+    // Create slug from the title if not provided
+    const slug = slugify(req.body.slug || title);
     
     // Create new experience object
     const newExperience = {
       id: newId,
-      title: req.body.title || req.body.name || 'Trải nghiệm mới',
-      name: req.body.name || 'Trải nghiệm mới',
+      title: title || 'Trải nghiệm mới',
       slug: slug,
       summary: req.body.summary || '',
       description: req.body.description || req.body.content || '',
       content: req.body.content || '',
       images: imageUrls,
-      categoryId: parseInt(req.body.categoryId) || parseInt(req.body.child_nav_id) || null,
+      categoryId: req.body.categoryId || req.body.child_nav_id || null,
       child_nav_id: req.body.child_nav_id || req.body.categoryId || null,
-      isFeatured: req.body.isFeatured === 'true' || false,
+      isFeatured: req.body.isFeatured === true,
       views: 0,
       createdAt: now,
       updatedAt: now
     };
     
     // Add to experiences array
-    db.experiences.push(newExperience);
-    
-    // Save database
-    const dbPath = path.resolve(__dirname, 'database.json');
-    console.log('Writing database to path:', dbPath);
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2));
-    
-    // Synchronize database files by running the root-level sync-database.js script
-    try {
-      const { execSync } = require('child_process');
-      const rootSyncScriptPath = path.join(__dirname, '..', 'sync-database.js');
-      console.log('Running root-level database sync script:', rootSyncScriptPath);
-      execSync(`node ${rootSyncScriptPath}`, { stdio: 'inherit' });
-      console.log('Database synchronization completed successfully via root script');
-    } catch (syncError) {
-      console.error('Error synchronizing database files with root script:', syncError);
-      // Continue with the response even if sync fails
-    }
+    const createdExperience = repositories.experiences.insert(newExperience);
     
     // Cache control headers
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -3945,9 +4866,12 @@ app.post('/api/experiences', upload.array('images[]'), (req, res) => {
     res.status(201).json({
       statusCode: 201,
       message: 'Experience created successfully',
-      data: newExperience
+      data: createdExperience
     });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error creating experience:', error);
     res.status(500).json({
       statusCode: 500,
@@ -4038,27 +4962,21 @@ app.get('/images/uploads/1747213249793-521951070.jpg', (req, res) => {
 });
 
 // POST endpoint for uploading news images
-app.post('/api/news/:id/upload', upload.array('images[]', 5), (req, res) => {
+app.post('/api/news/:id/upload', requireAuth, requirePermission('news:update'), auditMutation('news', { collection: 'news' }), upload.array('images[]', 5), validateBody('news'), checkIfMatch('news'), (req, res, next) => {
   try {
     const newsId = parseInt(req.params.id);
     console.log(`POST /api/news/${newsId}/upload - Uploading images for news:`, req.body);
     
-    // Read the database
-    const db = getDatabase();
-    
     // Find the news item
-    const newsIndex = db.news.findIndex(item => item.id === newsId);
+    const existingNews = repositories.news.findById(newsId);
     
-    if (newsIndex === -1) {
+    if (!existingNews) {
       return res.status(404).json({
         statusCode: 404,
         message: 'News not found'
       });
     }
     
-    // Process the request body to ensure proper type conversion
-    const processedBody = { ...req.body };
-    
     // Get uploaded files info
     const uploadedFiles = req.files || [];
     
@@ -4070,15 +4988,8 @@ app.post('/api/news/:id/upload', upload.array('images[]', 5), (req, res) => {
       return imagePath;
     });
     
-    // Handle existing images (if provided as string values in the form)
-    let existingImages = [];
-    if (req.body['images[]'] && !uploadedFiles.includes(req.body['images[]'])) {
-      if (Array.isArray(req.body['images[]'])) {
-        existingImages = req.body['images[]'].filter(img => img && typeof img === 'string' && img.trim() !== '');
-      } else if (typeof req.body['images[]'] === 'string' && req.body['images[]'].trim() !== '') {
-        existingImages = [req.body['images[]']];
-      }
-    }
+    // Existing images kept by the form; multer parses images[] fields into images
+    const existingImages = req.body.images || req.body['images[]'] || [];
     
     console.log('Existing images after filtering:', existingImages);
     console.log('New uploaded images:', newImageUrls);
@@ -4087,36 +4998,30 @@ app.post('/api/news/:id/upload', upload.array('images[]', 5), (req, res) => {
     const allImages = [...existingImages, ...newImageUrls];
     
     // Update other fields from the form data
-    db.news[newsIndex] = {
-      ...db.news[newsIndex],
-      ...processedBody,
+    const updatedNews = {
+      ...existingNews,
+      ...req.body,
       id: newsId, // Ensure ID doesn't change
       updatedAt: new Date().toISOString()
     };
     
     // Update images field with the combined arrays
     if (allImages.length > 0) {
-      db.news[newsIndex].images = allImages;
-    }
-    
-    // Ensure isFeatured is properly converted to boolean
-    if ('isFeatured' in processedBody) {
-      db.news[newsIndex].isFeatured = processedBody.isFeatured === true || 
-                               processedBody.isFeatured === 'true' || 
-                               processedBody.isFeatured === 1 || 
-                               processedBody.isFeatured === '1';
+      updatedNews.images = allImages;
     }
     
     // Log the updated news item for debugging
-    console.log('Updated news item with images:', db.news[newsIndex]);
+    console.log('Updated news item with images:', updatedNews);
     
-    // Save the updated database
-    if (writeDatabase(db)) {
+    // Save the news item through its repository
+    const storedNews = repositories.news.replace(newsId, updatedNews, { ifMatch: req.ifMatch });
+    if (storedNews) {
       // Return success response
+      setEntityTag(res, storedNews);
       res.json({
         statusCode: 200,
         message: 'News images uploaded successfully',
-        data: db.news[newsIndex]
+        data: storedNews
       });
     } else {
       res.status(500).json({
@@ -4125,6 +5030,9 @@ app.post('/api/news/:id/upload', upload.array('images[]', 5), (req, res) => {
       });
     }
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error uploading news images:', error);
     res.status(500).json({
       statusCode: 500,
@@ -4133,6 +5041,293 @@ app.post('/api/news/:id/upload', upload.array('images[]', 5), (req, res) => {
   }
 });
 
+// Resolve the collection of a revision route and check the editor may update it
+const findRevisionTarget = (req, res, next) => {
+  const target = REVISIONED_COLLECTIONS[req.params.collection];
+  if (!target) {
+    return res.status(404).json({
+      statusCode: 404,
+      message: `Collection ${req.params.collection} has no revision history`
+    });
+  }
+  req.revisionTarget = target;
+  requirePermission(`${target.resource}:update`)(req, res, next);
+};
+
+// Revision history of an entity, newest first
+app.get('/api/:collection/:id/revisions', requireAuth, findRevisionTarget, (req, res) => {
+  try {
+    const { collection } = req.revisionTarget;
+    const current = repositories[collection].findById(req.params.id, { withDeleted: true });
+    const history = revisions.list(collection, req.params.id, current);
+    
+    if (!current && history.length === 0) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Entity not found'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: history,
+      current: current
+    });
+  } catch (error) {
+    console.error('Error reading revisions:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error reading revisions: ' + error.message
+    });
+  }
+});
+
+// Field-level diff between two revisions: ?from=<rev>&to=<rev|current> (defaults: newest revision to current)
+app.get('/api/:collection/:id/revisions/diff', requireAuth, findRevisionTarget, (req, res) => {
+  try {
+    const { collection } = req.revisionTarget;
+    const history = revisions.list(collection, req.params.id, null);
+    const from = req.query.from || (history[0] && history[0].rev);
+    const to = req.query.to || 'current';
+    
+    const resolve = (rev) => {
+      if (rev === 'current') {
+        return { found: true, data: repositories[collection].findById(req.params.id, { withDeleted: true }) };
+      }
+      const revision = revisions.get(collection, req.params.id, rev);
+      return { found: !!revision, data: revision ? revision.data : null };
+    };
+    
+    const older = resolve(String(from));
+    const newer = resolve(String(to));
+    if (!from || !older.found || !newer.found) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Revision not found'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: {
+        from: String(from),
+        to: String(to),
+        changes: auditLog.diffEntities(older.data, newer.data)
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error comparing revisions: ' + error.message
+    });
+  }
+});
+
+// One revision of an entity with its full content
+app.get('/api/:collection/:id/revisions/:rev', requireAuth, findRevisionTarget, (req, res) => {
+  try {
+    const revision = revisions.get(req.revisionTarget.collection, req.params.id, req.params.rev);
+    
+    if (!revision) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Revision not found'
+      });
+    }
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error reading revision:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error reading revision: ' + error.message
+    });
+  }
+});
+
+// Roll an entity back to a revision; the version it replaces becomes a new revision, so this can be undone
+app.post('/api/:collection/:id/revisions/:rev/restore', requireAuth, findRevisionTarget, checkIfMatch(req => req.revisionTarget.collection), (req, res, next) => {
+  try {
+    const { collection } = req.revisionTarget;
+    const revision = revisions.get(collection, req.params.id, req.params.rev);
+    
+    if (!revision) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Revision not found'
+      });
+    }
+    
+    const repository = repositories[collection];
+    const before = repository.findById(req.params.id, { withDeleted: true });
+    // The restored content becomes the next version of the entity
+    const restoredItem = {
+      ...revision.data,
+      version: before ? before.version : (revision.data.version || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    const restored = before
+      ? repository.replace(req.params.id, restoredItem, { ifMatch: req.ifMatch })
+      : repository.insert(restoredItem);
+    
+    auditLog.recordAudit(req, {
+      action: 'restore',
+      entityType: req.revisionTarget.entityType,
+      entityId: req.params.id,
+      before: before,
+      after: restored
+    });
+    
+    setEntityTag(res, restored);
+    res.json({
+      statusCode: 200,
+      message: `Restored revision ${revision.rev}`,
+      data: restored
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error restoring revision:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error restoring revision: ' + error.message
+    });
+  }
+});
+
+// Resolve the collection of a trash route and check the user may delete from it
+const findTrashTarget = (req, res, next) => {
+  const target = TRASH_COLLECTIONS[req.params.collection];
+  if (!target) {
+    return res.status(404).json({
+      statusCode: 404,
+      message: `Collection ${req.params.collection} has no trash`
+    });
+  }
+  req.trashTarget = target;
+  requirePermission(`${target.resource}:delete`)(req, res, next);
+};
+
+// Number of trashed records per collection (admin)
+app.get('/api/admin/trash', requireAuth, requirePermission('database:read'), (req, res) => {
+  try {
+    const counts = {};
+    Object.keys(TRASH_COLLECTIONS).forEach(name => {
+      counts[name] = trash.list(TRASH_COLLECTIONS[name]).length;
+    });
+    
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: counts,
+      retentionDays: trash.retentionDays
+    });
+  } catch (error) {
+    console.error('Error reading trash:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error reading trash: ' + error.message
+    });
+  }
+});
+
+// Trashed records of a collection, newest deletion first, with the date they will be purged
+app.get('/api/admin/trash/:collection', requireAuth, findTrashTarget, (req, res) => {
+  try {
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: trash.list(req.trashTarget),
+      retentionDays: trash.retentionDays
+    });
+  } catch (error) {
+    console.error('Error reading trash:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error reading trash: ' + error.message
+    });
+  }
+});
+
+// Take a record out of the trash
+app.post('/api/admin/trash/:collection/:id/restore', requireAuth, findTrashTarget, (req, res, next) => {
+  try {
+    const restored = trash.restore(req.trashTarget, req.params.id);
+    
+    if (!restored) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Item not found in trash'
+      });
+    }
+    
+    auditLog.recordAudit(req, {
+      action: 'restore',
+      entityType: req.trashTarget.entityType,
+      entityId: req.params.id,
+      before: null,
+      after: restored
+    });
+    
+    res.json({
+      statusCode: 200,
+      message: 'Item restored successfully',
+      data: restored
+    });
+  } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
+    console.error('Error restoring item from trash:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error restoring item from trash: ' + error.message
+    });
+  }
+});
+
+// Delete a trashed record for good, with its uploaded files
+app.delete('/api/admin/trash/:collection/:id', requireAuth, findTrashTarget, (req, res) => {
+  try {
+    const purged = trash.purge(req.trashTarget, req.params.id);
+    
+    if (!purged) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Item not found in trash'
+      });
+    }
+    
+    auditLog.recordAudit(req, {
+      action: 'purge',
+      entityType: req.trashTarget.entityType,
+      entityId: req.params.id,
+      before: purged,
+      after: null
+    });
+    
+    res.json({
+      statusCode: 200,
+      message: 'Item permanently deleted',
+      data: { id: purged.id }
+    });
+  } catch (error) {
+    console.error('Error purging item:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error purging item: ' + error.message
+    });
+  }
+});
+
 // Start the server for local development
 // In Vercel, this file will be imported as a serverless function
 if (process.env.NODE_ENV !== 'production') {
@@ -4195,174 +5390,44 @@ app.get('/', (req, res) => {
 });
 
 // Database handling function
+// The storage driver (JSON file or SQLite) is chosen by STORAGE_DRIVER, see storage.js
 const getDatabase = () => {
-  // For Vercel, use tmp directory if in production
-  const dbPath = process.env.NODE_ENV === 'production' 
-    ? path.join('/tmp', 'database.json')
-    : path.join(__dirname, 'database.json');
-  
   try {
-    let db = {};
-    
-    if (fs.existsSync(dbPath)) {
-      try {
-        const data = fs.readFileSync(dbPath, 'utf8');
-        db = JSON.parse(data);
-        console.log('Successfully loaded database from', dbPath);
-      } catch (parseError) {
-        console.error(`Error parsing database JSON: ${parseError.message}`);
-        console.error('Creating new default database due to parse error');
-        db = {};
-      }
-    } else {
-      console.log(`Database file not found at ${dbPath}, creating new one with default data`);
-    }
-    
-    // Ensure all essential collections exist and are arrays
-    db.products = Array.isArray(db.products) ? db.products : [];
-    db.services = Array.isArray(db.services) ? db.services : [];
-    db.experiences = Array.isArray(db.experiences) ? db.experiences : [];
-    db.team = Array.isArray(db.team) ? db.team : [];
-    db.news = Array.isArray(db.news) ? db.news : [];
-    db.images = Array.isArray(db.images) ? db.images : [];
-    db.videos = Array.isArray(db.videos) ? db.videos : [];
-    db.contacts = Array.isArray(db.contacts) ? db.contacts : [];
-    db.categories = Array.isArray(db.categories) ? db.categories : [];
-    db.users = Array.isArray(db.users) ? db.users : [];
-    
-    // Ensure navigation structure is valid
-    if (!db.navigation || !Array.isArray(db.navigation) || db.navigation.length === 0) {
-      db.navigation = [
-        {
-          id: 1,
-          title: "Trang chủ",
-          slug: "trang-chu",
-          position: 1,
-          children: []
-        }
-      ];
-    }
-    
-    // Ensure each navigation item has a children array
-    db.navigation.forEach(item => {
-      if (!item.children || !Array.isArray(item.children)) {
-        item.children = [];
-      }
-    });
-    
-    // Write updated database if created or fixed
-    try {
-      fs.writeFileSync(dbPath, JSON.stringify(db, null, 2), 'utf8');
-    } catch (writeError) {
-      console.error(`Warning: Error writing updated database: ${writeError.message}`);
-    }
-    
-    return db;
+    return dataStore.load();
   } catch (error) {
     console.error(`Critical error reading database: ${error.message}`);
-    
-    // Return default database structure with essential collections
-    return { 
-      products: [],
-      services: [],
-      experiences: [],
-      team: [
-        {
-          id: 1,
-          name: "Default Team Member",
-          position: "Member",
-          avatar: "/images/placeholder.jpg",
-          image: "/images/placeholder.jpg",
-          description: "Default team member when database is unavailable",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ],
-      navigation: [
-        {
-          id: 1,
-          title: "Trang chủ",
-          slug: "trang-chu",
-          position: 1,
-          children: []
-        }
-      ],
-      categories: [],
-      users: [],
-      contacts: [],
-      news: [],
-      images: [],
-      videos: []
-    };
+    return normalizeDatabase({});
   }
 };
 
 // Enhanced database writing function with better error handling
 const writeDatabase = (db) => {
-  // For Vercel, use tmp directory if in production
-  const dbPath = process.env.NODE_ENV === 'production' 
-    ? path.join('/tmp', 'database.json')
-    : path.join(__dirname, 'database.json');
-  
   try {
-    // Validate db object before writing
-    if (!db || typeof db !== 'object') {
-      console.error('Invalid database object provided');
-      return false;
-    }
-    
-    // Ensure all collections are arrays to prevent errors
-    const safeDb = { ...db };
-    
-    safeDb.products = Array.isArray(db.products) ? db.products : [];
-    safeDb.services = Array.isArray(db.services) ? db.services : [];
-    safeDb.experiences = Array.isArray(db.experiences) ? db.experiences : [];
-    safeDb.team = Array.isArray(db.team) ? db.team : [];
-    safeDb.news = Array.isArray(db.news) ? db.news : [];
-    safeDb.images = Array.isArray(db.images) ? db.images : [];
-    safeDb.videos = Array.isArray(db.videos) ? db.videos : [];
-    safeDb.contacts = Array.isArray(db.contacts) ? db.contacts : [];
-    safeDb.categories = Array.isArray(db.categories) ? db.categories : [];
-    safeDb.users = Array.isArray(db.users) ? db.users : [];
-    
-    // Ensure navigation structure is valid
-    if (!safeDb.navigation || !Array.isArray(safeDb.navigation) || safeDb.navigation.length === 0) {
-      safeDb.navigation = [
-        {
-          id: 1,
-          title: "Trang chủ",
-          slug: "trang-chu",
-          position: 1,
-          children: []
-        }
-      ];
-    }
-    
-    // Make sure we stringify cleanly
-    try {
-      const dbString = JSON.stringify(safeDb, null, 2);
-      fs.writeFileSync(dbPath, dbString, 'utf8');
-      console.log(`Database written to ${dbPath}`);
-      
-      // Try to write to parent location as well if it exists (for Vercel)
-      try {
-        const parentDbPath = path.join(__dirname, '..', 'database.json');
-        if (fs.existsSync(path.dirname(parentDbPath))) {
-          fs.writeFileSync(parentDbPath, dbString, 'utf8');
-          console.log(`Database also written to parent path: ${parentDbPath}`);
-        }
-      } catch (parentError) {
-        console.error(`Error writing to parent path: ${parentError.message}`);
-        // Continue even if parent write fails
-      }
-      
-      return true;
-    } catch (stringifyError) {
-      console.error(`Error stringifying database: ${stringifyError.message}`);
-      return false;
-    }
+    return dataStore.save(db);
   } catch (error) {
     console.error(`Error writing database: ${error.message}`);
     return false;
   }
-};
\ No newline at end of file
+};
+
+// Database as public read routes see it: records in the trash are left out
+const getPublicDatabase = () => hideDeleted(getDatabase());
+
+// Resolvers for expand=category,parent; the navigation is only read when a relation was asked for
+const navigationExpanders = (shape) => (shape.expand.length > 0 ? createNavigationExpanders(getPublicDatabase().navigation) : {});
+
+// Hash any plaintext passwords left in db.users at startup
+try {
+  dataStore.transaction(() => {
+    const startupDb = getDatabase();
+    if (passwordUtils.migratePlaintextPasswords(startupDb) > 0) {
+      writeDatabase(startupDb);
+    }
+  });
+} catch (error) {
+  console.error('Error migrating plaintext passwords:', error);
+}
+
+
+// Centralized error responses (authentication and authorization failures)
+app.use(errorHandler);
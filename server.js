@@ -4,43 +4,51 @@ const express = require('express');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
-const slugify = require('slugify');
 
 // Import our database utilities
-const dbUtils = require('./database-utils');
+const { getStorage, COLLECTIONS, isDeleted } = require('./storage');
+const { getReplicator } = require('./replication');
+const { getBackupManager } = require('./backups');
+const { migrateOnStart, getMigrationRunner } = require('./migration-runner');
+const { errorHandler, ERROR_TYPES } = require('./error-middleware');
+const { validateBody, validateDatabase, createValidationError } = require('./schemas');
+const { createConcurrencyMiddleware, setEntityTag } = require('./concurrency');
+const { listQuery, applyListQuery } = require('./list-query');
+const { hideDeleted } = require('./trash');
+const { createAuthMiddleware, requirePermission, requireTwoFactor } = require('./auth-middleware');
+const auditLog = require('./audit-log');
+const { slugify } = require('./slugs');
 
 // Define all database paths at the top for consistency
 const API_DB_PATH = path.join(__dirname, 'database.json');
-const ROOT_DB_PATH = path.join(__dirname, '..', 'database.json');
-const PUBLIC_DB_PATH = path.join(__dirname, '..', 'public', 'phunongbuondon-api', 'database.json');
 
 // Define paths to use in the application
 const DATABASE_PATH = API_DB_PATH;
 let DATABASE = null;
 
+// Database storage (JSON file or SQLite, see storage.js)
+const dataStore = getStorage();
+const { repositories } = dataStore;
+
+// Bring legacy records up to the latest data version (migrations/), MIGRATE_ON_START=false to skip
+migrateOnStart();
+
+// Rolling snapshots every BACKUP_EVERY_WRITES writes and every BACKUP_INTERVAL minutes
+const backups = getBackupManager();
+backups.start();
+
+// Other copies of the database (REPLICAS) replay the change log after each change instead of being overwritten
+getReplicator().start();
+
 // Middleware to ensure database is loaded
 const ensureDatabaseLoaded = () => {
   if (!DATABASE) {
     try {
-      DATABASE = dbUtils.getNewestDatabase();
-      console.log('Database loaded from newest source');
+      DATABASE = dataStore.load();
+      console.log('Database loaded from storage');
     } catch (error) {
       console.error('Error loading database:', error);
-      
-      // Fallback to load from API path
-      try {
-        if (fs.existsSync(DATABASE_PATH)) {
-          const data = fs.readFileSync(DATABASE_PATH, 'utf8');
-          DATABASE = JSON.parse(data);
-          console.log('Database loaded from API path');
-        } else {
-          console.error('No database file found at API path:', DATABASE_PATH);
-          DATABASE = { products: [] };
-        }
-      } catch (fallbackError) {
-        console.error('Error in database fallback loading:', fallbackError);
-        DATABASE = { products: [] };
-      }
+      DATABASE = { products: [] };
     }
   }
   return DATABASE;
@@ -52,22 +60,63 @@ ensureDatabaseLoaded();
 // Hàm để ghi database
 const writeDatabase = (data) => {
   try {
-    // Use our new database utilities to write to all locations
-    const result = dbUtils.syncDatabase(data);
+    if (!dataStore.save(data)) {
+      return false;
+    }
     
     // Update in-memory database
-    DATABASE = data;
+    DATABASE = dataStore.load();
     
-    return result;
+    return true;
   } catch (error) {
     console.error('Error writing database:', error);
     return false;
   }
 };
 
+// Reload the in-memory copy after a repository changed the stored data
+const reloadDatabase = () => {
+  DATABASE = dataStore.load();
+  router.db.setState(routerState(DATABASE));
+  return DATABASE;
+};
+
+// Authentication for write routes
+const { requireAuth } = createAuthMiddleware(() => ensureDatabaseLoaded(), (db) => writeDatabase(db));
+
+// Audit trail of write routes
+const { auditMutation } = auditLog.createAuditMiddleware(() => ensureDatabaseLoaded());
+
+// Updates and deletes sent with If-Match are refused with 412 when the record has a newer version
+const { checkIfMatch } = createConcurrencyMiddleware(repositories);
+
+// Errors the error handler answers itself: invalid data (400) and outdated versions (412)
+const FORWARDED_ERROR_TYPES = [ERROR_TYPES.VALIDATION, ERROR_TYPES.PRECONDITION_FAILED];
+
+// Database-wide operations are audited as collection counts rather than full copies
+const auditDatabase = (action, getNewDatabase) => auditMutation('database', {
+  action: action,
+  before: (db) => auditLog.summarizeDatabase(db),
+  after: (req) => auditLog.summarizeDatabase(getNewDatabase(req))
+});
+
+// Collections served by the json-server router; accounts and visitor messages stay out of it
+const ROUTER_COLLECTIONS = COLLECTIONS.filter(name => name !== 'users' && name !== 'contacts').concat('categories');
+const ROUTER_READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Router state holding only the public collections (sessions, tokens and credentials are never exposed)
+// Trashed records are left out, except while a write runs so that it does not drop them
+const routerState = (db, withDeleted = false) => {
+  const source = withDeleted ? db : hideDeleted(db);
+  return ROUTER_COLLECTIONS.reduce((state, name) => {
+    state[name] = Array.isArray(source[name]) ? source[name] : [];
+    return state;
+  }, {});
+};
+
 // Use json-server for REST API
 const server = jsonServer.create();
-const router = jsonServer.router(DATABASE_PATH);
+const router = jsonServer.router(routerState(ensureDatabaseLoaded()));
 const middlewares = jsonServer.defaults();
 
 // Định nghĩa nơi lưu trữ cho upload files
@@ -94,7 +143,7 @@ server.use(express.json());
 // Routes
 
 // Get all products
-server.get('/api/products', (req, res) => {
+server.get('/api/products', listQuery('products', { defaultSort: '-createdAt' }), (req, res) => {
   ensureDatabaseLoaded();
   
   // Verify DATABASE.products exists and is an array
@@ -102,14 +151,13 @@ server.get('/api/products', (req, res) => {
     DATABASE.products = [];
   }
   
-  // Sort by createdAt, newest first
-  const products = [...DATABASE.products].sort((a, b) => {
-    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
-  });
+  // Newest first unless sort says otherwise; trashed products are not public
+  const result = applyListQuery(hideDeleted(DATABASE).products, req.listQuery);
   
   return res.status(200).jsonp({
     statusCode: 200,
-    data: products
+    data: result.data,
+    meta: result.meta
   });
 });
 
@@ -124,7 +172,7 @@ server.get('/api/products/:id', (req, res) => {
     DATABASE.products = [];
   }
   
-  const product = DATABASE.products.find(p => parseInt(p.id) === id);
+  const product = hideDeleted(DATABASE).products.find(p => parseInt(p.id) === id);
   
   if (!product) {
     return res.status(404).jsonp({
@@ -133,6 +181,7 @@ server.get('/api/products/:id', (req, res) => {
     });
   }
   
+  setEntityTag(res, product);
   return res.status(200).jsonp({
     statusCode: 200,
     data: product
@@ -140,7 +189,7 @@ server.get('/api/products/:id', (req, res) => {
 });
 
 // Create a product
-server.post('/api/products', upload.array('images[]', 5), (req, res) => {
+server.post('/api/products', requireAuth, requirePermission('products:create'), auditMutation('product', { collection: 'products' }), upload.array('images[]', 5), validateBody('products', { required: true }), (req, res, next) => {
   try {
     ensureDatabaseLoaded();
     
@@ -166,7 +215,7 @@ server.post('/api/products', upload.array('images[]', 5), (req, res) => {
     } = req.body;
     
     // Generate slug from name if not provided
-    const slug = requestSlug || slugify(name, { lower: true });
+    const slug = requestSlug || slugify(name);
     
     // Create product object
     const newProduct = {
@@ -174,37 +223,39 @@ server.post('/api/products', upload.array('images[]', 5), (req, res) => {
       slug,
       summary,
       description,
-      price: price ? parseInt(price) : null,
-      discountPrice: discountPrice ? parseInt(discountPrice) : null,
+      price: price !== undefined ? price : null,
+      discountPrice: discountPrice !== undefined ? discountPrice : null,
       images: uploadedImages.length > 0 ? uploadedImages : [],
-      categoryId: categoryId ? parseInt(categoryId) : null,
-      isFeatured: isFeatured === 'true',
+      categoryId: categoryId || null,
+      isFeatured: isFeatured === true,
       views: 0,
       type: type || 'san-pham',
       content,
-      features: features || '[]',
+      features: features || [],
       phone_number
     };
     
-    // Add the product using our utility
-    const result = dbUtils.addProduct(newProduct);
-    
-    if (result.success) {
-      // Update router database
-      router.db.setState(DATABASE);
-      
-      return res.status(201).jsonp({
-        statusCode: 201,
-        message: 'Product created successfully',
-        data: result.product
-      });
-    } else {
-      return res.status(500).jsonp({
-        statusCode: 500,
-        message: result.message
-      });
-    }
+    // Add the product through its repository
+    const now = new Date().toISOString();
+    const product = repositories.products.insert({
+      ...newProduct,
+      id: repositories.products.nextId(),
+      createdAt: now,
+      updatedAt: now
+    });
+    
+    // Update in-memory and router database
+    reloadDatabase();
+    
+    return res.status(201).jsonp({
+      statusCode: 201,
+      message: 'Product created successfully',
+      data: product
+    });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error creating product:', error);
     return res.status(500).jsonp({
       statusCode: 500,
@@ -215,7 +266,7 @@ server.post('/api/products', upload.array('images[]', 5), (req, res) => {
 });
 
 // Update a product
-server.post('/api/products/:id', upload.array('images[]', 5), (req, res) => {
+server.post('/api/products/:id', requireAuth, requirePermission('products:update'), auditMutation('product', { collection: 'products' }), upload.array('images[]', 5), validateBody('products'), checkIfMatch('products'), (req, res, next) => {
   try {
     ensureDatabaseLoaded();
     
@@ -227,18 +278,15 @@ server.post('/api/products/:id', upload.array('images[]', 5), (req, res) => {
     });
     
     // Find the product first
-    const productIndex = DATABASE.products.findIndex(p => parseInt(p.id) === id);
+    const existingProduct = repositories.products.findById(id);
     
-    if (productIndex === -1) {
+    if (!existingProduct) {
       return res.status(404).jsonp({
         statusCode: 404,
         message: 'Product not found'
       });
     }
     
-    // Get existing product
-    const existingProduct = DATABASE.products[productIndex];
-    
     // Extract product data from request body
     const {
       name,
@@ -256,35 +304,23 @@ server.post('/api/products/:id', upload.array('images[]', 5), (req, res) => {
     } = req.body;
     
     // Generate slug from name if not provided
-    const slug = requestSlug || (name ? slugify(name, { lower: true }) : existingProduct.slug);
+    const slug = requestSlug || (name ? slugify(name) : existingProduct.slug);
     
     // Prepare images array - if new images are uploaded, replace the old ones
     let images = existingProduct.images || [];
     
     // If new images are uploaded, use them
     if (uploadedImages.length > 0) {
-      // Handle existing images format (could be string or array)
-      if (typeof images === 'string') {
-        // If the existing images is a string, convert to array before replacing
-        images = [images];
-      }
-      
       // In this case we replace with new images
       if (req.body.replaceImages === 'true') {
         images = uploadedImages;
       } else {
         // Append new images to existing ones
-        images = Array.isArray(images) ? [...images, ...uploadedImages] : uploadedImages;
+        images = [...images, ...uploadedImages];
       }
     } else if (req.body.images) {
-      // If images are sent as JSON string, parse them
-      try {
-        const parsedImages = JSON.parse(req.body.images);
-        images = Array.isArray(parsedImages) ? parsedImages : [parsedImages];
-      } catch (e) {
-        // If parsing fails, assume it's a single image string
-        images = [req.body.images];
-      }
+      // Sent as a JSON array or a single path, already coerced to an array
+      images = req.body.images;
     }
     
     // Create updated product object
@@ -294,38 +330,34 @@ server.post('/api/products/:id', upload.array('images[]', 5), (req, res) => {
       slug,
       summary: summary || existingProduct.summary,
       description: description || existingProduct.description,
-      price: price ? parseInt(price) : existingProduct.price,
-      discountPrice: discountPrice ? parseInt(discountPrice) : existingProduct.discountPrice,
+      price: price || existingProduct.price,
+      discountPrice: discountPrice || existingProduct.discountPrice,
       images,
-      categoryId: categoryId ? parseInt(categoryId) : existingProduct.categoryId,
-      isFeatured: isFeatured === 'true' || (isFeatured !== 'false' && existingProduct.isFeatured),
+      categoryId: categoryId || existingProduct.categoryId,
+      isFeatured: typeof isFeatured === 'boolean' ? isFeatured : existingProduct.isFeatured,
       type: type || existingProduct.type,
       content: content || existingProduct.content,
-      features: features || existingProduct.features || '[]',
+      features: features || existingProduct.features || [],
       phone_number: phone_number || existingProduct.phone_number,
       updatedAt: new Date().toISOString()
     };
     
-    // Update the product using our utility
-    const result = dbUtils.updateProduct(id, updatedProduct);
-    
-    if (result.success) {
-      // Update in-memory and router database
-      DATABASE = dbUtils.getNewestDatabase();
-      router.db.setState(DATABASE);
-      
-      return res.status(200).jsonp({
-        statusCode: 200,
-        message: 'Product updated successfully',
-        data: result.product
-      });
-    } else {
-      return res.status(500).jsonp({
-        statusCode: 500,
-        message: result.message
-      });
-    }
+    // Update the product through its repository
+    const product = repositories.products.replace(id, updatedProduct, { ifMatch: req.ifMatch });
+    
+    // Update in-memory and router database
+    reloadDatabase();
+    
+    setEntityTag(res, product);
+    return res.status(200).jsonp({
+      statusCode: 200,
+      message: 'Product updated successfully',
+      data: product
+    });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error updating product:', error);
     return res.status(500).jsonp({
       statusCode: 500,
@@ -336,38 +368,31 @@ server.post('/api/products/:id', upload.array('images[]', 5), (req, res) => {
 });
 
 // Delete a product
-server.delete('/api/products/:id', (req, res) => {
+server.delete('/api/products/:id', requireAuth, requirePermission('products:delete'), auditMutation('product', { collection: 'products' }), checkIfMatch('products'), (req, res, next) => {
   try {
     ensureDatabaseLoaded();
     
     const id = parseInt(req.params.id);
     
-    // Find the product
-    const productIndex = DATABASE.products.findIndex(p => parseInt(p.id) === id);
-    
-    if (productIndex === -1) {
+    // Move the product to the trash (purged by the purge job of server-express.js)
+    if (!repositories.products.softDelete(id, { deletedBy: req.user ? req.user.id : null }, { ifMatch: req.ifMatch })) {
       return res.status(404).jsonp({
         statusCode: 404,
         message: 'Product not found'
       });
     }
     
-    // Remove the product
-    DATABASE.products.splice(productIndex, 1);
+    // Update in-memory and router database
+    reloadDatabase();
     
-    // Save the database
-    if (writeDatabase(DATABASE)) {
-      return res.status(200).jsonp({
-        statusCode: 200,
-        message: 'Product deleted successfully'
-      });
-    } else {
-      return res.status(500).jsonp({
-        statusCode: 500,
-        message: 'Error writing to database'
-      });
-    }
+    return res.status(200).jsonp({
+      statusCode: 200,
+      message: 'Product deleted successfully'
+    });
   } catch (error) {
+    if (FORWARDED_ERROR_TYPES.includes(error.type)) {
+      return next(error);
+    }
     console.error('Error deleting product:', error);
     return res.status(500).jsonp({
       statusCode: 500,
@@ -378,7 +403,7 @@ server.delete('/api/products/:id', (req, res) => {
 });
 
 // Admin API endpoint to update the database
-server.post('/api/admin/update-database', (req, res) => {
+server.post('/api/admin/update-database', requireAuth, requirePermission('database:write'), requireTwoFactor, auditDatabase('replace', req => req.body.database), (req, res, next) => {
   try {
     console.log('Admin database update request received');
     
@@ -398,32 +423,23 @@ server.post('/api/admin/update-database', (req, res) => {
       });
     }
     
-    // Standardize experiences.images format
-    if (newDb.experiences && Array.isArray(newDb.experiences)) {
-      newDb.experiences = newDb.experiences.map(experience => {
-        if (experience.images) {
-          if (typeof experience.images === 'string') {
-            experience.images = [experience.images];
-          }
-        } else {
-          experience.images = [];
-        }
-        return experience;
-      });
+    // Coerce every collection to its schema (e.g. experiences.images as an array)
+    const validation = validateDatabase(newDb);
+    if (validation.errors.length > 0) {
+      return next(createValidationError('database', validation.errors));
     }
     
-    // Use our database utility to synchronize all database files
-    const syncResult = dbUtils.syncDatabase(newDb);
-    
-    if (!syncResult) {
-      throw new Error('Failed to synchronize database files');
+    // Replace the stored database
+    if (!writeDatabase(validation.value)) {
+      throw new Error('Failed to write database');
     }
     
-    // Update in-memory database
-    DATABASE = newDb;
+    // Imported copies may come from before some migrations
+    getMigrationRunner().migrate();
+    reloadDatabase();
     
     // Update router database
-    router.db.setState(newDb);
+    router.db.setState(routerState(DATABASE));
     
     // Success response
     res.json({
@@ -439,27 +455,85 @@ server.post('/api/admin/update-database', (req, res) => {
   }
 });
 
-// Admin API endpoint to sync database files
-server.post('/api/admin/sync-database', (req, res) => {
+// List database backups (admin), newest first
+server.get('/api/admin/backups', requireAuth, requirePermission('database:read'), (req, res) => {
   try {
-    console.log('Database sync request received');
-    
-    // Use our utility to sync from the newest database file
-    const syncResult = dbUtils.syncFromNewest();
+    res.json({
+      statusCode: 200,
+      message: 'Success',
+      data: backups.list().map(({ file, ...backup }) => backup),
+      retention: backups.retention
+    });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error listing backups: ' + error.message
+    });
+  }
+});
+
+// Restore a database backup (admin) and reload the in-memory copy
+server.post('/api/admin/backups/:id/restore', requireAuth, requirePermission('database:write'), requireTwoFactor, auditDatabase('restore', () => DATABASE), (req, res) => {
+  try {
+    const result = backups.restore(req.params.id);
     
-    if (!syncResult) {
-      throw new Error('Database synchronization failed');
+    if (result.notFound) {
+      return res.status(404).json({
+        statusCode: 404,
+        message: 'Backup not found'
+      });
     }
     
-    // Update in-memory database
-    DATABASE = dbUtils.getNewestDatabase();
+    if (!result.restored) {
+      return res.status(400).json({
+        statusCode: 400,
+        message: 'Backup cannot be restored: ' + result.errors.join('; '),
+        errors: result.errors
+      });
+    }
     
-    // Update router database state
-    router.db.setState(DATABASE);
+    // An older snapshot may predate some migrations
+    const migration = getMigrationRunner().migrate();
+    reloadDatabase();
     
     res.json({
       statusCode: 200,
-      message: 'Database files synchronized successfully',
+      message: 'Database restored successfully',
+      data: {
+        restoredFrom: result.backup.id,
+        preRestoreBackup: result.preRestore ? result.preRestore.id : null,
+        schemaVersion: migration.to
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({
+      statusCode: 500,
+      message: 'Error restoring backup: ' + error.message
+    });
+  }
+});
+
+// Replay the change log into every replica (admin); the database itself is never overwritten from a copy
+const replayReplicas = () => {
+  const reports = getReplicator().replay();
+  return { reports, conflicted: reports.filter(replica => replica.state === 'conflict') };
+};
+
+// Admin API endpoint to sync database files
+server.post('/api/admin/sync-database', requireAuth, requirePermission('database:write'), requireTwoFactor, (req, res) => {
+  try {
+    console.log('Database sync request received');
+    
+    const { reports, conflicted } = replayReplicas();
+    
+    res.status(conflicted.length > 0 ? 409 : 200).json({
+      statusCode: conflicted.length > 0 ? 409 : 200,
+      message: conflicted.length > 0
+        ? `${conflicted.length} replica(s) in conflict: ${conflicted.map(replica => replica.name).join(', ')}`
+        : 'Database files synchronized successfully',
+      data: reports,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -471,31 +545,18 @@ server.post('/api/admin/sync-database', (req, res) => {
   }
 });
 
-// Admin API endpoint to run the sync-database.js script
-server.post('/api/admin/run-sync-script', (req, res) => {
+// Admin API endpoint kept for the old sync-database.js button
+server.post('/api/admin/run-sync-script', requireAuth, requirePermission('database:write'), requireTwoFactor, (req, res) => {
   try {
     console.log('Received request to run database sync');
     
-    // Use our utility directly instead of executing script
-    const result = dbUtils.syncFromNewest();
-    
-    if (result) {
-      // Update in-memory database
-      DATABASE = dbUtils.getNewestDatabase();
-      
-      // Update router database state
-      router.db.setState(DATABASE);
-      
-      return res.json({
-        statusCode: 200,
-        message: 'Database sync executed successfully'
-      });
-    } else {
-      return res.status(500).json({
-        statusCode: 500,
-        message: 'Database sync failed'
-      });
-    }
+    const { reports, conflicted } = replayReplicas();
+    
+    res.status(conflicted.length > 0 ? 409 : 200).json({
+      statusCode: conflicted.length > 0 ? 409 : 200,
+      message: conflicted.length > 0 ? 'Database sync found conflicting replicas' : 'Database sync executed successfully',
+      data: reports
+    });
   } catch (error) {
     console.error('Error processing sync request:', error);
     res.status(500).json({
@@ -506,30 +567,17 @@ server.post('/api/admin/run-sync-script', (req, res) => {
 });
 
 // Also add a simplified endpoint at the root level for frontend access
-server.post('/run-sync-script', (req, res) => {
+server.post('/run-sync-script', requireAuth, requirePermission('database:write'), requireTwoFactor, (req, res) => {
   try {
     console.log('Received request to run database sync from frontend');
     
-    // Use our utility directly instead of executing script
-    const result = dbUtils.syncFromNewest();
-    
-    if (result) {
-      // Update in-memory database
-      DATABASE = dbUtils.getNewestDatabase();
-      
-      // Update router database state
-      router.db.setState(DATABASE);
-      
-      return res.json({
-        success: true,
-        message: 'Database sync completed successfully'
-      });
-    } else {
-      return res.status(500).json({
-        success: false,
-        message: 'Database sync failed'
-      });
-    }
+    const { reports, conflicted } = replayReplicas();
+    
+    res.status(conflicted.length > 0 ? 409 : 200).json({
+      success: conflicted.length === 0,
+      message: conflicted.length > 0 ? 'Database sync found conflicting replicas' : 'Database sync completed successfully',
+      data: reports
+    });
   } catch (error) {
     console.error('Error processing frontend sync request:', error);
     res.status(500).json({
@@ -540,7 +588,7 @@ server.post('/run-sync-script', (req, res) => {
 });
 
 // Endpoint for saving database.json directly
-server.post('/save-database', (req, res) => {
+server.post('/save-database', requireAuth, requirePermission('database:write'), requireTwoFactor, auditDatabase('replace', req => req.body), (req, res, next) => {
   try {
     console.log('Direct database save request received');
     
@@ -551,18 +599,23 @@ server.post('/save-database', (req, res) => {
       });
     }
     
-    // Use our database utility to sync
-    const syncResult = dbUtils.syncDatabase(req.body);
+    // Coerce every collection to its schema
+    const validation = validateDatabase(req.body);
+    if (validation.errors.length > 0) {
+      return next(createValidationError('database', validation.errors));
+    }
     
-    if (!syncResult) {
+    // Replace the stored database
+    if (!writeDatabase(validation.value)) {
       throw new Error('Failed to save database');
     }
     
-    // Update in-memory database
-    DATABASE = req.body;
+    // Imported copies may come from before some migrations
+    getMigrationRunner().migrate();
+    reloadDatabase();
     
     // Update router database
-    router.db.setState(req.body);
+    router.db.setState(routerState(DATABASE));
     
     // Success response
     res.json({
@@ -580,10 +633,70 @@ server.post('/save-database', (req, res) => {
 
 // Other routes
 
+// Writes through the router replace records like the database routes: admins only, audited
+['post', 'put', 'patch', 'delete'].forEach(method => {
+  server[method]('*', requireAuth, requirePermission('database:write'), requireTwoFactor, auditDatabase('update', () => DATABASE), (req, res, next) => {
+    // Start from the stored data, not from the state of an earlier request
+    const db = reloadDatabase();
+
+    // Trashed records cannot be changed until they are restored
+    const [, name, id] = req.path.split('/');
+    const items = ROUTER_COLLECTIONS.includes(name) && Array.isArray(db[name]) ? db[name] : [];
+    if (id && isDeleted(items.find(item => String(item.id) === id))) {
+      return res.status(404).jsonp({});
+    }
+
+    router.db.setState(routerState(db, true));
+    next();
+  });
+});
+
+// Persist router writes to the storage, validated like an imported database
+router.render = (req, res) => {
+  if (ROUTER_READ_METHODS.includes(req.method)) {
+    return res.jsonp(res.locals.data);
+  }
+
+  if (res.statusCode < 400) {
+    const validation = validateDatabase({ ...ensureDatabaseLoaded(), ...router.db.getState() });
+    if (validation.errors.length > 0) {
+      reloadDatabase();
+      return errorHandler(createValidationError('database', validation.errors), req, res, () => {});
+    }
+    if (!writeDatabase(validation.value)) {
+      reloadDatabase();
+      return res.status(500).jsonp({
+        statusCode: 500,
+        message: 'Error saving database'
+      });
+    }
+  }
+
+  // Back to the public state, trashed records hidden
+  reloadDatabase();
+  res.jsonp(res.locals.data);
+};
+
+// Uploaded images missing from the static folders
+server.use(serveUploadedImage);
+
 // Use the router for any routes not explicitly defined
 server.use(router);
 
+// Centralized error responses (authentication and authorization failures)
+server.use(errorHandler);
+
+// Send a file if it exists
+function serveStaticFile(req, res, filePath) {
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+  res.sendFile(filePath);
+  return true;
+}
+
 // Handle image URLs that are failing
+function serveUploadedImage(req, res, next) {
 if (req.url.includes('/images/uploads/')) {
     const imageName = path.basename(req.url);
     
@@ -662,6 +775,8 @@ if (req.url.includes('/images/uploads/')) {
         }
     }
 }
+next();
+}
 
 // Export the Express app
 module.exports = server; 
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Slugs of the content collections
+ * One Vietnamese-aware generator ("Gạo hữu cơ Liên Nhật" becomes "gao-huu-co-lien-nhat"), applied by
+ * the repositories on every write so each product, service, experience and news item has a clean slug
+ * that is unique in its collection. When a slug changes, a redirect record keeps the old one working
+ */
+const { foldDiacritics } = require('./text-utils');
+
+// Slugged collections, the fields a slug is made from and the prefix used when they are empty
+const SLUG_SOURCES = {
+  products: { fields: ['name', 'title'], fallback: 'san-pham' },
+  services: { fields: ['name', 'title'], fallback: 'dich-vu' },
+  experiences: { fields: ['title', 'name'], fallback: 'trai-nghiem' },
+  news: { fields: ['title', 'name'], fallback: 'tin-tuc' }
+};
+
+const SLUG_COLLECTIONS = Object.keys(SLUG_SOURCES);
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Slug of a text: folded, lower case, words joined by dashes, cut at a word boundary
+ * @param {string} text - Title or slug
+ * @param {number} [maxLength] - Longest slug
+ * @returns {string} Slug, empty when the text has no letters or digits
+ */
+function slugify(text, maxLength = MAX_SLUG_LENGTH) {
+  const slug = foldDiacritics(text === undefined || text === null ? '' : String(text))
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug.length <= maxLength) {
+    return slug;
+  }
+  const cut = slug.slice(0, maxLength + 1);
+  const boundary = cut.lastIndexOf('-');
+  return (boundary > 0 ? cut.slice(0, boundary) : slug.slice(0, maxLength)).replace(/-+$/, '');
+}
+
+/**
+ * First free variant of a slug: base, base-2, base-3, ...
+ * @param {string} base - Wanted slug
+ * @param {Function} isTaken - Called with a candidate slug
+ * @returns {string} Free slug
+ */
+function uniqueSlug(base, isTaken) {
+  let candidate = base;
+  for (let suffix = 2; isTaken(candidate); suffix++) {
+    candidate = `${base}-${suffix}`;
+  }
+  return candidate;
+}
+
+/**
+ * Give a record the slug it should be stored with
+ * The slug sent is cleaned up, or made from the title when there is none; a slug used by another
+ * record of the collection (trashed ones included) gets a numeric suffix
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record about to be written
+ * @param {Object[]} others - Records already stored in the collection
+ * @returns {Object} The record, or a copy with its new slug
+ */
+function assignSlug(collection, record, others) {
+  const source = SLUG_SOURCES[collection];
+  if (!source || !record) {
+    return record;
+  }
+
+  const title = source.fields.map(field => record[field]).find(value => value !== undefined && value !== null && String(value).trim() !== '');
+  const base = slugify(record.slug) || slugify(title) || `${source.fallback}-${record.id}`;
+  const taken = new Set(others
+    .filter(other => other && String(other.id) !== String(record.id))
+    .map(other => other.slug));
+  const slug = uniqueSlug(base, candidate => taken.has(candidate));
+
+  return record.slug === slug ? record : { ...record, slug };
+}
+
+/**
+ * Record a redirect for every slug that changes and drop redirects shadowed by a live slug
+ * Redirects point to the record id, so a slug changed twice still leads to the current one
+ * @param {Object} storage - Storage from storage.js
+ * @returns {Function} Unsubscribe function
+ */
+function trackRedirects(storage) {
+  return storage.onChange(change => {
+    if (!SLUG_COLLECTIONS.includes(change.collection) || !change.record || Array.isArray(change.record)) {
+      return;
+    }
+    const redirects = storage.repositories.redirects;
+    const { collection, record, previous } = change;
+
+    redirects
+      .filter(redirect => redirect.collection === collection && redirect.from === record.slug)
+      .forEach(redirect => redirects.remove(redirect.id));
+
+    if (change.action === 'update' && previous && previous.slug && previous.slug !== record.slug) {
+      redirects
+        .filter(redirect => redirect.collection === collection && redirect.from === previous.slug)
+        .forEach(redirect => redirects.remove(redirect.id));
+      redirects.insert({
+        collection,
+        from: previous.slug,
+        targetId: record.id,
+        createdAt: new Date().toISOString()
+      });
+    }
+  });
+}
+
+/**
+ * Find a live record by slug, or the record an old slug redirects to
+ * @param {Object} repositories - Repositories from storage.js
+ * @param {string} collection - Slugged collection name
+ * @param {string} slug - Slug from the URL
+ * @returns {Object} { record } when the slug is current, { redirectTo: record } for an old slug, or {}
+ */
+function findBySlug(repositories, collection, slug) {
+  const repository = repositories[collection];
+  const wanted = [slug, slugify(slug)].filter(Boolean);
+
+  const record = wanted.map(candidate => repository.find(item => item.slug === candidate)).find(Boolean);
+  if (record) {
+    return record.slug === slug ? { record } : { redirectTo: record };
+  }
+
+  const redirect = repositories.redirects.find(item => item.collection === collection && wanted.includes(item.from));
+  const target = redirect ? repository.findById(redirect.targetId) : null;
+  return target ? { redirectTo: target } : {};
+}
+
+module.exports = {
+  SLUG_COLLECTIONS,
+  MAX_SLUG_LENGTH,
+  slugify,
+  uniqueSlug,
+  assignSlug,
+  trackRedirects,
+  findBySlug
+};
@@ -0,0 +1,274 @@
+/**
+ * JSON file storage adapter
+ * Keeps the whole database in one JSON document (the original database.json layout).
+ * Writes are atomic and made under a lockfile shared by every process using the same file.
+ * When the file cannot be parsed, reads fall back to the newest valid copy and writes are
+ * refused until the file is repaired, so a parse error can never turn into an empty database
+ */
+const fs = require('fs');
+const { writeFileAtomic, writeFileLocked, getFileLock, createWriteQueue } = require('./atomic-file');
+const { checkJsonFile } = require('./db-health');
+
+/**
+ * Create a JSON file adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.path - Database file
+ * @param {string} [options.seedPath] - File copied to options.path when it does not exist yet
+ * @param {string} [options.lockPath] - Lockfile, defaults to "<path>.lock"
+ * @param {Function} [options.recoverySources] - Returns extra files to recover from (e.g. backups)
+ * @returns {Object} Storage adapter
+ */
+function createJsonAdapter(options) {
+  const dbPath = options.path;
+  const lock = getFileLock(options.lockPath || `${dbPath}.lock`);
+
+  // Copy of the last write that completed, the first place to recover from
+  const journalPath = `${dbPath}.journal`;
+
+  // Journal copies are written after the response, one at a time and in write order
+  const enqueueJournalWrite = createWriteQueue();
+
+  // Set while the database file cannot be parsed: { error, modifiedAt, recoveredFrom }
+  let corruption = null;
+  let recovered = null;
+
+  // Start from the bundled database when the working copy is missing (e.g. a fresh /tmp)
+  if (!fs.existsSync(dbPath) && options.seedPath && options.seedPath !== dbPath && fs.existsSync(options.seedPath)) {
+    try {
+      lock.runExclusive(() => {
+        if (!fs.existsSync(dbPath)) {
+          writeFileAtomic(dbPath, fs.readFileSync(options.seedPath, 'utf8'));
+          console.log(`Seeded database ${dbPath} from ${options.seedPath}`);
+        }
+      });
+    } catch (error) {
+      console.error(`Error seeding database from ${options.seedPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Files a corrupt database can be recovered from, newest first
+   * @returns {string[]} Existing candidate files
+   */
+  const recoveryCandidates = () => {
+    const extra = options.recoverySources ? options.recoverySources() : [];
+    const candidates = [journalPath, ...extra, options.seedPath]
+      .filter(candidate => candidate && candidate !== dbPath && fs.existsSync(candidate));
+
+    return [...new Set(candidates)]
+      .map(candidate => ({ path: candidate, mtime: fs.statSync(candidate).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime)
+      .map(candidate => candidate.path);
+  };
+
+  // Newest candidate that parses, or null
+  const findRecoveryCopy = () => {
+    for (const candidate of recoveryCandidates()) {
+      const check = checkJsonFile(candidate);
+      if (check.ok) {
+        return { path: candidate, modifiedAt: check.modifiedAt, data: check.data };
+      }
+      console.error(`Recovery candidate ${candidate} is not valid either: ${check.error ? check.error.message : 'missing'}`);
+    }
+    return null;
+  };
+
+  // Record that the database file is corrupt and look for a copy to serve reads from
+  const markCorrupt = (check) => {
+    if (corruption && corruption.modifiedAt === check.modifiedAt) {
+      return;
+    }
+
+    const { line, column, message } = check.error;
+    console.error(`Database ${dbPath} is corrupt (line ${line}, column ${column}): ${message}`);
+    console.error('Writes are disabled until the file is repaired, see GET /api/admin/db-health');
+
+    recovered = findRecoveryCopy();
+    corruption = {
+      error: check.error,
+      modifiedAt: check.modifiedAt,
+      detectedAt: new Date().toISOString(),
+      recoveredFrom: recovered ? { path: recovered.path, modifiedAt: recovered.modifiedAt } : null
+    };
+
+    if (recovered) {
+      console.warn(`Serving reads from ${recovered.path} (${recovered.modifiedAt})`);
+    } else {
+      console.error('No valid backup or journal found, serving an empty database');
+    }
+  };
+
+  const clearCorruption = () => {
+    if (corruption) {
+      console.log(`Database ${dbPath} is valid again, writes are enabled`);
+    }
+    corruption = null;
+    recovered = null;
+  };
+
+  /**
+   * Read the whole database
+   * @returns {Object} Parsed database; while the file is corrupt, the recovered copy or an empty object
+   */
+  const read = () => {
+    if (!fs.existsSync(dbPath)) {
+      console.log(`Database file not found at ${dbPath}, starting with default data`);
+      return {};
+    }
+
+    const check = checkJsonFile(dbPath);
+    if (check.ok) {
+      clearCorruption();
+      return check.data;
+    }
+
+    markCorrupt(check);
+    return recovered ? JSON.parse(JSON.stringify(recovered.data)) : {};
+  };
+
+  // Writes are refused while the file on disk is corrupt, re-checked in case it was repaired by hand
+  const isCorrupt = () => {
+    if (!corruption) {
+      return false;
+    }
+    const check = checkJsonFile(dbPath);
+    if (check.ok || check.missing) {
+      clearCorruption();
+      return false;
+    }
+    markCorrupt(check);
+    return true;
+  };
+
+  // Keep a corrupt database file next to the one replacing it
+  const setAsideCorruptFile = () => {
+    const corruptCopy = `${dbPath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.copyFileSync(dbPath, corruptCopy);
+    return corruptCopy;
+  };
+
+  /**
+   * Write the whole database
+   * @param {Object} db - Database object
+   * @param {Object} [writeOptions] - { force: replace the file even when it is corrupt (restores) }
+   * @returns {boolean} Whether the main file was written
+   */
+  const write = (db, writeOptions = {}) => {
+    const data = JSON.stringify(db, null, 2);
+
+    try {
+      const written = lock.runExclusive(() => {
+        if (isCorrupt()) {
+          if (!writeOptions.force) {
+            return false;
+          }
+          setAsideCorruptFile();
+        }
+        writeFileAtomic(dbPath, data);
+        clearCorruption();
+        return true;
+      });
+
+      if (!written) {
+        console.error(`Refusing to write ${dbPath}: the database file is corrupt`);
+        return false;
+      }
+    } catch (error) {
+      console.error(`Error writing database to ${dbPath}: ${error.message}`);
+      return false;
+    }
+
+    enqueueJournalWrite(() => writeFileLocked(journalPath, data)).catch(error => {
+      console.error(`Error writing database journal ${journalPath}: ${error.message}`);
+    });
+
+    return true;
+  };
+
+  /**
+   * Health report of the database file
+   * @returns {Object} { status, driver, path, writable, error, recoveredFrom, candidates }
+   */
+  const health = () => {
+    const check = checkJsonFile(dbPath);
+    if (!check.ok && !check.missing) {
+      markCorrupt(check);
+    } else {
+      clearCorruption();
+    }
+
+    return {
+      status: check.missing ? 'missing' : (check.ok ? 'ok' : 'corrupt'),
+      driver: 'json',
+      path: dbPath,
+      size: check.size || 0,
+      modifiedAt: check.modifiedAt || null,
+      writable: !corruption,
+      error: check.ok ? null : (check.error || null),
+      recoveredFrom: corruption ? corruption.recoveredFrom : null,
+      candidates: recoveryCandidates().map(candidate => {
+        const candidateCheck = checkJsonFile(candidate);
+        return {
+          path: candidate,
+          modifiedAt: candidateCheck.modifiedAt,
+          valid: candidateCheck.ok,
+          error: candidateCheck.ok ? null : candidateCheck.error
+        };
+      })
+    };
+  };
+
+  /**
+   * Replace a corrupt database file with the recovered copy
+   * The corrupt file is kept next to it as "<path>.corrupt-<timestamp>"
+   * @returns {Object} { recovered, from?, corruptCopy?, message }
+   */
+  const recover = () => lock.runExclusive(() => {
+    const check = checkJsonFile(dbPath);
+    if (check.ok) {
+      clearCorruption();
+      return { recovered: false, message: 'Database is not corrupt' };
+    }
+
+    const copy = findRecoveryCopy();
+    if (!copy) {
+      return { recovered: false, message: 'No valid backup or journal to recover from' };
+    }
+
+    const corruptCopy = check.missing ? null : setAsideCorruptFile();
+    writeFileAtomic(dbPath, fs.readFileSync(copy.path, 'utf8'));
+    clearCorruption();
+
+    console.log(`Recovered database ${dbPath} from ${copy.path}`);
+    return { recovered: true, from: copy.path, corruptCopy, message: 'Database recovered' };
+  });
+
+  return {
+    name: 'json',
+    path: dbPath,
+    read,
+    write,
+
+    /**
+     * Run a read-modify-write under the lock so other processes cannot write in between
+     * @param {Function} fn - Synchronous function
+     * @returns {*} Result of fn
+     */
+    transaction: (fn) => lock.runExclusive(fn),
+
+    health,
+    recover,
+
+    /**
+     * Whether writes are accepted (false while the file is corrupt)
+     * @returns {boolean} Writable state
+     */
+    isWritable: () => !isCorrupt(),
+
+    close: () => {}
+  };
+}
+
+module.exports = {
+  createJsonAdapter
+};
@@ -0,0 +1,218 @@
+/**
+ * SQLite storage adapter
+ * Collections are stored one row per record so repositories can change a single item
+ * without rewriting the rest; other top-level keys (sessions, syncInfo, ...) are stored as JSON documents
+ */
+const fs = require('fs');
+const path = require('path');
+const { LOCK_TIMEOUT } = require('./atomic-file');
+
+/**
+ * Create an SQLite adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.path - SQLite database file
+ * @param {string[]} options.collections - Keys stored as row-per-record tables
+ * @param {Function} [options.seed] - Returns a database object imported when the file is new
+ * @returns {Object} Storage adapter
+ */
+function createSqliteAdapter(options) {
+  // Only needed when STORAGE_DRIVER=sqlite
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(options.path), { recursive: true });
+  const sqlite = new Database(options.path);
+  sqlite.pragma('journal_mode = WAL');
+  // Wait for other processes holding the write lock instead of failing with SQLITE_BUSY
+  sqlite.pragma(`busy_timeout = ${LOCK_TIMEOUT}`);
+
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+    CREATE INDEX IF NOT EXISTS records_position ON records (collection, position);
+    CREATE TABLE IF NOT EXISTS documents (
+      key TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+  `);
+
+  const collections = new Set(options.collections);
+
+  const statements = {
+    all: sqlite.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position'),
+    find: sqlite.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    maxPosition: sqlite.prepare('SELECT COALESCE(MAX(position), 0) AS position FROM records WHERE collection = ?'),
+    insert: sqlite.prepare('INSERT INTO records (collection, id, position, data) VALUES (?, ?, ?, ?)'),
+    update: sqlite.prepare('UPDATE records SET id = ?, data = ? WHERE collection = ? AND id = ?'),
+    remove: sqlite.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    clear: sqlite.prepare('DELETE FROM records WHERE collection = ?'),
+    documents: sqlite.prepare('SELECT key, data FROM documents'),
+    upsertDocument: sqlite.prepare('INSERT INTO documents (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data'),
+    removeDocument: sqlite.prepare('DELETE FROM documents WHERE key = ?'),
+    countRecords: sqlite.prepare('SELECT COUNT(*) AS count FROM records'),
+    countDocuments: sqlite.prepare('SELECT COUNT(*) AS count FROM documents')
+  };
+
+  // Records without an id are keyed by their position
+  const recordId = (item, index) => String(item && item.id !== undefined && item.id !== null ? item.id : `#${index}`);
+
+  const writeCollection = sqlite.transaction((name, items) => {
+    statements.clear.run(name);
+    (items || []).forEach((item, index) => {
+      statements.insert.run(name, recordId(item, index), index + 1, JSON.stringify(item));
+    });
+  });
+
+  /**
+   * Read every record of a collection in order
+   * @param {string} name - Collection name
+   * @returns {Object[]} Records
+   */
+  const readCollection = (name) => statements.all.all(name).map(row => JSON.parse(row.data));
+
+  /**
+   * Read the whole database
+   * @returns {Object} Database object
+   */
+  const read = () => {
+    const db = {};
+    statements.documents.all().forEach(row => {
+      db[row.key] = JSON.parse(row.data);
+    });
+    collections.forEach(name => {
+      db[name] = readCollection(name);
+    });
+    return db;
+  };
+
+  /**
+   * Replace the whole database in one transaction
+   * @param {Object} db - Database object
+   * @returns {boolean} Whether the write succeeded
+   */
+  const write = sqlite.transaction((db) => {
+    collections.forEach(name => {
+      writeCollection(name, Array.isArray(db[name]) ? db[name] : []);
+    });
+
+    const keys = Object.keys(db).filter(key => !collections.has(key) && db[key] !== undefined);
+    statements.documents.all()
+      .filter(row => !keys.includes(row.key))
+      .forEach(row => statements.removeDocument.run(row.key));
+    keys.forEach(key => statements.upsertDocument.run(key, JSON.stringify(db[key])));
+
+    return true;
+  });
+
+  const adapter = {
+    name: 'sqlite',
+    path: options.path,
+    read,
+    write: (db) => {
+      try {
+        return write(db);
+      } catch (error) {
+        console.error(`Error writing SQLite database ${options.path}: ${error.message}`);
+        return false;
+      }
+    },
+    readCollection,
+    writeCollection: (name, items) => writeCollection(name, items),
+
+    /**
+     * Run a read-modify-write in one immediate transaction, holding SQLite's write lock throughout
+     * @param {Function} fn - Synchronous function
+     * @returns {*} Result of fn
+     */
+    transaction: (fn) => sqlite.transaction(fn).immediate(),
+
+    /**
+     * Find one record by id
+     * @param {string} name - Collection name
+     * @param {string|number} id - Record id
+     * @returns {Object|null} Record or null
+     */
+    findRecord: (name, id) => {
+      const row = statements.find.get(name, String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    /**
+     * Append a record
+     * @param {string} name - Collection name
+     * @param {Object} item - Record with an id
+     */
+    insertRecord: (name, item) => {
+      const { position } = statements.maxPosition.get(name);
+      statements.insert.run(name, String(item.id), position + 1, JSON.stringify(item));
+    },
+
+    /**
+     * Replace a record, keeping its position
+     * @param {string} name - Collection name
+     * @param {string|number} id - Current id of the record
+     * @param {Object} item - New record
+     */
+    updateRecord: (name, id, item) => {
+      statements.update.run(String(item.id), JSON.stringify(item), name, String(id));
+    },
+
+    /**
+     * Delete a record
+     * @param {string} name - Collection name
+     * @param {string|number} id - Record id
+     */
+    removeRecord: (name, id) => {
+      statements.remove.run(name, String(id));
+    },
+
+    /**
+     * Health report: SQLite integrity check plus a parse check of every stored record
+     * @returns {Object} { status, driver, path, writable, error, rows }
+     */
+    health: () => {
+      const integrity = sqlite.pragma('integrity_check', { simple: true });
+      const badRows = [];
+      sqlite.prepare('SELECT collection, id, data FROM records').all().forEach(row => {
+        try {
+          JSON.parse(row.data);
+        } catch (error) {
+          badRows.push({ collection: row.collection, id: row.id, message: error.message });
+        }
+      });
+      const ok = integrity === 'ok' && badRows.length === 0;
+
+      return {
+        status: ok ? 'ok' : 'corrupt',
+        driver: 'sqlite',
+        path: options.path,
+        size: fs.existsSync(options.path) ? fs.statSync(options.path).size : 0,
+        writable: true,
+        error: ok ? null : { message: integrity === 'ok' ? 'Records with invalid JSON' : integrity },
+        rows: badRows
+      };
+    },
+
+    close: () => sqlite.close()
+  };
+
+  // Import the JSON database the first time the SQLite file is used
+  const isEmpty = statements.countRecords.get().count === 0 && statements.countDocuments.get().count === 0;
+  if (isEmpty && options.seed) {
+    const seed = options.seed();
+    if (seed && Object.keys(seed).length > 0) {
+      adapter.write(seed);
+      console.log(`Imported JSON database into ${options.path}`);
+    }
+  }
+
+  return adapter;
+}
+
+module.exports = {
+  createSqliteAdapter
+};
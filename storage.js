@@ -0,0 +1,505 @@
+/**
+ * Storage layer
+ * One repository per collection on top of a pluggable adapter:
+ * - json: the database.json document (default)
+ * - sqlite: an embedded SQLite file (STORAGE_DRIVER=sqlite)
+ */
+const path = require('path');
+const { createJsonAdapter } = require('./storage-json');
+const { BACKUP_DIR, listBackupFiles } = require('./backups');
+const { assertValid } = require('./schemas');
+const { versionOf, matchesIfMatch, createVersionConflictError } = require('./concurrency');
+const { SLUG_COLLECTIONS, assignSlug, trackRedirects } = require('./slugs');
+
+// Collections served through repositories
+const COLLECTIONS = [
+  'products', 'services', 'experiences', 'news', 'team',
+  'images', 'videos', 'contacts', 'navigation', 'users', 'redirects'
+];
+
+// Other arrays every database is expected to have
+const SUPPORT_COLLECTIONS = ['categories', 'sessions', 'revokedTokens'];
+
+const DEFAULT_NAVIGATION = [
+  {
+    id: 1,
+    title: 'Trang chủ',
+    slug: 'trang-chu',
+    position: 1,
+    children: []
+  }
+];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Soft-deleted records keep a deletedAt timestamp until the trash is purged
+const isDeleted = (item) => !!(item && item.deletedAt);
+
+/**
+ * Make sure every collection exists and navigation items have a children array
+ * @param {Object} db - Database object, changed in place
+ * @returns {Object} The same database object
+ */
+function normalizeDatabase(db) {
+  [...COLLECTIONS, ...SUPPORT_COLLECTIONS].forEach(name => {
+    db[name] = Array.isArray(db[name]) ? db[name] : [];
+  });
+
+  if (db.navigation.length === 0) {
+    db.navigation = clone(DEFAULT_NAVIGATION);
+  }
+  db.navigation.forEach(item => {
+    if (!Array.isArray(item.children)) {
+      item.children = [];
+    }
+  });
+
+  return db;
+}
+
+/**
+ * Create a repository for one collection
+ * Adapters with row-level methods (SQLite) change single records, others rewrite the collection.
+ * Soft-deleted records (deletedAt) are left out of every read except trash() and findById(id, { withDeleted }).
+ * Every insert and replace stores a new version number, and a replace that carries an older version is refused
+ * @param {Object} adapter - Storage adapter
+ * @param {string} name - Collection name
+ * @param {Object} [options] - Repository options
+ * @param {Function} [options.onChange] - Called with { collection, action, id, record, previous } after each change
+ *   (replaceAll passes the new records in `record`)
+ * @param {Function} [options.validate] - Called with each record before it is written, returns the record to store
+ * @returns {Object} Repository
+ */
+function createRepository(adapter, name, options = {}) {
+  const rowLevel = typeof adapter.findRecord === 'function';
+  const sameId = (a, b) => String(a) === String(b);
+  const notify = (change) => {
+    if (options.onChange) {
+      options.onChange({ collection: name, ...change });
+    }
+  };
+  const validate = (record) => (options.validate ? options.validate(record) : record);
+
+  // A record sent back with the version it was read at must still be at that version
+  const checkVersion = (record, current, ifMatch) => {
+    const stale = record.version !== undefined && record.version !== null && record.version !== versionOf(current);
+    if (stale || !matchesIfMatch(ifMatch, current)) {
+      throw createVersionConflictError(name, current);
+    }
+    return { ...record, version: versionOf(current) + 1 };
+  };
+
+  // Reads and writes of one change happen under the adapter's lock, so no other process writes in between;
+  // listeners are notified before the lock is released, so every process sees changes in commit order
+  const transaction = (fn) => (adapter.transaction ? adapter.transaction(fn) : fn());
+
+  const readAll = () => {
+    if (adapter.readCollection) {
+      return adapter.readCollection(name);
+    }
+    const db = adapter.read();
+    return Array.isArray(db[name]) ? db[name] : [];
+  };
+
+  // Read-modify-write of the collection for adapters that only store whole documents
+  const mutate = (change) => transaction(() => {
+    const db = adapter.read();
+    const items = Array.isArray(db[name]) ? db[name] : [];
+    const result = change(items);
+    db[name] = items;
+    if (!adapter.write(db)) {
+      if (adapter.isWritable && !adapter.isWritable()) {
+        throw new Error(`Database is corrupt, writes are disabled until it is repaired (see /api/admin/db-health)`);
+      }
+      throw new Error(`Failed to write ${name}`);
+    }
+    return result;
+  });
+
+  const repository = {
+    name,
+
+    /**
+     * Every record of the collection that is not in the trash
+     * @returns {Object[]} Records in stored order
+     */
+    all: () => readAll().filter(item => !isDeleted(item)),
+
+    /**
+     * Find a record by id (numbers and numeric strings match each other)
+     * @param {string|number} id - Record id
+     * @param {Object} [findOptions] - { withDeleted: also return a record in the trash }
+     * @returns {Object|null} Record or null
+     */
+    findById: (id, findOptions = {}) => {
+      const item = rowLevel
+        ? adapter.findRecord(name, id)
+        : readAll().find(existing => sameId(existing.id, id)) || null;
+      return item && (findOptions.withDeleted || !isDeleted(item)) ? item : null;
+    },
+
+    /**
+     * Find the first record matching a predicate
+     * @param {Function} predicate - Filter function
+     * @returns {Object|null} Record or null
+     */
+    find: (predicate) => repository.all().find(predicate) || null,
+
+    /**
+     * Records matching a predicate
+     * @param {Function} predicate - Filter function
+     * @returns {Object[]} Matching records
+     */
+    filter: (predicate) => repository.all().filter(predicate),
+
+    /**
+     * Records in the trash
+     * @returns {Object[]} Soft-deleted records in stored order
+     */
+    trash: () => readAll().filter(isDeleted),
+
+    /**
+     * Next numeric id (highest id + 1)
+     * @returns {number} Unused id
+     */
+    nextId: () => {
+      const ids = readAll().map(item => Number(item.id) || 0);
+      return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+    },
+
+    /**
+     * Append a record, assigning the next id when it has none, at version 1 unless it brings its own
+     * @param {Object} item - New record
+     * @returns {Object} Stored record, coerced to the collection schema
+     */
+    insert: (item) => transaction(() => {
+      const record = validate({
+        ...item,
+        id: item.id === undefined || item.id === null ? repository.nextId() : item.id,
+        version: Number.isInteger(item.version) && item.version > 0 ? item.version : 1
+      });
+
+      if (rowLevel) {
+        adapter.insertRecord(name, record);
+      } else {
+        mutate(items => items.push(record));
+      }
+      notify({ action: 'insert', id: record.id, record, previous: null });
+      return record;
+    }),
+
+    /**
+     * Merge changes into a record
+     * @param {string|number} id - Record id
+     * @param {Object} changes - Fields to change
+     * @param {Object} [writeOptions] - See replace()
+     * @returns {Object|null} Updated record, or null if it does not exist
+     */
+    update: (id, changes, writeOptions = {}) => transaction(() => {
+      const current = repository.findById(id);
+      if (!current) {
+        return null;
+      }
+      return repository.replace(id, { ...current, ...changes }, writeOptions);
+    }),
+
+    /**
+     * Replace a record
+     * A record carrying a version must have been read at the current one, otherwise nothing is written
+     * and a PRECONDITION_FAILED error with the current record is thrown; so is a write whose If-Match
+     * tags do not name the current version, compared under the lock
+     * @param {string|number} id - Record id
+     * @param {Object} record - New record
+     * @param {Object} [writeOptions] - { ifMatch: tags from parseIfMatch() }
+     * @returns {Object|null} Stored record with its new version, or null if it does not exist
+     */
+    replace: (id, record, writeOptions = {}) => transaction(() => {
+      const validated = validate(record);
+      let item = null;
+      let previous = null;
+
+      if (rowLevel) {
+        previous = transaction(() => {
+          const current = adapter.findRecord(name, id);
+          if (current) {
+            item = checkVersion(validated, current, writeOptions.ifMatch);
+            adapter.updateRecord(name, id, item);
+          }
+          return current;
+        });
+      } else {
+        previous = mutate(items => {
+          const index = items.findIndex(existing => sameId(existing.id, id));
+          if (index === -1) {
+            return null;
+          }
+          const current = items[index];
+          item = checkVersion(validated, current, writeOptions.ifMatch);
+          items[index] = item;
+          return current;
+        });
+      }
+
+      if (!previous) {
+        return null;
+      }
+      notify({ action: 'update', id, record: item, previous });
+      return item;
+    }),
+
+    /**
+     * Move a record to the trash by setting deletedAt
+     * @param {string|number} id - Record id
+     * @param {Object} [extra] - Other fields to set, e.g. { deletedBy }
+     * @param {Object} [writeOptions] - See replace()
+     * @returns {Object|null} Trashed record, or null if it does not exist or is already in the trash
+     */
+    softDelete: (id, extra = {}, writeOptions = {}) => repository.update(id, { ...extra, deletedAt: new Date().toISOString() }, writeOptions),
+
+    /**
+     * Take a record out of the trash
+     * @param {string|number} id - Record id
+     * @returns {Object|null} Restored record, or null if it is not in the trash
+     */
+    restoreDeleted: (id) => transaction(() => {
+      const current = repository.findById(id, { withDeleted: true });
+      if (!isDeleted(current)) {
+        return null;
+      }
+      const { deletedAt, deletedBy, ...restored } = current;
+      return repository.replace(id, restored);
+    }),
+
+    /**
+     * Delete a record permanently
+     * @param {string|number} id - Record id
+     * @returns {Object|null} Deleted record, or null if it did not exist
+     */
+    remove: (id) => transaction(() => {
+      let removed;
+
+      if (rowLevel) {
+        removed = transaction(() => {
+          const current = adapter.findRecord(name, id);
+          if (current) {
+            adapter.removeRecord(name, id);
+          }
+          return current;
+        });
+      } else {
+        removed = mutate(items => {
+          const index = items.findIndex(existing => sameId(existing.id, id));
+          return index === -1 ? null : items.splice(index, 1)[0];
+        });
+      }
+
+      if (removed) {
+        notify({ action: 'remove', id, record: null, previous: removed });
+      }
+      return removed;
+    }),
+
+    /**
+     * Replace every record of the collection
+     * @param {Object[]} records - New records
+     * @returns {Object[]} Stored records
+     */
+    replaceAll: (records) => transaction(() => {
+      const items = records.map(validate);
+      const previous = readAll().slice();
+      if (adapter.writeCollection) {
+        adapter.writeCollection(name, items);
+      } else {
+        mutate(current => current.splice(0, current.length, ...items));
+      }
+      notify({ action: 'replaceAll', id: null, record: items, previous });
+      return items;
+    })
+  };
+
+  return repository;
+}
+
+/**
+ * Create a storage instance
+ * @param {Object} options - Storage options
+ * @param {string} [options.driver] - "json" or "sqlite"
+ * @param {string} [options.jsonPath] - JSON database file
+ * @param {string} [options.sqlitePath] - SQLite database file
+ * @param {string} [options.seedPath] - Bundled JSON database used to initialise a new store
+ * @param {Function} [options.recoverySources] - Extra JSON files a corrupt database can be recovered from
+ * @returns {Object} Storage with load/save and one repository per collection
+ */
+function createStorage(options) {
+  const driver = (options.driver || 'json').toLowerCase();
+  let adapter;
+
+  if (driver === 'sqlite') {
+    const { createSqliteAdapter } = require('./storage-sqlite');
+    adapter = createSqliteAdapter({
+      path: options.sqlitePath,
+      collections: COLLECTIONS,
+      seed: () => createJsonAdapter({ path: options.jsonPath, seedPath: options.seedPath }).read()
+    });
+  } else {
+    if (driver !== 'json') {
+      console.warn(`Unknown STORAGE_DRIVER "${driver}", using the JSON file`);
+    }
+    adapter = createJsonAdapter({
+      path: options.jsonPath,
+      seedPath: options.seedPath,
+      recoverySources: options.recoverySources
+    });
+  }
+
+  console.log(`Storage: ${adapter.name} (${adapter.path})`);
+
+  const transaction = (fn) => (adapter.transaction ? adapter.transaction(fn) : fn());
+
+  // Listeners notified after every committed change (backups, revisions, the change log)
+  const listeners = [];
+  const notify = (change) => {
+    listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error(`Error in storage change listener: ${error.message}`);
+      }
+    });
+  };
+
+  // Whole-database write; previous is null when the current store cannot be read
+  const writeDatabase = (action, db, writeOptions) => transaction(() => {
+    let previous = null;
+    try {
+      previous = adapter.read();
+    } catch (error) {
+      previous = null;
+    }
+    const record = normalizeDatabase({ ...db });
+    const written = adapter.write(record, writeOptions);
+    if (written) {
+      notify({ collection: null, action, id: null, record, previous });
+    }
+    return written;
+  });
+
+  // Content records get a clean slug, unique among the other records of their collection, trashed ones included
+  const withSlug = (name, record) => (SLUG_COLLECTIONS.includes(name)
+    ? assignSlug(name, record, [...repositories[name].all(), ...repositories[name].trash()])
+    : record);
+
+  const repositories = {};
+  COLLECTIONS.forEach(name => {
+    repositories[name] = createRepository(adapter, name, {
+      onChange: notify,
+      validate: (record) => assertValid(name, withSlug(name, record))
+    });
+  });
+
+  return {
+    adapter,
+    repositories,
+
+    /**
+     * Read the whole database with every collection present
+     * @returns {Object} Database object
+     */
+    load: () => normalizeDatabase(adapter.read()),
+
+    /**
+     * Run a read-modify-write of the whole database under the adapter's lock
+     * @param {Function} fn - Synchronous function
+     * @returns {*} Result of fn
+     */
+    transaction,
+
+    /**
+     * Write the whole database
+     * Listeners receive the written database in `record` and the one it replaced in `previous`
+     * @param {Object} db - Database object
+     * @returns {boolean} Whether the write succeeded
+     */
+    save: (db) => {
+      if (!db || typeof db !== 'object') {
+        console.error('Invalid database object provided');
+        return false;
+      }
+      return writeDatabase('save', db);
+    },
+
+    /**
+     * Replace the whole database with a restored copy, even when the current store is corrupt
+     * @param {Object} db - Validated database object
+     * @returns {boolean} Whether the write succeeded
+     */
+    restore: (db) => writeDatabase('restore', db, { force: true }),
+
+    /**
+     * Subscribe to committed changes
+     * @param {Function} listener - Called with { collection, action, id, record, previous }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange: (listener) => {
+      listeners.push(listener);
+      return () => {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+          listeners.splice(index, 1);
+        }
+      };
+    },
+
+    /**
+     * Health report of the underlying store
+     * @returns {Object} Report from the adapter
+     */
+    health: () => (adapter.health ? adapter.health() : { status: 'unknown', driver: adapter.name, path: adapter.path }),
+
+    /**
+     * Replace a corrupt store with its newest valid backup or journal
+     * @returns {Object} { recovered, message, ... }
+     */
+    recover: () => (adapter.recover ? adapter.recover() : { recovered: false, message: `The ${adapter.name} driver cannot be recovered automatically` }),
+
+    close: () => adapter.close()
+  };
+}
+
+let defaultStorage = null;
+
+/**
+ * Storage configured through the environment, shared by the whole process
+ * STORAGE_DRIVER (json|sqlite), DATABASE_PATH, SQLITE_PATH
+ * @returns {Object} Storage
+ */
+function getStorage() {
+  if (!defaultStorage) {
+    const production = process.env.NODE_ENV === 'production';
+    const dataDir = production ? '/tmp' : __dirname;
+
+    defaultStorage = createStorage({
+      driver: process.env.STORAGE_DRIVER || 'json',
+      jsonPath: process.env.DATABASE_PATH || path.join(dataDir, 'database.json'),
+      sqlitePath: process.env.SQLITE_PATH || path.join(dataDir, 'database.sqlite'),
+      seedPath: path.join(__dirname, 'database.json'),
+      recoverySources: () => listBackupFiles(BACKUP_DIR)
+    });
+
+    // Every change is appended to the change log the replicas replay (replication.js), whichever process makes it
+    require('./replication').getChangeLog().track(defaultStorage);
+
+    // Old slugs of content records keep answering with a redirect
+    trackRedirects(defaultStorage);
+  }
+  return defaultStorage;
+}
+
+module.exports = {
+  COLLECTIONS,
+  isDeleted,
+  normalizeDatabase,
+  createRepository,
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,269 @@
+/**
+ * Search box suggestions
+ * An in-memory trie of product, service and experience titles and navigation labels. Titles are
+ * folded (see text-utils.js) and inserted from every word start, so "hai san" suggests
+ * "Súp hải sản". Lookups walk the trie with an edit-distance row per node, which finds prefixes
+ * within a few typos without visiting the whole trie
+ */
+const { isDeleted } = require('./storage');
+const { tokenize, foldDiacritics } = require('./text-utils');
+
+// Collections suggested from, with the field used as the label
+const SUGGEST_COLLECTIONS = {
+  products: { type: 'product', label: (record) => record.name || record.title },
+  services: { type: 'service', label: (record) => record.title || record.name },
+  experiences: { type: 'experience', label: (record) => record.title || record.name }
+};
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+/**
+ * Typos allowed for a query: none for one or two letters, one up to five, two beyond
+ * @param {string} query - Folded query
+ * @returns {number} Maximum edit distance
+ */
+const maxDistanceFor = (query) => {
+  const length = query.replace(/ /g, '').length;
+  if (length <= 2) {
+    return 0;
+  }
+  return length <= 5 ? 1 : 2;
+};
+
+// Folded words of a text joined by single spaces: "Súp hải-sản!" becomes "sup hai san"
+const normalize = (text) => tokenize(text).join(' ');
+
+const hasDiacritics = (text) => foldDiacritics(text) !== String(text).normalize('NFC').toLowerCase();
+
+/**
+ * Label entries of a database, per collection name
+ * Navigation labels come from parent items and their children
+ */
+const entriesOf = (collection, records) => {
+  const list = (Array.isArray(records) ? records : []).filter(record => record && !isDeleted(record));
+
+  if (collection === 'navigation') {
+    return list.flatMap(nav => [
+      { key: `navigation:${nav.id}`, type: 'navigation', collection, id: nav.id, slug: nav.slug, label: nav.title }
+    ].concat((Array.isArray(nav.children) ? nav.children : [])
+      .filter(child => child && !isDeleted(child))
+      .map(child => ({
+        key: `navigation:${nav.id}:${child.id}`,
+        type: 'navigation',
+        collection,
+        id: child.id,
+        parentId: nav.id,
+        slug: child.slug,
+        label: child.title
+      }))));
+  }
+
+  const target = SUGGEST_COLLECTIONS[collection];
+  return list.map(record => ({
+    key: `${collection}:${record.id}`,
+    type: target.type,
+    collection,
+    id: record.id,
+    slug: record.slug,
+    label: target.label(record)
+  }));
+};
+
+// entries: entry key -> index of the label word the phrase ending here starts at
+const createNode = () => ({ children: new Map(), entries: new Map() });
+
+/**
+ * Create an empty suggestion index
+ * @returns {Object} Index with build(), syncCollection(), suggest() and track()
+ */
+function createSuggestionIndex() {
+  const root = createNode();
+  // entry key -> { entry, phrases: folded strings inserted in the trie }
+  const entries = new Map();
+
+  const insertPhrase = (phrase, key, wordIndex) => {
+    let node = root;
+    for (const char of phrase) {
+      if (!node.children.has(char)) {
+        node.children.set(char, createNode());
+      }
+      node = node.children.get(char);
+    }
+    node.entries.set(key, wordIndex);
+  };
+
+  // Remove a phrase, pruning nodes left without entries or children
+  const removePhrase = (phrase, key) => {
+    const path = [root];
+    for (const char of phrase) {
+      const next = path[path.length - 1].children.get(char);
+      if (!next) {
+        return;
+      }
+      path.push(next);
+    }
+    path[path.length - 1].entries.delete(key);
+    const chars = Array.from(phrase);
+    for (let i = path.length - 1; i > 0; i--) {
+      if (path[i].entries.size > 0 || path[i].children.size > 0) {
+        break;
+      }
+      path[i - 1].children.delete(chars[i - 1]);
+    }
+  };
+
+  const removeEntry = (key) => {
+    const stored = entries.get(key);
+    if (stored) {
+      stored.phrases.forEach(phrase => removePhrase(phrase, key));
+      entries.delete(key);
+    }
+  };
+
+  const addEntry = (entry) => {
+    const words = normalize(entry.label).split(' ').filter(Boolean);
+    const phrases = words.map((word, index) => words.slice(index).join(' '));
+    const stored = entries.get(entry.key);
+    if (stored && stored.entry.label === entry.label && stored.entry.slug === entry.slug) {
+      return;
+    }
+    removeEntry(entry.key);
+    if (phrases.length === 0) {
+      return;
+    }
+    phrases.forEach((phrase, index) => insertPhrase(phrase, entry.key, index));
+    entries.set(entry.key, { entry, phrases });
+  };
+
+  /**
+   * Bring the labels of one collection in line with its records
+   * @param {string} collection - products, services, experiences or navigation
+   * @param {Object[]} records - Every record of the collection
+   */
+  const syncCollection = (collection, records) => {
+    const current = entriesOf(collection, records);
+    const keys = new Set(current.map(entry => entry.key));
+    [...entries.values()]
+      .filter(stored => stored.entry.collection === collection && !keys.has(stored.entry.key))
+      .forEach(stored => removeEntry(stored.entry.key));
+    current.forEach(addEntry);
+  };
+
+  const COLLECTIONS = [...Object.keys(SUGGEST_COLLECTIONS), 'navigation'];
+
+  /**
+   * Index the labels of a whole database
+   * @param {Object} db - Database object
+   */
+  const build = (db) => {
+    COLLECTIONS.forEach(collection => syncCollection(collection, (db || {})[collection]));
+  };
+
+  /**
+   * Suggestions for what the user typed so far
+   * @param {string} query - Query text, with or without tone marks
+   * @param {Object} [options] - { limit }
+   * @returns {Object[]} { label, type, collection, id, slug, parentId, match: 'prefix'|'fuzzy', distance }
+   */
+  const suggest = (query, options = {}) => {
+    const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+    const folded = normalize(query);
+    if (!folded) {
+      return [];
+    }
+    const maxDistance = maxDistanceFor(folded);
+    const chars = Array.from(folded);
+    // key -> { distance, atStart }
+    const found = new Map();
+
+    const record = (node, distance) => {
+      node.entries.forEach((wordIndex, key) => {
+        const atStart = wordIndex === 0;
+        const best = found.get(key);
+        if (!best || distance < best.distance || (distance === best.distance && atStart && !best.atStart)) {
+          found.set(key, { distance, atStart });
+        }
+      });
+    };
+
+    // Depth-first walk carrying the edit-distance row of the query against the path so far;
+    // once a prefix is close enough, every phrase below it matches with that distance
+    const walk = (node, row, best) => {
+      node.children.forEach((child, char) => {
+        const next = [row[0] + 1];
+        for (let i = 1; i <= chars.length; i++) {
+          next[i] = Math.min(
+            next[i - 1] + 1,
+            row[i] + 1,
+            row[i - 1] + (chars[i - 1] === char ? 0 : 1)
+          );
+        }
+        const childBest = Math.min(best, next[chars.length]);
+        if (childBest <= maxDistance) {
+          record(child, childBest);
+        }
+        if (childBest <= maxDistance || Math.min(...next) <= maxDistance) {
+          walk(child, next, childBest);
+        }
+      });
+    };
+    walk(root, chars.map((char, index) => index).concat(chars.length), Infinity);
+
+    const typed = String(query).normalize('NFC').toLowerCase().trim();
+    const accented = hasDiacritics(query);
+
+    // Closest first; then labels matching the tone marks typed, matches on the first word, shorter labels
+    return [...found.entries()]
+      .map(([key, match]) => ({ ...match, entry: entries.get(key).entry }))
+      .map(match => ({
+        ...match,
+        accentMatch: accented && String(match.entry.label).normalize('NFC').toLowerCase().includes(typed)
+      }))
+      .sort((a, b) => a.distance - b.distance
+        || Number(b.accentMatch) - Number(a.accentMatch)
+        || Number(b.atStart) - Number(a.atStart)
+        || a.entry.label.length - b.entry.label.length
+        || a.entry.label.localeCompare(b.entry.label, 'vi'))
+      .slice(0, limit)
+      .map(({ entry, distance }) => ({
+        label: entry.label,
+        type: entry.type,
+        collection: entry.collection,
+        id: entry.id,
+        parentId: entry.parentId,
+        slug: entry.slug,
+        match: distance === 0 ? 'prefix' : 'fuzzy',
+        distance
+      }));
+  };
+
+  return {
+    build,
+    syncCollection,
+    suggest,
+    size: () => entries.size,
+
+    /**
+     * Keep the labels current with every change committed through a storage instance
+     * @param {Object} storage - Storage from storage.js
+     * @returns {Function} Unsubscribe function
+     */
+    track: (storage) => {
+      build(storage.load());
+      return storage.onChange(change => {
+        if (change.collection === null) {
+          build(change.record);
+        } else if (COLLECTIONS.includes(change.collection)) {
+          syncCollection(change.collection, storage.repositories[change.collection].all());
+        }
+      });
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  createSuggestionIndex
+};
@@ -1,16 +1,12 @@
 /**
  * Database Synchronization Utility
  * 
- * This script synchronizes all database.json files across the application
- * to ensure data consistency.
+ * This script brings every copy of database.json up to date from the change log
+ * and makes sure the image directories exist and hold the same uploads.
  */
 const fs = require('fs');
 const path = require('path');
-
-// Define paths to the database.json files
-const API_DB_PATH = path.join(__dirname, 'database.json');
-const ROOT_DB_PATH = path.join(__dirname, '..', 'database.json');
-const PUBLIC_DB_PATH = path.join(__dirname, 'public', 'database.json');
+const { getReplicator } = require('./replication');
 
 // Define paths to the image directories
 const API_IMAGES_DIR = path.join(__dirname, 'images');
@@ -51,57 +47,22 @@ function copyFile(sourcePath, destinationPath) {
   }
 }
 
-// Function to sync database files
+// Function to sync database files: replay the change log into every replica (see replication.js)
+// Copies are never compared by modification time; a replica that conflicts is reported and left alone
 function syncDatabaseFiles() {
   console.log('Syncing database files...');
   
-  // Check which database file is the newest
-  let newestDbPath = API_DB_PATH;
-  let newestTime = 0;
-  
-  const checkAndUpdateNewest = (dbPath) => {
-    if (fs.existsSync(dbPath)) {
-      const stats = fs.statSync(dbPath);
-      if (stats.mtimeMs > newestTime) {
-        newestTime = stats.mtimeMs;
-        newestDbPath = dbPath;
-      }
+  const reports = getReplicator().replay();
+  reports.forEach(report => {
+    if (report.state === 'conflict') {
+      console.error(`Replica ${report.name} (${report.path}) is in conflict: ${report.conflict.reason}`);
+      console.error(`Check it, then run "node replication.js resync ${report.name}" to overwrite it from the database`);
+    } else {
+      console.log(`Replica ${report.name} (${report.path}): ${report.state}`);
     }
-  };
+  });
   
-  checkAndUpdateNewest(API_DB_PATH);
-  checkAndUpdateNewest(ROOT_DB_PATH);
-  checkAndUpdateNewest(PUBLIC_DB_PATH);
-  
-  // If the newest file exists, copy it to the other locations
-  if (fs.existsSync(newestDbPath)) {
-    const sourceData = fs.readFileSync(newestDbPath);
-    
-    // Copy to API dir if not already the source
-    if (newestDbPath !== API_DB_PATH) {
-      fs.writeFileSync(API_DB_PATH, sourceData);
-      console.log(`Copied newest database from ${newestDbPath} to ${API_DB_PATH}`);
-    }
-    
-    // Copy to root dir if not already the source
-    if (newestDbPath !== ROOT_DB_PATH) {
-      fs.writeFileSync(ROOT_DB_PATH, sourceData);
-      console.log(`Copied newest database from ${newestDbPath} to ${ROOT_DB_PATH}`);
-    }
-    
-    // Copy to public dir if not already the source
-    if (newestDbPath !== PUBLIC_DB_PATH) {
-      // Ensure the public directory exists
-      ensureDirectoryExists(path.dirname(PUBLIC_DB_PATH));
-      fs.writeFileSync(PUBLIC_DB_PATH, sourceData);
-      console.log(`Copied newest database from ${newestDbPath} to ${PUBLIC_DB_PATH}`);
-    }
-    
-    return true;
-  } else {
-    console.error('No database file found to sync');
-    return false;
-  }
+  return reports.every(report => report.state !== 'conflict' && report.state !== 'error');
 }
 
 // Function to sync image directories
@@ -1,31 +1,27 @@
 /**
  * Test script for database utilities
  */
-const fs = require('fs');
-const path = require('path');
 const dbUtils = require('./database-utils');
+const { getStorage } = require('./storage');
+const { getReplicator } = require('./replication');
 
 // Display header
 console.log('========================================');
 console.log('Database Utilities Test');
 console.log('========================================');
 
-// Test 1: Verify all database paths
-console.log('\nTest 1: Checking database paths...');
-dbUtils.databasePaths.forEach((dbPath, index) => {
-  const exists = fs.existsSync(dbPath);
-  console.log(`${index + 1}. ${dbPath} - ${exists ? 'EXISTS' : 'MISSING'}`);
+// Test 1: Replicas and their position in the change log
+console.log('\nTest 1: Checking replicas...');
+const status = getReplicator().status();
+console.log(`Change log has ${status.head} entries`);
+status.replicas.forEach((replica, index) => {
+  console.log(`${index + 1}. ${replica.name} (${replica.path}) - ${replica.state}, ${replica.lag === null ? '?' : replica.lag} behind`);
 });
 
-// Test 2: Get newest database
-console.log('\nTest 2: Finding newest database...');
-const newestDb = dbUtils.getNewestDatabase();
-if (newestDb) {
-  console.log(`Found newest database with ${newestDb.products ? newestDb.products.length : 0} products`);
-  console.log(`Last sync timestamp: ${newestDb._lastSync || 'Not set'}`);
-} else {
-  console.error('Failed to find newest database!');
-}
+// Test 2: Read the database
+console.log('\nTest 2: Reading the database...');
+const database = dbUtils.getDatabase();
+console.log(`Database has ${database.products.length} products`);
 
 // Test 3: Create test product
 console.log('\nTest 3: Adding test product...');
@@ -74,26 +70,23 @@ if (addResult.success) {
   
   // Clean up - remove the test product
   console.log('\nCleaning up: Removing test product...');
-  const db = dbUtils.getNewestDatabase();
-  if (db && db.products) {
-    const productIndex = db.products.findIndex(p => parseInt(p.id) === parseInt(addResult.product.id));
-    if (productIndex !== -1) {
-      db.products.splice(productIndex, 1);
-      dbUtils.syncDatabase(db);
-      console.log('Test product removed');
-    }
+  if (getStorage().repositories.products.remove(addResult.product.id)) {
+    console.log('Test product removed');
   }
 } else {
   console.error('Failed to create test product:', addResult.message);
 }
 
-// Test 6: Force sync all database files
-console.log('\nTest 6: Syncing all database files...');
-const syncResult = dbUtils.syncFromNewest();
-if (syncResult) {
-  console.log('All database files synced successfully');
+// Test 6: Replay the change log into every replica
+console.log('\nTest 6: Replaying the change log into the replicas...');
+const syncResult = dbUtils.syncDatabase();
+syncResult.replicas.forEach(replica => {
+  console.log(`${replica.name}: ${replica.state}${replica.conflict ? ` - ${replica.conflict.reason}` : ''}`);
+});
+if (syncResult.success) {
+  console.log('All replicas are up to date');
 } else {
-  console.error('Failed to sync database files!');
+  console.error('Some replicas are in conflict!');
 }
 
 // Final report
@@ -0,0 +1,71 @@
+/**
+ * Tests for API key scopes and lookups
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const apiKeys = require('../api-keys');
+
+test('isValidScope accepts read or write on a known resource or "*"', () => {
+  assert.equal(apiKeys.isValidScope('write:news'), true);
+  assert.equal(apiKeys.isValidScope('read:*'), true);
+  assert.equal(apiKeys.isValidScope('delete:news'), false);
+  assert.equal(apiKeys.isValidScope('write:users'), false);
+  assert.equal(apiKeys.isValidScope('news'), false);
+});
+
+test('hasScope maps route permissions to read and write scopes', () => {
+  assert.equal(apiKeys.hasScope(['read:news'], 'news:read'), true);
+  assert.equal(apiKeys.hasScope(['read:news'], 'news:update'), false);
+  assert.equal(apiKeys.hasScope(['write:news'], 'news:create'), true);
+  assert.equal(apiKeys.hasScope(['write:news'], 'news:delete'), true);
+  assert.equal(apiKeys.hasScope(['write:news'], 'products:create'), false);
+  assert.equal(apiKeys.hasScope(['write:*'], 'products:update'), true);
+  assert.equal(apiKeys.hasScope(undefined, 'products:update'), false);
+});
+
+test('no scope reaches users, settings or the database', () => {
+  assert.equal(apiKeys.hasScope(['write:*'], 'users:create'), false);
+  assert.equal(apiKeys.hasScope(['write:*'], 'settings:update'), false);
+  assert.equal(apiKeys.hasScope(['write:*'], 'database:write'), false);
+});
+
+test('only the hash of a created key is stored and it finds the record', () => {
+  const { apiKey, key } = apiKeys.createApiKey({ name: 'Importer', scopes: ['write:news'] }, { id: 1 });
+  const db = { apiKeys: [apiKey] };
+
+  assert.ok(key.startsWith(`${apiKey.prefix}_`));
+  assert.ok(!JSON.stringify(apiKey).includes(key));
+  assert.equal(apiKeys.findApiKey(db, key), apiKey);
+  assert.equal(apiKeys.findApiKey(db, `${key}x`), null);
+  assert.equal(apiKeys.toPublicApiKey(apiKey).keyHash, undefined);
+});
+
+test('revoked and expired keys are not found', () => {
+  const revoked = apiKeys.createApiKey({ name: 'Revoked', scopes: ['read:*'] }, null);
+  const expired = apiKeys.createApiKey({ name: 'Expired', scopes: ['read:*'], expiresAt: new Date(Date.now() - 1000).toISOString() }, null);
+  revoked.apiKey.revokedAt = new Date().toISOString();
+  const db = { apiKeys: [revoked.apiKey, expired.apiKey] };
+
+  assert.equal(apiKeys.findApiKey(db, revoked.key), null);
+  assert.equal(apiKeys.findApiKey(db, expired.key), null);
+});
+
+test('touchApiKey records usage at most once a minute', (t) => {
+  const { apiKey } = apiKeys.createApiKey({ name: 'Builder', scopes: ['read:*'] }, null);
+  let now = 1700000000000;
+  t.mock.method(Date, 'now', () => now);
+
+  assert.equal(apiKeys.touchApiKey(apiKey), true);
+  now += 30 * 1000;
+  assert.equal(apiKeys.touchApiKey(apiKey), false);
+  now += 31 * 1000;
+  assert.equal(apiKeys.touchApiKey(apiKey), true);
+});
+
+test('getApiKeyFromRequest reads only the ApiKey scheme', () => {
+  assert.equal(apiKeys.getApiKeyFromRequest({ headers: { authorization: 'ApiKey ttln_1_abc' } }), 'ttln_1_abc');
+  assert.equal(apiKeys.getApiKeyFromRequest({ headers: { authorization: 'Bearer abc' } }), null);
+  assert.equal(apiKeys.getApiKeyFromRequest({ headers: {} }), null);
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for atomic writes and the cross-process lockfile
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writeFileAtomic, createFileLock, createWriteQueue } = require('../atomic-file');
+
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-file-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('writeFileAtomic replaces the file and leaves no temporary file behind', (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'database.json');
+
+  writeFileAtomic(file, '{"a":1}');
+  writeFileAtomic(file, '{"a":2}');
+
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"a":2}');
+  assert.deepEqual(fs.readdirSync(dir), ['database.json']);
+});
+
+test('the lock is re-entrant and released after the outermost call', (t) => {
+  const lockPath = path.join(tempDir(t), 'database.json.lock');
+  const lock = createFileLock(lockPath);
+
+  const result = lock.runExclusive(() => {
+    assert.equal(lock.isHeld(), true);
+    return lock.runExclusive(() => fs.existsSync(lockPath));
+  });
+
+  assert.equal(result, true);
+  assert.equal(lock.isHeld(), false);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test('the lock is released when the function throws', (t) => {
+  const lockPath = path.join(tempDir(t), 'database.json.lock');
+  const lock = createFileLock(lockPath);
+
+  assert.throws(() => lock.runExclusive(() => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test('waiting for a lock held by a live process times out', (t) => {
+  const lockPath = path.join(tempDir(t), 'database.json.lock');
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid }));
+  const lock = createFileLock(lockPath, { timeout: 100, staleAfter: 60000 });
+
+  assert.throws(() => lock.runExclusive(() => {}), /Timed out waiting for database lock/);
+  assert.equal(fs.existsSync(lockPath), true);
+});
+
+test('a lock left by a dead process is taken over', (t) => {
+  const lockPath = path.join(tempDir(t), 'database.json.lock');
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(lockPath, JSON.stringify({ pid }));
+  const lock = createFileLock(lockPath, { timeout: 1000, staleAfter: 60000 });
+
+  assert.equal(lock.runExclusive(() => 'ran'), 'ran');
+});
+
+test('processes incrementing a counter under the lock lose no updates', async (t) => {
+  const dir = tempDir(t);
+  const counter = path.join(dir, 'counter.json');
+  fs.writeFileSync(counter, '0');
+
+  const script = `
+    const fs = require('fs');
+    const { writeFileAtomic, getFileLock } = require(${JSON.stringify(path.join(__dirname, '..', 'atomic-file'))});
+    const file = ${JSON.stringify(counter)};
+    const lock = getFileLock(file + '.lock');
+    for (let i = 0; i < 50; i++) {
+      lock.runExclusive(() => {
+        const value = Number(fs.readFileSync(file, 'utf8'));
+        writeFileAtomic(file, String(value + 1));
+      });
+    }
+  `;
+  const runChild = () => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script], { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`exit ${code}`))));
+  });
+
+  await Promise.all([runChild(), runChild()]);
+
+  assert.equal(fs.readFileSync(counter, 'utf8'), '100');
+});
+
+test('createWriteQueue runs tasks in order and survives failures', async () => {
+  const enqueue = createWriteQueue();
+  const order = [];
+
+  const first = enqueue(async () => { await new Promise(resolve => setTimeout(resolve, 10)); order.push(1); });
+  const failing = enqueue(() => { throw new Error('failed'); });
+  const last = enqueue(() => { order.push(3); return 'done'; });
+
+  await first;
+  await assert.rejects(failing, /failed/);
+  assert.equal(await last, 'done');
+  assert.deepEqual(order, [1, 3]);
+});
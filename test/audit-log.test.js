@@ -0,0 +1,100 @@
+/**
+ * Tests for the audit log
+ * AUDIT_LOG_PATH points at a temporary file before the module is loaded
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit-log.jsonl');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../audit-log');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test.beforeEach(() => fs.rmSync(audit.AUDIT_LOG_PATH, { force: true }));
+
+const request = (overrides = {}) => ({
+  user: { id: 1, email: 'admin@example.com' },
+  ip: '10.0.0.1',
+  method: 'PATCH',
+  originalUrl: '/api/news/1',
+  params: {},
+  ...overrides
+});
+
+// Response double that emits "finish" when the handler answers
+const response = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.emit('finish'); return body; };
+  res.jsonp = res.json;
+  return res;
+};
+
+test('diffEntities lists changed fields and redacts credentials', () => {
+  const changes = audit.diffEntities(
+    { id: 1, title: 'Old', password: 'a', tags: ['x'] },
+    { id: 1, title: 'New', password: 'b', tags: ['x'] }
+  );
+
+  assert.deepEqual(changes, {
+    title: { before: 'Old', after: 'New' },
+    password: { before: '[redacted]', after: '[redacted]' }
+  });
+  assert.deepEqual(audit.diffEntities(null, { id: 2 }), { id: { before: undefined, after: 2 } });
+});
+
+test('summarizeDatabase counts the records of every collection', () => {
+  assert.deepEqual(audit.summarizeDatabase({ news: [1, 2], products: [], settings: {} }), { news: 2, products: 0 });
+});
+
+test('recorded entries are read back newest first with filters', () => {
+  audit.recordAudit(request(), { action: 'create', entityType: 'news', entityId: 1, before: null, after: { id: 1 } });
+  audit.recordAudit(request({ user: { id: 2 } }), { action: 'update', entityType: 'news', entityId: 1, before: { id: 1 }, after: { id: 1, title: 'A' } });
+  audit.recordAudit(request(), { action: 'delete', entityType: 'product', entityId: 7, before: { id: 7 }, after: null });
+
+  const all = audit.readAuditEntries();
+  assert.equal(all.total, 3);
+  assert.deepEqual(all.entries.map(entry => entry.action), ['delete', 'update', 'create']);
+  assert.equal(all.entries[0].entityId, '7');
+  assert.equal(all.entries[0].ip, '10.0.0.1');
+
+  assert.equal(audit.readAuditEntries({ entityType: 'news' }).total, 2);
+  assert.equal(audit.readAuditEntries({ userId: 2 }).entries[0].action, 'update');
+  assert.equal(audit.readAuditEntries({ entityType: 'news', entityId: 1, action: 'create' }).total, 1);
+  assert.deepEqual(audit.readAuditEntries({ limit: 1, offset: 1 }).entries.map(entry => entry.action), ['update']);
+  assert.equal(audit.readAuditEntries({ to: '2000-01-01' }).total, 0);
+});
+
+test('auditMutation records the entity before and after a successful write', () => {
+  const db = { news: [{ id: 1, title: 'Old' }] };
+  const { auditMutation } = audit.createAuditMiddleware(() => db);
+  const req = request({ params: { id: '1' } });
+  const res = response();
+
+  auditMutation('news', { collection: 'news' })(req, res, () => {});
+  res.json({ statusCode: 200, data: { id: 1, title: 'New' } });
+
+  const [entry] = audit.readAuditEntries().entries;
+  assert.equal(entry.action, 'update');
+  assert.equal(entry.entityType, 'news');
+  assert.equal(entry.entityId, '1');
+  assert.equal(entry.userId, 1);
+  assert.deepEqual(entry.changes, { title: { before: 'Old', after: 'New' } });
+});
+
+test('auditMutation records nothing when the write fails', () => {
+  const { auditMutation } = audit.createAuditMiddleware(() => ({ news: [] }));
+  const res = response();
+
+  auditMutation('news', { collection: 'news' })(request({ method: 'POST' }), res, () => {});
+  res.status(400).json({ statusCode: 400, message: 'Invalid' });
+
+  assert.equal(audit.readAuditEntries().total, 0);
+});
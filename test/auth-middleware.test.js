@@ -0,0 +1,155 @@
+/**
+ * Tests for the authentication middleware
+ * Requests are plain objects and next() collects the error the middleware passes on
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessToken, createSession } = require('../auth-utils');
+const { createAuthMiddleware, requirePermission } = require('../auth-middleware');
+const { ERROR_TYPES, errorHandler } = require('../error-middleware');
+const { createApiKey } = require('../api-keys');
+
+const createDatabase = () => {
+  const user = { id: 1, email: 'admin@example.com', name: 'Admin', role: 'admin' };
+  const { session } = createSession(user, null);
+  return { users: [user], sessions: [session] };
+};
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+// Run a middleware and resolve with the error passed to next (undefined when it passed)
+const run = (middleware, req) => new Promise(resolve => {
+  middleware(req, {}, resolve);
+});
+
+test('requireAuth rejects requests without a valid access token', async () => {
+  const db = createDatabase();
+  const { requireAuth } = createAuthMiddleware(() => db);
+
+  const missing = await run(requireAuth, { headers: {} });
+  assert.equal(missing.type, ERROR_TYPES.AUTHENTICATION);
+  assert.equal(missing.message, 'Authentication required');
+
+  const invalid = await run(requireAuth, bearer('invalid'));
+  assert.equal(invalid.type, ERROR_TYPES.AUTHENTICATION);
+  assert.equal(invalid.message, 'Invalid or expired access token');
+});
+
+test('requireAuth rejects tokens of unknown users and ended sessions', async () => {
+  const db = createDatabase();
+  const { requireAuth } = createAuthMiddleware(() => db);
+  const { token } = createAccessToken(db.users[0], db.sessions[0].id);
+
+  const unknownUser = await run(requireAuth, bearer(createAccessToken({ id: 2, role: 'admin' }, db.sessions[0].id).token));
+  assert.equal(unknownUser.message, 'Invalid or expired access token');
+
+  db.sessions[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+  const expired = await run(requireAuth, bearer(token));
+  assert.equal(expired.message, 'Session is no longer valid');
+
+  db.sessions = [];
+  const removed = await run(requireAuth, bearer(token));
+  assert.equal(removed.message, 'Session is no longer valid');
+});
+
+test('requireAuth rejects a revoked session', async () => {
+  const db = createDatabase();
+  const { requireAuth } = createAuthMiddleware(() => db);
+  const { token } = createAccessToken(db.users[0], db.sessions[0].id);
+
+  db.revokedTokens = [{ sessionId: db.sessions[0].id, expiresAt: db.sessions[0].expiresAt }];
+
+  const error = await run(requireAuth, bearer(token));
+  assert.equal(error.message, 'Session is no longer valid');
+});
+
+test('requireAuth attaches the user and session to the request', async () => {
+  const db = createDatabase();
+  const { requireAuth } = createAuthMiddleware(() => db);
+  const req = bearer(createAccessToken(db.users[0], db.sessions[0].id).token);
+
+  assert.equal(await run(requireAuth, req), undefined);
+  assert.equal(req.user.id, 1);
+  assert.equal(req.auth.sessionId, db.sessions[0].id);
+  assert.equal(req.auth.role, 'admin');
+});
+
+test('requirePermission answers 403 when the role lacks the permission', async () => {
+  const req = { method: 'DELETE', originalUrl: '/api/products/1', user: { id: 2, role: 'editor' } };
+
+  const error = await run(requirePermission('products:delete'), req);
+  assert.equal(error.type, ERROR_TYPES.AUTHORIZATION);
+  assert.equal(error.message, 'Your role does not allow products:delete');
+
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  errorHandler(error, req, res, () => {});
+  assert.equal(res.statusCode, 403);
+});
+
+test('requirePermission passes roles that grant the permission', async () => {
+  const editor = { method: 'PATCH', originalUrl: '/api/products/1', user: { id: 2, role: 'editor' } };
+  const admin = { method: 'DELETE', originalUrl: '/api/products/1', user: { id: 1, role: 'admin' } };
+
+  assert.equal(await run(requirePermission('products:update'), editor), undefined);
+  assert.equal(await run(requirePermission('products:delete'), admin), undefined);
+
+  const anonymous = await run(requirePermission('products:update'), { headers: {} });
+  assert.equal(anonymous.type, ERROR_TYPES.AUTHENTICATION);
+});
+
+test('requireAuth accepts a live API key and records its use', async () => {
+  const db = createDatabase();
+  const { apiKey, key } = createApiKey({ name: 'Importer', scopes: ['write:news'] }, db.users[0]);
+  db.apiKeys = [apiKey];
+  let saves = 0;
+  const { requireAuth } = createAuthMiddleware(() => db, () => { saves++; });
+  const req = { headers: { authorization: `ApiKey ${key}` } };
+
+  assert.equal(await run(requireAuth, req), undefined);
+  assert.equal(req.apiKey, apiKey);
+  assert.equal(req.user, undefined);
+  assert.ok(apiKey.lastUsedAt);
+  assert.equal(saves, 1);
+
+  apiKey.revokedAt = new Date().toISOString();
+  const revoked = await run(requireAuth, { headers: { authorization: `ApiKey ${key}` } });
+  assert.equal(revoked.type, ERROR_TYPES.AUTHENTICATION);
+});
+
+test('requireAuth reads and saves API key usage inside one transaction', async () => {
+  const db = createDatabase();
+  const { apiKey, key } = createApiKey({ name: 'Importer', scopes: ['write:news'] }, db.users[0]);
+  db.apiKeys = [apiKey];
+  let inside = false;
+  const calls = [];
+  const transaction = (fn) => {
+    inside = true;
+    try {
+      return fn();
+    } finally {
+      inside = false;
+    }
+  };
+  const { requireAuth } = createAuthMiddleware(() => { calls.push(['load', inside]); return db; }, () => calls.push(['save', inside]), transaction);
+
+  assert.equal(await run(requireAuth, { headers: { authorization: `ApiKey ${key}` } }), undefined);
+  assert.deepEqual(calls, [['load', true], ['save', true]]);
+});
+
+test('requirePermission checks API key scopes instead of roles', async () => {
+  const req = { method: 'POST', originalUrl: '/api/news', apiKey: { id: 'k1', scopes: ['write:news'] } };
+
+  assert.equal(await run(requirePermission('news:create'), req), undefined);
+
+  const error = await run(requirePermission('products:create'), req);
+  assert.equal(error.type, ERROR_TYPES.AUTHORIZATION);
+  assert.equal(error.message, 'API key is not scoped for products:create');
+
+  const users = await run(requirePermission('users:create'), { ...req, apiKey: { id: 'k2', scopes: ['write:*'] } });
+  assert.equal(users.type, ERROR_TYPES.AUTHORIZATION);
+});
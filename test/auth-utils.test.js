@@ -0,0 +1,115 @@
+/**
+ * Tests for the access token and session helpers
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../auth-utils');
+
+const user = { id: 1, email: 'admin@example.com', name: 'Admin', role: 'admin', password: 'secret' };
+
+test('signed tokens verify and return their claims', () => {
+  const token = auth.signToken({ sub: 1, type: 'access' }, 60);
+  const claims = auth.verifyToken(token);
+
+  assert.equal(claims.sub, 1);
+  assert.equal(claims.type, 'access');
+  assert.equal(claims.exp - claims.iat, 60);
+});
+
+test('tampered, malformed and expired tokens are rejected', () => {
+  const token = auth.signToken({ sub: 1, role: 'viewer' }, 60);
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 1, role: 'admin', exp: 9999999999 })).toString('base64url');
+
+  assert.equal(auth.verifyToken(`${header}.${forged}.${signature}`), null);
+  assert.equal(auth.verifyToken('not-a-token'), null);
+  assert.equal(auth.verifyToken(undefined), null);
+  assert.equal(auth.verifyToken(auth.signToken({ sub: 1 }, -1)), null);
+});
+
+test('createAccessToken binds the token to the user and session', () => {
+  const { token, expiresAt } = auth.createAccessToken(user, 'session-1');
+  const claims = auth.verifyToken(token);
+
+  assert.equal(claims.sub, 1);
+  assert.equal(claims.sid, 'session-1');
+  assert.equal(claims.role, 'admin');
+  assert.equal(claims.type, 'access');
+  assert.ok(new Date(expiresAt).getTime() > Date.now());
+});
+
+test('createSession stores only the hash of the refresh token', () => {
+  const req = { ip: '10.0.0.1', headers: { 'user-agent': 'tests' } };
+  const { session, refreshToken } = auth.createSession(user, req);
+
+  assert.equal(session.userId, 1);
+  assert.equal(session.refreshTokenHash, auth.hashToken(refreshToken));
+  assert.ok(!JSON.stringify(session).includes(refreshToken));
+  assert.equal(session.ip, '10.0.0.1');
+  assert.equal(session.userAgent, 'tests');
+  assert.ok(new Date(session.expiresAt).getTime() > Date.now());
+});
+
+test('rotateSession replaces the refresh token and remembers the old one', () => {
+  const { session, refreshToken } = auth.createSession(user, null);
+  const db = { sessions: [session] };
+
+  const rotated = auth.rotateSession(session);
+
+  assert.notEqual(rotated, refreshToken);
+  assert.deepEqual(auth.findSessionByRefreshToken(db, rotated), { session, reused: false });
+  assert.deepEqual(auth.findSessionByRefreshToken(db, refreshToken), { session, reused: true });
+  assert.deepEqual(auth.findSessionByRefreshToken(db, 'unknown'), { session: null, reused: false });
+});
+
+test('a reused refresh token can revoke its whole session', () => {
+  const { session, refreshToken } = auth.createSession(user, null);
+  const db = { sessions: [session] };
+  const rotated = auth.rotateSession(session);
+
+  const { session: found, reused } = auth.findSessionByRefreshToken(db, refreshToken);
+  assert.equal(reused, true);
+  auth.revokeSession(db, found, 'refresh_token_reuse');
+
+  assert.deepEqual(db.sessions, []);
+  assert.equal(auth.isSessionRevoked(db, session.id), true);
+  assert.equal(db.revokedTokens[0].reason, 'refresh_token_reuse');
+  assert.equal(auth.findSessionByRefreshToken(db, rotated).session, null);
+});
+
+test('pruneSessions drops expired sessions and revocation entries', () => {
+  const past = new Date(Date.now() - 1000).toISOString();
+  const future = new Date(Date.now() + 60000).toISOString();
+  const db = {
+    sessions: [{ id: 'old', expiresAt: past }, { id: 'live', expiresAt: future }],
+    revokedTokens: [{ sessionId: 'old', expiresAt: past }, { sessionId: 'x', expiresAt: future }]
+  };
+
+  auth.pruneSessions(db);
+
+  assert.deepEqual(db.sessions.map(s => s.id), ['live']);
+  assert.deepEqual(db.revokedTokens.map(r => r.sessionId), ['x']);
+});
+
+test('getBearerToken reads only bearer Authorization headers', () => {
+  assert.equal(auth.getBearerToken({ headers: { authorization: 'Bearer abc' } }), 'abc');
+  assert.equal(auth.getBearerToken({ headers: { authorization: 'bearer abc' } }), 'abc');
+  assert.equal(auth.getBearerToken({ headers: { authorization: 'Basic abc' } }), null);
+  assert.equal(auth.getBearerToken({ headers: {} }), null);
+});
+
+test('toPublicUser leaves credentials out', () => {
+  const publicUser = auth.toPublicUser(user);
+
+  assert.equal(publicUser.email, 'admin@example.com');
+  assert.equal(publicUser.password, undefined);
+});
+
+test('safeCompare compares strings only', () => {
+  assert.equal(auth.safeCompare('abc', 'abc'), true);
+  assert.equal(auth.safeCompare('abc', 'abd'), false);
+  assert.equal(auth.safeCompare('abc', 'abcd'), false);
+  assert.equal(auth.safeCompare('abc', null), false);
+});
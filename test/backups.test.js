@@ -0,0 +1,94 @@
+/**
+ * Tests for backup retention, snapshot validation and restores
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectBackupsToKeep, validateSnapshot, createBackupManager } = require('../backups');
+const { createStorage, COLLECTIONS } = require('../storage');
+
+// Snapshots newest first, one every `stepMinutes` back from a fixed date
+const snapshots = (count, stepMinutes) => Array.from({ length: count }, (_, index) => ({
+  id: `b${index}`,
+  createdAt: new Date(Date.UTC(2026, 0, 15, 12) - index * stepMinutes * 60 * 1000).toISOString()
+}));
+
+test('selectBackupsToKeep keeps the newest snapshots', () => {
+  const keep = selectBackupsToKeep(snapshots(5, 1), { last: 2, hourly: 0, daily: 0, weekly: 0 });
+
+  assert.deepEqual([...keep], ['b0', 'b1']);
+});
+
+test('selectBackupsToKeep keeps the newest snapshot of each hour, day and week', () => {
+  // Every 30 minutes over three days
+  const backups = snapshots(144, 30);
+
+  const hourly = selectBackupsToKeep(backups, { last: 0, hourly: 3, daily: 0, weekly: 0 });
+  assert.deepEqual([...hourly], ['b0', 'b1', 'b3']);
+
+  const daily = selectBackupsToKeep(backups, { last: 0, hourly: 0, daily: 2, weekly: 0 });
+  assert.deepEqual([...daily].map(id => backups.find(backup => backup.id === id).createdAt), [
+    '2026-01-15T12:00:00.000Z',
+    '2026-01-14T23:30:00.000Z'
+  ]);
+
+  const weekly = selectBackupsToKeep(snapshots(21, 24 * 60), { last: 0, hourly: 0, daily: 0, weekly: 2 });
+  assert.equal(weekly.size, 2);
+  assert.ok(weekly.has('b0'));
+});
+
+test('validateSnapshot reports what prevents a restore', () => {
+  assert.deepEqual(validateSnapshot({ news: [{ id: 1 }], products: [] }, COLLECTIONS), []);
+  assert.deepEqual(validateSnapshot([], COLLECTIONS), ['Snapshot must be a JSON object']);
+  assert.deepEqual(validateSnapshot(null, COLLECTIONS), ['Snapshot must be a JSON object']);
+  assert.deepEqual(validateSnapshot({ news: {}, products: [1], services: [] }, COLLECTIONS), [
+    'products[0] must be an object',
+    'news must be an array'
+  ]);
+  assert.deepEqual(validateSnapshot({ settings: {} }, COLLECTIONS), ['Snapshot does not contain any collection']);
+});
+
+test('a restore snapshots the current database first and keeps the accounts', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const storage = createStorage({ driver: 'json', jsonPath: path.join(dir, 'database.json') });
+  t.after(() => storage.close());
+  storage.save({ news: [{ id: 1, title: 'First' }], users: [{ id: 1, email: 'old@example.com' }] });
+
+  const manager = createBackupManager({ storage, collections: COLLECTIONS, dir: path.join(dir, 'backups'), everyWrites: 0, interval: 0 });
+  const backup = manager.create('manual');
+
+  storage.save({ news: [{ id: 1, title: 'Changed' }, { id: 2, title: 'Second' }], users: [{ id: 1, email: 'new@example.com' }] });
+
+  const result = manager.restore(backup.id);
+  assert.equal(result.restored, true);
+  assert.equal(result.preRestore.reason, 'pre-restore');
+
+  const db = storage.load();
+  assert.deepEqual(db.news, [{ id: 1, title: 'First' }]);
+  assert.deepEqual(db.users, [{ id: 1, email: 'new@example.com' }]);
+
+  const preRestore = JSON.parse(fs.readFileSync(result.preRestore.file, 'utf8'));
+  assert.equal(preRestore.news.length, 2);
+});
+
+test('an invalid snapshot is not restored', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const storage = createStorage({ driver: 'json', jsonPath: path.join(dir, 'database.json') });
+  t.after(() => storage.close());
+  storage.save({ news: [{ id: 1 }] });
+
+  const manager = createBackupManager({ storage, collections: COLLECTIONS, dir: path.join(dir, 'backups'), everyWrites: 0, interval: 0 });
+  const backup = manager.create('manual');
+  fs.writeFileSync(backup.file, '{"news": {}, "products": []}');
+
+  const result = manager.restore(backup.id);
+  assert.equal(result.restored, false);
+  assert.deepEqual(result.errors, ['news must be an array']);
+  assert.equal(manager.restore('missing').notFound, true);
+});
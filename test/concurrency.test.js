@@ -0,0 +1,126 @@
+/**
+ * Tests for record versions, entity tags and If-Match
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const concurrency = require('../concurrency');
+const { createStorage } = require('../storage');
+const { ERROR_TYPES } = require('../error-middleware');
+
+const setup = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'concurrency-'));
+  const storage = createStorage({ driver: 'json', jsonPath: path.join(dir, 'database.json') });
+  t.after(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return storage;
+};
+
+// Request double with an If-Match header
+const request = (ifMatch, id) => ({
+  params: { id: String(id) },
+  get: (name) => (name === 'If-Match' ? ifMatch : undefined)
+});
+
+const run = (middleware, req) => new Promise(resolve => {
+  middleware(req, {}, resolve);
+});
+
+test('entity tags quote the record version, 0 for unversioned records', () => {
+  assert.equal(concurrency.entityTag({ id: 1, version: 3 }), '"3"');
+  assert.equal(concurrency.entityTag({ id: 1 }), '"0"');
+  assert.equal(concurrency.versionOf(null), 0);
+});
+
+test('parseIfMatch splits tags and drops the weak prefix', () => {
+  assert.deepEqual(concurrency.parseIfMatch('"3"'), ['"3"']);
+  assert.deepEqual(concurrency.parseIfMatch('W/"3", "4"'), ['"3"', '"4"']);
+  assert.deepEqual(concurrency.parseIfMatch('*'), ['*']);
+  assert.equal(concurrency.parseIfMatch(''), null);
+  assert.equal(concurrency.parseIfMatch(undefined), null);
+});
+
+test('ifMatchAllows lets writes through without If-Match, for * and for the current version', () => {
+  const record = { id: 1, version: 2 };
+
+  assert.equal(concurrency.ifMatchAllows(request(undefined, 1), record), true);
+  assert.equal(concurrency.ifMatchAllows(request('*', 1), record), true);
+  assert.equal(concurrency.ifMatchAllows(request('"1", W/"2"', 1), record), true);
+  assert.equal(concurrency.ifMatchAllows(request('"1"', 1), record), false);
+});
+
+test('every repository write bumps the version', (t) => {
+  const news = setup(t).repositories.news;
+
+  const created = news.insert({ title: 'A' });
+  assert.equal(created.version, 1);
+  assert.equal(news.update(created.id, { title: 'B' }).version, 2);
+});
+
+test('a write based on an outdated version is refused', (t) => {
+  const news = setup(t).repositories.news;
+  const created = news.insert({ title: 'A' });
+  news.update(created.id, { title: 'B' });
+
+  assert.throws(() => news.replace(created.id, { ...created, title: 'C' }), (error) => {
+    assert.equal(error.type, ERROR_TYPES.PRECONDITION_FAILED);
+    assert.equal(error.currentVersion, 2);
+    assert.equal(error.etag, '"2"');
+    return true;
+  });
+  assert.equal(news.findById(created.id).title, 'B');
+});
+
+test('checkIfMatch answers 412 when the tag names an older version', async (t) => {
+  const storage = setup(t);
+  const created = storage.repositories.news.insert({ title: 'A' });
+  storage.repositories.news.update(created.id, { title: 'B' });
+  const { checkIfMatch } = concurrency.createConcurrencyMiddleware(storage.repositories);
+
+  const stale = await run(checkIfMatch('news'), request('"1"', created.id));
+  assert.equal(stale.type, ERROR_TYPES.PRECONDITION_FAILED);
+  assert.equal(stale.etag, '"2"');
+
+  assert.equal(await run(checkIfMatch('news'), request('"2"', created.id)), undefined);
+  assert.equal(await run(checkIfMatch('news'), request('W/"2"', created.id)), undefined);
+  assert.equal(await run(checkIfMatch('news'), request('*', created.id)), undefined);
+  assert.equal(await run(checkIfMatch('news'), request(undefined, created.id)), undefined);
+  assert.equal(await run(checkIfMatch('news'), request('"1"', 999)), undefined);
+});
+
+test('repository writes compare If-Match tags with the version current at write time', async (t) => {
+  const storage = setup(t);
+  const news = storage.repositories.news;
+  const created = news.insert({ title: 'A' });
+  const { checkIfMatch } = concurrency.createConcurrencyMiddleware(storage.repositories);
+
+  // Both requests pass the early check at version 1, the first one to write wins
+  const first = request('"1"', created.id);
+  const second = request('"1"', created.id);
+  assert.equal(await run(checkIfMatch('news'), first), undefined);
+  assert.equal(await run(checkIfMatch('news'), second), undefined);
+
+  assert.equal(news.update(created.id, { title: 'B' }, { ifMatch: first.ifMatch }).version, 2);
+  assert.throws(() => news.update(created.id, { title: 'C' }, { ifMatch: second.ifMatch }), (error) => {
+    assert.equal(error.type, ERROR_TYPES.PRECONDITION_FAILED);
+    assert.equal(error.etag, '"2"');
+    return true;
+  });
+  assert.throws(() => news.softDelete(created.id, {}, { ifMatch: ['"1"'] }), { type: ERROR_TYPES.PRECONDITION_FAILED });
+  assert.equal(news.findById(created.id).title, 'B');
+  assert.equal(news.softDelete(created.id, {}, { ifMatch: ['"2"'] }).version, 3);
+});
+
+test('projected reads get a weak entity tag', () => {
+  const headers = {};
+  const res = { set: (name, value) => { headers[name] = value; } };
+
+  concurrency.setEntityTag(res, { id: 1, version: 3 });
+  assert.equal(headers.ETag, '"3"');
+  concurrency.setEntityTag(res, { id: 1, version: 3 }, { weak: true });
+  assert.equal(headers.ETag, 'W/"3"');
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the list query layer: filters, sort order and page or cursor pagination
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_PAGE_SIZE, compareValues, parseListQuery, applyListQuery, isShaped, shapeRecord } = require('../list-query');
+
+const PRODUCTS = [
+  { id: 1, name: 'Gạo lứt', price: 30000, categoryId: 2, images: ['a.jpg'], createdAt: '2024-01-03T00:00:00.000Z' },
+  { id: 2, name: 'Bơ sáp', price: 45000, categoryId: 3, images: [], createdAt: '2024-01-01T00:00:00.000Z' },
+  { id: 3, name: 'Cà phê', price: 120000, categoryId: 2, images: ['b.jpg', 'c.jpg'], createdAt: '2024-01-02T00:00:00.000Z' },
+  { id: 4, name: 'Ấm trà', price: null, categoryId: 4, images: ['c.jpg'], createdAt: '2024-01-04T00:00:00.000Z' }
+];
+
+const list = (query) => {
+  const parsed = parseListQuery('products', query);
+  assert.deepEqual(parsed.errors, []);
+  return applyListQuery(PRODUCTS, parsed);
+};
+const ids = (result) => result.data.map(record => record.id);
+
+test('compareValues orders numbers, Vietnamese text and empty values last', () => {
+  assert.ok(compareValues(2, 10) < 0);
+  assert.ok(compareValues('Ấm', 'Bơ') < 0);
+  assert.ok(compareValues(null, 1) > 0);
+  assert.equal(compareValues(undefined, ''), 0);
+});
+
+test('without pagination every matching record is returned in id order', () => {
+  const result = list({});
+
+  assert.deepEqual(ids(result), [1, 2, 3, 4]);
+  assert.deepEqual(result.meta, { total: 4, page: null, pageSize: null, pageCount: 1, nextCursor: null });
+});
+
+test('sort takes several keys, descending with a minus and dates as timestamps', () => {
+  assert.deepEqual(ids(list({ sort: '-createdAt' })), [4, 1, 3, 2]);
+  assert.deepEqual(ids(list({ sort: 'price' })), [1, 2, 3, 4]);
+  assert.deepEqual(ids(list({ sort: 'categoryId,-price' })), [3, 1, 2, 4]);
+  assert.deepEqual(ids(list({ sort: 'name' })), [4, 2, 3, 1]);
+});
+
+test('filters take operators, repeated values and array fields', () => {
+  assert.deepEqual(ids(list({ categoryId: '2' })), [1, 3]);
+  assert.deepEqual(ids(list({ categoryId: ['3', '4'] })), [2, 4]);
+  assert.deepEqual(ids(list({ categoryId: { in: '2,4' } })), [1, 3, 4]);
+  assert.deepEqual(ids(list({ price: { gte: '40000', lte: '120000' } })), [2, 3]);
+  assert.deepEqual(ids(list({ name: { contains: 'CÀ' } })), [3]);
+  assert.deepEqual(ids(list({ images: 'c.jpg' })), [3, 4]);
+  assert.deepEqual(ids(list({ createdAt: { gte: '2024-01-02' } })), [1, 3, 4]);
+  assert.deepEqual(ids(list({ unknownParam: 'x', _: '123' })), [1, 2, 3, 4]);
+});
+
+test('page and pageSize slice the matching records', () => {
+  const result = list({ page: '2', pageSize: '3' });
+
+  assert.deepEqual(ids(result), [4]);
+  assert.equal(result.meta.total, 4);
+  assert.equal(result.meta.page, 2);
+  assert.equal(result.meta.pageCount, 2);
+  assert.equal(result.meta.nextCursor, null);
+  assert.deepEqual(ids(list({ limit: '2' })), [1, 2]);
+});
+
+test('cursors continue after the last record sent in the same sort order', () => {
+  const first = list({ sort: '-createdAt', pageSize: '2' });
+  assert.deepEqual(ids(first), [4, 1]);
+  assert.ok(first.meta.nextCursor);
+
+  const second = list({ sort: '-createdAt', pageSize: '2', cursor: first.meta.nextCursor });
+  assert.deepEqual(ids(second), [3, 2]);
+  assert.equal(second.meta.page, null);
+  assert.equal(second.meta.nextCursor, null);
+});
+
+test('invalid parameters are reported as field errors', () => {
+  const fields = (query) => parseListQuery('products', query).errors.map(error => error.field);
+
+  assert.deepEqual(fields({ page: '0' }), ['page']);
+  assert.deepEqual(fields({ pageSize: String(MAX_PAGE_SIZE + 1) }), ['pageSize']);
+  assert.deepEqual(fields({ sort: 'password' }), ['sort']);
+  assert.deepEqual(fields({ price: { near: '1' } }), ['price[near]']);
+  assert.deepEqual(fields({ price: 'cheap' }), ['price[eq]']);
+  assert.deepEqual(fields({ cursor: 'not-a-cursor' }), ['cursor']);
+  assert.deepEqual(fields({ cursor: Buffer.from('[1,2]').toString('base64url') }), ['cursor']);
+  assert.deepEqual(fields({ cursor: Buffer.from('[1]').toString('base64url'), page: '2' }), ['page']);
+});
+
+test('shapeRecord keeps the record as stored unless fields or expand asked for more', () => {
+  const plain = { select: null, expand: [] };
+  const projected = { select: [{ field: 'name', first: false }, { field: 'images', first: true }], expand: [] };
+
+  assert.equal(isShaped(plain), false);
+  assert.equal(isShaped(undefined), false);
+  assert.equal(shapeRecord(PRODUCTS[2], plain), PRODUCTS[2]);
+  assert.equal(isShaped(projected), true);
+  assert.deepEqual(shapeRecord(PRODUCTS[2], projected), { id: 3, name: 'Cà phê', images: ['b.jpg'] });
+  assert.equal(isShaped({ select: null, expand: ['category'] }), true);
+});
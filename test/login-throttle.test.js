@@ -0,0 +1,90 @@
+/**
+ * Tests for login throttling and the login audit file
+ * Date.now is mocked so backoff and lockout windows can be stepped through
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginThrottle, recordLoginAttempt } = require('../login-throttle');
+
+const options = { maxAttempts: 3, ipMaxAttempts: 10, lockoutMs: 60000, baseDelayMs: 1000 };
+
+// Mock Date.now with a clock the test moves forward
+const useClock = (t) => {
+  const clock = { now: 1700000000000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+};
+
+test('every failure doubles the backoff before the next attempt', (t) => {
+  const clock = useClock(t);
+  const throttle = createLoginThrottle(options);
+
+  assert.deepEqual(throttle.check('1.1.1.1', 'a@x.com'), { allowed: true, retryAfter: 0, reason: null });
+
+  assert.deepEqual(throttle.recordFailure('1.1.1.1', 'a@x.com'), { allowed: false, retryAfter: 1, reason: 'backoff' });
+  clock.now += 1000;
+  assert.equal(throttle.check('1.1.1.1', 'a@x.com').allowed, true);
+
+  assert.deepEqual(throttle.recordFailure('1.1.1.1', 'a@x.com'), { allowed: false, retryAfter: 2, reason: 'backoff' });
+});
+
+test('an account is locked out after maxAttempts failures, from any IP', (t) => {
+  const clock = useClock(t);
+  const throttle = createLoginThrottle(options);
+
+  throttle.recordFailure('1.1.1.1', 'a@x.com');
+  throttle.recordFailure('2.2.2.2', 'A@X.com ');
+  const locked = throttle.recordFailure('3.3.3.3', 'a@x.com');
+
+  assert.deepEqual(locked, { allowed: false, retryAfter: 60, reason: 'locked' });
+  assert.equal(throttle.check('4.4.4.4', 'a@x.com').reason, 'locked');
+  assert.equal(throttle.check('4.4.4.4', 'b@x.com').allowed, true);
+
+  clock.now += 60000;
+  assert.equal(throttle.check('4.4.4.4', 'a@x.com').allowed, true);
+});
+
+test('a successful login resets the account counter but not the IP counter', (t) => {
+  const clock = useClock(t);
+  const throttle = createLoginThrottle({ ...options, ipMaxAttempts: 3 });
+
+  throttle.recordFailure('1.1.1.1', 'a@x.com');
+  throttle.recordFailure('1.1.1.1', 'a@x.com');
+  clock.now += 5000;
+  throttle.recordSuccess('a@x.com');
+
+  const failure = throttle.recordFailure('1.1.1.1', 'a@x.com');
+  assert.equal(failure.reason, 'locked');
+  assert.deepEqual(throttle.check('5.5.5.5', 'a@x.com'), { allowed: false, retryAfter: 1, reason: 'backoff' });
+});
+
+test('an IP is locked out after ipMaxAttempts failures across accounts', (t) => {
+  useClock(t);
+  const throttle = createLoginThrottle({ ...options, ipMaxAttempts: 4 });
+
+  ['a', 'b', 'c', 'd'].forEach(name => throttle.recordFailure('1.1.1.1', `${name}@x.com`));
+
+  assert.equal(throttle.check('1.1.1.1', 'e@x.com').reason, 'locked');
+  assert.equal(throttle.check('2.2.2.2', 'e@x.com').allowed, true);
+});
+
+test('recordLoginAttempt appends attempts to the login audit file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'login-audit.jsonl');
+  const req = { ip: '1.1.1.1', headers: { 'user-agent': 'tests' } };
+
+  recordLoginAttempt(req, { email: ' User@X.com', success: false, reason: 'invalid_credentials' }, file);
+  recordLoginAttempt(req, { email: 'user@x.com', userId: 3, success: true }, file);
+
+  const entries = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(entries.map(entry => [entry.email, entry.success, entry.reason]), [
+    ['user@x.com', false, 'invalid_credentials'],
+    ['user@x.com', true, null]
+  ]);
+  assert.equal(entries[1].userId, 3);
+  assert.equal(entries[0].ip, '1.1.1.1');
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for the mail transports
+ */
+const net = require('net');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMessage, createConsoleTransport, createSmtpTransport, createMailTransport } = require('../mail-transport');
+
+const message = { to: 'An <an@example.com>', subject: 'Đặt lại mật khẩu', text: 'https://example.com/reset?token=secret' };
+
+// SMTP server double that does not offer STARTTLS and records the commands it got
+const startSmtpServer = (t) => new Promise(resolve => {
+  const commands = [];
+  const server = net.createServer(socket => {
+    let inData = false;
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', chunk => {
+      chunk.toString('utf8').split('\r\n').filter(Boolean).forEach(line => {
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 Queued\r\n');
+          }
+          return;
+        }
+        commands.push(line);
+        inData = line === 'DATA';
+        const replies = { EHLO: '250-test\r\n250 8BITMIME', DATA: '354 Go ahead', QUIT: '221 Bye' };
+        socket.write(`${replies[line.split(' ')[0]] || '250 OK'}\r\n`);
+      });
+    });
+    socket.on('error', () => {});
+  });
+  t.after(() => server.close());
+  server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, commands }));
+});
+
+// Lines printed through console.log while fn runs
+const captureLog = async (t, fn) => {
+  const lines = [];
+  t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  t.mock.method(console, 'warn', () => {});
+  await fn();
+  return lines;
+};
+
+test('buildMessage encodes non-ASCII headers and the body', () => {
+  const raw = buildMessage({ ...message, from: 'Thôn <no-reply@example.com>' });
+
+  assert.match(raw, /^From: =\?UTF-8\?B\?[^?]+\?= <no-reply@example\.com>\r\n/);
+  assert.match(raw, /\r\nSubject: =\?UTF-8\?B\?/);
+  assert.ok(raw.includes(Buffer.from(message.text).toString('base64')));
+});
+
+test('the console transport can leave message bodies out of the logs', async (t) => {
+  const shown = await captureLog(t, () => createConsoleTransport().send(message));
+  assert.ok(shown.includes(message.text));
+
+  const hidden = await captureLog(t, () => createConsoleTransport({ hideBody: true }).send(message));
+  assert.ok(hidden.every(line => !line.includes('token=secret')));
+});
+
+test('the default transport does not log message bodies in production', async (t) => {
+  const env = process.env;
+  t.after(() => { process.env = env; });
+  process.env = { ...env, NODE_ENV: 'production', MAIL_TRANSPORT: '' };
+
+  const lines = await captureLog(t, () => createMailTransport().send(message));
+  assert.ok(lines.every(line => !line.includes('token=secret')));
+});
+
+test('the SMTP transport refuses to send when STARTTLS is required but not offered', async (t) => {
+  const { port, commands } = await startSmtpServer(t);
+  const transport = createSmtpTransport({ host: '127.0.0.1', port, secure: false, startTls: true, user: 'u', pass: 'p' });
+
+  await assert.rejects(transport.send(message), /does not offer STARTTLS/);
+  assert.ok(commands.every(command => !command.startsWith('AUTH') && !command.startsWith('MAIL')));
+});
+
+test('the SMTP transport sends in clear text only when STARTTLS is turned off', async (t) => {
+  const { port, commands } = await startSmtpServer(t);
+  const transport = createSmtpTransport({ host: '127.0.0.1', port, secure: false, startTls: false });
+
+  assert.deepEqual(await transport.send(message), { accepted: [message.to] });
+  assert.ok(commands.includes('MAIL FROM:<no-reply@thontrangliennhat.com>'));
+  assert.ok(commands.includes('RCPT TO:<an@example.com>'));
+});
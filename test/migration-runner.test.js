@@ -0,0 +1,120 @@
+/**
+ * Tests for the migration runner
+ * Migrations are defined inline and run against a temporary JSON database
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMigrations, createMigrationRunner } = require('../migration-runner');
+const { createStorage } = require('../storage');
+
+const migrations = [
+  {
+    version: 1,
+    name: 'rename-heading',
+    description: 'Rename heading to title',
+    up: (db, log) => log.forEachRecord(db, ['news'], (record, where) => {
+      if (record.heading !== undefined) {
+        log.set(record, 'title', record.heading, where);
+        log.remove(record, 'heading', where);
+      }
+    })
+  },
+  {
+    version: 2,
+    name: 'default-views',
+    description: 'Start view counters at 0',
+    up: (db, log) => log.forEachRecord(db, ['news'], (record, where) => {
+      if (record.views === undefined) {
+        log.set(record, 'views', 0, where);
+      }
+    })
+  }
+];
+
+const setup = (t, runnerMigrations = migrations) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  const storage = createStorage({ driver: 'json', jsonPath: path.join(dir, 'database.json') });
+  storage.save({ news: [{ id: 1, heading: 'Hello' }] });
+  t.after(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { storage, runner: createMigrationRunner({ storage, migrations: runnerMigrations }) };
+};
+
+test('status lists the migrations not applied yet', (t) => {
+  const { runner } = setup(t);
+
+  const status = runner.status();
+  assert.equal(status.version, 0);
+  assert.equal(status.latest, 2);
+  assert.deepEqual(status.pending.map(migration => migration.name), ['rename-heading', 'default-views']);
+  assert.deepEqual(status.applied, []);
+});
+
+test('a dry run reports the changes without writing them', (t) => {
+  const { storage, runner } = setup(t);
+
+  const result = runner.migrate({ dryRun: true });
+  assert.equal(result.dryRun, true);
+  assert.equal(result.to, 2);
+  assert.deepEqual(result.applied[0].changes.map(change => [change.action, change.field]), [['set', 'title'], ['remove', 'heading']]);
+  assert.deepEqual(storage.load().news, [{ id: 1, heading: 'Hello' }]);
+});
+
+test('migrations are applied once and recorded in the database', (t) => {
+  const { storage, runner } = setup(t);
+
+  assert.equal(runner.migrate().to, 2);
+  const db = storage.load();
+  assert.equal(db.schemaVersion, 2);
+  assert.deepEqual(db.news, [{ id: 1, title: 'Hello', views: 0 }]);
+  assert.deepEqual(db.migrations.map(entry => [entry.version, entry.changes]), [[1, 2], [2, 1]]);
+
+  assert.deepEqual(runner.migrate().applied, []);
+  assert.equal(runner.status().pending.length, 0);
+});
+
+test('migrate stops at the version given by "to"', (t) => {
+  const { storage, runner } = setup(t);
+
+  assert.equal(runner.migrate({ to: 1 }).to, 1);
+  assert.equal(storage.load().schemaVersion, 1);
+  assert.deepEqual(runner.status().pending.map(migration => migration.version), [2]);
+});
+
+test('a failing migration leaves the database untouched', (t) => {
+  const failing = { version: 3, name: 'broken', description: 'Fails', up: () => { throw new Error('bad data'); } };
+  const { storage, runner } = setup(t, [...migrations, failing]);
+
+  assert.throws(() => runner.migrate(), /Migration 3-broken failed: bad data/);
+  assert.deepEqual(storage.load().news, [{ id: 1, heading: 'Hello' }]);
+  assert.equal(storage.load().schemaVersion, undefined);
+});
+
+test('the bundled migrations load in version order', () => {
+  const bundled = loadMigrations();
+
+  assert.ok(bundled.length > 0);
+  bundled.forEach((migration, index) => {
+    assert.equal(typeof migration.up, 'function');
+    if (index > 0) {
+      assert.ok(migration.version > bundled[index - 1].version);
+    }
+  });
+});
+
+test('loadMigrations names the script that cannot be used', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-scripts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(dir, '001-no-up.js'), 'module.exports = { description: "Nothing" };');
+  assert.throws(() => loadMigrations(dir), /Migration 001-no-up\.js does not export an up\(db, helpers\) function/);
+
+  fs.rmSync(path.join(dir, '001-no-up.js'));
+  fs.writeFileSync(path.join(dir, '002-syntax-error.js'), 'module.exports = {');
+  assert.throws(() => loadMigrations(dir), /Migration 002-syntax-error\.js could not be loaded/);
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for password hashing, plaintext migration and the password policy
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const passwordUtils = require('../password-utils');
+
+test('hashed passwords verify and carry their scrypt parameters', () => {
+  const hash = passwordUtils.hashPassword('Secret-123');
+
+  assert.ok(passwordUtils.isPasswordHash(hash));
+  assert.notEqual(hash, passwordUtils.hashPassword('Secret-123'));
+  assert.equal(passwordUtils.verifyPassword('Secret-123', hash), true);
+  assert.equal(passwordUtils.verifyPassword('secret-123', hash), false);
+  assert.equal(passwordUtils.needsRehash(hash), false);
+  assert.equal(passwordUtils.needsRehash(hash.replace('$16384$', '$1024$')), true);
+});
+
+test('plaintext passwords still verify and are migrated to hashes', () => {
+  const db = { users: [{ id: 1, password: 'dat12345' }, { id: 2, password: passwordUtils.hashPassword('x1') }] };
+
+  assert.equal(passwordUtils.verifyPassword('dat12345', 'dat12345'), true);
+  assert.equal(passwordUtils.needsRehash('dat12345'), true);
+  assert.equal(passwordUtils.migratePlaintextPasswords(db), 1);
+  assert.equal(passwordUtils.verifyPassword('dat12345', db.users[0].password), true);
+  assert.equal(passwordUtils.migratePlaintextPasswords(db), 0);
+});
+
+test('the policy requires length, letters and numbers and rejects common passwords', () => {
+  assert.deepEqual(passwordUtils.validatePasswordPolicy(''), ['Password is required']);
+  assert.deepEqual(passwordUtils.validatePasswordPolicy('abc1'), [`Password must be at least ${passwordUtils.PASSWORD_MIN_LENGTH} characters long`]);
+  assert.deepEqual(passwordUtils.validatePasswordPolicy('abcdefgh'), ['Password must contain both letters and numbers']);
+  assert.deepEqual(passwordUtils.validatePasswordPolicy('Password1'), ['Password is too common']);
+  assert.deepEqual(passwordUtils.validatePasswordPolicy('Trang-Lien-2024'), []);
+});
+
+test('the policy rejects the email local part only when it is at least four characters long', () => {
+  assert.deepEqual(passwordUtils.validatePasswordPolicy('Editor-Passw0rd!x', { email: 'ed@x.com' }), []);
+  assert.deepEqual(passwordUtils.validatePasswordPolicy('Nhat-2024-Admin', { email: 'admin@x.com' }), [
+    'Password must not contain the email address'
+  ]);
+});
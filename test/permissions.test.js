@@ -0,0 +1,41 @@
+/**
+ * Tests for the role permission matrix
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, hasPermission, isValidRole } = require('../permissions');
+
+test('admins are granted every permission', () => {
+  assert.equal(hasPermission(ROLES.ADMIN, 'users:delete'), true);
+  assert.equal(hasPermission(ROLES.ADMIN, 'database:write'), true);
+  assert.equal(hasPermission(ROLES.ADMIN, 'anything:else'), true);
+});
+
+test('editors create and update content but cannot delete or manage the site', () => {
+  ['news', 'products', 'experiences', 'services'].forEach(resource => {
+    assert.equal(hasPermission(ROLES.EDITOR, `${resource}:create`), true);
+    assert.equal(hasPermission(ROLES.EDITOR, `${resource}:update`), true);
+    assert.equal(hasPermission(ROLES.EDITOR, `${resource}:delete`), false);
+  });
+
+  assert.equal(hasPermission(ROLES.EDITOR, 'images:create'), true);
+  assert.equal(hasPermission(ROLES.EDITOR, 'uploads:create'), true);
+  assert.equal(hasPermission(ROLES.EDITOR, 'users:create'), false);
+  assert.equal(hasPermission(ROLES.EDITOR, 'navigation:update'), false);
+  assert.equal(hasPermission(ROLES.EDITOR, 'settings:update'), false);
+  assert.equal(hasPermission(ROLES.EDITOR, 'database:write'), false);
+});
+
+test('viewers and unknown roles are granted nothing', () => {
+  assert.equal(hasPermission(ROLES.VIEWER, 'news:create'), false);
+  assert.equal(hasPermission('owner', 'news:create'), false);
+  assert.equal(hasPermission(undefined, 'news:create'), false);
+});
+
+test('isValidRole accepts only the roles of the matrix', () => {
+  assert.equal(isValidRole('admin'), true);
+  assert.equal(isValidRole('editor'), true);
+  assert.equal(isValidRole('viewer'), true);
+  assert.equal(isValidRole('owner'), false);
+  assert.equal(isValidRole('constructor'), false);
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for the change log and the replicas replaying it
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PRIVATE_KEYS, parseReplicas, diffRecords, toLogEntry, applyEntry, createChangeLog, createReplicator } = require('../replication');
+const { createStorage } = require('../storage');
+
+// Temporary directory removed after the test
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replication-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Storage on a temporary JSON file, with its change log and one replica
+const setup = (t) => {
+  const dir = tempDir(t);
+  const jsonPath = path.join(dir, 'database.json');
+  fs.writeFileSync(jsonPath, JSON.stringify({
+    news: [{ id: 1, title: 'Tin một' }, { id: 2, title: 'Tin hai' }],
+    users: [{ id: 1, email: 'admin@example.com', password: 'hash' }],
+    sessions: []
+  }));
+  const storage = createStorage({ driver: 'json', jsonPath });
+  const log = createChangeLog({ path: path.join(dir, 'changes.jsonl') });
+  log.track(storage);
+  const replica = { name: 'copy', path: path.join(dir, 'copy', 'database.json') };
+  fs.mkdirSync(path.dirname(replica.path));
+  const replicator = createReplicator({ storage, log, replicas: [replica] });
+  t.after(() => storage.close());
+  return { storage, log, replica, replicator, read: () => JSON.parse(fs.readFileSync(replica.path, 'utf8')) };
+};
+
+test('parseReplicas reads name=path pairs', () => {
+  assert.deepEqual(parseReplicas('a=/tmp/a.json, /srv/public/db.json,'), [
+    { name: 'a', path: path.resolve('/tmp/a.json') },
+    { name: 'public', path: path.resolve('/srv/public/db.json') }
+  ]);
+  assert.deepEqual(parseReplicas(''), []);
+});
+
+test('diffRecords lists added, changed and removed records of keyed collections', () => {
+  const before = [{ id: 1, title: 'A' }, { id: 2, title: 'B' }, { id: 3, title: 'C' }];
+  const after = [{ id: 1, title: 'A' }, { id: 2, title: 'B2' }, { id: 4, title: 'D' }];
+
+  assert.deepEqual(diffRecords(before, after), { upsert: [{ id: 2, title: 'B2' }, { id: 4, title: 'D' }], remove: [3] });
+  assert.equal(diffRecords(before, [{ title: 'no id' }]), null);
+  assert.equal(diffRecords({ siteName: 'x' }, { siteName: 'y' }), null);
+});
+
+test('toLogEntry leaves private collections out and logs whole-database writes per record', () => {
+  PRIVATE_KEYS.forEach(collection => {
+    assert.equal(toLogEntry({ collection, action: 'insert', id: 1, record: { id: 1 }, previous: null }), null);
+  });
+
+  const previous = { news: [{ id: 1, title: 'A' }], users: [], settings: { a: 1 }, old: true };
+  const record = { news: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }], users: [{ id: 1, password: 'hash' }], settings: { a: 2 } };
+  const entry = toLogEntry({ collection: null, action: 'save', id: null, record, previous });
+  assert.deepEqual(entry.records, { news: { upsert: [{ id: 2, title: 'B' }], remove: [] } });
+  assert.deepEqual(entry.set, { settings: { a: 2 } });
+  assert.deepEqual(entry.unset, ['old']);
+
+  // A write that only touched private collections is not logged
+  assert.equal(toLogEntry({ collection: null, action: 'save', id: null, record: { ...previous, sessions: [{ id: 1 }] }, previous }), null);
+
+  const unknown = toLogEntry({ collection: null, action: 'restore', id: null, record, previous: null });
+  assert.equal(unknown.replace, true);
+  assert.equal(unknown.set.users, undefined);
+});
+
+test('applyEntry applies record changes and reports version conflicts', () => {
+  const doc = { news: [{ id: 1, title: 'A', version: 1 }] };
+
+  assert.equal(applyEntry(doc, { action: 'update', collection: 'news', id: 1, baseVersion: 1, record: { id: 1, title: 'A2', version: 2 } }), null);
+  assert.equal(applyEntry(doc, { action: 'insert', collection: 'news', id: 2, record: { id: 2, title: 'B', version: 1 } }), null);
+  assert.match(applyEntry(doc, { action: 'update', collection: 'news', id: 1, baseVersion: 1, record: { id: 1, version: 2 } }), /at version 2/);
+  assert.match(applyEntry(doc, { action: 'update', collection: 'news', id: 9, baseVersion: 1, record: { id: 9 } }), /missing/);
+
+  assert.equal(applyEntry(doc, { action: 'save', set: { settings: { a: 1 } }, records: { news: { upsert: [{ id: 3, title: 'C' }], remove: [1] } }, unset: [] }), null);
+  assert.deepEqual(doc.news.map(item => item.id), [2, 3]);
+  assert.deepEqual(doc.settings, { a: 1 });
+
+  assert.equal(applyEntry(doc, { action: 'replaceAll', collection: 'news', changes: { upsert: [{ id: 2, title: 'B2' }], remove: [3] } }), null);
+  assert.deepEqual(doc.news, [{ id: 2, title: 'B2' }]);
+});
+
+test('the change log reads entries from the file and compacts them behind a checkpoint', (t) => {
+  const log = createChangeLog({ path: path.join(tempDir(t), 'changes.jsonl') });
+  const change = (id) => ({ collection: 'news', action: 'insert', id, record: { id }, previous: null });
+
+  assert.equal(log.lastSeq(), 0);
+  [1, 2, 3].forEach(id => log.append(change(id)));
+  assert.equal(log.append({ ...change(4), collection: 'sessions' }), null);
+  assert.equal(log.lastSeq(), 3);
+  assert.deepEqual(log.since(1).map(entry => entry.seq), [2, 3]);
+
+  assert.equal(log.compact(2), 2);
+  assert.equal(log.compact(2), 0);
+  assert.deepEqual(log.since(0).map(entry => entry.seq), [3]);
+  assert.equal(log.compact(3), 1);
+  assert.equal(log.lastSeq(), 3);
+  assert.equal(log.append(change(5)).seq, 4);
+});
+
+test('replicas are created without private collections and catch up from the log', (t) => {
+  const { storage, log, replica, replicator, read } = setup(t);
+
+  assert.equal(replicator.replay()[0].state, 'created');
+  assert.deepEqual(Object.keys(read()).sort(), ['_replication', 'news']);
+
+  storage.repositories.news.update(1, { title: 'Tin một (sửa)' });
+  storage.repositories.users.update(1, { name: 'Admin' });
+  const [report] = replicator.replay();
+
+  assert.equal(report.state, 'in-sync');
+  assert.equal(report.applied, 1);
+  assert.equal(read().news[0].title, 'Tin một (sửa)');
+  assert.equal(read().users, undefined);
+
+  // Every replica has applied the log, so only the checkpoint is left
+  assert.deepEqual(log.since(0), []);
+  assert.equal(log.lastSeq(), report.seq);
+  assert.equal(replicator.status().replicas[0].lag, 0);
+  assert.ok(fs.existsSync(replica.path));
+});
+
+test('replicas edited by hand or behind a compacted log are reported as conflicts', (t) => {
+  const { storage, replica, replicator, read } = setup(t);
+  replicator.replay();
+
+  const edited = read();
+  edited.news[1].title = 'Sửa tay';
+  fs.writeFileSync(replica.path, JSON.stringify(edited));
+  storage.repositories.news.update(1, { title: 'Khác' });
+
+  const [report] = replicator.replay();
+  assert.equal(report.state, 'conflict');
+  assert.match(report.conflict.reason, /changed outside the change log/);
+  assert.equal(read().news[1].title, 'Sửa tay');
+
+  // The conflicted replica did not hold the log back, so a resync is the only way back
+  assert.equal(replicator.resync('copy').state, 'in-sync');
+  assert.equal(read().news[0].title, 'Khác');
+  storage.repositories.news.update(2, { title: 'Tin hai (sửa)' });
+  replicator.replay();
+
+  const behind = read();
+  behind._replication.seq -= 1;
+  fs.writeFileSync(replica.path, JSON.stringify(behind));
+  assert.match(replicator.replay()[0].conflict.reason, /missing entries/);
+});
+
+test('a version conflict is still reported after the log entries behind it were compacted', (t) => {
+  const { storage, replica, replicator, read } = setup(t);
+  replicator.replay();
+
+  // Move a record to another version in the replica, keeping its checksum valid
+  const { _replication: meta, ...data } = read();
+  data.news[0].version = 5;
+  meta.checksum = crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+  fs.writeFileSync(replica.path, JSON.stringify({ ...data, _replication: meta }));
+
+  storage.repositories.news.update(1, { title: 'Khác' });
+  const [first] = replicator.replay();
+  assert.match(first.conflict.reason, /at version 5 in the replica/);
+
+  const [again] = replicator.replay();
+  assert.equal(again.state, 'conflict');
+  assert.deepEqual(again.conflict, first.conflict);
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for per-entity revision history
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRevisionStore } = require('../revisions');
+const { createStorage } = require('../storage');
+
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'revisions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('updates and deletes store the version they replaced', (t) => {
+  const revisions = createRevisionStore({ path: path.join(tempDir(t), 'revisions.jsonl') });
+
+  const first = revisions.record({ collection: 'news', action: 'update', id: 1, previous: { id: 1, title: 'A' }, record: { id: 1, title: 'B' } });
+  const second = revisions.record({ collection: 'news', action: 'remove', id: 1, previous: { id: 1, title: 'B' }, record: null });
+
+  assert.equal(first.rev, 1);
+  assert.equal(second.rev, 2);
+  assert.equal(second.replacedBy, 'remove');
+  assert.deepEqual(revisions.get('news', 1, 1).data, { id: 1, title: 'A' });
+  assert.equal(revisions.get('news', 1, 3), null);
+});
+
+test('inserts, unchanged updates and untracked collections are not recorded', (t) => {
+  const revisions = createRevisionStore({ path: path.join(tempDir(t), 'revisions.jsonl') });
+
+  assert.equal(revisions.record({ collection: 'news', action: 'insert', id: 1, previous: null, record: { id: 1 } }), null);
+  assert.equal(revisions.record({ collection: 'news', action: 'update', id: 1, previous: { id: 1 }, record: { id: 1 } }), null);
+  assert.equal(revisions.record({ collection: 'users', action: 'update', id: 1, previous: { id: 1 }, record: { id: 1, name: 'x' } }), null);
+  assert.deepEqual(revisions.list('news', 1, { id: 1 }), []);
+});
+
+test('list returns revisions newest first with the fields the next version changed', (t) => {
+  const revisions = createRevisionStore({ path: path.join(tempDir(t), 'revisions.jsonl') });
+
+  revisions.record({ collection: 'products', action: 'update', id: 3, previous: { id: 3, name: 'A', price: 1 }, record: { id: 3, name: 'B', price: 1 } });
+  revisions.record({ collection: 'products', action: 'update', id: 3, previous: { id: 3, name: 'B', price: 1 }, record: { id: 3, name: 'B', price: 2 } });
+
+  const list = revisions.list('products', 3, { id: 3, name: 'B', price: 2 });
+  assert.deepEqual(list.map(entry => [entry.rev, entry.changedFields]), [[2, ['price']], [1, ['name']]]);
+});
+
+test('track records the changes committed through a storage instance', (t) => {
+  const dir = tempDir(t);
+  const storage = createStorage({ driver: 'json', jsonPath: path.join(dir, 'database.json') });
+  t.after(() => storage.close());
+  const revisions = createRevisionStore({ path: path.join(dir, 'revisions.jsonl') });
+  const untrack = revisions.track(storage);
+
+  const news = storage.repositories.news;
+  const created = news.insert({ title: 'Draft' });
+  news.update(created.id, { title: 'Published' });
+  untrack();
+  news.update(created.id, { title: 'Ignored' });
+
+  const list = revisions.list('news', created.id, news.findById(created.id));
+  assert.equal(list.length, 1);
+  assert.equal(revisions.get('news', created.id, 1).data.title, 'Draft');
+});
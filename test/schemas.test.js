@@ -0,0 +1,104 @@
+/**
+ * Tests for the collection schemas: coercion of form values and the errors reported
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { coerceValue, validateRecord, validateDatabase, assertValid, validateBody } = require('../schemas');
+const { ERROR_TYPES } = require('../error-middleware');
+
+test('coerceValue turns form strings into their declared types', () => {
+  const errors = [];
+
+  assert.equal(coerceValue({ type: 'integer' }, '12', 'id', errors), 12);
+  assert.equal(coerceValue({ type: 'number' }, '12.5', 'price', errors), 12.5);
+  assert.equal(coerceValue({ type: 'boolean' }, 'on', 'isFeatured', errors), true);
+  assert.equal(coerceValue({ type: 'boolean' }, 'No', 'isFeatured', errors), false);
+  assert.equal(coerceValue({ type: 'string' }, 42, 'name', errors), '42');
+  assert.equal(coerceValue({ type: 'email' }, ' Admin@Example.COM ', 'email', errors), 'admin@example.com');
+  assert.equal(coerceValue({ type: 'ref' }, '7', 'categoryId', errors), 7);
+  assert.equal(coerceValue({ type: 'ref' }, 'rau-sach', 'categoryId', errors), 'rau-sach');
+  assert.deepEqual(coerceValue({ type: 'array', of: 'string' }, '["a","b"]', 'images', errors), ['a', 'b']);
+  assert.deepEqual(coerceValue({ type: 'array', of: 'string' }, 'a.jpg', 'images', errors), ['a.jpg']);
+  assert.equal(coerceValue({ type: 'integer' }, '', 'position', errors), null);
+  assert.deepEqual(errors, []);
+});
+
+test('coerceValue reports values that cannot be coerced', () => {
+  const errors = [];
+
+  coerceValue({ type: 'integer' }, '1.5', 'id', errors);
+  coerceValue({ type: 'boolean' }, 'maybe', 'isFeatured', errors);
+  coerceValue({ type: 'date' }, 'yesterday', 'createdAt', errors);
+  coerceValue({ type: 'array' }, '[1,', 'features', errors);
+
+  assert.deepEqual(errors.map(error => error.field), ['id', 'isFeatured', 'createdAt', 'features']);
+});
+
+test('validateRecord checks required fields and ranges', () => {
+  const { value, errors } = validateRecord('products', { name: ' ', price: '-1', 'images[]': ['', 'a.jpg'] });
+
+  assert.deepEqual(value['images[]'], ['a.jpg']);
+  assert.deepEqual(errors, [
+    { field: 'price', message: 'must be at least 0' },
+    { field: 'name', message: 'is required' }
+  ]);
+});
+
+test('validateRecord only checks the fields present in partial updates', () => {
+  assert.deepEqual(validateRecord('products', { price: '10' }, { partial: true }), { value: { price: 10 }, errors: [] });
+  assert.equal(validateRecord('products', { price: '10' }).errors[0].field, 'name');
+  assert.deepEqual(validateRecord('unknown', { any: 'thing' }).errors, []);
+});
+
+test('nested records are validated with their path', () => {
+  const { errors } = validateRecord('navigation', { title: 'Menu', children: [{ title: 'Ok' }, { position: 'x' }] });
+
+  assert.deepEqual(errors.map(error => error.field), ['children[1].position', 'children[1].title']);
+});
+
+test('validateDatabase prefixes errors with the collection and index', () => {
+  const { value, errors } = validateDatabase({ news: [{ title: 'A', views: '3' }, { views: 1 }], custom: 1 });
+
+  assert.equal(value.news[0].views, 3);
+  assert.equal(value.custom, 1);
+  assert.deepEqual(errors, [{ field: 'news[1].title', message: 'is required' }]);
+});
+
+test('assertValid throws a validation error listing the fields', () => {
+  assert.throws(() => assertValid('contacts', { name: 'A', email: 'nope' }), (error) => {
+    assert.equal(error.type, ERROR_TYPES.VALIDATION);
+    assert.deepEqual(error.fields.map(field => field.field), ['email', 'content']);
+    return true;
+  });
+  assert.equal(assertValid('contacts', { name: 'A', content: 'Hi', email: 'A@B.VN' }).email, 'a@b.vn');
+});
+
+test('validateBody replaces the body with its coerced copy or passes the error on', () => {
+  const req = { body: { views: '5' } };
+  let passed;
+
+  validateBody('news')(req, {}, (error) => { passed = error; });
+  assert.equal(passed, undefined);
+  assert.deepEqual(req.body, { views: 5 });
+
+  validateBody('news', { required: true })({ body: {} }, {}, (error) => { passed = error; });
+  assert.equal(passed.type, ERROR_TYPES.VALIDATION);
+});
+
+test('readOnly fields are dropped from request bodies but accepted on stored records', () => {
+  const req = { body: { title: 'A', id: '9', version: '7', updatedAt: 'x', deletedAt: '2024-01-01T00:00:00.000Z', deletedBy: '1' } };
+  let passed;
+
+  validateBody('news')(req, {}, (error) => { passed = error; });
+  assert.equal(passed, undefined);
+  assert.deepEqual(req.body, { title: 'A' });
+
+  const stored = assertValid('news', { id: 9, version: 7, title: 'A', deletedAt: '2024-01-01T00:00:00.000Z', deletedBy: 1 });
+  assert.equal(stored.deletedBy, 1);
+  assert.equal(stored.version, 7);
+
+  // Nested records keep their ids
+  const nav = { body: { children: [{ id: 3, title: 'Con' }] } };
+  validateBody('navigation')(nav, {}, () => {});
+  assert.equal(nav.body.children[0].id, 3);
+});
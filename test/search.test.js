@@ -0,0 +1,91 @@
+/**
+ * Tests for the full-text search index: folded words, weights, prefixes, facets and highlights
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex, highlight } = require('../search');
+
+const DATABASE = {
+  products: [
+    { id: 1, name: 'Gạo hữu cơ', summary: 'Gạo sạch từ Đắk Lắk', slug: 'gao-huu-co', images: ['gao.jpg'] },
+    { id: 2, name: 'Cà phê rang xay', content: '<p>Cà phê trồng xen <b>gạo</b></p>' },
+    { id: 3, name: 'Gạo cũ', deletedAt: '2024-01-01T00:00:00.000Z' }
+  ],
+  news: [
+    { id: 1, title: 'Mùa gạo mới', summary: 'Thu hoạch' }
+  ]
+};
+
+const build = () => {
+  const index = createSearchIndex();
+  index.build(DATABASE);
+  return index;
+};
+const keys = (result) => result.data.map(item => `${item.collection}:${item.id}`);
+
+test('words match without diacritics and trashed records are left out', () => {
+  const index = build();
+
+  assert.equal(index.size(), 3);
+  assert.deepEqual(keys(index.search('gao huu co')), ['products:1']);
+  assert.deepEqual(keys(index.search('GẠO HỮU CƠ')), ['products:1']);
+});
+
+test('title matches rank above summary and content matches', () => {
+  const result = build().search('gạo');
+
+  assert.deepEqual(keys(result), ['products:1', 'news:1', 'products:2']);
+  assert.ok(result.data[0].score > result.data[2].score);
+});
+
+test('the last word also matches as a prefix unless the query ends with a space', () => {
+  const index = build();
+
+  assert.deepEqual(keys(index.search('ca ph')), ['products:2']);
+  assert.deepEqual(keys(index.search('ca ph ')), []);
+  assert.deepEqual(keys(index.search('ca p')), []);
+});
+
+test('facets count every collection while results are filtered and paged', () => {
+  const result = build().search('gao', { collections: ['products'], pageSize: 1, page: 2 });
+
+  assert.deepEqual(keys(result), ['products:2']);
+  assert.deepEqual(result.meta.facets.collection, { products: 2, services: 0, experiences: 0, news: 1 });
+  assert.equal(result.meta.total, 2);
+  assert.equal(result.meta.pageCount, 2);
+});
+
+test('results carry the slug, the first image and highlighted snippets', () => {
+  const [first] = build().search('gao huu').data;
+
+  assert.equal(first.slug, 'gao-huu-co');
+  assert.equal(first.image, 'gao.jpg');
+  assert.equal(first.highlights.title, '<mark>Gạo</mark> <mark>hữu</mark> cơ');
+  assert.equal(first.highlights.snippet, '<mark>Gạo</mark> sạch từ Đắk Lắk');
+});
+
+test('records are re-indexed and removed as they change', () => {
+  const index = build();
+
+  index.indexRecord('products', { id: 1, name: 'Mật ong' });
+  assert.deepEqual(keys(index.search('gao')), ['news:1', 'products:2']);
+  assert.deepEqual(keys(index.search('mat ong')), ['products:1']);
+
+  index.indexRecord('news', { id: 1, title: 'Mùa gạo mới', deletedAt: '2024-02-01T00:00:00.000Z' });
+  index.removeRecord('products', 2);
+  assert.deepEqual(keys(index.search('gao')), []);
+
+  index.syncCollection('products', [{ id: 5, name: 'Gạo nếp' }]);
+  assert.deepEqual(keys(index.search('gao')), ['products:5']);
+  assert.equal(index.size(), 1);
+});
+
+test('highlight escapes HTML and cuts long texts around the first match', () => {
+  assert.equal(highlight('Trà & <gạo> ngon', new Set(['gao'])), 'Trà &amp; &lt;<mark>gạo</mark>&gt; ngon');
+
+  const text = `${'lúa '.repeat(60)}gạo ${'ngô '.repeat(60)}`;
+  const snippet = highlight(text, new Set(['gao']), 80);
+  assert.ok(snippet.startsWith('…'));
+  assert.ok(snippet.endsWith('…'));
+  assert.ok(snippet.includes('<mark>gạo</mark>'));
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for slug generation, unique slugs and redirects from old slugs
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAX_SLUG_LENGTH, slugify, uniqueSlug, assignSlug, trackRedirects, findBySlug } = require('../slugs');
+const { createStorage } = require('../storage');
+
+test('slugify folds Vietnamese text into lower-case words joined by dashes', () => {
+  assert.equal(slugify('Gạo hữu cơ Liên Nhật'), 'gao-huu-co-lien-nhat');
+  assert.equal(slugify('  Đặc sản: Cà phê & Bơ!  '), 'dac-san-ca-phe-bo');
+  assert.equal(slugify('???'), '');
+  assert.equal(slugify(null), '');
+  assert.equal(slugify(2024), '2024');
+});
+
+test('slugify cuts long slugs at a word boundary', () => {
+  const slug = slugify('gạo '.repeat(40));
+
+  assert.ok(slug.length <= MAX_SLUG_LENGTH);
+  assert.ok(!slug.endsWith('-'));
+  assert.equal(slugify('abcdefghij klm', 12), 'abcdefghij');
+  assert.equal(slugify('abcdefghijklmnop', 12), 'abcdefghijkl');
+});
+
+test('uniqueSlug adds the first free numeric suffix', () => {
+  const taken = new Set(['gao', 'gao-2']);
+
+  assert.equal(uniqueSlug('ca-phe', slug => taken.has(slug)), 'ca-phe');
+  assert.equal(uniqueSlug('gao', slug => taken.has(slug)), 'gao-3');
+});
+
+test('assignSlug cleans the slug sent or makes one from the title', () => {
+  const others = [{ id: 1, slug: 'gao-huu-co' }, { id: 2, slug: 'tin-moi', deletedAt: '2024-01-01T00:00:00.000Z' }];
+
+  assert.equal(assignSlug('products', { id: 3, name: 'Gạo hữu cơ' }, others).slug, 'gao-huu-co-2');
+  assert.equal(assignSlug('products', { id: 1, name: 'Gạo hữu cơ', slug: 'gao-huu-co' }, others).slug, 'gao-huu-co');
+  assert.equal(assignSlug('news', { id: 4, title: 'Khác', slug: 'Tin Mới' }, others).slug, 'tin-moi-2');
+  assert.equal(assignSlug('services', { id: 5, name: ' ' }, []).slug, 'dich-vu-5');
+
+  const team = { id: 1, name: 'Nguyễn Văn A' };
+  assert.equal(assignSlug('team', team, []), team);
+});
+
+test('changed slugs leave a redirect that findBySlug follows', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slugs-'));
+  const jsonPath = path.join(dir, 'database.json');
+  fs.writeFileSync(jsonPath, JSON.stringify({ products: [], redirects: [] }));
+  const storage = createStorage({ driver: 'json', jsonPath });
+  trackRedirects(storage);
+  t.after(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { products, redirects } = storage.repositories;
+  const product = products.insert({ name: 'Gạo hữu cơ' });
+  assert.equal(product.slug, 'gao-huu-co');
+
+  products.update(product.id, { name: 'Gạo nếp', slug: '' });
+  products.update(product.id, { name: 'Gạo nếp cái', slug: '' });
+  assert.deepEqual(redirects.filter(() => true).map(redirect => redirect.from), ['gao-huu-co', 'gao-nep']);
+
+  assert.equal(findBySlug(storage.repositories, 'products', 'gao-nep-cai').record.id, product.id);
+  assert.equal(findBySlug(storage.repositories, 'products', 'gao-huu-co').redirectTo.slug, 'gao-nep-cai');
+  assert.equal(findBySlug(storage.repositories, 'products', 'Gạo Nếp Cái').redirectTo.id, product.id);
+  assert.deepEqual(findBySlug(storage.repositories, 'products', 'khong-co'), {});
+
+  // A new record taking an old slug replaces its redirect
+  products.insert({ name: 'Gạo hữu cơ' });
+  assert.deepEqual(redirects.filter(() => true).map(redirect => redirect.from), ['gao-nep']);
+  assert.equal(findBySlug(storage.repositories, 'products', 'gao-huu-co').record.name, 'Gạo hữu cơ');
+});
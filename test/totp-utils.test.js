@@ -0,0 +1,72 @@
+/**
+ * Tests for the TOTP and recovery code utilities
+ * Codes are checked against the RFC 6238 test vectors (SHA1 secret "12345678901234567890")
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../totp-utils');
+
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 encodes and decodes RFC 4648 strings', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(totp.base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+  assert.equal(totp.base32Decode('gezdgnbv gy3tqojq====').toString(), '1234567890');
+  assert.throws(() => totp.base32Decode('GEZ1'), /Invalid base32 character/);
+});
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  assert.equal(totp.generateTotp(RFC_SECRET, totp.currentStep(59 * 1000)), '287082');
+  assert.equal(totp.generateTotp(RFC_SECRET, totp.currentStep(1111111109 * 1000)), '081804');
+  assert.equal(totp.generateTotp(RFC_SECRET, totp.currentStep(1234567890 * 1000)), '005924');
+});
+
+test('verifyTotp accepts one step of drift and rejects replays', () => {
+  const secret = totp.generateTotpSecret();
+  const step = totp.currentStep();
+
+  assert.equal(totp.verifyTotp(secret, totp.generateTotp(secret, step)), step);
+  assert.equal(totp.verifyTotp(secret, totp.generateTotp(secret, step - 1)), step - 1);
+  assert.equal(totp.verifyTotp(secret, totp.generateTotp(secret, step - 3)), null);
+  assert.equal(totp.verifyTotp(secret, totp.generateTotp(secret, step), step), null);
+  assert.equal(totp.verifyTotp(secret, '12345'), null);
+  assert.equal(totp.verifyTotp(secret, 'abcdef'), null);
+});
+
+test('buildOtpauthUri describes the secret for authenticator apps', () => {
+  const uri = new URL(totp.buildOtpauthUri(RFC_SECRET, 'admin@example.com'));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+  assert.ok(decodeURIComponent(uri.pathname).endsWith(':admin@example.com'));
+});
+
+test('recovery codes are stored hashed and can be used once', () => {
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  const twoFactor = { recoveryCodes: hashes.slice() };
+
+  assert.equal(codes.length, 10);
+  assert.ok(hashes.every((hash, index) => hash !== codes[index]));
+  assert.equal(totp.consumeRecoveryCode(twoFactor, codes[0].toUpperCase().replace('-', ' ')), true);
+  assert.equal(twoFactor.recoveryCodes.length, 9);
+  assert.equal(totp.consumeRecoveryCode(twoFactor, codes[0]), false);
+});
+
+test('verifySecondFactor records the method and the step used', () => {
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  const secret = totp.generateTotpSecret();
+  const user = { twoFactor: { enabled: true, secret, recoveryCodes: hashes } };
+  const step = totp.currentStep();
+  const code = totp.generateTotp(secret, step);
+
+  assert.equal(totp.isTwoFactorEnabled(user), true);
+  assert.equal(totp.isTwoFactorEnabled({ twoFactor: { enabled: true } }), false);
+  assert.equal(totp.verifySecondFactor(user, { code }), 'totp');
+  assert.equal(user.twoFactor.lastUsedStep, step);
+  assert.equal(totp.verifySecondFactor(user, { code }), null);
+  assert.equal(totp.verifySecondFactor(user, { recoveryCode: codes[1] }), 'recovery');
+});
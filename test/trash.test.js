@@ -0,0 +1,113 @@
+/**
+ * Tests for the trash bin and the retention purge
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TRASH_COLLECTIONS, hideDeleted, createTrash } = require('../trash');
+const { createStorage } = require('../storage');
+const { validateBody } = require('../schemas');
+
+// Storage on a temporary database plus an uploads directory
+const setup = (t, db) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-'));
+  const uploads = path.join(dir, 'uploads');
+  fs.mkdirSync(uploads);
+
+  const storage = createStorage({ driver: 'json', jsonPath: path.join(dir, 'database.json') });
+  storage.save(db);
+  t.after(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const trash = createTrash({ repositories: storage.repositories, uploadDirs: [uploads], retentionDays: 30, interval: 0 });
+  return { storage, trash, uploads };
+};
+
+test('a deleted record moves to the trash and can be restored', (t) => {
+  const { storage, trash } = setup(t, { news: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }] });
+  const news = storage.repositories.news;
+
+  const removed = trash.remove(TRASH_COLLECTIONS.news, 1, { id: 9 });
+  assert.equal(removed.deletedBy, 9);
+  assert.deepEqual(news.all().map(item => item.id), [2]);
+
+  const [listed] = trash.list(TRASH_COLLECTIONS.news);
+  assert.equal(listed.id, 1);
+  assert.equal(new Date(listed.purgeAt) - new Date(listed.deletedAt), 30 * 24 * 60 * 60 * 1000);
+
+  const restored = trash.restore(TRASH_COLLECTIONS.news, 1);
+  assert.equal(restored.deletedAt, undefined);
+  assert.deepEqual(news.all().map(item => item.id), [1, 2]);
+  assert.deepEqual(trash.list(TRASH_COLLECTIONS.news), []);
+});
+
+test('only trashed records can be purged, and their uploaded files go with them', (t) => {
+  const { storage, trash, uploads } = setup(t, { products: [{ id: 1, name: 'Tea', images: ['/images/uploads/a.jpg'] }] });
+  fs.writeFileSync(path.join(uploads, 'a.jpg'), 'image');
+
+  assert.equal(trash.purge(TRASH_COLLECTIONS.products, 1), null);
+
+  trash.remove(TRASH_COLLECTIONS.products, 1, null);
+  assert.equal(trash.purge(TRASH_COLLECTIONS.products, 1).id, 1);
+  assert.equal(storage.repositories.products.findById(1, { withDeleted: true }), null);
+  assert.equal(fs.existsSync(path.join(uploads, 'a.jpg')), false);
+});
+
+test('a purge keeps uploaded files another record still uses', (t) => {
+  const { trash, uploads } = setup(t, {
+    products: [{ id: 1, name: 'Tea', images: ['/images/uploads/shared.jpg'] }],
+    news: [{ id: 1, title: 'Tea news', content: '<img src="/images/uploads/shared.jpg">' }]
+  });
+  fs.writeFileSync(path.join(uploads, 'shared.jpg'), 'image');
+
+  trash.remove(TRASH_COLLECTIONS.products, 1, null);
+  trash.purge(TRASH_COLLECTIONS.products, 1);
+
+  assert.equal(fs.existsSync(path.join(uploads, 'shared.jpg')), true);
+});
+
+test('purgeExpired removes records trashed longer than the retention period', (t) => {
+  const { storage, trash } = setup(t, { news: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }] });
+  trash.remove(TRASH_COLLECTIONS.news, 1, null);
+  trash.remove(TRASH_COLLECTIONS.news, 2, null);
+
+  assert.deepEqual(trash.purgeExpired(new Date(Date.now() + 29 * 24 * 60 * 60 * 1000)), {});
+  assert.deepEqual(trash.purgeExpired(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000)), { news: 2 });
+  assert.deepEqual(storage.repositories.news.trash(), []);
+});
+
+test('child navigation items are trashed inside their parent', (t) => {
+  const { storage, trash } = setup(t, { navigation: [{ id: 1, title: 'Menu', children: [{ id: 11, title: 'Child' }] }] });
+
+  trash.remove(TRASH_COLLECTIONS['child-navs'], 11, null);
+  assert.deepEqual(trash.list(TRASH_COLLECTIONS['child-navs']).map(item => [item.id, item.parentId]), [[11, 1]]);
+  assert.deepEqual(hideDeleted(storage.load()).navigation[0].children, []);
+
+  trash.restore(TRASH_COLLECTIONS['child-navs'], 11);
+  assert.deepEqual(storage.repositories.navigation.findById(1).children, [{ id: 11, title: 'Child' }]);
+});
+
+test('hideDeleted leaves trashed records out of public reads', () => {
+  const db = { news: [{ id: 1 }, { id: 2, deletedAt: '2026-01-01T00:00:00.000Z' }], settings: { name: 'x' } };
+
+  const visible = hideDeleted(db);
+  assert.deepEqual(visible.news, [{ id: 1 }]);
+  assert.deepEqual(visible.settings, { name: 'x' });
+  assert.equal(db.news.length, 2);
+});
+
+test('an update body cannot move a record to the trash', (t) => {
+  const { storage, trash } = setup(t, { news: [{ id: 1, title: 'A' }] });
+  const req = { body: { title: 'A2', deletedAt: new Date().toISOString(), deletedBy: '9' } };
+
+  validateBody('news')(req, {}, () => {});
+  storage.repositories.news.update(1, req.body);
+
+  assert.equal(storage.repositories.news.findById(1).title, 'A2');
+  assert.equal(storage.repositories.news.findById(1).deletedAt, undefined);
+  assert.deepEqual(trash.list(TRASH_COLLECTIONS.news), []);
+});
@@ -0,0 +1,100 @@
+/**
+ * Text utilities for Vietnamese content
+ * Folding removes tone marks and vowel diacritics one character at a time, so a folded string
+ * has the same length as its source and positions found in one can be used in the other
+ */
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'"
+};
+
+/**
+ * Fold one character: lower case without diacritics, đ becoming d
+ * @param {string} char - Single character
+ * @returns {string} Folded character, or the character itself when folding would change its length
+ */
+function foldChar(char) {
+  if (char === 'đ' || char === 'Đ') {
+    return 'd';
+  }
+  const folded = char.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+  return folded.length === char.length ? folded : char;
+}
+
+/**
+ * Fold a text for matching: "Gạo hữu cơ" becomes "gao huu co"
+ * @param {string} text - Text in NFC or NFD form
+ * @returns {string} Folded text, as long as the NFC form of the input
+ */
+function foldDiacritics(text) {
+  return Array.from(String(text || '').normalize('NFC'), foldChar).join('');
+}
+
+/**
+ * Plain text of editor HTML
+ * @param {string} html - HTML content
+ * @returns {string} Text with tags replaced by spaces and common entities decoded
+ */
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Folded words of a text
+ * @param {string} text - Plain text
+ * @returns {string[]} Folded words in order, duplicates kept
+ */
+function tokenize(text) {
+  return foldDiacritics(text).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Folded words of a text with their positions
+ * @param {string} text - Plain text in NFC form
+ * @returns {Object[]} { word, start, end } with offsets valid in the text itself
+ */
+function tokenizeWithPositions(text) {
+  const folded = foldDiacritics(text);
+  const words = [];
+  let match;
+  WORD_PATTERN.lastIndex = 0;
+  while ((match = WORD_PATTERN.exec(folded)) !== null) {
+    words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  foldChar,
+  foldDiacritics,
+  stripHtml,
+  tokenize,
+  tokenizeWithPositions,
+  escapeHtml
+};
@@ -0,0 +1,236 @@
+/**
+ * Two-factor authentication utilities
+ * RFC 6238 TOTP codes (HMAC-SHA1, 6 digits, 30 second steps) and one-time recovery codes
+ */
+const crypto = require('crypto');
+const { hashToken, safeCompare } = require('./auth-utils');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Thôn Trang Liên Nhật';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1; // Accept one step of clock drift either way
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string, case and padding insensitive
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter (unix time / 30)
+ * @returns {string} Zero padded code
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Current TOTP time step
+ * @param {number} [now] - Time in milliseconds, defaults to Date.now()
+ * @returns {number} Time step counter
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Verify a TOTP code within the allowed clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code, codes at or before it are rejected
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+function verifyTotp(secret, code, lastUsedStep) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!secret || !/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidate = step + drift;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+    if (safeCompare(generateTotp(secret, candidate), normalized)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI scanned by authenticator apps
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label, usually the email
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret: secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * Generate one-time recovery codes
+ * The plain codes are shown to the user once, only their hashes are stored
+ * @returns {Object} { codes, hashes }
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+}
+
+/**
+ * Use a recovery code, removing it from the stored list when it matches
+ * @param {Object} twoFactor - user.twoFactor record
+ * @param {string} code - Recovery code entered by the user
+ * @returns {boolean} Whether the code was valid
+ */
+function consumeRecoveryCode(twoFactor, code) {
+  const hashes = Array.isArray(twoFactor.recoveryCodes) ? twoFactor.recoveryCodes : [];
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const index = hashes.findIndex(stored => safeCompare(stored, hash));
+
+  if (index === -1) {
+    return false;
+  }
+  hashes.splice(index, 1);
+  twoFactor.recoveryCodes = hashes;
+  return true;
+}
+
+/**
+ * Check whether a user has completed two-factor enrolment
+ * @param {Object} user - User record
+ * @returns {boolean} Whether logins require a second factor
+ */
+function isTwoFactorEnabled(user) {
+  return !!(user && user.twoFactor && user.twoFactor.enabled && user.twoFactor.secret);
+}
+
+/**
+ * Verify a TOTP or recovery code for an enrolled user and record its use
+ * @param {Object} user - User record with twoFactor enabled
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {string|null} 'totp' or 'recovery' for the method that matched, null if neither did
+ */
+function verifySecondFactor(user, input) {
+  const twoFactor = user.twoFactor;
+
+  if (input.code) {
+    const step = verifyTotp(twoFactor.secret, input.code, twoFactor.lastUsedStep);
+    if (step !== null) {
+      twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+  }
+
+  if (input.recoveryCode && consumeRecoveryCode(twoFactor, input.recoveryCode)) {
+    return 'recovery';
+  }
+
+  return null;
+}
+
+module.exports = {
+  TOTP_ISSUER,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  currentStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  isTwoFactorEnabled,
+  verifySecondFactor
+};
@@ -0,0 +1,283 @@
+/**
+ * Trash bin for content collections
+ * Deletes set a deletedAt timestamp instead of removing the record; trashed records are hidden
+ * from public reads, can be restored, and are purged for good after TRASH_RETENTION_DAYS
+ */
+const fs = require('fs');
+const path = require('path');
+const { isDeleted } = require('./storage');
+
+const readNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+};
+
+// How long trashed records are kept, and how often the purge job runs (minutes)
+const TRASH_RETENTION_DAYS = readNumber('TRASH_RETENTION_DAYS', 30);
+const TRASH_PURGE_INTERVAL = readNumber('TRASH_PURGE_INTERVAL', 60);
+
+// URL collection names with a trash, mapped to their repository, permission resource and audit entity
+// Child navigation items live inside their parent's children array
+const TRASH_COLLECTIONS = {
+  products: { collection: 'products', resource: 'products', entityType: 'product' },
+  services: { collection: 'services', resource: 'services', entityType: 'service' },
+  experiences: { collection: 'experiences', resource: 'experiences', entityType: 'experience' },
+  news: { collection: 'news', resource: 'news', entityType: 'news' },
+  teams: { collection: 'team', resource: 'teams', entityType: 'team' },
+  images: { collection: 'images', resource: 'images', entityType: 'image' },
+  videos: { collection: 'videos', resource: 'videos', entityType: 'video' },
+  contact: { collection: 'contacts', resource: 'contacts', entityType: 'contact' },
+  'parent-navs': { collection: 'navigation', resource: 'navigation', entityType: 'navigation' },
+  'child-navs': { collection: 'navigation', resource: 'navigation', entityType: 'child-navigation', nested: true }
+};
+
+const CONTENT_COLLECTIONS = [...new Set(Object.values(TRASH_COLLECTIONS).map(target => target.collection))];
+
+/**
+ * Copy of a database without trashed records, for public reads
+ * @param {Object} db - Database object
+ * @returns {Object} Database with trashed records and child navigation items left out
+ */
+function hideDeleted(db) {
+  const visible = { ...db };
+
+  CONTENT_COLLECTIONS.forEach(name => {
+    if (Array.isArray(db[name])) {
+      visible[name] = db[name].filter(item => !isDeleted(item));
+    }
+  });
+  visible.navigation = (visible.navigation || []).map(nav => (
+    Array.isArray(nav.children) && nav.children.some(isDeleted)
+      ? { ...nav, children: nav.children.filter(child => !isDeleted(child)) }
+      : nav
+  ));
+
+  return visible;
+}
+
+// When a trashed record is purged
+const purgeAt = (item, retentionDays) => {
+  const deletedAt = new Date(item.deletedAt).getTime();
+  return new Date(deletedAt + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Create a trash bin over the repositories
+ * @param {Object} options - Trash options
+ * @param {Object} options.repositories - Repositories from storage.js
+ * @param {string[]} [options.uploadDirs] - Directories uploaded files of purged records are deleted from
+ * @param {number} [options.retentionDays] - Days a record stays in the trash, 0 keeps it until purged by hand
+ * @param {number} [options.interval] - Minutes between purge runs, 0 to disable
+ * @returns {Object} Trash bin
+ */
+function createTrash(options) {
+  const repositories = options.repositories;
+  const uploadDirs = options.uploadDirs || [];
+  const retentionDays = options.retentionDays === undefined ? TRASH_RETENTION_DAYS : options.retentionDays;
+  const interval = options.interval === undefined ? TRASH_PURGE_INTERVAL : options.interval;
+  let timer = null;
+
+  const navigation = () => repositories.navigation;
+  const findParentOfChild = (id) => navigation().all()
+    .find(nav => (nav.children || []).some(child => String(child.id) === String(id))) || null;
+
+  // Whether a stored record, live or trashed, still uses an uploaded file in a field or in its HTML content;
+  // duplicated records often share their images
+  const isFileReferenced = (fileName) => Object.keys(repositories).some(name => {
+    const repository = repositories[name];
+    return repository.all().concat(repository.trash())
+      .some(item => JSON.stringify(item).includes(fileName));
+  });
+
+  // Uploaded files referenced by a record (images, image, url), removed when it is purged and no other record uses them
+  const removeUploadedFiles = (item) => {
+    const references = []
+      .concat(Array.isArray(item.images) ? item.images : [item.images])
+      .concat([item.image, item.url])
+      .filter(reference => typeof reference === 'string' && reference.includes('/uploads/'));
+
+    references.forEach(reference => {
+      const fileName = path.basename(reference);
+      if (isFileReferenced(fileName)) {
+        console.log(`Kept file still in use: ${fileName}`);
+        return;
+      }
+      uploadDirs.forEach(dir => {
+        const filePath = path.join(dir, fileName);
+        try {
+          if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            console.log(`Deleted file: ${filePath}`);
+          }
+        } catch (fileError) {
+          console.error(`Could not delete file: ${filePath}`, fileError);
+        }
+      });
+    });
+  };
+
+  /**
+   * Move a record to the trash
+   * @param {Object} target - Entry of TRASH_COLLECTIONS
+   * @param {string|number} id - Record id
+   * @param {Object} [user] - User deleting the record
+   * @param {Object} [writeOptions] - { ifMatch } checked against top-level records, see storage.js
+   * @returns {Object|null} Trashed record, or null if it does not exist
+   */
+  const remove = (target, id, user, writeOptions = {}) => {
+    const deletedBy = user ? user.id : null;
+
+    if (!target.nested) {
+      return repositories[target.collection].softDelete(id, { deletedBy }, writeOptions);
+    }
+
+    const parent = findParentOfChild(id);
+    const child = parent && parent.children.find(item => String(item.id) === String(id));
+    if (!child || isDeleted(child)) {
+      return null;
+    }
+    child.deletedAt = new Date().toISOString();
+    child.deletedBy = deletedBy;
+    navigation().replace(parent.id, parent);
+    return child;
+  };
+
+  /**
+   * Records in the trash of a collection, newest deletion first
+   * @param {Object} target - Entry of TRASH_COLLECTIONS
+   * @returns {Object[]} Trashed records with their purgeAt date
+   */
+  const list = (target) => {
+    const items = target.nested
+      ? navigation().all().reduce((children, nav) => children.concat(
+        (nav.children || []).filter(isDeleted).map(child => ({ ...child, parentId: nav.id }))
+      ), [])
+      : repositories[target.collection].trash();
+
+    return items
+      .map(item => ({ ...item, purgeAt: retentionDays > 0 ? purgeAt(item, retentionDays) : null }))
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+  };
+
+  /**
+   * Take a record out of the trash
+   * @param {Object} target - Entry of TRASH_COLLECTIONS
+   * @param {string|number} id - Record id
+   * @returns {Object|null} Restored record, or null if it is not in the trash
+   */
+  const restore = (target, id) => {
+    if (!target.nested) {
+      return repositories[target.collection].restoreDeleted(id);
+    }
+
+    const parent = findParentOfChild(id);
+    const index = parent ? parent.children.findIndex(item => String(item.id) === String(id)) : -1;
+    if (index === -1 || !isDeleted(parent.children[index])) {
+      return null;
+    }
+    const { deletedAt, deletedBy, ...child } = parent.children[index];
+    parent.children[index] = child;
+    navigation().replace(parent.id, parent);
+    return child;
+  };
+
+  /**
+   * Delete a trashed record for good, with the uploaded files no other record uses
+   * @param {Object} target - Entry of TRASH_COLLECTIONS
+   * @param {string|number} id - Record id
+   * @returns {Object|null} Purged record, or null if it is not in the trash
+   */
+  const purge = (target, id) => {
+    let purged = null;
+
+    if (target.nested) {
+      const parent = findParentOfChild(id);
+      const index = parent ? parent.children.findIndex(item => String(item.id) === String(id)) : -1;
+      if (index === -1 || !isDeleted(parent.children[index])) {
+        return null;
+      }
+      purged = parent.children.splice(index, 1)[0];
+      navigation().replace(parent.id, parent);
+    } else {
+      const repository = repositories[target.collection];
+      if (!isDeleted(repository.findById(id, { withDeleted: true }))) {
+        return null;
+      }
+      purged = repository.remove(id);
+    }
+
+    if (purged) {
+      removeUploadedFiles(purged);
+    }
+    return purged;
+  };
+
+  /**
+   * Purge every record that has been in the trash longer than the retention period
+   * @param {Date} [now] - Reference time
+   * @returns {Object} { collection: number of purged records }
+   */
+  const purgeExpired = (now = new Date()) => {
+    const purged = {};
+    if (retentionDays <= 0) {
+      return purged;
+    }
+
+    Object.keys(TRASH_COLLECTIONS).forEach(name => {
+      const target = TRASH_COLLECTIONS[name];
+      const expired = list(target).filter(item => new Date(item.purgeAt) <= now);
+      expired.forEach(item => {
+        if (purge(target, item.id)) {
+          purged[name] = (purged[name] || 0) + 1;
+        }
+      });
+    });
+
+    if (Object.keys(purged).length > 0) {
+      console.log(`Purged expired trash: ${JSON.stringify(purged)}`);
+    }
+    return purged;
+  };
+
+  return {
+    retentionDays,
+    remove,
+    list,
+    restore,
+    purge,
+    purgeExpired,
+
+    /**
+     * Start the purge job
+     */
+    start: () => {
+      if (!timer && interval > 0) {
+        timer = setInterval(() => {
+          try {
+            purgeExpired();
+          } catch (error) {
+            console.error(`Error purging trash: ${error.message}`);
+          }
+        }, interval * 60 * 1000);
+        timer.unref();
+      }
+    },
+
+    /**
+     * Stop the purge job
+     */
+    stop: () => {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  TRASH_COLLECTIONS,
+  TRASH_RETENTION_DAYS,
+  hideDeleted,
+  createTrash
+};
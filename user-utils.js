@@ -0,0 +1,107 @@
+/**
+ * User management helpers
+ * Field whitelisting and validation for /api/users
+ */
+const { isValidRole, ROLES } = require('./permissions');
+const { validatePasswordPolicy } = require('./password-utils');
+
+// Fields an admin may set on any user
+const ADMIN_WRITABLE_FIELDS = ['email', 'name', 'role', 'avatar', 'active', 'password'];
+
+// Fields a user may set on their own profile
+const SELF_WRITABLE_FIELDS = ['name', 'avatar'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Copy only whitelisted fields from a request body
+ * @param {Object} body - Request body
+ * @param {string[]} allowed - Field names that may be copied
+ * @returns {Object} Picked fields with form values coerced
+ */
+function pickUserFields(body, allowed) {
+  const fields = {};
+  if (!body || typeof body !== 'object') {
+    return fields;
+  }
+
+  allowed.forEach(field => {
+    if (body[field] === undefined) {
+      return;
+    }
+    if (field === 'active') {
+      fields.active = body.active === true || body.active === 'true' || body.active === 1 || body.active === '1';
+    } else if (field === 'email') {
+      fields.email = String(body.email).trim().toLowerCase();
+    } else {
+      fields[field] = body[field];
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Validate user fields before they are written
+ * @param {Object} fields - Fields picked from the request
+ * @param {Object[]} users - Existing users in the database
+ * @param {Object} [existingUser] - User being updated, omitted on create
+ * @returns {string[]} Validation errors, empty when the fields are valid
+ */
+function validateUserFields(fields, users, existingUser) {
+  const errors = [];
+  const isCreate = !existingUser;
+
+  if (isCreate || fields.email !== undefined) {
+    if (!fields.email || !EMAIL_PATTERN.test(fields.email)) {
+      errors.push('A valid email is required');
+    } else if (users.some(u => String(u.email).toLowerCase() === fields.email && (!existingUser || u.id !== existingUser.id))) {
+      errors.push('Email is already in use');
+    }
+  }
+
+  if (isCreate || fields.name !== undefined) {
+    if (!fields.name || String(fields.name).trim() === '') {
+      errors.push('Name is required');
+    }
+  }
+
+  if (fields.role !== undefined && !isValidRole(fields.role)) {
+    errors.push(`Role must be one of: ${Object.values(ROLES).join(', ')}`);
+  }
+
+  if (isCreate || fields.password !== undefined) {
+    const target = { ...(existingUser || {}), ...fields };
+    errors.push(...validatePasswordPolicy(fields.password, target));
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a user can log in
+ * Users created before the flag existed have no `active` field and stay enabled
+ * @param {Object} user - User record
+ * @returns {boolean} Whether the account is enabled
+ */
+function isUserActive(user) {
+  return !!user && user.active !== false;
+}
+
+/**
+ * Count enabled admins, used to stop the last one from being removed
+ * @param {Object[]} users - Users in the database
+ * @returns {number} Number of active admins
+ */
+function countActiveAdmins(users) {
+  return users.filter(u => u.role === ROLES.ADMIN && isUserActive(u)).length;
+}
+
+module.exports = {
+  ADMIN_WRITABLE_FIELDS,
+  SELF_WRITABLE_FIELDS,
+  pickUserFields,
+  validateUserFields,
+  isUserActive,
+  countActiveAdmins
+};